@@ -0,0 +1,15 @@
+module.exports = ({ env }) => ({
+  // Minutes an added cart line keeps its units reserved for the customer.
+  reservationMinutes: env.int("CART_RESERVATION_MINUTES", 15),
+  // Days an untouched guest cart is kept before it is swept.
+  guestCartDays: env.int("GUEST_CART_DAYS", 30),
+  abandonedReminders: {
+    enabled: env.bool("CART_REMINDERS_ENABLED", true),
+    // Hours of cart inactivity after which each successive reminder goes out.
+    thresholdHours: env.array("CART_REMINDER_THRESHOLD_HOURS", ["4", "48"]).map(Number),
+    // Never remind the same customer more often than this.
+    minHoursBetween: env.int("CART_REMINDER_MIN_HOURS_BETWEEN", 12),
+    // An order placed this many days after a reminder is credited to it.
+    attributionDays: env.int("CART_REMINDER_ATTRIBUTION_DAYS", 7),
+  },
+});
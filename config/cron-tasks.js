@@ -0,0 +1,141 @@
+const { sweepExpiredReservations } = require("../src/utils/stockReservation.js");
+const { sweepStaleGuestCarts } = require("../src/utils/guestCart.js");
+const { sendAbandonedCartReminders } = require("../src/utils/cartReminder.js");
+const { dispatchOrderNotifications } = require("../src/utils/orderNotification.js");
+const { issuePendingInvoices, issuePendingCreditNotes } = require("../src/utils/invoice.js");
+const { syncActiveShipments } = require("../src/utils/shipment.js");
+const { sendPendingDeliveryOtps } = require("../src/utils/deliveryOtp.js");
+const { sweepExpiredIdempotencyKeys } = require("../src/utils/idempotency.js");
+const { expireWalletCredits } = require("../src/utils/wallet.js");
+
+module.exports = {
+  // Release cart stock holds whose reservation window has passed.
+  releaseExpiredStockReservations: {
+    task: async ({ strapi }) => {
+      const released = await sweepExpiredReservations();
+      if (released > 0) {
+        strapi.log.info(`Released ${released} expired stock reservation(s).`);
+      }
+    },
+    options: {
+      rule: "*/5 * * * *",
+    },
+  },
+
+  // Drop guest carts that were abandoned without ever signing in.
+  removeStaleGuestCarts: {
+    task: async ({ strapi }) => {
+      const removed = await sweepStaleGuestCarts();
+      if (removed > 0) {
+        strapi.log.info(`Removed ${removed} stale guest cart line(s).`);
+      }
+    },
+    options: {
+      rule: "30 3 * * *",
+    },
+  },
+
+  // Nudge signed-in customers whose carts have been idle past the reminder thresholds.
+  sendAbandonedCartReminders: {
+    task: async ({ strapi }) => {
+      const sent = await sendAbandonedCartReminders();
+      if (sent > 0) {
+        strapi.log.info(`Sent ${sent} abandoned cart reminder(s).`);
+      }
+    },
+    options: {
+      rule: "*/15 * * * *",
+    },
+  },
+
+  // Catch up on order updates whose immediate notification did not go out, and retry failed channels.
+  sendOrderNotifications: {
+    task: async ({ strapi }) => {
+      const sent = await dispatchOrderNotifications();
+      if (sent > 0) {
+        strapi.log.info(`Sent notifications for ${sent} order update(s).`);
+      }
+    },
+    options: {
+      rule: "* * * * *",
+    },
+  },
+
+  // Text the delivery codes of shipped orders whose immediate text did not go out.
+  sendDeliveryOtps: {
+    task: async ({ strapi }) => {
+      const sent = await sendPendingDeliveryOtps();
+      if (sent > 0) {
+        strapi.log.info(`Sent ${sent} delivery code(s).`);
+      }
+    },
+    options: {
+      rule: "* * * * *",
+    },
+  },
+
+  // Invoice confirmed orders that have not been invoiced on request yet.
+  issuePendingInvoices: {
+    task: async ({ strapi }) => {
+      const issued = await issuePendingInvoices();
+      if (issued > 0) {
+        strapi.log.info(`Issued ${issued} invoice(s).`);
+      }
+    },
+    options: {
+      rule: "*/10 * * * *",
+    },
+  },
+
+  // Retry credit notes for cancellations and refunds that failed when they were due.
+  issuePendingCreditNotes: {
+    task: async ({ strapi }) => {
+      const issued = await issuePendingCreditNotes();
+      if (issued > 0) {
+        strapi.log.info(`Issued ${issued} pending credit note(s).`);
+      }
+    },
+    options: {
+      rule: "5-59/10 * * * *",
+    },
+  },
+
+  // Pull tracking for shipments on the move, in case a carrier webhook was missed.
+  syncShipmentTracking: {
+    task: async ({ strapi }) => {
+      const recorded = await syncActiveShipments();
+      if (recorded > 0) {
+        strapi.log.info(`Recorded ${recorded} shipment event(s).`);
+      }
+    },
+    options: {
+      rule: "*/30 * * * *",
+    },
+  },
+
+  // Forget checkout idempotency keys past their expiry.
+  removeExpiredIdempotencyKeys: {
+    task: async ({ strapi }) => {
+      const removed = await sweepExpiredIdempotencyKeys();
+      if (removed > 0) {
+        strapi.log.info(`Removed ${removed} expired idempotency key(s).`);
+      }
+    },
+    options: {
+      rule: "45 3 * * *",
+    },
+  },
+
+  // Lapse promotional and other wallet credit past its expiry.
+  expireWalletCredits: {
+    task: async ({ strapi }) => {
+      const expired = await expireWalletCredits();
+      if (expired > 0) {
+        strapi.log.info(`Expired ${expired} wallet credit(s).`);
+      }
+    },
+    options: {
+      rule: "15 0 * * *",
+    },
+  },
+};
@@ -0,0 +1,7 @@
+module.exports = ({ env }) => ({
+  // Seller details printed on invoices; GSTIN and state come from config/tax.js.
+  sellerName: env("INVOICE_SELLER_NAME", "Mama Opticals"),
+  sellerAddress: env.array("INVOICE_SELLER_ADDRESS", []),
+  invoicePrefix: env("INVOICE_PREFIX", "INV"),
+  creditNotePrefix: env("CREDIT_NOTE_PREFIX", "CN"),
+});
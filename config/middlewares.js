@@ -26,10 +26,21 @@ module.exports = [
       },
     },
   },
-  "strapi::cors",
+  {
+    name: "strapi::cors",
+    config: {
+      headers: ["Content-Type", "Authorization", "Origin", "Accept", "X-Cart-Token", "Idempotency-Key"],
+    },
+  },
   "strapi::poweredBy",
   "strapi::query",
-  "strapi::body",
+  {
+    name: "strapi::body",
+    config: {
+      // Payment and carrier webhooks are verified against the exact bytes that were signed.
+      includeUnparsed: true,
+    },
+  },
   "strapi::session",
   "strapi::favicon",
   "strapi::public",
@@ -0,0 +1,6 @@
+module.exports = ({ env }) => ({
+  // Order numbers look like MO-2026-000123: prefix, year ordered, then a counter that restarts each year.
+  numberPrefix: env("ORDER_NUMBER_PREFIX", "MO"),
+  // How long a checkout Idempotency-Key is remembered; a retry within this time gets the same order.
+  idempotencyKeyHours: env.int("ORDER_IDEMPOTENCY_KEY_HOURS", 24),
+});
@@ -0,0 +1,21 @@
+module.exports = ({ env }) => ({
+  // Provider used for new payment intents; see src/utils/paymentProviders. It must be
+  // enabled, or the server refuses to start: with the default, set PAYMENT_TEST_ENABLED.
+  provider: env("PAYMENT_PROVIDER", "test"),
+  currency: env("PAYMENT_CURRENCY", "INR"),
+  // Signed webhooks older than this are refused, so a captured callback cannot be replayed later.
+  webhookToleranceSeconds: env.int("PAYMENT_WEBHOOK_TOLERANCE_SECONDS", 300),
+  cod: {
+    // Larger orders must be paid online; 0 removes the cap.
+    maxOrderValue: env.float("COD_MAX_ORDER_VALUE", 5000),
+    // Undelivered COD orders a customer may have at once; 0 removes the limit.
+    maxOpenOrders: env.int("COD_MAX_OPEN_ORDERS", 2),
+    // PIN codes where COD is refused, e.g. after repeated returned parcels; `1100*` matches a prefix.
+    blockedPincodes: env.array("COD_BLOCKED_PINCODES", []),
+  },
+  test: {
+    // The local provider moves no money; only turn it on for development. It needs its own secret.
+    enabled: env.bool("PAYMENT_TEST_ENABLED", false),
+    webhookSecret: env("PAYMENT_TEST_WEBHOOK_SECRET", ""),
+  },
+});
@@ -0,0 +1,6 @@
+module.exports = ({ env }) => ({
+  // Days after delivery during which a customer can ask to return a line.
+  windowDays: env.int("RETURN_WINDOW_DAYS", 10),
+  // Photos a customer can attach to one return request.
+  maxPhotos: env.int("RETURN_MAX_PHOTOS", 5),
+});
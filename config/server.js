@@ -1,3 +1,5 @@
+const cronTasks = require("./cron-tasks");
+
 module.exports = ({ env }) => ({
   host: env("HOST", "0.0.0.0"),
   port: env.int("PORT", 1337),
@@ -8,4 +10,8 @@ module.exports = ({ env }) => ({
   webhooks: {
     populateRelations: env.bool("WEBHOOKS_POPULATE_RELATIONS", false),
   },
+  cron: {
+    enabled: env.bool("CRON_ENABLED", true),
+    tasks: cronTasks,
+  },
 });
@@ -0,0 +1,39 @@
+module.exports = ({ env }) => ({
+  // Coordinates of the store orders are dispatched from, for distance-based pricing.
+  dispatchLatitude: env.float("DISPATCH_LATITUDE", null),
+  dispatchLongitude: env.float("DISPATCH_LONGITUDE", null),
+  defaultMethod: "standard",
+  // Used for every address while no active shipping zone is set up, so checkout
+  // works on a fresh install. Once any zone exists, unmatched addresses are refused.
+  defaultZone: {
+    name: "Standard delivery",
+    standardFee: env.float("SHIPPING_DEFAULT_FEE", 0),
+    standardDeliveryDays: env.int("SHIPPING_DEFAULT_DELIVERY_DAYS", 5),
+    codAvailable: env.bool("SHIPPING_DEFAULT_COD_AVAILABLE", true),
+    codSurcharge: 0,
+  },
+  // Carrier new shipments are booked with; see src/utils/carriers.
+  carrier: env("SHIPPING_CARRIER", "mock"),
+  // Promised dates: working days to hand a confirmed order to the carrier, the
+  // transit time used when no shipping zone matches, and days nothing moves.
+  dispatchDays: env.int("SHIPPING_DISPATCH_DAYS", 1),
+  defaultDeliveryDays: env.int("SHIPPING_DEFAULT_DELIVERY_DAYS", 5),
+  closedWeekdays: [0],
+  holidays: env.array("SHIPPING_HOLIDAYS", []),
+  // Signed carrier webhooks older than this are refused.
+  webhookToleranceSeconds: env.int("SHIPPING_WEBHOOK_TOLERANCE_SECONDS", 300),
+  deliveryOtp: {
+    // Orders shipped while enabled can only be marked delivered with the code texted to the customer.
+    enabled: env.bool("DELIVERY_OTP_ENABLED", true),
+    // Wrong codes allowed before the courier needs a fresh one sent.
+    maxAttempts: env.int("DELIVERY_OTP_MAX_ATTEMPTS", 5),
+    // Minimum wait before the code is sent again.
+    resendSeconds: env.int("DELIVERY_OTP_RESEND_SECONDS", 60),
+  },
+  mock: {
+    // The mock carrier keeps each shipment's events in a JSON file; only turn it on for development.
+    enabled: env.bool("SHIPPING_MOCK_ENABLED", false),
+    dataDir: env("SHIPPING_MOCK_DATA_DIR", ".tmp/mock-carrier"),
+    webhookSecret: env("SHIPPING_MOCK_WEBHOOK_SECRET", ""),
+  },
+});
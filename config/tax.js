@@ -0,0 +1,10 @@
+module.exports = ({ env }) => ({
+  // State the business is registered in; shipping within it is charged CGST + SGST, elsewhere IGST.
+  businessState: env("BUSINESS_STATE", ""),
+  gstin: env("BUSINESS_GSTIN", ""),
+  // Catalogue prices are MRP, i.e. GST is already included in them.
+  pricesIncludeTax: env.bool("PRICES_INCLUDE_TAX", true),
+  // Used when no tax rate is configured for a line's product kind.
+  defaultGstRate: env.float("DEFAULT_GST_RATE", 12),
+  defaultHsnCode: env("DEFAULT_HSN_CODE", "9004"),
+});
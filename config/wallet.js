@@ -0,0 +1,6 @@
+module.exports = ({ env }) => ({
+  // Promotional credit lapses this many days after it is issued unless an expiry is given.
+  promotionalExpiryDays: env.int("WALLET_PROMOTIONAL_EXPIRY_DAYS", 90),
+  // Largest single credit staff can issue, so a typo cannot hand out a fortune.
+  maxStaffCredit: env.float("WALLET_MAX_STAFF_CREDIT", 10000),
+});
@@ -0,0 +1,18 @@
+"use strict";
+
+/**
+ * Named counters for document numbers that must never repeat (invoices, credit
+ * notes). The name is the primary key so two requests cannot create the same
+ * counter; see src/utils/sequence.js.
+ */
+module.exports = {
+  async up(knex) {
+    if (await knex.schema.hasTable("sequence_counters")) {
+      return;
+    }
+    await knex.schema.createTable("sequence_counters", (table) => {
+      table.string("name", 100).primary();
+      table.integer("value").unsigned().notNullable().defaultTo(0);
+    });
+  },
+};
@@ -0,0 +1,27 @@
+"use strict";
+
+/**
+ * Idempotency keys clients send with requests that must not run twice, such as
+ * checkout. A key is unique per scope and user, so two retries racing each
+ * other cannot both claim it; see src/utils/idempotency.js.
+ */
+module.exports = {
+  async up(knex) {
+    if (await knex.schema.hasTable("idempotency_keys")) {
+      return;
+    }
+    await knex.schema.createTable("idempotency_keys", (table) => {
+      table.increments("id");
+      table.string("scope", 100).notNullable();
+      table.integer("user_id").unsigned().notNullable();
+      table.string("key", 255).notNullable();
+      table.string("request_hash", 64).notNullable();
+      table.string("claim", 64).notNullable();
+      table.datetime("locked_at").notNullable();
+      table.integer("result_id").unsigned().nullable();
+      table.datetime("expires_at").notNullable();
+      table.unique(["scope", "user_id", "key"]);
+      table.index(["expires_at"]);
+    });
+  },
+};
@@ -0,0 +1,44 @@
+"use strict";
+
+const { nextOrderNumber } = require("../../src/utils/orderNumber.js");
+
+// Ids orders were placed with before order numbers: `ORD-<timestamp>-<user id>`.
+const LEGACY_PREFIX = "ORD-";
+
+/**
+ * Gives every order saved without an order number, or still under its legacy
+ * id (which shows the customer's user id), a number for the year it was
+ * placed, oldest first, from the same yearly counters new orders are numbered
+ * with. A legacy id is kept in `legacy_order_id` in the same update, so
+ * customers quoting it still find the order. Runs before Strapi syncs its
+ * tables, so it adds that column itself when it is missing.
+ */
+module.exports = {
+  async up(knex) {
+    if (!(await knex.schema.hasTable("orders")) || !(await knex.schema.hasTable("sequence_counters"))) {
+      return;
+    }
+    if (!(await knex.schema.hasColumn("orders", "legacy_order_id"))) {
+      await knex.schema.alterTable("orders", (table) => {
+        table.string("legacy_order_id");
+      });
+    }
+
+    const orders = await knex("orders")
+      .where((query) =>
+        query.whereNull("order_id").orWhere("order_id", "").orWhere("order_id", "like", `${LEGACY_PREFIX}%`)
+      )
+      .select("id", "order_id", "legacy_order_id", "ordered_at", "created_at");
+    const placedAt = (order) => new Date(order.ordered_at || order.created_at || Date.now()).getTime();
+    orders.sort((a, b) => placedAt(a) - placedAt(b) || a.id - b.id);
+
+    for (const order of orders) {
+      await knex("orders")
+        .where("id", order.id)
+        .update({
+          order_id: await nextOrderNumber(new Date(placedAt(order)), { trx: knex }),
+          legacy_order_id: order.order_id || order.legacy_order_id || null,
+        });
+    }
+  },
+};
@@ -0,0 +1,37 @@
+"use strict";
+
+const { roundCurrency } = require("../../src/utils/coupon.js");
+
+const WALLET_USER_LINKS = "wallets_user_links";
+
+/**
+ * Keeps a user to one wallet with a unique index on the wallet's user link, so
+ * two first credits in parallel cannot each create one. Wallets created twice
+ * before the index existed are merged into the older one first, their ledgers
+ * and balances added together. On a fresh database the wallet tables do not
+ * exist yet and there is nothing to merge.
+ */
+module.exports = {
+  async up(knex) {
+    if (!(await knex.schema.hasTable(WALLET_USER_LINKS))) {
+      return;
+    }
+
+    const duplicates = await knex(WALLET_USER_LINKS).select("user_id").groupBy("user_id").havingRaw("COUNT(*) > 1");
+    for (const { user_id: userId } of duplicates) {
+      const walletIds = await knex(WALLET_USER_LINKS).where("user_id", userId).orderBy("wallet_id", "asc").pluck("wallet_id");
+      const [keptId, ...extraIds] = walletIds;
+      const wallets = await knex("wallets").whereIn("id", walletIds).select("id", "balance");
+      const balance = roundCurrency(wallets.reduce((sum, wallet) => sum + Number(wallet.balance || 0), 0));
+
+      await knex("wallet_transactions_wallet_links").whereIn("wallet_id", extraIds).update({ wallet_id: keptId });
+      await knex("wallets").where("id", keptId).update({ balance });
+      await knex(WALLET_USER_LINKS).whereIn("wallet_id", extraIds).del();
+      await knex("wallets").whereIn("id", extraIds).del();
+    }
+
+    await knex.schema.alterTable(WALLET_USER_LINKS, (table) => {
+      table.unique(["user_id"], { indexName: "wallets_user_links_user_unique" });
+    });
+  },
+};
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * cart-coupon controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::cart-coupon.cart-coupon');
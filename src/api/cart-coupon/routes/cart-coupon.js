@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * cart-coupon router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::cart-coupon.cart-coupon');
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * cart-coupon service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::cart-coupon.cart-coupon');
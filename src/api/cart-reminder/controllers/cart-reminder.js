@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * cart-reminder controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::cart-reminder.cart-reminder');
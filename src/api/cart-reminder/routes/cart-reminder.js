@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * cart-reminder router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::cart-reminder.cart-reminder');
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * cart-reminder service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::cart-reminder.cart-reminder');
@@ -3,13 +3,46 @@
 "use strict";
 
 const { createCoreController } = require("@strapi/strapi").factories;
-const { ValidationError, NotFoundError } = require("@strapi/utils").errors;
+const { ValidationError, NotFoundError, UnauthorizedError } = require("@strapi/utils").errors;
+const {
+  getReservedQuantities,
+  getOwnerHolds,
+  holdCartStock,
+  renewHolds,
+  releaseAllForOwner,
+} = require("../../../utils/stockReservation.js");
+const { resolveCartOwner } = require("../../../utils/guestCart.js");
+const {
+  findCouponByCode,
+  getCartCoupon,
+  setCartCoupon,
+  clearCartCoupon,
+  evaluateCoupon,
+  roundCurrency,
+} = require("../../../utils/coupon.js");
+const { toPricingLine, getEffectivePrice, getPriceChange } = require("../../../utils/cartPricing.js");
+const { computeTax, getTaxAddress } = require("../../../utils/tax.js");
+const { quoteShipping } = require("../../../utils/shipping.js");
+const { checkCodEligibility } = require("../../../utils/cod.js");
+const { orderNumberWhere } = require("../../../utils/orderNumber.js");
+const { toLegacyOrderLines } = require("../../../utils/orderLines.js");
+const {
+  LENS_POPULATE,
+  resolveLensConfiguration,
+  getLensUnitPrice,
+  validateLensConfiguration,
+  formatLensConfiguration,
+  getLensKey,
+} = require("../../../utils/lensConfiguration.js");
 
 // Helper function to handle and format errors
 const handleErrors = (error) => {
   console.error("Error occurred:", error);
   const errorMessage = String(error.message || "");
 
+  if (error instanceof UnauthorizedError) {
+    return { message: "User authentication required." };
+  }
   if (error instanceof ValidationError) {
     return { message: errorMessage };
   }
@@ -49,11 +82,15 @@ const handleErrors = (error) => {
   if (errorMessage.includes("Product variant not found")) {
     return { message: "Product variant not found." };
   }
+  if (errorMessage.includes("Coupon not found")) {
+    return { message: errorMessage };
+  }
   return { message: "An unexpected error occurred." };
 };
 
 // Helper function to map error messages to status codes
 const handleStatusCode = (error) => {
+  if (error instanceof UnauthorizedError) return 401;
   if (error instanceof ValidationError) return 400;
   if (error instanceof NotFoundError) return 404;
   if (String(error.message || "").includes("out of stock or insufficient quantity")) {
@@ -77,6 +114,9 @@ const handleStatusCode = (error) => {
   if (String(error.message || "").includes("Product variant not found")) {
     return 404;
   }
+  if (String(error.message || "").includes("Coupon not found")) {
+    return 404;
+  }
   if (String(error.message || "").includes("Cannot read properties of undefined")) {
     return 500;
   }
@@ -100,8 +140,10 @@ const validateBodyRequiredFields = (body, fields) => {
 /**
  * Helper to get a product variant and its master product dynamically.
  * This function is now the core of the polymorphic logic.
+ * Stock held in other customers' carts is subtracted from the available figures;
+ * pass the current cart owner so their own holds are not counted against them.
  */
-const getProductVariantAndMaster = async (variantId, strapi) => {
+const getProductVariantAndMaster = async (variantId, strapi, owner = null) => {
   try {
     if (!variantId || isNaN(parseInt(variantId))) {
       throw new ValidationError("Invalid Product Variant ID provided.");
@@ -169,10 +211,19 @@ const getProductVariantAndMaster = async (variantId, strapi) => {
       variant.isActive && variant.inStock && (variant.stock || 0) > 0
     );
 
+    // Subtract units reserved in other customers' carts
+    const reservedByVariant = await getReservedQuantities(allVariants.map(variant => variant.id), owner);
+    const totalReserved = allVariants.reduce((sum, variant) => sum + (reservedByVariant.get(variant.id) || 0), 0);
+    const totalAvailableStock = Math.max(0, totalStock - totalReserved);
+    const variantAvailableStock = Math.max(0, (productVariant.stock || 0) - (reservedByVariant.get(productVariant.id) || 0));
+
     return {
       productVariant,
       masterProduct,
       totalStock,
+      totalReserved,
+      totalAvailableStock,
+      variantAvailableStock,
       hasActiveVariant,
       allVariants, // Return all variants to calculate total quantity in cart
       parentType
@@ -186,11 +237,12 @@ const getProductVariantAndMaster = async (variantId, strapi) => {
 /**
  * Helper to get all cart items for a given master product and all its variants.
  * This is now more robust to handle any product type.
+ * `owner` is `{ user }` for signed-in customers or `{ cartToken }` for guests.
  */
-const getAllCartItemsForProduct = async (userId, masterProductId, parentType, strapi) => {
+const getAllCartItemsForProduct = async (owner, masterProductId, parentType, strapi) => {
   try {
-    if (!userId || !masterProductId || !parentType) {
-      throw new ValidationError("User ID, Master Product ID, and Parent Type are required.");
+    if (!owner || !masterProductId || !parentType) {
+      throw new ValidationError("Cart owner, Master Product ID, and Parent Type are required.");
     }
 
     const allVariants = await strapi.db.query("api::product-variant.product-variant").findMany({
@@ -206,13 +258,14 @@ const getAllCartItemsForProduct = async (userId, masterProductId, parentType, st
 
     const cartItems = await strapi.db.query("api::cart.cart").findMany({
       where: {
-        user: userId,
+        ...owner,
         product_variant: { id: { $in: allVariantIds } }
       },
       populate: {
         product_variant: {
           select: ["id", "stock", "isActive", "inStock"]
-        }
+        },
+        ...LENS_POPULATE
       }
     });
     
@@ -246,125 +299,782 @@ const getMasterProductFromVariant = (variant) => {
   return { master: null, type: null };
 };
 
+/**
+ * Helper to fetch the owner's cart rows with the price fields needed for
+ * coupon evaluation, and turn them into pricing lines.
+ */
+const getCartPricingLines = async (owner, strapi) => {
+  const cartItems = await strapi.db.query("api::cart.cart").findMany({
+    where: owner,
+    populate: {
+      product_variant: {
+        select: ["id", "stock", "inStock", "isActive"],
+        populate: {
+          product: { select: ["id", "name", "price", "offers", "offerPrice"] },
+          contact_lens: { select: ["id", "name", "price", "offers", "offerPrice"] },
+          accessory: { select: ["id", "name", "price", "offers", "offerPrice"] },
+        },
+      },
+      ...LENS_POPULATE,
+    },
+  });
 
-module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
+  return cartItems
+    .map(item => toPricingLine(item, getMasterProductFromVariant))
+    .filter(line => line !== null);
+};
 
-  // MARK: GetCart
-  async getMyCart(ctx) {
-    try {
-      // Get the user from the JWT token
-      const user = ctx.state.user;
-      if (!user) {
-        return ctx.unauthorized("Authentication required.");
-      }
-      const userId = user.id;
+/**
+ * Helper to fetch a user's saved-for-later lines, flagged with whether they can
+ * still be bought and whether the price moved since they were saved.
+ */
+const getSavedItemsForUser = async (userId, strapi) => {
+  if (!userId) {
+    return [];
+  }
 
-      // Fetch cart items for the user, populating the necessary relations
-      const cartItems = await strapi.db.query("api::cart.cart").findMany({
-        where: { user: userId },
+  const savedItems = await strapi.db.query("api::saved-item.saved-item").findMany({
+    where: { user: userId },
+    populate: {
+      product_variant: {
         populate: {
-          product_variant: {
+          product: {
+            select: ["id", "name", "price", "offers", "offerPrice", "locale"],
+            populate: { image: { select: ["url", "name", "alternativeText"] } },
+          },
+          contact_lens: {
+            select: ["id", "name", "price", "offers", "offerPrice", "locale"],
+            populate: { image: { select: ["url", "name", "alternativeText"] } },
+          },
+          accessory: {
+            select: ["id", "name", "price", "offers", "offerPrice", "locale"],
+            populate: { image: { select: ["url", "name", "alternativeText"] } },
+          },
+          color_picker: true,
+          frame_size: true,
+        },
+      },
+      ...LENS_POPULATE,
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  const reservedByOthers = await getReservedQuantities(
+    savedItems.map(item => item.product_variant && item.product_variant.id),
+    { user: userId }
+  );
+
+  return savedItems.map((item) => {
+    const variant = item.product_variant;
+    const { master: masterProduct, type: productType } = variant
+      ? getMasterProductFromVariant(variant)
+      : { master: null, type: null };
+    const pricingLine = masterProduct ? toPricingLine(item, getMasterProductFromVariant) : null;
+
+    const availableStock = variant
+      ? Math.max(0, (variant.stock || 0) - (reservedByOthers.get(variant.id) || 0))
+      : 0;
+    let stockStatus = "in_stock";
+    if (!variant || !masterProduct || !variant.isActive || !variant.inStock || availableStock === 0) {
+      stockStatus = "out_of_stock";
+    } else if (availableStock < item.quantity) {
+      stockStatus = "insufficient_stock";
+    }
+
+    const savedUnitPrice = item.savedUnitPrice != null ? Number(item.savedUnitPrice) : null;
+    const currentUnitPrice = pricingLine ? pricingLine.unit_price : null;
+    const priceChanged = savedUnitPrice != null && currentUnitPrice != null && savedUnitPrice !== currentUnitPrice;
+
+    let formattedVariant = null;
+    if (variant) {
+      formattedVariant = {
+        ...variant,
+        available_stock: availableStock,
+        parent_product: masterProduct,
+        product_type: productType,
+      };
+      delete formattedVariant.product;
+      delete formattedVariant.contact_lens;
+      delete formattedVariant.accessory;
+    }
+
+    return {
+      id: item.id,
+      quantity: item.quantity,
+      stock_status: stockStatus,
+      saved_unit_price: savedUnitPrice,
+      current_unit_price: currentUnitPrice,
+      price_changed: priceChanged,
+      price_difference: priceChanged ? roundCurrency(currentUnitPrice - savedUnitPrice) : 0,
+      lens_configuration: formatLensConfiguration(item),
+      lens_issues: validateLensConfiguration(item, { parentType: productType }),
+      createdAt: item.createdAt,
+      updatedAt: item.updatedAt,
+      product_variant: formattedVariant,
+    };
+  });
+};
+
+/**
+ * Helper to load the owner's cart lines formatted for API responses, with stock
+ * net of other carts' holds, hold expiry and lens configuration.
+ */
+const getFormattedCartItems = async (owner, strapi) => {
+  // Fetch cart items for the owner, populating the necessary relations
+  const cartItems = await strapi.db.query("api::cart.cart").findMany({
+    where: owner,
+    populate: {
+      product_variant: {
+        populate: {
+          product: {
+            select: ["id", "name", "price", "offers", "offerPrice", "locale"],
             populate: {
-              product: {
-                select: ["id", "name", "price", "offers", "offerPrice", "locale"],
-                populate: {
-                  image: { select: ["url", "name", "alternativeText"] },
-                  localizations: { select: ["id", "locale"] },
-                },
-              },
-              contact_lens: {
-                select: ["id", "name", "price", "offers", "offerPrice", "locale"],
-                populate: {
-                  image: { select: ["url", "name", "alternativeText"] },
-                },
-              },
-              accessory: {
-                select: ["id", "name", "price", "offers", "offerPrice", "locale"],
-                populate: {
-                  image: { select: ["url", "name", "alternativeText"] },
-                },
-              },
-              color_picker: true,
-              frame_size: true,
+              image: { select: ["url", "name", "alternativeText"] },
+              localizations: { select: ["id", "locale"] },
+            },
+          },
+          contact_lens: {
+            select: ["id", "name", "price", "offers", "offerPrice", "locale"],
+            populate: {
+              image: { select: ["url", "name", "alternativeText"] },
+            },
+          },
+          accessory: {
+            select: ["id", "name", "price", "offers", "offerPrice", "locale"],
+            populate: {
+              image: { select: ["url", "name", "alternativeText"] },
             },
           },
+          color_picker: true,
+          frame_size: true,
         },
+      },
+      ...LENS_POPULATE,
+    },
+  });
+
+  if (!cartItems || cartItems.length === 0) {
+    return [];
+  }
+
+  // Cache to store combined stock for each product to avoid redundant queries
+  const productCombinedStockCache = new Map();
+
+  // Units other customers hold on the variants in this cart, and this user's own hold expiries
+  const reservedByOthers = await getReservedQuantities(
+    cartItems.map(item => item.product_variant && item.product_variant.id),
+    owner
+  );
+  const ownerHolds = await getOwnerHolds(owner);
+
+  // Format the data to match the desired output structure precisely
+  const formattedCartItems = await Promise.all(cartItems.map(async (item) => {
+    const variant = item.product_variant;
+    if (!variant) {
+      console.warn(`Cart item ${item.id} has missing variant data and will be skipped.`);
+      return null;
+    }
+
+    const { master: masterProduct, type: productType } = getMasterProductFromVariant(variant);
+
+    if (!masterProduct) {
+      console.warn(`Variant ${variant.id} has no master product linked.`);
+      return null;
+    }
+
+    let combinedStock = 0;
+    let combinedAvailableStock = 0;
+    // Check if combined stock for this product has already been calculated
+    if (productCombinedStockCache.has(masterProduct.id)) {
+      ({ combinedStock, combinedAvailableStock } = productCombinedStockCache.get(masterProduct.id));
+    } else {
+      // If not, fetch all variants for the master product and calculate the total stock
+      const allProductVariants = await strapi.entityService.findMany(
+        "api::product-variant.product-variant", {
+          filters: {
+            [productType === 'contact-lens' ? 'contact_lens' : productType]: { id: masterProduct.id },
+            isActive: true,
+            stock: { $gt: 0 },
+          },
+          fields: ["id", "stock"]
+        });
+      
+      combinedStock = allProductVariants.reduce((sum, v) => sum + v.stock, 0);
+      const reservedForProduct = await getReservedQuantities(allProductVariants.map(v => v.id), owner);
+      const combinedReserved = allProductVariants.reduce((sum, v) => sum + (reservedForProduct.get(v.id) || 0), 0);
+      combinedAvailableStock = Math.max(0, combinedStock - combinedReserved);
+      productCombinedStockCache.set(masterProduct.id, { combinedStock, combinedAvailableStock });
+    }
+
+    const formattedVariant = {
+      ...variant,
+      stock: variant.stock, // This is the stock for the specific variant
+      available_stock: Math.max(0, (variant.stock || 0) - (reservedByOthers.get(variant.id) || 0)), // Stock not held by other carts
+      combined_stock: combinedStock, // Add the newly calculated combined stock
+      combined_available_stock: combinedAvailableStock,
+      parent_product: masterProduct, // Use a generic name for the parent
+      product_type: productType, // Add the type of the parent product
+    };
+    // Clean up the specific parent relations to avoid redundancy
+    delete formattedVariant.product;
+    delete formattedVariant.contact_lens;
+    delete formattedVariant.accessory;
+
+    const pricingLine = toPricingLine(item, getMasterProductFromVariant);
+    const priceChange = getPriceChange(item, pricingLine);
+
+    return {
+      id: item.id,
+      quantity: item.quantity,
+      reserved_until: ownerHolds.get(variant.id) || null,
+      unit_price: pricingLine ? pricingLine.unit_price : null,
+      unit_price_snapshot: item.unitPriceSnapshot == null ? null : Number(item.unitPriceSnapshot),
+      price_changed: Boolean(priceChange),
+      price_change: priceChange,
+      lens_configuration: formatLensConfiguration(item),
+      lens_issues: validateLensConfiguration(item, { parentType: productType }),
+      createdAt: item.createdAt,
+      updatedAt: item.updatedAt,
+      product_variant: formattedVariant,
+    };
+  }));
+
+  // Filter out any null values that were returned for invalid cart items
+  return formattedCartItems.filter(item => item !== null);
+};
+
+// Upper bound on lines accepted by one batch cart update
+const MAX_BATCH_LINES = 100;
+
+/**
+ * Helper to check a batch of absolute `{ variantId, quantity, cartItemId }` targets
+ * against the owner's cart and stock in a handful of queries. Returns the changes
+ * to apply plus per-line errors; nothing should be written when errors is non-empty.
+ *
+ * `cartItemId` picks one line when a frame is in the cart with several lens
+ * configurations; without it the variant's only line is set, or a new one made.
+ *
+ * Lowering a quantity is always allowed. Raising one requires an active, in-stock
+ * variant with enough units left after other carts' holds for all its lines, and
+ * the product's variants together must not exceed the product's available stock.
+ */
+const planCartBatch = async (owner, entries, strapi) => {
+  const errors = [];
+  const parsed = [];
+
+  entries.forEach((entry, index) => {
+    const variantId = parseInt(entry && entry.variantId, 10);
+    const quantity = entry ? entry.quantity : undefined;
+    if (isNaN(variantId)) {
+      errors.push({ index, variantId: entry ? entry.variantId : null, message: "Invalid product variant ID provided." });
+    } else if (!Number.isInteger(quantity) || quantity < 0) {
+      errors.push({ index, variantId, message: "Quantity must be a whole number of zero or more." });
+    } else {
+      parsed.push({ index, variantId, quantity, cartItemId: entry.cartItemId });
+    }
+  });
+
+  const requestedIds = [...new Set(parsed.map(entry => entry.variantId))];
+  const variants = requestedIds.length > 0
+    ? await strapi.db.query("api::product-variant.product-variant").findMany({
+      where: { id: { $in: requestedIds } },
+      select: ["id", "stock", "isActive", "inStock"],
+      populate: {
+        product: { select: ["id", "name", "price", "offers", "offerPrice"] },
+        contact_lens: { select: ["id", "name", "price", "offers", "offerPrice"] },
+        accessory: { select: ["id", "name", "price", "offers", "offerPrice"] },
+      },
+    })
+    : [];
+  const variantsById = new Map(variants.map(variant => [variant.id, variant]));
+
+  // Current cart lines for the owner, grouped by variant
+  const cartLines = await strapi.db.query("api::cart.cart").findMany({
+    where: owner,
+    populate: { product_variant: { select: ["id"] }, ...LENS_POPULATE },
+  });
+  const linesByVariant = new Map();
+  cartLines.forEach(line => {
+    if (line.product_variant) {
+      const variantId = line.product_variant.id;
+      linesByVariant.set(variantId, [...(linesByVariant.get(variantId) || []), line]);
+    }
+  });
+
+  // Each entry targets one line, or a new line when the variant has none
+  const targets = new Map();
+  parsed.forEach(({ index, variantId, quantity, cartItemId }) => {
+    let line;
+    try {
+      line = pickCartLine(linesByVariant.get(variantId) || [], cartItemId);
+    } catch (error) {
+      errors.push({ index, variantId, message: error.message });
+      return;
+    }
+    const key = line ? `line:${line.id}` : `new:${variantId}`;
+    if (targets.has(key)) {
+      errors.push({ index, variantId, message: "Cart line is listed more than once in this update." });
+      return;
+    }
+    targets.set(key, { index, variantId, quantity, line });
+  });
+
+  // Every sellable sibling variant of the touched products, to check combined stock
+  // the same way the cart and checkout count it
+  const mastersByType = { product: new Map(), contact_lens: new Map(), accessory: new Map() };
+  const parentOf = new Map();
+  targets.forEach((target) => {
+    const { variantId } = target;
+    if (parentOf.has(variantId)) return;
+    const variant = variantsById.get(variantId);
+    if (!variant) {
+      errors.push({ index: target.index, variantId, message: "Product variant not found." });
+      return;
+    }
+    const parentType = ["product", "contact_lens", "accessory"].find(type => variant[type]);
+    if (!parentType) {
+      errors.push({ index: target.index, variantId, message: "Product variant is not linked to any master product." });
+      return;
+    }
+    mastersByType[parentType].set(variant[parentType].id, variant[parentType]);
+    parentOf.set(variantId, `${parentType}:${variant[parentType].id}`);
+  });
+
+  const siblingsByMaster = new Map();
+  for (const [parentType, masters] of Object.entries(mastersByType)) {
+    if (masters.size === 0) continue;
+    const siblings = await strapi.db.query("api::product-variant.product-variant").findMany({
+      where: {
+        [parentType]: { id: { $in: [...masters.keys()] } },
+        isActive: true,
+        stock: { $gt: 0 },
+      },
+      select: ["id", "stock"],
+      populate: { [parentType]: { select: ["id"] } },
+    });
+    siblings.forEach(sibling => {
+      const key = `${parentType}:${sibling[parentType].id}`;
+      if (!siblingsByMaster.has(key)) {
+        siblingsByMaster.set(key, { name: masters.get(sibling[parentType].id).name, variants: [] });
+      }
+      siblingsByMaster.get(key).variants.push(sibling);
+    });
+  }
+
+  const siblingIds = [...siblingsByMaster.values()].flatMap(group => group.variants.map(variant => variant.id));
+  const reservedByOthers = await getReservedQuantities(siblingIds, owner);
+  const lineQuantity = (target) => (target.line ? target.line.quantity || 0 : 0);
+  const isRaised = (target) => target.quantity > lineQuantity(target);
+  const targetsOf = (variantId) => [...targets.values()].filter(target => target.variantId === variantId);
+  const quantityInCart = (variantId) =>
+    (linesByVariant.get(variantId) || []).reduce((sum, line) => sum + (line.quantity || 0), 0);
+  const finalQuantity = (variantId) =>
+    targetsOf(variantId).reduce((sum, target) => sum + target.quantity - lineQuantity(target), quantityInCart(variantId));
+
+  // Per-variant checks, over all the variant's lines
+  new Set([...targets.values()].map(target => target.variantId)).forEach((variantId) => {
+    const variant = variantsById.get(variantId);
+    const raised = targetsOf(variantId).filter(isRaised);
+    if (!variant || !parentOf.has(variantId) || raised.length === 0) return;
+
+    if (!variant.isActive || !variant.inStock || (variant.stock || 0) < 1) {
+      raised.forEach(target => {
+        errors.push({ index: target.index, variantId, message: "This specific product variant is currently not active or out of stock." });
+      });
+      return;
+    }
+    const available = Math.max(0, (variant.stock || 0) - (reservedByOthers.get(variantId) || 0));
+    if (finalQuantity(variantId) > quantityInCart(variantId) && finalQuantity(variantId) > available) {
+      raised.forEach(target => {
+        errors.push({ index: target.index, variantId, message: `This product variant has insufficient stock. Available: ${available}, Requested: ${finalQuantity(variantId)}.` });
+      });
+    }
+  });
+
+  // Combined checks, blamed on the lines that raise the product's total
+  siblingsByMaster.forEach((group) => {
+    const totalStock = group.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+    const totalReserved = group.variants.reduce((sum, variant) => sum + (reservedByOthers.get(variant.id) || 0), 0);
+    const totalAvailable = Math.max(0, totalStock - totalReserved);
+    const currentTotal = group.variants.reduce((sum, variant) => sum + quantityInCart(variant.id), 0);
+    const newTotal = group.variants.reduce((sum, variant) => sum + finalQuantity(variant.id), 0);
+
+    if (newTotal > currentTotal && newTotal > totalAvailable) {
+      group.variants
+        .flatMap(variant => targetsOf(variant.id).filter(isRaised))
+        .forEach(target => {
+          errors.push({
+            index: target.index,
+            variantId: target.variantId,
+            message: `Product ${group.name} has insufficient combined stock. Available: ${totalAvailable}, Requested: ${newTotal}.`,
+          });
+        });
+    }
+  });
+
+  // Lines that grow are re-priced at today's price, like a single add would be
+  const getUnitPrice = (target) => {
+    const variant = variantsById.get(target.variantId);
+    const lensPrice = variant.product && target.line ? getLensUnitPrice(target.line) : 0;
+    const master = variant.product || variant.contact_lens || variant.accessory;
+    return roundCurrency(getEffectivePrice(master) + lensPrice);
+  };
+
+  const changes = [...targets.values()]
+    .filter(target => parentOf.has(target.variantId) && target.quantity !== lineQuantity(target))
+    .map(target => ({
+      variantId: target.variantId,
+      quantity: target.quantity,
+      cartItemId: target.line ? target.line.id : null,
+      unitPriceSnapshot: isRaised(target) ? getUnitPrice(target) : undefined,
+    }));
+
+  errors.sort((a, b) => a.index - b.index);
+  return { changes, errors };
+};
+
+/**
+ * Helper to record the unit price a line is being added at, so a later price
+ * change can be flagged. `cartEntry` must have its master product and lens
+ * options populated.
+ */
+const snapshotUnitPrice = async (cartEntry, strapi) => {
+  const pricingLine = toPricingLine(cartEntry, getMasterProductFromVariant);
+  if (!pricingLine) {
+    return null;
+  }
+
+  const currentSnapshot = cartEntry.unitPriceSnapshot == null ? null : Number(cartEntry.unitPriceSnapshot);
+  if (currentSnapshot !== pricingLine.unit_price) {
+    await strapi.db.query("api::cart.cart").update({
+      where: { id: cartEntry.id },
+      data: { unitPriceSnapshot: pricingLine.unit_price },
+    });
+  }
+  return pricingLine.unit_price;
+};
+
+// Helper to pull the lens relation ids off a populated cart or saved line
+const getLensRelationIds = (line) => ({
+  lens_type: line.lens_type ? line.lens_type.id : null,
+  lens_coating: line.lens_coating ? line.lens_coating.id : null,
+  lens_thickness: line.lens_thickness ? line.lens_thickness.id : null,
+  eye_power: line.eye_power ? line.eye_power.id : null,
+});
+
+/**
+ * Helper to pick one of the owner's lines for a variant. A frame can be in the
+ * cart once per lens configuration, so `cartItemId` chooses among its lines;
+ * without it the variant must have at most one. Returns null when it has none.
+ */
+const pickCartLine = (variantLines, cartItemId) => {
+  if (cartItemId !== undefined && cartItemId !== null && cartItemId !== "") {
+    const line = variantLines.find(item => item.id === parseInt(cartItemId, 10));
+    if (!line) {
+      throw new NotFoundError("Cart line not found for this product variant.");
+    }
+    return line;
+  }
+  if (variantLines.length > 1) {
+    throw new ValidationError("This item is in your cart more than once with different lenses. Pass cartItemId to choose the line.");
+  }
+  return variantLines[0] || null;
+};
+
+/**
+ * Helper to read the owner's cart lines for a variant and how many units of the
+ * variant and of its master product the cart already holds. `variantDetails`
+ * is the result of `getProductVariantAndMaster`.
+ */
+const getVariantCartState = async (owner, variantDetails, strapi) => {
+  const { productVariant, masterProduct, parentType } = variantDetails;
+  const { cartItems, totalQuantityInCart } = await getAllCartItemsForProduct(owner, masterProduct.id, parentType, strapi);
+  const variantLines = cartItems.filter(item =>
+    item.product_variant && item.product_variant.id === productVariant.id
+  );
+  const currentQuantityForThisVariant = variantLines.reduce((sum, item) => sum + (item.quantity || 0), 0);
+  return { variantLines, totalQuantityInCart, currentQuantityForThisVariant };
+};
+
+/**
+ * Helper to check that `quantity` more units fit in the owner's cart, against
+ * the combined stock of the product and the variant's own stock, less units
+ * held in other carts. Throws a ValidationError whose details carry the
+ * `available` quantity.
+ */
+const checkStockForAdd = (variantDetails, cartState, quantity) => {
+  const { masterProduct, totalAvailableStock, variantAvailableStock } = variantDetails;
+  const { totalQuantityInCart, currentQuantityForThisVariant } = cartState;
+  const availableStock = Math.max(0, totalAvailableStock - totalQuantityInCart);
+  const availableForThisVariant = Math.max(0, variantAvailableStock - currentQuantityForThisVariant);
+  const available = Math.min(availableStock, availableForThisVariant);
+
+  if (quantity > availableStock) {
+    throw new ValidationError(
+      `Product ${masterProduct.name} has insufficient combined stock. Available: ${availableStock}, Requested: ${quantity}.`,
+      { available }
+    );
+  }
+  if (quantity > availableForThisVariant) {
+    throw new ValidationError(
+      `This product variant has insufficient stock. Available: ${availableForThisVariant}, Requested: ${quantity}.`,
+      { available }
+    );
+  }
+};
+
+const CART_ENTRY_POPULATE = {
+  product_variant: {
+    populate: {
+      product: { populate: { image: true } },
+      contact_lens: { populate: { image: true } },
+      accessory: { populate: { image: true } },
+      color_picker: true,
+      frame_size: true,
+    }
+  },
+  ...LENS_POPULATE
+};
+
+/**
+ * Helper to save a cart line at `quantity` units, creating it when
+ * `currentCartEntry` is null, and hold the variant's units. Both are saved
+ * together: if another cart claimed the units in the meantime, the hold throws
+ * a ValidationError and the cart is left as it was. Returns the populated line
+ * and the reservation.
+ */
+const saveCartLine = async (owner, { variantId, currentCartEntry, quantity, lensData = {} }, strapi) =>
+  strapi.db.transaction(async () => {
+    const entry = currentCartEntry
+      ? await strapi.db.query("api::cart.cart").update({
+        where: { id: currentCartEntry.id },
+        data: { quantity, ...lensData },
+        populate: CART_ENTRY_POPULATE,
+      })
+      : await strapi.db.query("api::cart.cart").create({
+        data: { ...owner, product_variant: variantId, quantity, ...lensData },
+        populate: CART_ENTRY_POPULATE,
+      });
+
+    // Hold the units for the variant's lines and restart the reservation window
+    const reservation = await holdCartStock(owner, variantId);
+    return { entry, reservation };
+  });
+
+// Saved-for-later and reminder settings are tied to an account, so guests are asked to sign in
+const requireSignedInUser = (ctx) => {
+  const user = ctx.state.user;
+  if (!user || !user.id) {
+    throw new UnauthorizedError("User not authenticated. Sign in to continue.");
+  }
+  return user.id;
+};
+
+// Helper to shape a coupon evaluation for API responses
+const formatCouponResult = (coupon, evaluation) => ({
+  code: coupon.code,
+  description: coupon.description || null,
+  discount_type: coupon.discountType,
+  valid: evaluation.valid,
+  message: evaluation.valid ? "Coupon applied." : evaluation.reason,
+  discount: evaluation.discount,
+  eligible_subtotal: evaluation.eligible_subtotal,
+});
+
+// Substitutes suggested per order line that cannot be reordered
+const MAX_SUBSTITUTES = 3;
+
+// Helper to turn an order line's lens snapshot back into a lens request, so it is checked like a fresh add
+const toLensRequest = (lensConfiguration) => ({
+  lensTypeId: lensConfiguration.lens_type ? lensConfiguration.lens_type.id : null,
+  lensCoatingId: lensConfiguration.lens_coating ? lensConfiguration.lens_coating.id : null,
+  lensThicknessId: lensConfiguration.lens_thickness ? lensConfiguration.lens_thickness.id : null,
+  eyePowerId: lensConfiguration.eye_power ? lensConfiguration.eye_power.id : null,
+});
+
+/**
+ * Helper to suggest other variants of a product that can cover `quantity` for
+ * the owner, most available first. `parentType` is the variant relation
+ * (`product`, `contact_lens` or `accessory`).
+ */
+const findSubstituteVariants = async (owner, parentType, masterProductId, excludeVariantId, quantity, strapi) => {
+  if (!parentType || !masterProductId) {
+    return [];
+  }
+
+  const variants = await strapi.db.query("api::product-variant.product-variant").findMany({
+    where: {
+      [parentType]: masterProductId,
+      id: { $ne: excludeVariantId || 0 },
+      isActive: true,
+      inStock: true,
+      stock: { $gt: 0 },
+    },
+    select: ["id", "stock"],
+    populate: {
+      color: { select: ["id", "name"] },
+      frame_size: { select: ["id", "name"] },
+    },
+  });
+  const reservedByOthers = await getReservedQuantities(variants.map(variant => variant.id), owner);
+
+  return variants
+    .map(variant => ({
+      variant_id: variant.id,
+      color: variant.color ? variant.color.name : null,
+      frame_size: variant.frame_size ? variant.frame_size.name : null,
+      available_stock: Math.max(0, (variant.stock || 0) - (reservedByOthers.get(variant.id) || 0)),
+    }))
+    .filter(variant => variant.available_stock >= quantity)
+    .sort((a, b) => b.available_stock - a.available_stock)
+    .slice(0, MAX_SUBSTITUTES);
+};
+
+/**
+ * Helper to add one line of a past order back to the owner's cart with the
+ * same stock rules as adding it by hand, carrying over its lenses and
+ * prescription when they are still available. Returns the outcome for the
+ * line: `status` is `added`, or why it was not (`discontinued`, `inactive`,
+ * `out_of_stock`, `insufficient_stock`, `lens_unavailable`) with substitutes.
+ */
+const addOrderLineToCart = async (owner, line, strapi) => {
+  const outcome = {
+    order_item_id: line.id,
+    variant_id: line.variantId,
+    product_name: line.productName,
+    quantity: line.quantity,
+  };
+
+  let variantDetails;
+  try {
+    variantDetails = await getProductVariantAndMaster(line.variantId, strapi, owner);
+  } catch (error) {
+    if (!(error instanceof ValidationError) && !(error instanceof NotFoundError)) {
+      throw error;
+    }
+    return {
+      ...outcome,
+      status: "discontinued",
+      message: "This item is no longer sold.",
+      substitutes: await findSubstituteVariants(owner, line.productType, line.productId, line.variantId, line.quantity, strapi),
+    };
+  }
+
+  const { productVariant, masterProduct, parentType } = variantDetails;
+  const unavailable = async (status, message, extra = {}) => ({
+    ...outcome,
+    ...extra,
+    status,
+    message,
+    substitutes: await findSubstituteVariants(owner, parentType, masterProduct.id, productVariant.id, line.quantity, strapi),
+  });
+
+  if (!productVariant.isActive) {
+    return unavailable("inactive", "This option is no longer available.");
+  }
+  if (!productVariant.inStock || (productVariant.stock || 0) < 1) {
+    return unavailable("out_of_stock", "This option is out of stock.");
+  }
+
+  const cartState = await getVariantCartState(owner, variantDetails, strapi);
+  try {
+    checkStockForAdd(variantDetails, cartState, line.quantity);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    const available = error.details.available;
+    return unavailable("insufficient_stock", `Only ${available} more can be added to your cart.`, { available_quantity: available });
+  }
+
+  // Lenses and prescription are checked again: options may have been withdrawn since
+  let lensData = {};
+  if (line.lensConfiguration) {
+    try {
+      lensData = await resolveLensConfiguration(toLensRequest(line.lensConfiguration), {
+        parentType,
+        masterProductId: masterProduct.id,
+        userId: owner.user || null,
       });
+    } catch (error) {
+      if (!(error instanceof ValidationError) && !(error instanceof NotFoundError)) {
+        throw error;
+      }
+      return {
+        ...outcome,
+        status: "lens_unavailable",
+        message: `The lenses from this order can no longer be added. ${error.message}`,
+        substitutes: [],
+      };
+    }
+  }
+
+  // The line joins the cart line with the same lenses, if there is one
+  const currentCartEntry = cartState.variantLines.find(item => getLensKey(item) === getLensKey(lensData)) || null;
+
+  let cartEntry;
+  try {
+    // The line is only kept if its units can be held
+    ({ entry: cartEntry } = await saveCartLine(owner, {
+      variantId: productVariant.id,
+      currentCartEntry,
+      quantity: (currentCartEntry ? currentCartEntry.quantity : 0) + line.quantity,
+      lensData,
+    }, strapi));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    return unavailable("insufficient_stock", error.message);
+  }
+  // The line goes back in at today's price, which the cart now shows
+  await snapshotUnitPrice(cartEntry, strapi);
+
+  return {
+    ...outcome,
+    status: "added",
+    cart_item_id: cartEntry.id,
+    lens_configuration: formatLensConfiguration(cartEntry),
+  };
+};
+
+
+module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
+
+  // MARK: GetCart
+  async getMyCart(ctx) {
+    try {
+      // Get the user from the JWT token, or the guest cart from its token
+      let cartOwner;
+      try {
+        cartOwner = resolveCartOwner(ctx);
+      } catch (authError) {
+        return ctx.unauthorized("Authentication required.");
+      }
+      const { owner, cartToken } = cartOwner;
+
+      // Looking at the cart keeps its units held
+      await renewHolds(owner);
+
+      // Saved-for-later lines are listed next to the cart for signed-in users
+      const savedItems = await getSavedItemsForUser(owner.user || null, strapi);
+
+      const validFormattedCartItems = await getFormattedCartItems(owner, strapi);
 
       // Handle the case where the cart is empty
-      if (!cartItems || cartItems.length === 0) {
+      if (validFormattedCartItems.length === 0) {
         return ctx.send({
           success: true,
           message: "User does not have a cart yet or cart is empty.",
           data: {
             cart_items: [],
             total_items: 0,
+            saved_items: savedItems,
+            cart_token: cartToken,
           }
         });
       }
 
-      // Cache to store combined stock for each product to avoid redundant queries
-      const productCombinedStockCache = new Map();
-
-      // Format the data to match the desired output structure precisely
-      const formattedCartItems = await Promise.all(cartItems.map(async (item) => {
-        const variant = item.product_variant;
-        if (!variant) {
-          console.warn(`Cart item ${item.id} has missing variant data and will be skipped.`);
-          return null;
-        }
-
-        const { master: masterProduct, type: productType } = getMasterProductFromVariant(variant);
-
-        if (!masterProduct) {
-          console.warn(`Variant ${variant.id} has no master product linked.`);
-          return null;
-        }
-
-        let combinedStock = 0;
-        // Check if combined stock for this product has already been calculated
-        if (productCombinedStockCache.has(masterProduct.id)) {
-          combinedStock = productCombinedStockCache.get(masterProduct.id);
-        } else {
-          // If not, fetch all variants for the master product and calculate the total stock
-          const allProductVariants = await strapi.entityService.findMany(
-            "api::product-variant.product-variant", {
-              filters: {
-                [productType]: { id: masterProduct.id },
-                isActive: true,
-                stock: { $gt: 0 },
-              },
-              fields: ["stock"]
-            });
-          
-          combinedStock = allProductVariants.reduce((sum, v) => sum + v.stock, 0);
-          productCombinedStockCache.set(masterProduct.id, combinedStock);
-        }
-
-        const formattedVariant = {
-          ...variant,
-          stock: variant.stock, // This is the stock for the specific variant
-          combined_stock: combinedStock, // Add the newly calculated combined stock
-          parent_product: masterProduct, // Use a generic name for the parent
-          product_type: productType, // Add the type of the parent product
-        };
-        // Clean up the specific parent relations to avoid redundancy
-        delete formattedVariant.product;
-        delete formattedVariant.contact_lens;
-        delete formattedVariant.accessory;
-
-        return {
-          id: item.id,
-          quantity: item.quantity,
-          createdAt: item.createdAt,
-          updatedAt: item.updatedAt,
-          product_variant: formattedVariant,
-        };
-      }));
-
-      // Filter out any null values that were returned for invalid cart items
-      const validFormattedCartItems = formattedCartItems.filter(item => item !== null);
-
       // Send the formatted response
       return ctx.send({
         success: true,
@@ -372,6 +1082,8 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
         data:{
           cart_items: validFormattedCartItems,
           total_items: validFormattedCartItems.length,
+          saved_items: savedItems,
+          cart_token: cartToken,
         }
       });
     } catch (err) {
@@ -383,14 +1095,11 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
   // MARK: Add Product Variant to Cart
   async addProductToCart(ctx) {
     try {
-      const { id: userId } = ctx.state.user;
-      
-      if (!userId) {
-        throw new ValidationError("User not authenticated.");
-      }
+      // Guests without a token get a new one, returned as `cart_token`
+      const { owner, cartToken } = resolveCartOwner(ctx, { issueToken: true });
 
       const requestBody = ctx.request.body || {};
-      const { variantId, quantity } = requestBody.data || requestBody;
+      const { variantId, quantity, lens, cartItemId } = requestBody.data || requestBody;
 
       validateBodyRequiredFields(requestBody.data || requestBody, ["variantId", "quantity"]);
 
@@ -403,7 +1112,16 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
       }
 
 
-      const { productVariant, masterProduct, totalStock, hasActiveVariant, parentType } = await getProductVariantAndMaster(variantId, strapi);
+      const variantDetails = await getProductVariantAndMaster(variantId, strapi, owner);
+      const {
+        productVariant,
+        masterProduct,
+        totalStock,
+        totalAvailableStock,
+        variantAvailableStock,
+        hasActiveVariant,
+        parentType,
+      } = variantDetails;
 
       // Comprehensive validation checks
       if (!hasActiveVariant) {
@@ -414,27 +1132,51 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
         throw new ValidationError("This specific product variant is currently not active or out of stock.");
       }
       
-      const { cartItems, totalQuantityInCart } = await getAllCartItemsForProduct(userId, masterProduct.id, parentType, strapi);
-      
-      const currentCartEntry = cartItems.find(item => 
-        item.product_variant && item.product_variant.id === parseInt(variantId)
-      );
-      const currentQuantityForThisVariant = currentCartEntry ? currentCartEntry.quantity : 0;
+      const cartState = await getVariantCartState(owner, variantDetails, strapi);
+      const { variantLines, totalQuantityInCart, currentQuantityForThisVariant } = cartState;
+
+      // Lenses are optional and only for frames; omitting `lens` keeps the line's current configuration
+      const lensData = lens !== undefined
+        ? await resolveLensConfiguration(lens, {
+          parentType,
+          masterProductId: masterProduct.id,
+          userId: owner.user || null,
+        })
+        : {};
+
+      // Each lens configuration is its own line: `lens` picks (or starts) the line with
+      // those lenses, `cartItemId` an existing line whose lenses it then changes
+      let currentCartEntry;
+      if (lens !== undefined && (cartItemId === undefined || cartItemId === null)) {
+        currentCartEntry = variantLines.find(item => getLensKey(item) === getLensKey(lensData)) || null;
+      } else {
+        currentCartEntry = pickCartLine(variantLines, cartItemId);
+        if (currentCartEntry && lens !== undefined && variantLines.some(item =>
+          item.id !== currentCartEntry.id && getLensKey(item) === getLensKey(lensData)
+        )) {
+          throw new ValidationError("Another line of this item already has these lenses. Change that line's quantity instead.");
+        }
+      }
+      const currentQuantityForThisLine = currentCartEntry ? currentCartEntry.quantity : 0;
       
       const newTotalQuantityAcrossAllVariants = totalQuantityInCart + quantity;
       const newQuantityForThisVariant = currentQuantityForThisVariant + quantity;
+      const newQuantityForThisLine = currentQuantityForThisLine + quantity;
       
       // Handle decrement logic
       if (quantity < 0) {
         if (!currentCartEntry) {
           throw new NotFoundError("Product variant not found in cart for this user to decrement.");
         }
-        if (newQuantityForThisVariant < 0) {
+        if (newQuantityForThisLine < 0) {
           throw new ValidationError("Cannot decrement quantity below zero.");
         }
-        if (newQuantityForThisVariant === 0) {
-          await strapi.db.query("api::cart.cart").delete({
-            where: { id: currentCartEntry.id }
+        if (newQuantityForThisLine === 0) {
+          await strapi.db.transaction(async () => {
+            await strapi.db.query("api::cart.cart").delete({
+              where: { id: currentCartEntry.id }
+            });
+            await holdCartStock(owner, parseInt(variantId));
           });
           return ctx.send({
             success: true,
@@ -442,71 +1184,33 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
             data: {
               product_id: masterProduct.id, 
               variant_id: parseInt(variantId), 
-              user_id: userId
+              user_id: owner.user || null,
+              cart_token: cartToken
             }
           });
         }
       } 
       // Handle increment logic with comprehensive stock validation
       else {
-        // Check combined stock across all variants
-        if (newTotalQuantityAcrossAllVariants > totalStock) {
-          const availableStock = Math.max(0, totalStock - totalQuantityInCart);
-          throw new ValidationError(
-            `Product ${masterProduct.name} has insufficient combined stock. Available: ${availableStock}, Requested: ${quantity}.`
-          );
-        }
-        
-        // Check individual variant stock
-        if (newQuantityForThisVariant > (productVariant.stock || 0)) {
-          const availableForThisVariant = Math.max(0, (productVariant.stock || 0) - currentQuantityForThisVariant);
-          throw new ValidationError(
-            `This product variant has insufficient stock. Available: ${availableForThisVariant}, Requested: ${quantity}.`
-          );
-        }
+        // Check combined and variant stock, excluding units reserved in other carts
+        checkStockForAdd(variantDetails, cartState, quantity);
       }
-      
-      let updatedCartEntry;
-      let message = "";
-      
-      if (!currentCartEntry) {
-        updatedCartEntry = await strapi.db.query("api::cart.cart").create({
-          data: { 
-            user: userId, 
-            product_variant: parseInt(variantId), 
-            quantity: quantity 
-          },
-          populate: { 
-            product_variant: { 
-              populate: {
-                product: { populate: { image: true } },
-                contact_lens: { populate: { image: true } },
-                accessory: { populate: { image: true } },
-                color_picker: true,
-                frame_size: true,
-              }
-            } 
-          }
-        });
-        message = "Product added to cart.";
-      } else {
-        updatedCartEntry = await strapi.db.query("api::cart.cart").update({
-          where: { id: currentCartEntry.id },
-          data: { quantity: newQuantityForThisVariant },
-          populate: { 
-            product_variant: { 
-              populate: {
-                product: { populate: { image: true } },
-                contact_lens: { populate: { image: true } },
-                accessory: { populate: { image: true } },
-                color_picker: true,
-                frame_size: true,
-              }
-            } 
-          }
-        });
+
+      const { entry: updatedCartEntry, reservation } = await saveCartLine(owner, {
+        variantId: productVariant.id,
+        currentCartEntry,
+        quantity: newQuantityForThisLine,
+        lensData,
+      }, strapi);
+      let message = "Product added to cart.";
+      if (currentCartEntry) {
         message = quantity > 0 ? "Product quantity updated in cart." : "Product quantity decreased in cart.";
       }
+
+      // Adding units or choosing lenses means the customer has seen the current price
+      const unitPriceSnapshot = quantity > 0 || lens !== undefined
+        ? await snapshotUnitPrice(updatedCartEntry, strapi)
+        : updatedCartEntry.unitPriceSnapshot;
       
       const { master: finalMasterProduct, type: finalProductType } = getMasterProductFromVariant(updatedCartEntry.product_variant);
 
@@ -521,7 +1225,7 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
           product_variant: {
             ...updatedCartEntry.product_variant,
             stock: updatedCartEntry.product_variant.stock,
-            available_stock: updatedCartEntry.product_variant.stock - updatedCartEntry.quantity,
+            available_stock: variantAvailableStock - newQuantityForThisVariant,
             parent_product: {
               ...finalMasterProduct,
               offerPrice: finalMasterProduct.offerPrice
@@ -532,10 +1236,14 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
             contact_lens: undefined,
             accessory: undefined,
           },
+          reserved_until: reservation ? reservation.expiresAt : null,
+          unit_price_snapshot: unitPriceSnapshot == null ? null : Number(unitPriceSnapshot),
+          lens_configuration: formatLensConfiguration(updatedCartEntry),
           combined_stock_total: totalStock,
-          combined_stock_available: totalStock - newTotalQuantityAcrossAllVariants,
+          combined_stock_available: totalAvailableStock - newTotalQuantityAcrossAllVariants,
           total_quantity_in_cart_all_variants: newTotalQuantityAcrossAllVariants,
-          is_combined_product: totalStock > (updatedCartEntry.product_variant.stock || 0)
+          is_combined_product: totalStock > (updatedCartEntry.product_variant.stock || 0),
+          cart_token: cartToken
         }
       });
     } catch (error) {
@@ -551,10 +1259,7 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
   // MARK: Remove Product Variant From Cart
   async removeProductFromCart(ctx) {
     try {
-      const { id: userId } = ctx.state.user;
-      if (!userId) {
-        throw new ValidationError("User not authenticated.");
-      }
+      const { owner, cartToken } = resolveCartOwner(ctx);
 
       const { variantId } = ctx.params;
       const parsedVariantId = parseInt(variantId, 10);
@@ -563,19 +1268,31 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
         throw new ValidationError("Invalid Product Variant ID provided in URL. Must be a number.");
       }
 
-      const cartEntry = await strapi.db.query("api::cart.cart").findOne({
-        where: { 
-          user: userId, 
-          product_variant: { id: parsedVariantId } 
+      // `cartItemId` removes one lens configuration of the item; without it every line goes
+      const { cartItemId } = ctx.query || {};
+      const where = { ...owner, product_variant: { id: parsedVariantId } };
+      if (cartItemId !== undefined && cartItemId !== "") {
+        where.id = parseInt(cartItemId, 10);
+        if (isNaN(where.id)) {
+          throw new ValidationError("Invalid cart item ID provided. Must be a number.");
         }
+      }
+      const cartEntries = await strapi.db.query("api::cart.cart").findMany({
+        where,
+        select: ["id"]
       });
 
-      if (!cartEntry) {
+      if (cartEntries.length === 0) {
         throw new NotFoundError("Product variant not found in cart for this user.");
       }
 
-      await strapi.db.query("api::cart.cart").delete({
-        where: { id: cartEntry.id }
+      await strapi.db.transaction(async () => {
+        for (const cartEntry of cartEntries) {
+          await strapi.db.query("api::cart.cart").delete({
+            where: { id: cartEntry.id }
+          });
+        }
+        await holdCartStock(owner, parsedVariantId);
       });
 
       return ctx.send({
@@ -583,7 +1300,8 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
         message: "Product variant removed from cart.",
         data: {
           product_variant_id: parsedVariantId, 
-          user_id: userId
+          user_id: owner.user || null,
+          cart_token: cartToken
         }
       });
 
@@ -599,14 +1317,10 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
 // MARK: Clear entire cart
   async clearCart(ctx) {
     try {
-      const { id: userId } = ctx.state.user;
-
-      if (!userId) {
-        throw new ValidationError("User not authenticated.");
-      }
+      const { owner, cartToken } = resolveCartOwner(ctx);
 
       const cartEntries = await strapi.db.query("api::cart.cart").findMany({
-        where: { user: userId },
+        where: owner,
         select: ["id"] // Only fetch the IDs to optimize the query
       });
 
@@ -615,7 +1329,8 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
           success: true,
           message: "Cart is already empty for this user.",
           data: {
-            user_id: userId
+            user_id: owner.user || null,
+            cart_token: cartToken
           }
         });
       }
@@ -629,12 +1344,14 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
         });
         itemsRemovedCount++;
       }
+      await releaseAllForOwner(owner);
 
       return ctx.send({
         success: true,
         message: "Cart cleared successfully.",
         data: {
-          user_id: userId,
+          user_id: owner.user || null,
+          cart_token: cartToken,
           items_removed: itemsRemovedCount
         }
       });
@@ -652,14 +1369,10 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
   // MARK: Get cart summary with combined stock info
   async getCartSummary(ctx) {
     try {
-      const { id: userId } = ctx.state.user;
-
-      if (!userId) {
-        throw new ValidationError("User not authenticated.");
-      }
+      const { owner, cartToken } = resolveCartOwner(ctx);
 
       const cart = await strapi.db.query("api::cart.cart").findMany({
-        where: { user: userId },
+        where: owner,
         populate: {
           product_variant: {
             select: ["id", "stock", "inStock", "isActive"],
@@ -674,7 +1387,8 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
                 select: ["id", "name", "price", "offers", "offerPrice", "locale"],
               }
             }
-          }
+          },
+          ...LENS_POPULATE
         }
       });
 
@@ -686,8 +1400,13 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
             total_items: 0,
             total_unique_products: 0,
             estimated_total: 0,
+            tax: null,
+            shipping: null,
+            cod: null,
+            price_changes: [],
             items_by_locale: {},
-            invalid_items: []
+            invalid_items: [],
+            cart_token: cartToken
           }
         });
       }
@@ -697,6 +1416,9 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
       const itemsByLocale = {};
       const uniqueProducts = new Set();
       const invalidItems = [];
+      const pricingLines = [];
+      const summaryItems = [];
+      const priceChanges = [];
 
       cart.forEach((item, index) => {
         try {
@@ -748,9 +1470,13 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
           totalItems += item.quantity;
           
           // Correctly check for offers and use the right key
-          const effectivePrice = masterProduct.offers && typeof masterProduct.offerPrice === 'number'
+          const framePrice = masterProduct.offers && typeof masterProduct.offerPrice === 'number'
             ? masterProduct.offerPrice
             : masterProduct.price;
+
+          // Lenses chosen for a frame are charged per frame on top of its price
+          const lensPrice = productType === 'product' ? getLensUnitPrice(item) : 0;
+          const effectivePrice = roundCurrency(framePrice + lensPrice);
             
           estimatedTotal += effectivePrice * item.quantity;
 
@@ -759,17 +1485,31 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
             itemsByLocale[locale] = [];
           }
           
-          itemsByLocale[locale].push({
+          const pricingLine = toPricingLine(item, getMasterProductFromVariant);
+          const priceChange = getPriceChange(item, pricingLine);
+          if (priceChange) {
+            priceChanges.push(priceChange);
+          }
+
+          const summaryItem = {
             cart_item_id: item.id,
             product_variant_id: item.product_variant.id,
             product_id: masterProduct.id,
             product_name: masterProduct.name,
             quantity: item.quantity,
             unit_price: masterProduct.price,
+            lens_price: lensPrice,
             effective_price: effectivePrice,
+            price_changed: Boolean(priceChange),
+            previous_unit_price: priceChange ? priceChange.previous_unit_price : null,
             has_offer: Boolean(masterProduct.offers && masterProduct.offerPrice),
-            subtotal: effectivePrice * item.quantity
-          });
+            subtotal: roundCurrency(effectivePrice * item.quantity),
+            lens_configuration: formatLensConfiguration(item),
+            lens_issues: validateLensConfiguration(item, { parentType: productType })
+          };
+          itemsByLocale[locale].push(summaryItem);
+          summaryItems.push(summaryItem);
+          pricingLines.push(pricingLine);
 
           // Track unique products using the master product ID
           uniqueProducts.add(masterProduct.id);
@@ -783,6 +1523,41 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
         }
       });
 
+      // Apply the cart's coupon, if any, on top of the valid items
+      let couponSummary = null;
+      let discountTotal = 0;
+      let lineDiscounts = {};
+      const appliedCoupon = await getCartCoupon(owner);
+      if (appliedCoupon) {
+        const evaluation = await evaluateCoupon(appliedCoupon, pricingLines, { userId: owner.user || null });
+        couponSummary = formatCouponResult(appliedCoupon, evaluation);
+        discountTotal = evaluation.discount;
+        lineDiscounts = evaluation.line_discounts;
+        summaryItems.forEach(summaryItem => {
+          summaryItem.discount = lineDiscounts[summaryItem.cart_item_id] || 0;
+        });
+      }
+
+      // GST per line, against the requested delivery address or the user's default one
+      const deliveryAddress = await getTaxAddress(owner.user || null, ctx.query.addressId);
+      const tax = await computeTax(pricingLines, { lineDiscounts, address: deliveryAddress });
+      const taxToAdd = tax.prices_include_tax ? 0 : tax.total_tax;
+
+      // Shipping quote for the same address, method and payment method
+      const shipping = await quoteShipping({
+        address: deliveryAddress,
+        orderValue: estimatedTotal - discountTotal,
+        paymentMethod: ctx.query.paymentMethod,
+        method: ctx.query.shippingMethod,
+      });
+      const shippingToAdd = shipping.deliverable ? shipping.selected.total : 0;
+      const estimatedGrandTotal = roundCurrency(estimatedTotal - discountTotal + taxToAdd + shippingToAdd);
+
+      // Whether checkout will accept cash on delivery; guests have no order history to check yet
+      const cod = ctx.state.user
+        ? await checkCodEligibility({ user: ctx.state.user, address: deliveryAddress, orderValue: estimatedGrandTotal })
+        : { eligible: false, reasons: ["Sign in to pay cash on delivery."] };
+
       const response = {
         success: true,
         message: invalidItems.length > 0 
@@ -791,14 +1566,22 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
         data: {
           total_items: totalItems, 
           total_unique_products: uniqueProducts.size, 
-          estimated_total: Math.round(estimatedTotal * 100) / 100, 
+          subtotal: roundCurrency(estimatedTotal),
+          discount: discountTotal,
+          coupon: couponSummary,
+          tax,
+          shipping,
+          cod,
+          estimated_total: estimatedGrandTotal, 
+          price_changes: priceChanges,
           items_by_locale: itemsByLocale, 
-          invalid_items: invalidItems 
+          invalid_items: invalidItems,
+          cart_token: cartToken
         }
       };
 
       if (invalidItems.length > 0) {
-        console.warn(`Found ${invalidItems.length} invalid cart items for user ${userId}:`, invalidItems);
+        console.warn(`Found ${invalidItems.length} invalid cart items for ${owner.user ? `user ${owner.user}` : "guest cart"}:`, invalidItems);
       }
 
       return ctx.send(response);
@@ -811,6 +1594,592 @@ module.exports = createCoreController("api::cart.cart", ({ strapi }) => ({
         handleStatusCode(error) || 500
       );
     }
+  },
+
+  // MARK: Apply coupon to cart
+  async applyCoupon(ctx) {
+    try {
+      const { owner, cartToken } = resolveCartOwner(ctx);
+
+      const requestBody = ctx.request.body || {};
+      const body = requestBody.data || requestBody;
+      validateBodyRequiredFields(body, ["code"]);
+
+      const coupon = await findCouponByCode(body.code);
+      if (!coupon) {
+        throw new NotFoundError("Coupon not found.");
+      }
+
+      const pricingLines = await getCartPricingLines(owner, strapi);
+      if (pricingLines.length === 0) {
+        throw new ValidationError("Add items to your cart before applying a coupon.");
+      }
+
+      const evaluation = await evaluateCoupon(coupon, pricingLines, { userId: owner.user || null });
+      if (!evaluation.valid) {
+        throw new ValidationError(evaluation.reason);
+      }
+
+      await setCartCoupon(owner, coupon);
+
+      return ctx.send({
+        success: true,
+        message: `Coupon ${coupon.code} applied.`,
+        data: {
+          coupon: formatCouponResult(coupon, evaluation),
+          cart_token: cartToken
+        }
+      });
+    } catch (error) {
+      console.error("Error in applyCoupon:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Remove coupon from cart
+  async removeCoupon(ctx) {
+    try {
+      const { owner, cartToken } = resolveCartOwner(ctx);
+
+      const removed = await clearCartCoupon(owner);
+
+      return ctx.send({
+        success: true,
+        message: removed ? "Coupon removed from cart." : "No coupon was applied to this cart.",
+        data: {
+          cart_token: cartToken
+        }
+      });
+    } catch (error) {
+      console.error("Error in removeCoupon:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Set or clear lens configuration of a frame in the cart
+  async updateLensConfiguration(ctx) {
+    try {
+      const { owner, cartToken } = resolveCartOwner(ctx);
+
+      const parsedVariantId = parseInt(ctx.params.variantId, 10);
+      if (isNaN(parsedVariantId)) {
+        throw new ValidationError("Invalid Product Variant ID provided in URL. Must be a number.");
+      }
+
+      const requestBody = ctx.request.body || {};
+      const { lens } = requestBody.data || requestBody;
+      if (lens === undefined) {
+        throw new ValidationError("Missing required fields: lens");
+      }
+
+      const variantLines = await strapi.db.query("api::cart.cart").findMany({
+        where: {
+          ...owner,
+          product_variant: { id: parsedVariantId }
+        },
+        populate: {
+          product_variant: {
+            select: ["id"],
+            populate: {
+              product: { select: ["id", "name", "price", "offers", "offerPrice"] },
+              contact_lens: { select: ["id", "name", "price", "offers", "offerPrice"] },
+              accessory: { select: ["id", "name", "price", "offers", "offerPrice"] },
+            }
+          },
+          ...LENS_POPULATE
+        }
+      });
+      const cartEntry = pickCartLine(variantLines, (ctx.query || {}).cartItemId);
+
+      if (!cartEntry) {
+        throw new NotFoundError("Product variant not found in cart for this user.");
+      }
+
+      const { master, type } = getMasterProductFromVariant(cartEntry.product_variant);
+      const lensData = await resolveLensConfiguration(lens, {
+        parentType: type,
+        masterProductId: master ? master.id : null,
+        userId: owner.user || null,
+      });
+
+      // A line that ends up with the lenses of another line of the frame is folded into it
+      const matchingLine = variantLines.find(item =>
+        item.id !== cartEntry.id && getLensKey(item) === getLensKey(lensData)
+      );
+      let updatedCartEntry;
+      if (matchingLine) {
+        updatedCartEntry = await strapi.db.transaction(async () => {
+          await strapi.db.query("api::cart.cart").delete({ where: { id: cartEntry.id } });
+          return strapi.db.query("api::cart.cart").update({
+            where: { id: matchingLine.id },
+            data: { quantity: (matchingLine.quantity || 0) + (cartEntry.quantity || 0) },
+            populate: LENS_POPULATE
+          });
+        });
+      } else {
+        updatedCartEntry = await strapi.db.query("api::cart.cart").update({
+          where: { id: cartEntry.id },
+          data: lensData,
+          populate: LENS_POPULATE
+        });
+      }
+      // The new lens price is shown to the customer as part of this change
+      const unitPriceSnapshot = await snapshotUnitPrice(
+        { ...updatedCartEntry, product_variant: cartEntry.product_variant },
+        strapi
+      );
+
+      return ctx.send({
+        success: true,
+        message: lens ? "Lens configuration updated." : "Lens configuration removed.",
+        data: {
+          id: updatedCartEntry.id,
+          product_variant_id: parsedVariantId,
+          quantity: updatedCartEntry.quantity,
+          lens_configuration: formatLensConfiguration(updatedCartEntry),
+          unit_price_snapshot: unitPriceSnapshot,
+          cart_token: cartToken
+        }
+      });
+    } catch (error) {
+      console.error("Error in updateLensConfiguration:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Batch update cart quantities
+  async updateCartBatch(ctx) {
+    try {
+      const { owner, cartToken } = resolveCartOwner(ctx, { issueToken: true });
+
+      const requestBody = ctx.request.body || {};
+      const { items } = requestBody.data || requestBody;
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new ValidationError("Missing required fields: items");
+      }
+      if (items.length > MAX_BATCH_LINES) {
+        throw new ValidationError(`A batch update can change at most ${MAX_BATCH_LINES} lines.`);
+      }
+
+      const { changes, errors } = await planCartBatch(owner, items, strapi);
+
+      // All or nothing: any rejected line leaves the cart as it was
+      if (errors.length === 0 && changes.length > 0) {
+        await strapi.db.transaction(async () => {
+          for (const change of changes) {
+            if (change.quantity === 0) {
+              await strapi.db.query("api::cart.cart").delete({ where: { id: change.cartItemId } });
+            } else if (change.cartItemId) {
+              const data = { quantity: change.quantity };
+              if (change.unitPriceSnapshot !== undefined) {
+                data.unitPriceSnapshot = change.unitPriceSnapshot;
+              }
+              await strapi.db.query("api::cart.cart").update({
+                where: { id: change.cartItemId },
+                data,
+              });
+            } else {
+              await strapi.db.query("api::cart.cart").create({
+                data: {
+                  ...owner,
+                  product_variant: change.variantId,
+                  quantity: change.quantity,
+                  unitPriceSnapshot: change.unitPriceSnapshot,
+                },
+              });
+            }
+          }
+          for (const variantId of new Set(changes.map(change => change.variantId))) {
+            await holdCartStock(owner, variantId);
+          }
+        });
+      }
+
+      const cartItems = await getFormattedCartItems(owner, strapi);
+
+      return ctx.send({
+        success: errors.length === 0,
+        message: errors.length === 0
+          ? `Cart updated: ${changes.length} line(s) changed.`
+          : "Cart was not updated because some lines are invalid.",
+        data: {
+          cart_items: cartItems,
+          total_items: cartItems.length,
+          errors,
+          cart_token: cartToken
+        }
+      }, errors.length === 0 ? 200 : 400);
+    } catch (error) {
+      console.error("Error in updateCartBatch:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Opt in or out of abandoned-cart reminders
+  async updateReminderPreference(ctx) {
+    try {
+      const userId = requireSignedInUser(ctx);
+
+      const requestBody = ctx.request.body || {};
+      const { optOut } = requestBody.data || requestBody;
+      if (typeof optOut !== "boolean") {
+        throw new ValidationError("optOut must be true or false.");
+      }
+
+      await strapi.db.query("plugin::users-permissions.user").update({
+        where: { id: userId },
+        data: { cartRemindersOptOut: optOut },
+      });
+
+      return ctx.send({
+        success: true,
+        message: optOut ? "Cart reminders turned off." : "Cart reminders turned on.",
+        data: {
+          user_id: userId,
+          cart_reminders_opt_out: optOut
+        }
+      });
+    } catch (error) {
+      console.error("Error in updateReminderPreference:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Move a cart line to saved for later
+  async saveForLater(ctx) {
+    try {
+      const userId = requireSignedInUser(ctx);
+      const owner = { user: userId };
+
+      const parsedVariantId = parseInt(ctx.params.variantId, 10);
+      if (isNaN(parsedVariantId)) {
+        throw new ValidationError("Invalid Product Variant ID provided in URL. Must be a number.");
+      }
+
+      const variantLines = await strapi.db.query("api::cart.cart").findMany({
+        where: {
+          ...owner,
+          product_variant: { id: parsedVariantId }
+        },
+        populate: {
+          product_variant: {
+            select: ["id"],
+            populate: {
+              product: { select: ["id", "name", "price", "offers", "offerPrice"] },
+              contact_lens: { select: ["id", "name", "price", "offers", "offerPrice"] },
+              accessory: { select: ["id", "name", "price", "offers", "offerPrice"] },
+            }
+          },
+          ...LENS_POPULATE
+        }
+      });
+      const cartEntry = pickCartLine(variantLines, (ctx.query || {}).cartItemId);
+
+      if (!cartEntry) {
+        throw new NotFoundError("Product variant not found in cart for this user.");
+      }
+
+      const pricingLine = toPricingLine(cartEntry, getMasterProductFromVariant);
+      const savedData = {
+        quantity: cartEntry.quantity,
+        savedUnitPrice: pricingLine ? pricingLine.unit_price : null,
+        ...getLensRelationIds(cartEntry),
+      };
+
+      // One saved line per variant and lens configuration, like the cart; saving again adds to it
+      const savedLines = await strapi.db.query("api::saved-item.saved-item").findMany({
+        where: { user: userId, product_variant: { id: parsedVariantId } },
+        populate: LENS_POPULATE,
+      });
+      const existingSavedItem = savedLines.find(item => getLensKey(item) === getLensKey(cartEntry));
+
+      let savedItem;
+      await strapi.db.transaction(async () => {
+        if (existingSavedItem) {
+          savedItem = await strapi.db.query("api::saved-item.saved-item").update({
+            where: { id: existingSavedItem.id },
+            data: { ...savedData, quantity: (existingSavedItem.quantity || 0) + cartEntry.quantity },
+          });
+        } else {
+          savedItem = await strapi.db.query("api::saved-item.saved-item").create({
+            data: { ...savedData, user: userId, product_variant: parsedVariantId },
+          });
+        }
+
+        await strapi.db.query("api::cart.cart").delete({
+          where: { id: cartEntry.id }
+        });
+        await holdCartStock(owner, parsedVariantId);
+      });
+
+      return ctx.send({
+        success: true,
+        message: "Product moved to saved for later.",
+        data: {
+          saved_item_id: savedItem.id,
+          product_variant_id: parsedVariantId,
+          quantity: savedItem.quantity,
+          user_id: userId
+        }
+      });
+    } catch (error) {
+      console.error("Error in saveForLater:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Reorder a past order
+  // Adds each line of one of the user's orders back to the cart. Lines that cannot be
+  // added are listed with the reason and substitute variants of the same product;
+  // when none can be added the response is a 409 with the same listing.
+  async reorder(ctx) {
+    try {
+      const userId = requireSignedInUser(ctx);
+      const owner = { user: userId };
+
+      const order = await strapi.db.query("api::order.order").findOne({
+        where: { ...orderNumberWhere(ctx.params.orderId), user: userId },
+        select: ["id", "orderID", "items"],
+        populate: { order_items: { orderBy: { id: "asc" } } },
+      });
+      if (!order) {
+        throw new NotFoundError(`Order with ID '${ctx.params.orderId}' not found for this user.`);
+      }
+      // Orders placed before order items existed keep their lines in the `items` JSON
+      const orderLines = order.order_items && order.order_items.length > 0
+        ? order.order_items
+        : toLegacyOrderLines(order.items);
+      if (orderLines.length === 0) {
+        throw new ValidationError(`Order #${order.orderID} has no items that can be reordered.`);
+      }
+
+      // One outcome per line, in order; a later line may see stock taken by an earlier one
+      const lines = [];
+      for (const line of orderLines) {
+        lines.push(await addOrderLineToCart(owner, line, strapi));
+      }
+      const added = lines.filter(line => line.status === "added");
+      const unavailable = lines.filter(line => line.status !== "added");
+      const cartItems = await getFormattedCartItems(owner, strapi);
+
+      if (added.length === 0) {
+        return ctx.send({
+          success: false,
+          message: `None of the items from order #${order.orderID} can be added to your cart.`,
+          data: {
+            order_id: order.orderID,
+            added,
+            unavailable,
+            cart_items: cartItems,
+            total_items: cartItems.length,
+          }
+        }, 409);
+      }
+
+      return ctx.send({
+        success: true,
+        message: unavailable.length === 0
+          ? `All ${added.length} item(s) from order #${order.orderID} were added to your cart.`
+          : `${added.length} of ${lines.length} item(s) from order #${order.orderID} were added to your cart.`,
+        data: {
+          order_id: order.orderID,
+          added,
+          unavailable,
+          cart_items: cartItems,
+          total_items: cartItems.length,
+        }
+      });
+    } catch (error) {
+      console.error("Error in reorder:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Move a saved line back to the cart
+  async moveSavedToCart(ctx) {
+    try {
+      const userId = requireSignedInUser(ctx);
+      const owner = { user: userId };
+
+      const savedItemId = parseInt(ctx.params.savedItemId, 10);
+      if (isNaN(savedItemId)) {
+        throw new ValidationError("Invalid saved item ID provided in URL. Must be a number.");
+      }
+
+      const savedItem = await strapi.db.query("api::saved-item.saved-item").findOne({
+        where: { id: savedItemId, user: userId },
+        populate: {
+          product_variant: {
+            select: ["id"],
+            populate: {
+              product: { select: ["id", "name", "price", "offers", "offerPrice"] },
+              contact_lens: { select: ["id", "name", "price", "offers", "offerPrice"] },
+              accessory: { select: ["id", "name", "price", "offers", "offerPrice"] },
+            }
+          },
+          ...LENS_POPULATE
+        }
+      });
+
+      if (!savedItem) {
+        throw new NotFoundError("Saved item not found for this user.");
+      }
+      if (!savedItem.product_variant) {
+        throw new NotFoundError("Product variant not found.");
+      }
+
+      const variantId = savedItem.product_variant.id;
+      const {
+        productVariant,
+        masterProduct,
+        totalAvailableStock,
+        variantAvailableStock,
+        hasActiveVariant,
+        parentType,
+      } = await getProductVariantAndMaster(variantId, strapi, owner);
+
+      if (!hasActiveVariant || !productVariant.isActive || !productVariant.inStock || (productVariant.stock || 0) < 1) {
+        throw new ValidationError("This specific product variant is currently not active or out of stock.");
+      }
+
+      const lensIssues = validateLensConfiguration(savedItem, { parentType });
+      if (lensIssues.length > 0) {
+        throw new ValidationError(`Update the lens configuration before moving this item to the cart. ${lensIssues.join(" ")}`);
+      }
+
+      const { cartItems, totalQuantityInCart } = await getAllCartItemsForProduct(owner, masterProduct.id, parentType, strapi);
+      const variantLines = cartItems.filter(item =>
+        item.product_variant && item.product_variant.id === variantId
+      );
+      // The saved line joins the cart line with the same lenses, if there is one
+      const currentCartEntry = variantLines.find(item => getLensKey(item) === getLensKey(savedItem));
+      const currentQuantityForThisVariant = variantLines.reduce((sum, item) => sum + (item.quantity || 0), 0);
+      const newQuantityForThisVariant = currentQuantityForThisVariant + savedItem.quantity;
+
+      if (totalQuantityInCart + savedItem.quantity > totalAvailableStock) {
+        throw new ValidationError(
+          `Product ${masterProduct.name} has insufficient combined stock. Available: ${Math.max(0, totalAvailableStock - totalQuantityInCart)}, Requested: ${savedItem.quantity}.`
+        );
+      }
+      if (newQuantityForThisVariant > variantAvailableStock) {
+        throw new ValidationError(
+          `This product variant has insufficient stock. Available: ${Math.max(0, variantAvailableStock - currentQuantityForThisVariant)}, Requested: ${savedItem.quantity}.`
+        );
+      }
+
+      const lensData = getLensRelationIds(savedItem);
+      // The saved list shows today's price, so that is the price the line goes back in at
+      const pricingLine = toPricingLine(savedItem, getMasterProductFromVariant);
+      const unitPriceSnapshot = pricingLine ? pricingLine.unit_price : null;
+
+      let cartEntry;
+      let reservation;
+      // The move only happens if the units can still be held
+      await strapi.db.transaction(async () => {
+        if (currentCartEntry) {
+          cartEntry = await strapi.db.query("api::cart.cart").update({
+            where: { id: currentCartEntry.id },
+            data: { quantity: currentCartEntry.quantity + savedItem.quantity, unitPriceSnapshot },
+          });
+        } else {
+          cartEntry = await strapi.db.query("api::cart.cart").create({
+            data: { ...owner, product_variant: variantId, quantity: savedItem.quantity, unitPriceSnapshot, ...lensData },
+          });
+        }
+
+        reservation = await holdCartStock(owner, variantId);
+        await strapi.db.query("api::saved-item.saved-item").delete({
+          where: { id: savedItem.id }
+        });
+      });
+
+      return ctx.send({
+        success: true,
+        message: "Saved item moved to cart.",
+        data: {
+          id: cartEntry.id,
+          product_variant_id: variantId,
+          quantity: cartEntry.quantity,
+          reserved_until: reservation ? reservation.expiresAt : null,
+          user_id: userId
+        }
+      });
+    } catch (error) {
+      console.error("Error in moveSavedToCart:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Remove a saved line
+  async removeSavedItem(ctx) {
+    try {
+      const userId = requireSignedInUser(ctx);
+
+      const savedItemId = parseInt(ctx.params.savedItemId, 10);
+      if (isNaN(savedItemId)) {
+        throw new ValidationError("Invalid saved item ID provided in URL. Must be a number.");
+      }
+
+      const savedItem = await strapi.db.query("api::saved-item.saved-item").findOne({
+        where: { id: savedItemId, user: userId },
+        select: ["id"]
+      });
+      if (!savedItem) {
+        throw new NotFoundError("Saved item not found for this user.");
+      }
+
+      await strapi.db.query("api::saved-item.saved-item").delete({
+        where: { id: savedItem.id }
+      });
+
+      return ctx.send({
+        success: true,
+        message: "Saved item removed.",
+        data: {
+          saved_item_id: savedItem.id,
+          user_id: userId
+        }
+      });
+    } catch (error) {
+      console.error("Error in removeSavedItem:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
   }
 }));
 
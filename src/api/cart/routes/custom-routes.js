@@ -16,6 +16,14 @@ module.exports = {
         policies: [],
       },
     },
+    {
+      method: 'PUT',
+      path: '/cart/batch',
+      handler: 'api::cart.cart.updateCartBatch',
+      config: {
+        policies: [],
+      },
+    },
     {
       method: 'DELETE',
       path: '/cart/remove/:variantId', 
@@ -40,6 +48,71 @@ module.exports = {
         policies: [],
       },
     },
+    {
+      method: 'POST',
+      path: '/cart/coupon',
+      handler: 'api::cart.cart.applyCoupon',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/cart/coupon',
+      handler: 'api::cart.cart.removeCoupon',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/cart/lens/:variantId',
+      handler: 'api::cart.cart.updateLensConfiguration',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'POST',
+      path: '/cart/save-for-later/:variantId',
+      handler: 'api::cart.cart.saveForLater',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'POST',
+      path: '/cart/saved/:savedItemId/move-to-cart',
+      handler: 'api::cart.cart.moveSavedToCart',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/cart/saved/:savedItemId',
+      handler: 'api::cart.cart.removeSavedItem',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/cart/reminders',
+      handler: 'api::cart.cart.updateReminderPreference',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      // Adds a past order's lines back to the cart, so it lives with the other cart actions
+      method: 'POST',
+      path: '/orders/:orderId/reorder',
+      handler: 'api::cart.cart.reorder',
+      config: {
+        policies: [],
+      },
+    },
   ],
 };
 
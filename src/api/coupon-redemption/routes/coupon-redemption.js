@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * coupon-redemption router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::coupon-redemption.coupon-redemption');
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * coupon controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::coupon.coupon');
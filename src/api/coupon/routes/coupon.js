@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * coupon router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::coupon.coupon');
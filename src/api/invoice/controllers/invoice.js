@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * invoice controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::invoice.invoice');
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * invoice router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::invoice.invoice');
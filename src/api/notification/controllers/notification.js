@@ -54,6 +54,13 @@ class NotFoundError extends Error {
     this.name = "NotFoundError";
   }
 }
+// Order notification settings as shown to the user; email is on unless turned off.
+const formatPreferences = (user) => ({
+  locale: user.preferredLocale || null,
+  email: user.orderEmailNotifications !== false,
+  sms: user.orderSmsNotifications === true,
+  whatsapp: user.orderWhatsappNotifications === true,
+});
 // --- End Local Helper Functions ---
 
 
@@ -62,7 +69,7 @@ module.exports = createCoreController('api::notification.notification', ({ strap
   // Custom method to get notifications for the authenticated user
   async findMyNotifications(ctx) {
     const { user } = ctx.state;
-    const { _q, read } = ctx.query; // Allow filtering by read status or search query
+    const { read } = ctx.query; // Allow filtering by read status
 
     try {
       if (!user) {
@@ -79,6 +86,7 @@ module.exports = createCoreController('api::notification.notification', ({ strap
 
       const notifications = await strapi.entityService.findMany('api::notification.notification', {
         filters: filters,
+        locale: 'all', // Order updates are stored in each customer's own language
         sort: [{ sentAt: 'desc' }], // Show most recent notifications first
         populate: ['relatedOrder'], // Populate related order if exists
       });
@@ -226,6 +234,7 @@ module.exports = createCoreController('api::notification.notification', ({ strap
 
       const unreadCount = await strapi.entityService.count('api::notification.notification', {
         filters: { user: user.id, read: false },
+        locale: 'all',
       });
 
       return ctx.send({
@@ -244,4 +253,81 @@ module.exports = createCoreController('api::notification.notification', ({ strap
     }
   },
 
+  // Custom method to get how the user wants to hear about their orders
+  async getPreferences(ctx) {
+    const { user } = ctx.state;
+
+    try {
+      if (!user) {
+        throw new UnauthorizedError('Authentication required to view notification preferences.');
+      }
+
+      return ctx.send({
+        success: true,
+        message: 'Notification preferences retrieved successfully.',
+        data: formatPreferences(user)
+      }, 200);
+
+    } catch (error) {
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // Custom method to update the user's language and order notification channels
+  async updatePreferences(ctx) {
+    const { user } = ctx.state;
+    const { locale, email, sms, whatsapp } = ctx.request.body || {};
+
+    try {
+      if (!user) {
+        throw new UnauthorizedError('Authentication required to update notification preferences.');
+      }
+
+      const data = {};
+      const channels = { email: 'orderEmailNotifications', sms: 'orderSmsNotifications', whatsapp: 'orderWhatsappNotifications' };
+      const values = { email, sms, whatsapp };
+      for (const [channel, field] of Object.entries(channels)) {
+        if (values[channel] === undefined) continue;
+        if (typeof values[channel] !== 'boolean') {
+          throw new ValidationError(`'${channel}' must be true or false.`);
+        }
+        data[field] = values[channel];
+      }
+      if (locale !== undefined) {
+        if (locale !== null && (typeof locale !== 'string' || !/^[a-z]{2}(-[A-Za-z]{2})?$/.test(locale))) {
+          throw new ValidationError("'locale' must be a language code such as 'en' or 'hi'.");
+        }
+        data.preferredLocale = locale;
+      }
+      if ((data.orderSmsNotifications || data.orderWhatsappNotifications) && !user.phone) {
+        throw new ValidationError('Add a phone number to receive SMS or WhatsApp updates.');
+      }
+      if (Object.keys(data).length === 0) {
+        throw new ValidationError('Provide at least one of locale, email, sms or whatsapp.');
+      }
+
+      const updatedUser = await strapi.db.query('plugin::users-permissions.user').update({
+        where: { id: user.id },
+        data,
+      });
+
+      return ctx.send({
+        success: true,
+        message: 'Notification preferences updated successfully.',
+        data: formatPreferences(updatedUser)
+      }, 200);
+
+    } catch (error) {
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
 }));
\ No newline at end of file
@@ -24,6 +24,18 @@ module.exports = {
       
     },
     
+    {
+      method: 'GET',
+      path: '/notifications/preferences',
+      handler: 'notification.getPreferences',
+    },
+
+    {
+      method: 'PUT',
+      path: '/notifications/preferences',
+      handler: 'notification.updatePreferences',
+    },
+
     {
       method: 'GET',
       path: '/notifications/me/unread-count',
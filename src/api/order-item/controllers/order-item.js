@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * order-item controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::order-item.order-item');
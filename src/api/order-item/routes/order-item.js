@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * order-item router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::order-item.order-item');
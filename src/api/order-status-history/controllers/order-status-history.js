@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * order-status-history controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::order-status-history.order-status-history');
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * order-status-history router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::order-status-history.order-status-history');
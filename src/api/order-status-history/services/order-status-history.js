@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * order-status-history service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::order-status-history.order-status-history');
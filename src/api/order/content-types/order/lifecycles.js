@@ -1,26 +1,62 @@
 // path: src/api/order/content-types/order/lifecycles.js
 
+const { restoreOrderStock } = require("../../../../utils/inventory.js");
+const { assertTransition, recordStatusChange } = require("../../../../utils/orderStatus.js");
+const { scheduleOrderNotifications } = require("../../../../utils/orderNotification.js");
+const { issueCancellationCreditNote } = require("../../../../utils/invoice.js");
+const { nextOrderNumber } = require("../../../../utils/orderNumber.js");
+const { scheduleDeliveryOtps } = require("../../../../utils/deliveryOtp.js");
+const { refundWalletPayment } = require("../../../../utils/wallet.js");
+const { releaseRedemption } = require("../../../../utils/coupon.js");
+
+// Callers describe a status change (note, carrier) in `data.statusChange`; it is not
+// an order field, so take it off the data before it is saved.
+const takeStatusChange = (data) => {
+  const details = data.statusChange || {};
+  delete data.statusChange;
+  return details;
+};
+
 module.exports = {
   // Use `beforeCreate` to automatically set key fields on a new order.
   async beforeCreate(event) {
     const { data } = event.params;
     const now = new Date();
+    event.state.statusChange = takeStatusChange(data);
 
     // Set the orderedAt timestamp when a new order is created.
     data.orderedAt = now;
     strapi.log.debug(`New order being created. Setting orderedAt to ${data.orderedAt.toISOString()}`);
 
-    // Generate a simple, unique orderID (for example, a timestamp-based ID)
-    // Now including the user's ID for better identification.
+    // Number the order from the yearly counter, e.g. MO-2026-000123
     if (!data.orderID) {
-      data.orderID = `ORD-${now.getTime()}-${data.user}`;
+      data.orderID = await nextOrderNumber(now);
       strapi.log.debug(`Generated new orderID: ${data.orderID}`);
     }
   },
 
-  // Use `beforeUpdate` to handle status transitions and set timestamps.
+  // Start the order's timeline with the status it was created in; the customer is
+  // notified from the timeline once the order is committed.
+  async afterCreate(event) {
+    const { result, params } = event;
+    if (!result || !result.status) {
+      return;
+    }
+
+    await recordStatusChange({
+      orderId: result.id,
+      orderUserId: params.data.user,
+      fromStatus: null,
+      toStatus: result.status,
+      details: { ...event.state.statusChange, trackingId: result.trackingId },
+    });
+    scheduleOrderNotifications();
+  },
+
+  // Use `beforeUpdate` to enforce status transitions and set timestamps.
   async beforeUpdate(event) {
     const { data, where } = event.params;
+    const statusChange = takeStatusChange(data);
 
     // Check if status is being updated and if there's an order ID
     if (!data.status || !where || !where.id) {
@@ -30,7 +66,8 @@ module.exports = {
     // Fetch the existing order to compare the old status with the new status
     const existingOrder = await strapi.db.query('api::order.order').findOne({
       where: { id: where.id },
-      select: ['status', 'shippedAt', 'deliveredAt', 'cancelledAt'] 
+      select: ['id', 'orderID', 'status', 'paymentStatus', 'paymentMethod', 'totalAmount', 'walletAmount', 'trackingId', 'shippedAt', 'deliveredAt', 'cancelledAt', 'deliveryOtpHash', 'deliveryOtpDueAt', 'deliveryOtpVerifiedAt'],
+      populate: { user: { select: ['id'] } },
     });
 
     if (!existingOrder) {
@@ -41,23 +78,104 @@ module.exports = {
     const oldStatus = existingOrder.status;
     const now = new Date();
 
+    // Saving an order without changing its status is not a transition
+    if (newStatus === oldStatus) {
+      return;
+    }
+    await assertTransition(existingOrder, newStatus, data);
+
     // Set shippedAt only when the status transitions to 'shipped' for the first time
-    if (newStatus === 'shipped' && oldStatus !== 'shipped' && !existingOrder.shippedAt) {
+    if (newStatus === 'shipped' && !existingOrder.shippedAt) {
       data.shippedAt = now;
       strapi.log.debug(`Order ${where.id}: Setting shippedAt due to status transition to 'shipped'.`);
     }
 
+    // The delivery code is texted once this update has committed; cleared when it is sent
+    if (newStatus === 'shipped') {
+      data.deliveryOtpDueAt = now;
+    }
+
     // Set deliveredAt only when the status transitions to 'delivered' for the first time
-    if (newStatus === 'delivered' && oldStatus !== 'delivered' && !existingOrder.deliveredAt) {
+    if (newStatus === 'delivered' && !existingOrder.deliveredAt) {
       data.deliveredAt = now;
       strapi.log.debug(`Order ${where.id}: Setting deliveredAt due to status transition to 'delivered'.`);
     }
 
     // Set cancelledAt only when the status transitions to 'cancelled' for the first time
-    if (newStatus === 'cancelled' && oldStatus !== 'cancelled' && !existingOrder.cancelledAt) {
+    if (newStatus === 'cancelled' && !existingOrder.cancelledAt) {
       data.cancelledAt = now;
       strapi.log.debug(`Order ${where.id}: Setting cancelledAt due to status transition to 'cancelled'.`);
     }
+
+    // Cancelling a paid order leaves a refund to process, whoever cancels it
+    if (newStatus === 'cancelled') {
+      if (existingOrder.paymentStatus === 'done' && !data.paymentStatus) {
+        data.paymentStatus = 'refund_pending';
+      }
+      // The customer endpoint says so explicitly; any other cancellation is by staff
+      if (!data.cancelledBy) {
+        data.cancelledBy = 'admin';
+      }
+      event.state.restoreStock = true;
+      // Cleared once the credit note is issued; the invoice cron retries until then
+      data.creditNoteDueAt = now;
+    }
+
+    event.state.transition = {
+      orderUserId: existingOrder.user ? existingOrder.user.id : null,
+      fromStatus: oldStatus,
+      toStatus: newStatus,
+      details: {
+        ...statusChange,
+        note: statusChange.note || (newStatus === 'cancelled' ? data.cancellationReason : null),
+        trackingId: ['shipped', 'delivered'].includes(newStatus) ? data.trackingId || existingOrder.trackingId : null,
+      },
+    };
+  },
+
+  // Use `afterUpdate` to record the transition (which notifies the customer), queue
+  // the delivery code once an order ships and return stock, coupon uses and store
+  // credit once it has been cancelled.
+  async afterUpdate(event) {
+    if (!event.state || !event.result) {
+      return;
+    }
+
+    if (event.state.transition) {
+      await recordStatusChange({ orderId: event.result.id, ...event.state.transition });
+      scheduleOrderNotifications();
+
+      // The update may still be inside a transaction, so the code is texted after it commits
+      if (event.state.transition.toStatus === 'shipped') {
+        scheduleDeliveryOtps();
+      }
+    }
+
+    if (event.state.restoreStock) {
+      const restored = await restoreOrderStock(event.result.id);
+      strapi.log.debug(`Order ${event.result.id}: Restored ${restored} unit(s) of stock after cancellation.`);
+
+      // A cancelled order does not count against the coupon's usage limits
+      try {
+        await releaseRedemption(event.result.id);
+      } catch (error) {
+        strapi.log.error(`Order ${event.result.id}: failed to release coupon use: ${error.message}`);
+      }
+
+      // An order invoiced before it was cancelled is reversed with a credit note
+      try {
+        await issueCancellationCreditNote(event.result.id);
+      } catch (error) {
+        strapi.log.error(`Order ${event.result.id}: failed to issue cancellation credit note: ${error.message}`);
+      }
+
+      // Store credit spent on the order goes straight back to the wallet
+      try {
+        await refundWalletPayment(event.result.id);
+      } catch (error) {
+        strapi.log.error(`Order ${event.result.id}: failed to return store credit: ${error.message}`);
+      }
+    }
   },
 };
 
@@ -3,7 +3,55 @@
 "use strict";
 
 const { createCoreController } = require("@strapi/strapi").factories;
-const { ValidationError, NotFoundError } = require("@strapi/utils").errors;
+const { ValidationError, NotFoundError, UnauthorizedError } = require("@strapi/utils").errors;
+const { getReservedQuantities, releaseAllForOwner } = require("../../../utils/stockReservation.js");
+const {
+  findCouponByCode,
+  getCartCoupon,
+  clearCartCoupon,
+  evaluateCoupon,
+  recordRedemption,
+  roundCurrency,
+} = require("../../../utils/coupon.js");
+const { toPricingLine, getPriceChange, getUnacknowledgedPriceChanges } = require("../../../utils/cartPricing.js");
+const { computeTax } = require("../../../utils/tax.js");
+const { quoteShipping, isCashOnDelivery, SHIPPING_METHODS } = require("../../../utils/shipping.js");
+const { COD_PAYMENT_METHOD, normalizePaymentMethod, checkCodEligibility } = require("../../../utils/cod.js");
+const { sendDeliveryOtp, confirmDeliveryWithOtp } = require("../../../utils/deliveryOtp.js");
+const { WALLET_PAYMENT_METHOD, resolveWalletAmount, debitWallet } = require("../../../utils/wallet.js");
+const { attributeOrderToReminder } = require("../../../utils/cartReminder.js");
+const { decrementVariantStock } = require("../../../utils/inventory.js");
+const { createPaymentIntent, toClientPayment, getAmountDue } = require("../../../utils/payment.js");
+const { getStatusTimeline } = require("../../../utils/orderStatus.js");
+const { orderNumberWhere } = require("../../../utils/orderNumber.js");
+const {
+  getIdempotencyKey,
+  hashRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} = require("../../../utils/idempotency.js");
+const { calculatePromisedDate, getShipmentTracking } = require("../../../utils/shipment.js");
+const {
+  buildOrderWhere,
+  getPagination,
+  findOrdersPage,
+  bulkUpdateOrderStatus,
+  assignTrackingIds,
+  exportOrdersCsv,
+} = require("../../../utils/orderAdmin.js");
+const {
+  INVOICEABLE_STATUSES,
+  issueInvoice,
+  getInvoiceDocument,
+  renderInvoicePdf,
+} = require("../../../utils/invoice.js");
+const {
+  LENS_POPULATE,
+  getLensUnitPrice,
+  validateLensConfiguration,
+  formatLensConfiguration,
+} = require("../../../utils/lensConfiguration.js");
 
 /**
  * Helper function to handle and format errors consistently.
@@ -12,6 +60,9 @@ const handleErrors = (error) => {
   console.error("Error occurred:", error);
   const errorMessage = String(error.message || "");
 
+  if (error instanceof UnauthorizedError) {
+    return { message: "User authentication required." };
+  }
   if (error instanceof ValidationError) {
     return { message: errorMessage };
   }
@@ -40,6 +91,13 @@ const handleErrors = (error) => {
  * Helper function to map error messages to status codes.
  */
 const handleStatusCode = (error) => {
+  if (String(error.message || "").includes("Idempotency-Key is still being processed")) {
+    return 409;
+  }
+  if (String(error.message || "").includes("Idempotency-Key was already used for a different request")) {
+    return 422;
+  }
+  if (error instanceof UnauthorizedError) return 401;
   if (error instanceof ValidationError) return 400;
   if (error instanceof NotFoundError) return 404;
   if (String(error.message || "").includes("out of stock or insufficient quantity")) {
@@ -67,10 +125,13 @@ const fetchUserCartForOrder = async (userId, strapi) => {
       product_variant: {
         populate: {
           product: { populate: { image: true } },
-          contact_lens: { populate: { image: true } },
-          accessory: { populate: { image: true } },
+          contact_lens: { populate: { images: true } },
+          accessory: { populate: { images: true } },
+          color: { select: ["id", "name"] },
+          frame_size: { select: ["id", "name"] },
         },
       },
+      ...LENS_POPULATE,
     },
   });
   return cartItems;
@@ -90,39 +151,167 @@ const getMasterProductFromVariant = (variant) => {
   return { master: null, type: null };
 };
 
+// Orders can be cancelled by the customer only before they ship
+const CANCELLABLE_STATUSES = ["pending", "confirmed"];
+const MAX_CANCELLATION_REASON_LENGTH = 500;
+
+// Checkout Idempotency-Keys are remembered per user under this name
+const CHECKOUT_IDEMPOTENCY_SCOPE = "orders.create-from-cart";
+
+// Populate used wherever an order is returned with its purchased lines
+const ORDER_ITEMS_POPULATE = {
+  product_variant: { select: ["id"] },
+};
+
+/**
+ * Helper to answer a checkout with the placed order and its payment.
+ */
+const sendPlacedOrder = async (ctx, orderId, payment) => {
+  const placedOrder = await strapi.db.query("api::order.order").findOne({
+    where: { id: orderId },
+    populate: { order_items: { populate: ORDER_ITEMS_POPULATE } },
+  });
+
+  return ctx.send({
+    success: true,
+    message: payment || isCashOnDelivery(placedOrder.paymentMethod) || getAmountDue(placedOrder) <= 0
+      ? "Order placed successfully."
+      : "Order placed, but the payment could not be started. Please retry the payment.",
+    data: {
+      order: placedOrder,
+      payment,
+    },
+  });
+};
+
 /**
- * Helper to perform a rollback if order creation fails.
- * Since we no longer have order items, this just deletes the main order.
+ * Helper to answer with an invoice or credit note: the PDF by default, or its
+ * details with `?format=json`. The PDF is rendered from the stored document so
+ * it is the same every time it is downloaded.
  */
-const rollbackOrderCreation = async (orderId, strapi) => {
-  console.log(`Rolling back order ${orderId}...`);
-  try {
-    // Delete the order itself
-    await strapi.db.query("api::order.order").delete({ where: { id: orderId } });
-    console.log(`Order ${orderId} successfully rolled back.`);
-  } catch (rollbackError) {
-    console.error(`Failed to roll back order ${orderId}:`, rollbackError);
+const sendInvoiceDocument = (ctx, invoice) => {
+  if (ctx.query.format === "json") {
+    return ctx.send({
+      success: true,
+      message: "Document retrieved successfully.",
+      data: { invoice },
+    });
   }
+
+  ctx.set("Content-Type", "application/pdf");
+  ctx.set("Content-Disposition", `attachment; filename="${invoice.number.replace(/[^A-Za-z0-9-]/g, "-")}.pdf"`);
+  ctx.body = renderInvoicePdf(invoice);
+};
+
+/**
+ * Helper to turn cart rows into order-item data, priced as charged: each line
+ * carries its share of the coupon discount and of the GST computed for it.
+ */
+const buildOrderItems = (cartItems, { lineDiscounts = {}, tax = null } = {}) => {
+  // Frames with lenses have two tax lines; add them up per cart row
+  const taxByCartItem = new Map();
+  ((tax && tax.lines) || []).forEach(line => {
+    const current = taxByCartItem.get(line.cart_item_id) || { taxable_value: 0, total_tax: 0, parts: [] };
+    current.taxable_value = roundCurrency(current.taxable_value + line.taxable_value);
+    current.total_tax = roundCurrency(current.total_tax + line.total_tax);
+    current.parts.push(line);
+    taxByCartItem.set(line.cart_item_id, current);
+  });
+
+  return cartItems.map(item => {
+    const variant = item.product_variant;
+    const { master: masterProduct, type: productType } = getMasterProductFromVariant(variant);
+    const framePrice = masterProduct.offers && typeof masterProduct.offerPrice === 'number'
+      ? masterProduct.offerPrice
+      : masterProduct.price;
+    const lensConfiguration = productType === 'product' ? formatLensConfiguration(item) : null;
+    const lensPrice = lensConfiguration ? lensConfiguration.lens_unit_price : 0;
+    const unitPrice = roundCurrency(framePrice + lensPrice);
+    const discountAmount = lineDiscounts[item.id] || 0;
+    const lineTax = taxByCartItem.get(item.id);
+    const images = masterProduct.image || masterProduct.images || [];
+
+    return {
+      product_variant: variant.id,
+      variantId: variant.id,
+      productType: productType === 'contact-lens' ? 'contact_lens' : productType,
+      productId: masterProduct.id,
+      productName: masterProduct.name,
+      colorName: variant.color ? variant.color.name : null,
+      colorCode: typeof variant.color_picker === 'string' ? variant.color_picker : null,
+      frameSize: variant.frame_size ? variant.frame_size.name : null,
+      imageUrl: images.length > 0 ? images[0].url : null,
+      quantity: item.quantity,
+      listPrice: masterProduct.price,
+      framePrice,
+      lensPrice,
+      unitPrice,
+      discountAmount,
+      taxableValue: lineTax ? lineTax.taxable_value : null,
+      taxAmount: lineTax ? lineTax.total_tax : 0,
+      gstRate: lineTax ? lineTax.parts[0].gst_rate : null,
+      hsnCode: lineTax ? [...new Set(lineTax.parts.map(part => part.hsn_code))].join(", ") : null,
+      lineTotal: roundCurrency(unitPrice * item.quantity - discountAmount),
+      lensConfiguration,
+    };
+  });
 };
 
 
 module.exports = createCoreController("api::order.order", ({ strapi }) => ({
 
   // MARK: Create an Order from Cart
-  // This function now simplifies the process by not creating separate order items.
   async createFromCart(ctx) {
-    let newOrder = null;
-
+    let idempotencyClaim = null;
     try {
       const { id: userId } = ctx.state.user;
       if (!userId) {
-        throw new ValidationError("User not authenticated.");
+        throw new UnauthorizedError("User not authenticated.");
+      }
+
+      // A retry sent with the same Idempotency-Key gets the order the first attempt placed
+      const idempotencyKey = getIdempotencyKey(ctx);
+      if (idempotencyKey) {
+        const { claim, resultId } = await claimIdempotencyKey({
+          scope: CHECKOUT_IDEMPOTENCY_SCOPE,
+          userId,
+          key: idempotencyKey,
+          requestHash: hashRequest(ctx.request.body),
+        });
+        if (resultId) {
+          const latestPayment = await strapi.db.query("api::payment.payment").findOne({
+            where: { order: resultId },
+            orderBy: { createdAt: "desc" },
+          });
+          ctx.set("Idempotent-Replayed", "true");
+          return await sendPlacedOrder(ctx, resultId, latestPayment ? toClientPayment(latestPayment) : null);
+        }
+        idempotencyClaim = claim;
       }
       
-      const { paymentMethod, address } = ctx.request.body;
+      const {
+        paymentMethod: requestedPaymentMethod,
+        address,
+        couponCode,
+        shippingMethod = "standard",
+        acceptPriceChanges = [],
+        useWallet = false,
+        walletAmount: requestedWalletAmount,
+      } = ctx.request.body;
+      const paymentMethod = normalizePaymentMethod(requestedPaymentMethod);
       if (!paymentMethod || !address) {
         throw new ValidationError("Payment method and shipping address are required.");
       }
+      if (!SHIPPING_METHODS.includes(shippingMethod)) {
+        throw new ValidationError(`Shipping method must be one of: ${SHIPPING_METHODS.join(", ")}.`);
+      }
+
+      const shippingAddress = await strapi.db.query("api::address.address").findOne({
+        where: { id: address, user: userId },
+      });
+      if (!shippingAddress) {
+        throw new NotFoundError("Shipping address not found for this user.");
+      }
 
       // Step 1: Fetch and validate the user's cart
       const cartItems = await fetchUserCartForOrder(userId, strapi);
@@ -137,6 +326,21 @@ module.exports = createCoreController("api::order.order", ({ strapi }) => ({
       // Create a cache to store combined stock for each product to avoid redundant queries
       const productCombinedStockCache = new Map();
 
+      // Units held in other customers' carts are not available to this checkout
+      const reservedByOthers = await getReservedQuantities(
+        cartItems.map(item => item.product_variant && item.product_variant.id),
+        { user: userId }
+      );
+
+      // A frame can be in the cart once per lens configuration; its lines share the variant's stock
+      const quantityByVariant = new Map();
+      cartItems.forEach(item => {
+        if (item.product_variant) {
+          const variantId = item.product_variant.id;
+          quantityByVariant.set(variantId, (quantityByVariant.get(variantId) || 0) + item.quantity);
+        }
+      });
+
       // Step 2: Perform a final pre-checkout validation
       for (const item of cartItems) {
         const variant = item.product_variant;
@@ -152,20 +356,29 @@ module.exports = createCoreController("api::order.order", ({ strapi }) => ({
         }
 
         // Check if the product variant is active and in stock
-        if (!variant.isActive || !variant.inStock || (variant.stock || 0) < item.quantity) {
+        const availableStock = (variant.stock || 0) - (reservedByOthers.get(variant.id) || 0);
+        const requestedQuantity = quantityByVariant.get(variant.id);
+        if (!variant.isActive || !variant.inStock || availableStock < requestedQuantity) {
           invalidItems.push({
             id: item.id,
-            message: `Variant "${variant.id}" is out of stock or requested quantity (${item.quantity}) exceeds available stock (${variant.stock}).`
+            message: `Variant "${variant.id}" is out of stock or requested quantity (${requestedQuantity}) exceeds available stock (${Math.max(0, availableStock)}).`
           });
           continue;
         }
 
+        // Lens options may have been withdrawn since they were added to the cart
+        const lensIssues = validateLensConfiguration(item, { parentType: productType });
+        if (lensIssues.length > 0) {
+          invalidItems.push({ id: item.id, message: lensIssues.join(" ") });
+          continue;
+        }
+
         // Recalculate combined stock to ensure consistency
         if (!productCombinedStockCache.has(masterProduct.id)) {
           const allProductVariants = await strapi.entityService.findMany(
             "api::product-variant.product-variant", {
               filters: {
-                [productType]: { id: masterProduct.id },
+                [productType === 'contact-lens' ? 'contact_lens' : productType]: { id: masterProduct.id },
                 isActive: true,
                 stock: { $gt: 0 },
               },
@@ -179,142 +392,243 @@ module.exports = createCoreController("api::order.order", ({ strapi }) => ({
         const effectivePrice = masterProduct.offers && typeof masterProduct.offerPrice === 'number'
           ? masterProduct.offerPrice
           : masterProduct.price;
+        const lensPrice = productType === 'product' ? getLensUnitPrice(item) : 0;
 
-        totalOrderAmount += effectivePrice * item.quantity;
+        totalOrderAmount += (effectivePrice + lensPrice) * item.quantity;
       }
 
       if (invalidItems.length > 0) {
         throw new ValidationError("Some items in your cart are invalid or out of stock.", { invalidItems });
       }
 
-      // Step 3: Create the main order entry
-      newOrder = await strapi.db.query("api::order.order").create({
-        data: {
-          user: userId,
-          status: "pending",
-          totalAmount: totalOrderAmount,
-          paymentMethod,
-          paymentStatus: "pending",
-          address: address,
-          items_snapshot: JSON.stringify(cartItems.map(item => {
-            const { master: masterProduct } = getMasterProductFromVariant(item.product_variant);
-            const effectivePrice = masterProduct.offers && typeof masterProduct.offerPrice === 'number'
-              ? masterProduct.offerPrice
-              : masterProduct.price;
-
-            return {
-              id: item.product_variant.id,
-              quantity: item.quantity,
-              unitPrice: effectivePrice,
-              productName: masterProduct.name,
-            };
-          })),
-        },
-      });
+      // Never charge a price the customer has not seen: prices that moved since the
+      // items were added must be acknowledged by sending the `priceChanges` shown to
+      // the customer back as `acceptPriceChanges`; a price that moved again since is refused
+      const priceChanges = cartItems
+        .map(item => getPriceChange(item, toPricingLine(item, getMasterProductFromVariant)))
+        .filter(change => change !== null);
+      if (getUnacknowledgedPriceChanges(priceChanges, acceptPriceChanges).length > 0) {
+        throw new ValidationError(
+          "Prices of some items in your cart have changed. Review the new prices and confirm to place the order.",
+          { priceChanges }
+        );
+      }
 
-      // Step 4: Decrement stock
-      await Promise.all(
-        cartItems.map(item =>
-          strapi.db.query("api::product-variant.product-variant").update({
-            where: { id: item.product_variant.id },
-            data: { stock: (item.product_variant.stock || 0) - item.quantity },
-          })
-        )
-      );
+      // Re-validate the coupon against the final cart; an explicit code in the body wins
+      const coupon = couponCode
+        ? await findCouponByCode(couponCode)
+        : await getCartCoupon({ user: userId });
+      if (couponCode && !coupon) {
+        throw new NotFoundError(`Coupon ${couponCode} not found.`);
+      }
 
-      // Step 5: Clear the user's cart (bulk delete for performance)
-      // FIX: Fetch cart item IDs first and then delete to avoid MySQL join error.
-      const cartItemsToDelete = await strapi.db.query("api::cart.cart").findMany({
-        where: { user: userId },
-        select: ["id"],
-      });
+      const pricingLines = cartItems
+        .map(item => toPricingLine(item, getMasterProductFromVariant))
+        .filter(line => line !== null);
 
-      if (cartItemsToDelete.length > 0) {
-        const cartItemIds = cartItemsToDelete.map(item => item.id);
-        await strapi.db.query("api::cart.cart").deleteMany({
-          where: { id: { $in: cartItemIds } },
-        });
+      let discountAmount = 0;
+      let lineDiscounts = {};
+      if (coupon) {
+        const evaluation = await evaluateCoupon(coupon, pricingLines, { userId });
+        if (!evaluation.valid) {
+          throw new ValidationError(`Coupon ${coupon.code} can no longer be applied: ${evaluation.reason}`);
+        }
+        discountAmount = evaluation.discount;
+        lineDiscounts = evaluation.line_discounts;
       }
 
-      // Step 6: Send a successful response
-      return ctx.send({
-        success: true,
-        message: "Order placed successfully.",
-        data: {
-          order: newOrder,
-        },
+      // GST per line against the shipping address
+      const tax = await computeTax(pricingLines, { lineDiscounts, address: shippingAddress });
+      const taxToAdd = tax.prices_include_tax ? 0 : tax.total_tax;
+
+      // Make sure we deliver to the address and price the chosen method
+      const quote = (method) => quoteShipping({
+        address: shippingAddress,
+        orderValue: totalOrderAmount - discountAmount,
+        paymentMethod: method,
+        method: shippingMethod,
       });
+      let shipping = await quote(paymentMethod);
+      if (!shipping.deliverable) {
+        throw new ValidationError(shipping.reason);
+      }
+      let totalAmount = roundCurrency(totalOrderAmount - discountAmount + taxToAdd + shipping.selected.total);
+
+      // Store credit pays for as much as asked (`useWallet` for all of it); the rest is due by `paymentMethod`
+      let walletAmount = await resolveWalletAmount(userId, totalAmount, { useWallet, walletAmount: requestedWalletAmount });
+      // Nothing is left for the courier to collect once the wallet covers all but the
+      // COD surcharge, so the order is priced without it
+      const codSurcharge = shipping.selected.cod_surcharge;
+      if (codSurcharge > 0 && walletAmount >= roundCurrency(totalAmount - codSurcharge)) {
+        shipping = await quote(WALLET_PAYMENT_METHOD);
+        totalAmount = roundCurrency(totalOrderAmount - discountAmount + taxToAdd + shipping.selected.total);
+        walletAmount = Math.min(walletAmount, totalAmount);
+      }
+      const amountDue = roundCurrency(totalAmount - walletAmount);
+      if (paymentMethod === WALLET_PAYMENT_METHOD && amountDue > 0) {
+        throw new ValidationError(`Your wallet does not cover this order. Choose how to pay the remaining ₹${amountDue.toFixed(2)}.`);
+      }
+      const orderPaymentMethod = walletAmount > 0 && amountDue <= 0 ? WALLET_PAYMENT_METHOD : paymentMethod;
+
+      // Steps 3-5 run in one transaction: if any stock decrement, the coupon use or
+      // the cart cleanup fails, the order and everything before it is undone
+      const newOrder = await strapi.db.transaction(async ({ trx }) => {
+        // COD is only offered within the risk limits, checked against the amount the courier
+        // will collect. Checked first, with the customer locked, so parallel checkouts see
+        // each other's orders against the open-order limit.
+        if (orderPaymentMethod === COD_PAYMENT_METHOD) {
+          const cod = await checkCodEligibility({ user: ctx.state.user, address: shippingAddress, orderValue: amountDue, trx });
+          if (!cod.eligible) {
+            throw new ValidationError(cod.reasons[0], { codReasons: cod.reasons });
+          }
+        }
 
-    } catch (error) {
-      console.error("Error in createOrder:", error);
-      const customizedError = handleErrors(error);
+        // Step 3: Create the main order entry
+        const order = await strapi.db.query("api::order.order").create({
+          data: {
+            user: userId,
+            status: "pending",
+            subtotalAmount: roundCurrency(totalOrderAmount),
+            discountAmount,
+            couponCode: coupon ? coupon.code : null,
+            taxAmount: tax.total_tax,
+            taxBreakdown: tax,
+            shippingMethod,
+            shippingFee: shipping.selected.fee,
+            codSurcharge: shipping.selected.cod_surcharge,
+            totalAmount,
+            walletAmount,
+            paymentMethod: orderPaymentMethod,
+            paymentStatus: orderPaymentMethod === WALLET_PAYMENT_METHOD ? "done" : "pending",
+            address: address,
+          },
+        });
 
-      // Manual rollback if the order was partially created
-      if (newOrder) {
-        await rollbackOrderCreation(newOrder.id, strapi);
-      }
-      
-      return ctx.send(
-        { success: false, message: customizedError.message },
-        handleStatusCode(error) || 500
-      );
-    }
-  },
+        // Fails cleanly if the balance was spent elsewhere since it was checked
+        if (walletAmount > 0) {
+          await debitWallet(userId, { amount: walletAmount, orderId: order.id });
+        }
 
-  // MARK: Update Payment Status
-  async updatePaymentStatus(ctx) {
-    try {
-      const { orderId, paymentStatus } = ctx.request.body;
-      if (!orderId || !paymentStatus) {
-        throw new ValidationError("Order ID and payment status are required.");
-      }
+        // The key is only marked used if the order is kept
+        if (idempotencyClaim) {
+          await completeIdempotencyKey(idempotencyClaim, order.id, { trx });
+        }
 
-      const order = await strapi.entityService.findMany("api::order.order", {
-        filters: { orderID: orderId },
+        // Store each purchased line with its price, discount and tax as charged
+        const orderItems = buildOrderItems(cartItems, { lineDiscounts, tax });
+        for (const orderItem of orderItems) {
+          await strapi.db.query("api::order-item.order-item").create({
+            data: { ...orderItem, order: order.id },
+          });
+        }
+
+        // Record the coupon use; fails cleanly if the last use was just taken
+        if (coupon) {
+          await recordRedemption(coupon, { userId, orderId: order.id, discount: discountAmount });
+        }
+
+        // Step 4: Decrement stock only where enough is left, so concurrent checkouts cannot oversell
+        for (const item of cartItems) {
+          const decremented = await decrementVariantStock(item.product_variant.id, item.quantity, { trx });
+          if (!decremented) {
+            throw new ValidationError("Some items in your cart are invalid or out of stock.", {
+              invalidItems: [{
+                id: item.id,
+                message: `Variant "${item.product_variant.id}" is out of stock or requested quantity (${item.quantity}) exceeds available stock.`,
+              }],
+            });
+          }
+        }
+
+        // Step 5: Clear the user's cart (bulk delete for performance)
+        // FIX: Fetch cart item IDs first and then delete to avoid MySQL join error.
+        const cartItemsToDelete = await strapi.db.query("api::cart.cart").findMany({
+          where: { user: userId },
+          select: ["id"],
+        });
+
+        if (cartItemsToDelete.length > 0) {
+          const cartItemIds = cartItemsToDelete.map(item => item.id);
+          await strapi.db.query("api::cart.cart").deleteMany({
+            where: { id: { $in: cartItemIds } },
+          });
+        }
+        await releaseAllForOwner({ user: userId });
+        await clearCartCoupon({ user: userId });
+
+        return order;
       });
 
-      if (!order || order.length === 0) {
-        throw new NotFoundError(`Order with ID '${orderId}' not found.`);
+      // Credit the order to a recent abandoned-cart reminder; never fail checkout over it
+      try {
+        await attributeOrderToReminder(userId, newOrder.id, cartItems.map(item => item.product_variant.id));
+      } catch (attributionError) {
+        console.error(`Failed to attribute order ${newOrder.id} to a cart reminder:`, attributionError);
       }
 
-      const orderToUpdate = order[0];
-      const updatedOrder = await strapi.db.query("api::order.order").update({
-        where: { id: orderToUpdate.id },
-        data: {
-          paymentStatus: paymentStatus,
-          status: paymentStatus === 'done' ? 'confirmed' : orderToUpdate.status,
-        },
-      });
+      // Prepaid orders stay pending until a verified payment event confirms them. If the
+      // provider cannot be reached the order is kept and the client can retry the payment.
+      // An order paid in full from the wallet is confirmed straight away.
+      let payment = null;
+      if (orderPaymentMethod === WALLET_PAYMENT_METHOD) {
+        try {
+          await strapi.db.query("api::order.order").update({
+            where: { id: newOrder.id },
+            data: { status: "confirmed", statusChange: { note: "Paid with store credit." } },
+          });
+        } catch (confirmError) {
+          console.error(`Failed to confirm wallet-paid order ${newOrder.id}:`, confirmError);
+        }
+      } else if (orderPaymentMethod !== COD_PAYMENT_METHOD) {
+        try {
+          payment = toClientPayment(await createPaymentIntent(newOrder));
+        } catch (paymentError) {
+          console.error(`Failed to start payment for order ${newOrder.id}:`, paymentError);
+        }
+      }
 
-      return ctx.send({
-        success: true,
-        message: `Order #${updatedOrder.orderID} payment status updated to '${updatedOrder.paymentStatus}'.`,
-        data: updatedOrder,
-      });
+      // Step 6: Send a successful response
+      return await sendPlacedOrder(ctx, newOrder.id, payment);
 
     } catch (error) {
+      console.error("Error in createOrder:", error);
       const customizedError = handleErrors(error);
+
+      // No order was placed, so let a retry with the same key run again
+      if (idempotencyClaim) {
+        try {
+          await releaseIdempotencyKey(idempotencyClaim);
+        } catch (releaseError) {
+          console.error("Failed to release idempotency key:", releaseError);
+        }
+      }
+
+      // Structured details (invalid items, price changes) let the client show what to fix
+      const details = error instanceof ValidationError && error.details && Object.keys(error.details).length > 0
+        ? error.details
+        : undefined;
+      
       return ctx.send(
-        { success: false, message: customizedError.message },
+        { success: false, message: customizedError.message, details },
         handleStatusCode(error) || 500
       );
     }
   },
 
-
   // MARK: Get User's Orders
   // This function is updated to remove the order_items population.
   async getMyOrders(ctx) {
     try {
       const { id: userId } = ctx.state.user;
       if (!userId) {
-        throw new ValidationError("User not authenticated.");
+        throw new UnauthorizedError("User not authenticated.");
       }
 
       const orders = await strapi.db.query("api::order.order").findMany({
         where: { user: userId },
         populate: {
-          address: true, // Only populate the address now
+          address: true,
+          order_items: { populate: ORDER_ITEMS_POPULATE },
         },
         orderBy: { createdAt: 'desc' }
       });
@@ -353,13 +667,17 @@ module.exports = createCoreController("api::order.order", ({ strapi }) => ({
       }
 
       const order = await strapi.entityService.findMany("api::order.order", {
+        // Customers may quote the new order number or the id the order was placed with
         filters: {
-          orderID: orderId,
+          ...orderNumberWhere(orderId),
           user: userId,
         },
         populate: {
           address: {
-            fields: ["id", "address_name", "phone"],
+            fields: ["id", "address_name", "phone", "pincode", "locality_name", "country_name"],
+          },
+          order_items: {
+            populate: { product_variant: { fields: ["id"] } },
           },
         },
       });
@@ -371,6 +689,7 @@ module.exports = createCoreController("api::order.order", ({ strapi }) => ({
       }
 
       const orderDetails = order[0];
+      const shipment = await getShipmentTracking(orderDetails.id);
       let statusMessage = "Unknown order status.";
       let trackingInfo = {};
       
@@ -379,27 +698,40 @@ module.exports = createCoreController("api::order.order", ({ strapi }) => ({
         case "confirmed":
           statusMessage = `Your order #${orderDetails.orderID} has been placed successfully.`;
           trackingInfo = {
-            currentStatus: "Order Placed",
-            estimatedShipDate: "Within 1-2 business days",
+            currentStatus: shipment ? shipment.statusLabel : "Order Placed",
+            estimatedShipDate: `Within ${strapi.config.get("shipping.dispatchDays", 1)} business day(s)`,
+            estimatedDeliveryDate: new Date(
+              shipment ? shipment.promisedDate : await calculatePromisedDate(orderDetails)
+            ).toDateString(),
             orderDate: orderDetails.orderedAt
               ? new Date(orderDetails.orderedAt).toLocaleString()
               : "N/A",
-            nextStep:
-              "We are processing your order and preparing it for shipment.",
+            trackingNumber: shipment ? shipment.trackingId : null,
+            nextStep: shipment
+              ? "Your order is packed and waiting for the courier to pick it up."
+              : "We are processing your order and preparing it for shipment.",
           };
           break;
         case "shipped":
           statusMessage = `Good news! Your order #${orderDetails.orderID} is on its way.`;
           trackingInfo = {
-            currentStatus: "Order on the Way",
+            currentStatus: shipment ? shipment.statusLabel : "Order on the Way",
             shippedDate: orderDetails.shippedAt
               ? new Date(orderDetails.shippedAt).toLocaleString()
               : "Soon",
-            estimatedDeliveryDate: new Date(
-              new Date().getTime() + 3 * 24 * 60 * 60 * 1000
-            ).toDateString(),
-            trackingNumber: orderDetails.trackingId || "MAMAOPT-TRK123456789", // Use the new trackingId field
-            nextStep: "Anticipate delivery within the next few days.",
+            estimatedDeliveryDate: shipment && shipment.promisedDate
+              ? new Date(shipment.promisedDate).toDateString()
+              : null,
+            trackingNumber: shipment ? shipment.trackingId : orderDetails.trackingId || null,
+            carrier: shipment ? shipment.carrier : null,
+            lastUpdate: shipment && shipment.events.length > 0
+              ? shipment.events[shipment.events.length - 1]
+              : null,
+            nextStep: shipment && shipment.status === "out_for_delivery"
+              ? "Your order will be delivered today."
+              : shipment && shipment.status === "rto"
+                ? "The courier could not deliver your order and is returning it to us. Please contact support."
+                : "Anticipate delivery within the next few days.",
           };
           break;
         case "delivered":
@@ -417,8 +749,16 @@ module.exports = createCoreController("api::order.order", ({ strapi }) => ({
           statusMessage = `Your order #${orderDetails.orderID} has been cancelled.`;
           trackingInfo = {
             currentStatus: "Cancelled",
-            cancellationReason: "Please contact support for details.",
-            nextStep: "We apologize for any inconvenience.",
+            cancelledDate: orderDetails.cancelledAt
+              ? new Date(orderDetails.cancelledAt).toLocaleString()
+              : "N/A",
+            cancellationReason: orderDetails.cancellationReason || "Please contact support for details.",
+            refundStatus: orderDetails.paymentStatus === "refund_pending" || orderDetails.paymentStatus === "refunded"
+              ? orderDetails.paymentStatus
+              : null,
+            nextStep: orderDetails.paymentStatus === "refund_pending"
+              ? "Your refund is being processed."
+              : "We apologize for any inconvenience.",
           };
           break;
         default:
@@ -435,6 +775,8 @@ module.exports = createCoreController("api::order.order", ({ strapi }) => ({
         data: {
           order: orderDetails,
           trackingInfo: trackingInfo,
+          timeline: await getStatusTimeline(orderDetails.id),
+          shipment,
         },
       });
     } catch (error) {
@@ -445,6 +787,332 @@ module.exports = createCoreController("api::order.order", ({ strapi }) => ({
       );
     }
   },
+
+  // MARK: Cancel Order
+  // Customers can cancel until the order ships; stock and refund status are handled
+  // by the order lifecycle so admin cancellations behave the same way.
+  async cancelOrder(ctx) {
+    try {
+      const { orderId } = ctx.params;
+      const { id: userId } = ctx.state.user;
+      if (!userId) {
+        throw new UnauthorizedError("User not authenticated.");
+      }
+
+      const { reason } = ctx.request.body || {};
+      const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+      if (!trimmedReason) {
+        throw new ValidationError("A reason is required to cancel an order.");
+      }
+      if (trimmedReason.length > MAX_CANCELLATION_REASON_LENGTH) {
+        throw new ValidationError(`Cancellation reason must be at most ${MAX_CANCELLATION_REASON_LENGTH} characters.`);
+      }
+
+      const order = await strapi.db.query("api::order.order").findOne({
+        where: { ...orderNumberWhere(orderId), user: userId },
+        select: ["id", "orderID", "status"],
+      });
+      if (!order) {
+        throw new NotFoundError(`Order with ID '${orderId}' not found for this user.`);
+      }
+      if (!CANCELLABLE_STATUSES.includes(order.status)) {
+        throw new ValidationError(`Order #${order.orderID} can no longer be cancelled because it is ${order.status}.`);
+      }
+
+      await strapi.db.query("api::order.order").update({
+        where: { id: order.id },
+        data: {
+          status: "cancelled",
+          cancellationReason: trimmedReason,
+          cancelledBy: "customer",
+        },
+      });
+
+      const cancelledOrder = await strapi.db.query("api::order.order").findOne({
+        where: { id: order.id },
+        populate: { order_items: { populate: ORDER_ITEMS_POPULATE } },
+      });
+
+      return ctx.send({
+        success: true,
+        message: cancelledOrder.paymentStatus === "refund_pending"
+          ? `Order #${cancelledOrder.orderID} has been cancelled. Your refund is being processed.`
+          : `Order #${cancelledOrder.orderID} has been cancelled.`,
+        data: {
+          order: cancelledOrder,
+        },
+      });
+    } catch (error) {
+      console.error("Error in cancelOrder:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Download Invoice
+  // Returns the GST invoice PDF, issuing it on first request; `?format=json` returns its details.
+  async getInvoice(ctx) {
+    try {
+      const { orderId } = ctx.params;
+      const { id: userId } = ctx.state.user;
+      if (!userId) {
+        throw new UnauthorizedError("User not authenticated.");
+      }
+
+      const order = await strapi.db.query("api::order.order").findOne({
+        where: { ...orderNumberWhere(orderId), user: userId },
+        select: ["id", "orderID", "status"],
+      });
+      if (!order) {
+        throw new NotFoundError(`Order with ID '${orderId}' not found for this user.`);
+      }
+
+      let invoice = await getInvoiceDocument({ order: order.id, documentType: "invoice" });
+      if (!invoice) {
+        if (!INVOICEABLE_STATUSES.includes(order.status)) {
+          throw new ValidationError(`An invoice is available once order #${order.orderID} is confirmed.`);
+        }
+        invoice = await issueInvoice(order.id);
+      }
+
+      return sendInvoiceDocument(ctx, invoice);
+    } catch (error) {
+      console.error("Error in getInvoice:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Credit Notes
+  // Lists the credit notes issued for an order's cancellation or returns.
+  async getCreditNotes(ctx) {
+    try {
+      const { orderId } = ctx.params;
+      const { id: userId } = ctx.state.user;
+      if (!userId) {
+        throw new UnauthorizedError("User not authenticated.");
+      }
+
+      const order = await strapi.db.query("api::order.order").findOne({
+        where: { ...orderNumberWhere(orderId), user: userId },
+        select: ["id"],
+      });
+      if (!order) {
+        throw new NotFoundError(`Order with ID '${orderId}' not found for this user.`);
+      }
+
+      const creditNotes = await strapi.db.query("api::invoice.invoice").findMany({
+        where: { order: order.id, documentType: "credit_note" },
+        select: ["id", "number", "reason", "issuedAt", "grandTotal"],
+        populate: { pdf: { select: ["url"] } },
+        orderBy: { issuedAt: "asc" },
+      });
+
+      return ctx.send({
+        success: true,
+        message: creditNotes.length > 0 ? "Credit notes retrieved successfully." : "No credit notes for this order.",
+        data: { creditNotes },
+      });
+    } catch (error) {
+      console.error("Error in getCreditNotes:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Download Credit Note
+  async getCreditNote(ctx) {
+    try {
+      const { orderId, creditNoteId } = ctx.params;
+      const { id: userId } = ctx.state.user;
+      if (!userId) {
+        throw new UnauthorizedError("User not authenticated.");
+      }
+
+      const order = await strapi.db.query("api::order.order").findOne({
+        where: { ...orderNumberWhere(orderId), user: userId },
+        select: ["id"],
+      });
+      const creditNote = order
+        ? await getInvoiceDocument({ id: creditNoteId, order: order.id, documentType: "credit_note" })
+        : null;
+      if (!creditNote) {
+        throw new NotFoundError(`Credit note ${creditNoteId} not found for order '${orderId}'.`);
+      }
+
+      return sendInvoiceDocument(ctx, creditNote);
+    } catch (error) {
+      console.error("Error in getCreditNote:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Resend Delivery Code
+  // Texts the customer a new delivery code for a shipped order, e.g. when the first one was lost.
+  async resendDeliveryOtp(ctx) {
+    try {
+      const { orderId } = ctx.params;
+      const { id: userId } = ctx.state.user;
+      if (!userId) {
+        throw new UnauthorizedError("User not authenticated.");
+      }
+
+      const order = await strapi.db.query("api::order.order").findOne({
+        where: { ...orderNumberWhere(orderId), user: userId },
+        select: ["id", "orderID"],
+      });
+      if (!order) {
+        throw new NotFoundError(`Order with ID '${orderId}' not found for this user.`);
+      }
+
+      const sent = await sendDeliveryOtp(order.id, { resend: true });
+      if (!sent) {
+        throw new ValidationError(`Add a phone number to your delivery address to receive the code for order #${order.orderID}.`);
+      }
+
+      return ctx.send({
+        success: true,
+        message: `A new delivery code for order #${order.orderID} has been sent to your phone.`,
+      });
+    } catch (error) {
+      console.error("Error in resendDeliveryOtp:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: List Orders (staff)
+  // Filters are described on `buildOrderWhere`; `page` and `pageSize` page through the results.
+  async listOrders(ctx) {
+    try {
+      const where = buildOrderWhere(ctx.query);
+      const { orders, pagination } = await findOrdersPage(where, getPagination(ctx.query));
+
+      return ctx.send({
+        success: true,
+        message: "Orders retrieved successfully.",
+        data: { orders, meta: { pagination } },
+      });
+    } catch (error) {
+      console.error("Error in listOrders:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Export Orders (staff)
+  // CSV of the orders matching the same filters as listOrders, one row per order line.
+  async exportOrders(ctx) {
+    try {
+      const csv = await exportOrdersCsv(buildOrderWhere(ctx.query));
+
+      ctx.set("Content-Type", "text/csv; charset=utf-8");
+      ctx.set("Content-Disposition", `attachment; filename="orders-${new Date().toISOString().slice(0, 10)}.csv"`);
+      ctx.body = csv;
+    } catch (error) {
+      console.error("Error in exportOrders:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Bulk Update Status (staff)
+  // Each order goes through the lifecycle rules on its own; one failing does not stop the rest.
+  async bulkUpdateStatus(ctx) {
+    try {
+      const { orderIds, status, note } = ctx.request.body || {};
+      const results = await bulkUpdateOrderStatus(orderIds, status, { note });
+      const updated = results.filter((result) => result.success && result.changed).length;
+
+      return ctx.send({
+        success: true,
+        message: `Updated ${updated} of ${results.length} order(s).`,
+        data: { results },
+      });
+    } catch (error) {
+      console.error("Error in bulkUpdateStatus:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Assign Tracking IDs (staff)
+  async assignTracking(ctx) {
+    try {
+      const { assignments, ship } = ctx.request.body || {};
+      const results = await assignTrackingIds(assignments, { ship: ship === true });
+      const updated = results.filter((result) => result.success).length;
+
+      return ctx.send({
+        success: true,
+        message: `Assigned tracking IDs to ${updated} of ${results.length} order(s).`,
+        data: { results },
+      });
+    } catch (error) {
+      console.error("Error in assignTracking:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Confirm Delivery (staff)
+  // Couriers mark an order delivered with the code the customer gives them at the door.
+  async confirmDelivery(ctx) {
+    try {
+      const { orderId } = ctx.params;
+      const { otp } = ctx.request.body || {};
+
+      const order = await strapi.db.query("api::order.order").findOne({
+        where: orderNumberWhere(orderId),
+        select: ["id", "orderID"],
+      });
+      if (!order) {
+        throw new NotFoundError(`Order with ID '${orderId}' not found.`);
+      }
+
+      await confirmDeliveryWithOtp(order.id, otp);
+
+      return ctx.send({
+        success: true,
+        message: `Order #${order.orderID} has been delivered.`,
+      });
+    } catch (error) {
+      console.error("Error in confirmDelivery:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
 }));
 
 
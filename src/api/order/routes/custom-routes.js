@@ -72,5 +72,127 @@ module.exports = {
         policies: [],
       },
     },
+    {
+      method: "POST",
+      path: "/orders/:orderId/cancel",
+      handler: "api::order.order.cancelOrder",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::order.order.cancelOrder"],
+        },
+      },
+    },
+    {
+      method: "GET",
+      path: "/orders/:orderId/invoice",
+      handler: "api::order.order.getInvoice",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::order.order.getInvoice"],
+        },
+      },
+    },
+    {
+      method: "GET",
+      path: "/orders/:orderId/credit-notes",
+      handler: "api::order.order.getCreditNotes",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::order.order.getCreditNotes"],
+        },
+      },
+    },
+    {
+      method: "GET",
+      path: "/orders/:orderId/credit-notes/:creditNoteId",
+      handler: "api::order.order.getCreditNote",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::order.order.getCreditNote"],
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "/orders/:orderId/delivery-otp",
+      handler: "api::order.order.resendDeliveryOtp",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::order.order.resendDeliveryOtp"],
+        },
+      },
+    },
+
+    // Staff routes: grant these actions only to the staff role in Users & Permissions
+    {
+      method: "GET",
+      path: "/orders/manage",
+      handler: "api::order.order.listOrders",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::order.order.listOrders"],
+        },
+      },
+    },
+    {
+      method: "GET",
+      path: "/orders/manage/export",
+      handler: "api::order.order.exportOrders",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::order.order.exportOrders"],
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "/orders/manage/status",
+      handler: "api::order.order.bulkUpdateStatus",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::order.order.bulkUpdateStatus"],
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "/orders/manage/tracking",
+      handler: "api::order.order.assignTracking",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::order.order.assignTracking"],
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "/orders/manage/:orderId/confirm-delivery",
+      handler: "api::order.order.confirmDelivery",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::order.order.confirmDelivery"],
+        },
+      },
+    },
   ],
 };
@@ -0,0 +1,126 @@
+// path: src/api/payment/controllers/payment.js
+
+"use strict";
+
+const { createCoreController } = require("@strapi/strapi").factories;
+const { ValidationError, NotFoundError, UnauthorizedError } = require("@strapi/utils").errors;
+const { isCashOnDelivery } = require("../../../utils/shipping.js");
+const {
+  createPaymentIntent,
+  toClientPayment,
+  handleWebhook,
+} = require("../../../utils/payment.js");
+const { orderNumberWhere } = require("../../../utils/orderNumber.js");
+
+const PAYABLE_PAYMENT_STATUSES = ["pending", "failed"];
+
+/**
+ * Helper function to handle and format errors consistently.
+ */
+const handleErrors = (error) => {
+  console.error("Error occurred:", error);
+  const errorMessage = String(error.message || "");
+
+  if (error instanceof UnauthorizedError) {
+    return { message: "User authentication required." };
+  }
+  if (error instanceof ValidationError) {
+    return { message: errorMessage };
+  }
+  if (error instanceof NotFoundError) {
+    return { message: errorMessage };
+  }
+  if (errorMessage.includes("User not authenticated")) {
+    return { message: "User authentication required." };
+  }
+  return { message: "An unexpected error occurred." };
+};
+
+/**
+ * Helper function to map error messages to status codes.
+ */
+const handleStatusCode = (error) => {
+  if (error instanceof UnauthorizedError) return 401;
+  if (error instanceof ValidationError) return 400;
+  if (error instanceof NotFoundError) return 404;
+  if (String(error.message || "").includes("User not authenticated")) {
+    return 401;
+  }
+  return 500;
+};
+
+module.exports = createCoreController("api::payment.payment", ({ strapi }) => ({
+  // MARK: Create Payment Intent
+  // Starts (or restarts, after a failure) the payment of one of the user's pending orders.
+  async createIntent(ctx) {
+    try {
+      const { id: userId } = ctx.state.user || {};
+      if (!userId) {
+        throw new UnauthorizedError("User not authenticated.");
+      }
+
+      const { orderId } = ctx.params;
+      const order = await strapi.db.query("api::order.order").findOne({
+        where: { ...orderNumberWhere(orderId), user: userId },
+        select: ["id", "orderID", "status", "paymentStatus", "paymentMethod", "totalAmount", "walletAmount"],
+      });
+      if (!order) {
+        throw new NotFoundError(`Order with ID '${orderId}' not found for this user.`);
+      }
+      if (isCashOnDelivery(order.paymentMethod)) {
+        throw new ValidationError(`Order #${order.orderID} is paid on delivery.`);
+      }
+      if (order.status !== "pending" || !PAYABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+        throw new ValidationError(`Order #${order.orderID} is not awaiting payment.`);
+      }
+
+      const payment = await createPaymentIntent(order);
+
+      return ctx.send({
+        success: true,
+        message: "Payment started.",
+        data: { payment: toClientPayment(payment) },
+      });
+    } catch (error) {
+      console.error("Error in createIntent:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Provider Webhook
+  // Public route; the provider's signature over the raw body is what authenticates it.
+  async webhook(ctx) {
+    try {
+      const rawBody = ctx.request.body && ctx.request.body[Symbol.for("unparsedBody")];
+      if (typeof rawBody !== "string" || !rawBody) {
+        throw new ValidationError("Webhook body is required.");
+      }
+
+      const { applied, flagged, payment } = await handleWebhook(ctx.params.provider, {
+        rawBody,
+        headers: ctx.request.headers,
+      });
+
+      let message = applied ? "Payment event applied." : "Payment event already processed.";
+      if (flagged) {
+        message = "Payment event flagged for review.";
+      }
+      return ctx.send({
+        success: true,
+        message,
+        data: { status: payment.status },
+      });
+    } catch (error) {
+      console.error("Error in payment webhook:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+}));
@@ -0,0 +1,29 @@
+// path: src/api/payment/routes/custom-routes.js
+
+module.exports = {
+  routes: [
+    {
+      method: "POST",
+      path: "/payments/orders/:orderId/intent",
+      handler: "api::payment.payment.createIntent",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::payment.payment.createIntent"],
+        },
+      },
+    },
+    {
+      // Called by the payment provider; authenticated by the webhook signature
+      method: "POST",
+      path: "/payments/webhook/:provider",
+      handler: "api::payment.payment.webhook",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+  ],
+};
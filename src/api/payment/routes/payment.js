@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * payment router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::payment.payment');
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * payment service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::payment.payment');
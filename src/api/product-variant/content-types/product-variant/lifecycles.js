@@ -0,0 +1,12 @@
+// path: src/api/product-variant/content-types/product-variant/lifecycles.js
+
+module.exports = {
+  // Staff setting `inStock` themselves takes over from checkout: a variant they switch off
+  // is not switched back on when a cancelled order returns its units.
+  async beforeUpdate(event) {
+    const { data } = event.params;
+    if (data && data.inStock !== undefined) {
+      data.soldOutBySales = false;
+    }
+  },
+};
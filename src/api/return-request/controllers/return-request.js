@@ -0,0 +1,736 @@
+// path: src/api/return-request/controllers/return-request.js
+
+"use strict";
+
+const { createCoreController } = require("@strapi/strapi").factories;
+const { ValidationError, NotFoundError, UnauthorizedError } = require("@strapi/utils").errors;
+const { roundCurrency } = require("../../../utils/coupon.js");
+const { getMasterProductFromVariant } = require("../../../utils/cartPricing.js");
+const { getTaxSettings } = require("../../../utils/tax.js");
+const { decrementVariantStock, restoreVariantStock } = require("../../../utils/inventory.js");
+const { createUserNotification } = require("../../../utils/notification.js");
+const { issueReturnCreditNote } = require("../../../utils/invoice.js");
+const { orderNumberWhere } = require("../../../utils/orderNumber.js");
+const { creditWallet } = require("../../../utils/wallet.js");
+
+const RETURN_UID = "api::return-request.return-request";
+
+const RETURN_REASONS = [
+  "wrong_fit",
+  "wrong_prescription",
+  "damaged",
+  "defective",
+  "not_as_described",
+  "changed_mind",
+  "other",
+];
+const RESOLUTIONS = ["refund", "exchange"];
+const REFUND_METHODS = ["original", "wallet"];
+const MAX_TEXT_LENGTH = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RETURN_POPULATE = {
+  order: { select: ["id", "orderID", "status", "deliveredAt"] },
+  order_item: true,
+  exchangeVariant: { select: ["id"] },
+  exchangeOrder: { select: ["id", "orderID", "status"] },
+  photos: { select: ["id", "url", "formats"] },
+};
+
+/**
+ * Helper function to handle and format errors consistently.
+ */
+const handleErrors = (error) => {
+  console.error("Error occurred:", error);
+  const errorMessage = String(error.message || "");
+
+  if (error instanceof UnauthorizedError) {
+    return { message: "User authentication required." };
+  }
+  if (error instanceof ValidationError) {
+    return { message: errorMessage };
+  }
+  if (error instanceof NotFoundError) {
+    return { message: errorMessage };
+  }
+  if (errorMessage.includes("User not authenticated")) {
+    return { message: "User authentication required." };
+  }
+  return { message: "An unexpected error occurred." };
+};
+
+/**
+ * Helper function to map error messages to status codes.
+ */
+const handleStatusCode = (error) => {
+  if (error instanceof UnauthorizedError) return 401;
+  if (error instanceof ValidationError) return 400;
+  if (error instanceof NotFoundError) return 404;
+  if (String(error.message || "").includes("User not authenticated")) {
+    return 401;
+  }
+  return 500;
+};
+
+/**
+ * Reads the request body for JSON and multipart requests alike; multipart
+ * requests carry their fields as a JSON string in `data`.
+ */
+const parseRequestData = (request) => {
+  const body = request.body || {};
+  if (typeof body.data === "string") {
+    try {
+      return JSON.parse(body.data);
+    } catch (e) {
+      throw new ValidationError('Invalid JSON in "data" field of multipart request.');
+    }
+  }
+  return body;
+};
+
+const optionalText = (value, field) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new ValidationError(`${field} must be at most ${MAX_TEXT_LENGTH} characters.`);
+  }
+  return text || null;
+};
+
+const requiredText = (value, field) => {
+  const text = optionalText(value, field);
+  if (!text) {
+    throw new ValidationError(`${field} is required.`);
+  }
+  return text;
+};
+
+const parsePositiveInteger = (value, field) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ValidationError(`${field} must be a positive whole number.`);
+  }
+  return number;
+};
+
+/**
+ * Helper to load a return request with everything the staff steps need.
+ */
+const findReturnRequest = async (id) => {
+  const returnRequest = await strapi.db.query(RETURN_UID).findOne({
+    where: { id },
+    populate: {
+      ...RETURN_POPULATE,
+      order: { select: ["id", "orderID", "status", "deliveredAt"], populate: { address: { select: ["id"] } } },
+      user: { select: ["id"] },
+    },
+  });
+  if (!returnRequest) {
+    throw new NotFoundError(`Return request ${id} not found.`);
+  }
+  return returnRequest;
+};
+
+/**
+ * Moves a return request from one of `fromStatuses` to the next step. The status
+ * is checked in the update itself, so two staff members acting on the same
+ * request at once cannot both apply a step.
+ */
+const transitionReturnRequest = async (returnRequest, fromStatuses, data) => {
+  if (!fromStatuses.includes(returnRequest.status)) {
+    throw new ValidationError(`Return request ${returnRequest.id} is ${returnRequest.status} and cannot be changed this way.`);
+  }
+
+  const { count } = await strapi.db.query(RETURN_UID).updateMany({
+    where: { id: returnRequest.id, status: { $in: fromStatuses } },
+    data,
+  });
+  if (count === 0) {
+    throw new ValidationError(`Return request ${returnRequest.id} was changed by someone else. Refresh and try again.`);
+  }
+};
+
+// Units of an order line already covered by return requests that were not rejected.
+const getRequestedQuantity = async (orderItemId) => {
+  const requests = await strapi.db.query(RETURN_UID).findMany({
+    where: { order_item: orderItemId, status: { $ne: "rejected" } },
+    select: ["quantity"],
+  });
+  return requests.reduce((sum, request) => sum + (request.quantity || 0), 0);
+};
+
+// Refuses a return of more units of an order line than are left to return.
+const checkReturnableQuantity = async (orderItem, quantity) => {
+  const returnable = orderItem.quantity - await getRequestedQuantity(orderItem.id);
+  if (quantity > returnable) {
+    throw new ValidationError(returnable > 0
+      ? `Only ${returnable} unit(s) of ${orderItem.productName} can still be returned.`
+      : `${orderItem.productName} already has a return request.`);
+  }
+};
+
+/**
+ * Amount to refund for `quantity` units of an order line: its share of what was
+ * charged for the line, including GST when prices were shown without it.
+ */
+const getRefundableAmount = (orderItem, quantity) => {
+  const share = quantity / orderItem.quantity;
+  const charged = Number(orderItem.lineTotal || 0) +
+    (getTaxSettings().pricesIncludeTax ? 0 : Number(orderItem.taxAmount || 0));
+  return roundCurrency(charged * share);
+};
+
+// Exchanges are for another colour or size of the same product.
+const findExchangeVariant = async (variantId, orderItem) => {
+  const variant = await strapi.db.query("api::product-variant.product-variant").findOne({
+    where: { id: variantId, isActive: true },
+    populate: {
+      product: { select: ["id"] },
+      contact_lens: { select: ["id"] },
+      accessory: { select: ["id"] },
+      color: { select: ["id", "name"] },
+      frame_size: { select: ["id", "name"] },
+    },
+  });
+  if (!variant) {
+    throw new NotFoundError(`Variant ${variantId} not found.`);
+  }
+
+  const { master, type } = getMasterProductFromVariant(variant);
+  const productType = type === "contact-lens" ? "contact_lens" : type;
+  if (!master || master.id !== orderItem.productId || productType !== orderItem.productType) {
+    throw new ValidationError("An exchange must be for another variant of the same product.");
+  }
+  return variant;
+};
+
+/**
+ * Tells the customer about a step in their return. A failed notification is
+ * logged rather than undoing a step staff have already taken.
+ */
+const notifyCustomer = async (returnRequest, title, message) => {
+  try {
+    await createUserNotification({
+      userId: returnRequest.user.id,
+      orderId: returnRequest.order ? returnRequest.order.id : null,
+      type: "order_status",
+      title,
+      message,
+    });
+  } catch (error) {
+    console.error(`Failed to notify the customer about return request ${returnRequest.id}:`, error);
+  }
+};
+
+// Staff notes are private; db.query does not sanitize, so drop them before customers see a request.
+const toCustomerView = (returnRequest) => {
+  const customerView = { ...returnRequest };
+  delete customerView.staffNotes;
+  return customerView;
+};
+
+const describeReturn = (returnRequest) =>
+  `your return of ${returnRequest.order_item ? returnRequest.order_item.productName : "an item"} from order #${returnRequest.order.orderID}`;
+
+module.exports = createCoreController(RETURN_UID, ({ strapi }) => ({
+  // MARK: Request Return
+  // Customers can return delivered lines within the return window, with photos of the problem.
+  async requestReturn(ctx) {
+    try {
+      const { id: userId } = ctx.state.user || {};
+      if (!userId) {
+        throw new UnauthorizedError("User not authenticated.");
+      }
+
+      const data = parseRequestData(ctx.request);
+      const { orderId, orderItemId } = data;
+      if (!orderId || !orderItemId) {
+        throw new ValidationError("Order ID and order item ID are required.");
+      }
+      const quantity = parsePositiveInteger(data.quantity === undefined ? 1 : data.quantity, "Quantity");
+      if (!RETURN_REASONS.includes(data.reason)) {
+        throw new ValidationError(`Reason must be one of: ${RETURN_REASONS.join(", ")}.`);
+      }
+      const reasonDetails = data.reason === "other"
+        ? requiredText(data.reasonDetails, "Reason details")
+        : optionalText(data.reasonDetails, "Reason details");
+      const requestedResolution = data.requestedResolution || "refund";
+      if (!RESOLUTIONS.includes(requestedResolution)) {
+        throw new ValidationError(`Requested resolution must be one of: ${RESOLUTIONS.join(", ")}.`);
+      }
+
+      const order = await strapi.db.query("api::order.order").findOne({
+        where: { ...orderNumberWhere(orderId), user: userId },
+        select: ["id", "orderID", "status", "deliveredAt"],
+      });
+      if (!order) {
+        throw new NotFoundError(`Order with ID '${orderId}' not found for this user.`);
+      }
+      if (order.status !== "delivered" || !order.deliveredAt) {
+        throw new ValidationError(`Order #${order.orderID} can only be returned once it has been delivered.`);
+      }
+      const windowDays = strapi.config.get("returns.windowDays", 10);
+      if (Date.now() - new Date(order.deliveredAt).getTime() > windowDays * DAY_MS) {
+        throw new ValidationError(`The ${windowDays}-day return window for order #${order.orderID} has closed.`);
+      }
+
+      const orderItem = await strapi.db.query("api::order-item.order-item").findOne({
+        where: { id: orderItemId, order: order.id },
+      });
+      if (!orderItem) {
+        throw new NotFoundError(`Item ${orderItemId} is not part of order #${order.orderID}.`);
+      }
+      await checkReturnableQuantity(orderItem, quantity);
+
+      let exchangeVariant = null;
+      if (requestedResolution === "exchange") {
+        if (!data.exchangeVariantId) {
+          throw new ValidationError("Choose the variant you want in exchange.");
+        }
+        exchangeVariant = await findExchangeVariant(data.exchangeVariantId, orderItem);
+      }
+
+      const files = ctx.request.files && ctx.request.files.photos;
+      const photos = files ? [].concat(files) : [];
+      const maxPhotos = strapi.config.get("returns.maxPhotos", 5);
+      if (photos.length > maxPhotos) {
+        throw new ValidationError(`At most ${maxPhotos} photos can be attached to a return request.`);
+      }
+      if (photos.some((photo) => !String(photo.type || photo.mimetype || "").startsWith("image/"))) {
+        throw new ValidationError("Return photos must be images.");
+      }
+      const uploaded = photos.length > 0
+        ? await strapi.plugins.upload.services.upload.upload({
+          data: {},
+          files: photos,
+        })
+        : [];
+      const photoIds = uploaded.map((file) => file.id);
+
+      // Checked again with the order line locked, so two requests at once cannot
+      // both claim its last units. Photos of a request that is refused are deleted.
+      let created;
+      try {
+        created = await strapi.db.transaction(async ({ trx }) => {
+          await strapi.db.connection("order_items").transacting(trx).where("id", orderItem.id).forUpdate().first("id");
+          await checkReturnableQuantity(orderItem, quantity);
+
+          return strapi.db.query(RETURN_UID).create({
+            data: {
+              order: order.id,
+              order_item: orderItem.id,
+              user: userId,
+              quantity,
+              reason: data.reason,
+              reasonDetails,
+              requestedResolution,
+              exchangeVariant: exchangeVariant ? exchangeVariant.id : null,
+              photos: photoIds,
+              status: "requested",
+            },
+          });
+        });
+      } catch (error) {
+        for (const file of uploaded) {
+          try {
+            await strapi.plugins.upload.services.upload.remove(file);
+          } catch (removeError) {
+            console.error(`Failed to delete photo ${file.id} of a refused return request:`, removeError);
+          }
+        }
+        throw error;
+      }
+      const returnRequest = await strapi.db.query(RETURN_UID).findOne({
+        where: { id: created.id },
+        populate: { ...RETURN_POPULATE, user: { select: ["id"] } },
+      });
+
+      await notifyCustomer(
+        returnRequest,
+        "Return request received",
+        `We have received ${describeReturn(returnRequest)} and will review it shortly.`
+      );
+
+      return ctx.send({
+        success: true,
+        message: "Return request submitted successfully.",
+        data: { returnRequest: toCustomerView(returnRequest) },
+      }, 201);
+    } catch (error) {
+      console.error("Error in requestReturn:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Get User's Returns
+  async getMyReturns(ctx) {
+    try {
+      const { id: userId } = ctx.state.user || {};
+      if (!userId) {
+        throw new UnauthorizedError("User not authenticated.");
+      }
+
+      const returnRequests = await strapi.db.query(RETURN_UID).findMany({
+        where: { user: userId },
+        populate: RETURN_POPULATE,
+        orderBy: { createdAt: "desc" },
+      });
+
+      return ctx.send({
+        success: true,
+        message: returnRequests.length > 0 ? "Return requests retrieved successfully." : "No return requests found for this user.",
+        data: { returnRequests: returnRequests.map(toCustomerView) },
+      });
+    } catch (error) {
+      console.error("Error in getMyReturns:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: List Returns (staff)
+  async listReturns(ctx) {
+    try {
+      const { status } = ctx.query;
+      const returnRequests = await strapi.db.query(RETURN_UID).findMany({
+        where: status ? { status } : {},
+        populate: { ...RETURN_POPULATE, user: { select: ["id", "username", "email"] } },
+        orderBy: { createdAt: "asc" },
+      });
+
+      return ctx.send({
+        success: true,
+        message: "Return requests retrieved successfully.",
+        data: { returnRequests },
+      });
+    } catch (error) {
+      console.error("Error in listReturns:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Approve Return (staff)
+  async approveReturn(ctx) {
+    try {
+      const returnRequest = await findReturnRequest(ctx.params.id);
+      const { notes } = ctx.request.body || {};
+
+      await transitionReturnRequest(returnRequest, ["requested"], {
+        status: "approved",
+        approvedAt: new Date(),
+        staffNotes: optionalText(notes, "Notes") || returnRequest.staffNotes,
+      });
+      await notifyCustomer(
+        returnRequest,
+        "Return approved",
+        `We have approved ${describeReturn(returnRequest)}. We will let you know when the pickup is scheduled.`
+      );
+
+      return ctx.send({
+        success: true,
+        message: `Return request ${returnRequest.id} approved.`,
+        data: { returnRequest: await findReturnRequest(returnRequest.id) },
+      });
+    } catch (error) {
+      console.error("Error in approveReturn:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Reject Return (staff)
+  // Requests can be rejected before pickup, or after an inspection the item failed.
+  async rejectReturn(ctx) {
+    try {
+      const returnRequest = await findReturnRequest(ctx.params.id);
+      const reason = requiredText((ctx.request.body || {}).reason, "Rejection reason");
+      if (returnRequest.status === "inspected" && returnRequest.inspectionPassed) {
+        throw new ValidationError(`Return request ${returnRequest.id} passed inspection; resolve it instead.`);
+      }
+
+      await transitionReturnRequest(returnRequest, ["requested", "approved", "inspected"], {
+        status: "rejected",
+        rejectionReason: reason,
+        rejectedAt: new Date(),
+      });
+      await notifyCustomer(
+        returnRequest,
+        "Return request declined",
+        `We could not accept ${describeReturn(returnRequest)}: ${reason}`
+      );
+
+      return ctx.send({
+        success: true,
+        message: `Return request ${returnRequest.id} rejected.`,
+        data: { returnRequest: await findReturnRequest(returnRequest.id) },
+      });
+    } catch (error) {
+      console.error("Error in rejectReturn:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Schedule Pickup (staff)
+  // Can be called again to move a pickup that has not happened yet.
+  async schedulePickup(ctx) {
+    try {
+      const returnRequest = await findReturnRequest(ctx.params.id);
+      const { pickupDate } = ctx.request.body || {};
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(pickupDate || "")) || isNaN(Date.parse(pickupDate))) {
+        throw new ValidationError("Pickup date is required in YYYY-MM-DD format.");
+      }
+      if (pickupDate < new Date().toISOString().slice(0, 10)) {
+        throw new ValidationError("Pickup date cannot be in the past.");
+      }
+
+      await transitionReturnRequest(returnRequest, ["approved", "pickup_scheduled"], {
+        status: "pickup_scheduled",
+        pickupDate,
+        pickupScheduledAt: new Date(),
+      });
+      await notifyCustomer(
+        returnRequest,
+        returnRequest.status === "pickup_scheduled" ? "Return pickup rescheduled" : "Return pickup scheduled",
+        `We will collect the item for ${describeReturn(returnRequest)} on ${pickupDate}.`
+      );
+
+      return ctx.send({
+        success: true,
+        message: `Pickup for return request ${returnRequest.id} scheduled on ${pickupDate}.`,
+        data: { returnRequest: await findReturnRequest(returnRequest.id) },
+      });
+    } catch (error) {
+      console.error("Error in schedulePickup:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Inspect Return (staff)
+  // Records the inspection of the collected item and, when it can be sold again, restocks it.
+  async inspectReturn(ctx) {
+    try {
+      const returnRequest = await findReturnRequest(ctx.params.id);
+      const { passed, restock = false, notes } = ctx.request.body || {};
+      if (typeof passed !== "boolean") {
+        throw new ValidationError("Inspection result 'passed' must be true or false.");
+      }
+      const variantId = returnRequest.order_item && returnRequest.order_item.variantId;
+      if (restock && !variantId) {
+        throw new ValidationError("The returned variant no longer exists and cannot be restocked.");
+      }
+
+      const now = new Date();
+      await strapi.db.transaction(async ({ trx }) => {
+        await transitionReturnRequest(returnRequest, ["pickup_scheduled"], {
+          status: "inspected",
+          inspectionPassed: passed,
+          inspectionNotes: optionalText(notes, "Inspection notes"),
+          inspectedAt: now,
+          restockedAt: restock ? now : null,
+        });
+        if (restock) {
+          await restoreVariantStock(variantId, returnRequest.quantity, { trx });
+        }
+      });
+      await notifyCustomer(
+        returnRequest,
+        "Returned item inspected",
+        passed
+          ? `We have checked the item from ${describeReturn(returnRequest)} and will complete your ${returnRequest.requestedResolution} shortly.`
+          : `The item from ${describeReturn(returnRequest)} did not pass our inspection. Our team will contact you.`
+      );
+
+      return ctx.send({
+        success: true,
+        message: `Return request ${returnRequest.id} inspected.`,
+        data: { returnRequest: await findReturnRequest(returnRequest.id) },
+      });
+    } catch (error) {
+      console.error("Error in inspectReturn:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Resolve Return (staff)
+  // Refunds are recorded as pending for payments to process, or credited to the wallet at once with
+  // `refundMethod: "wallet"`; exchanges ship a free replacement order.
+  async resolveReturn(ctx) {
+    try {
+      const returnRequest = await findReturnRequest(ctx.params.id);
+      const body = ctx.request.body || {};
+      const resolution = body.resolution || returnRequest.requestedResolution;
+      if (!RESOLUTIONS.includes(resolution)) {
+        throw new ValidationError(`Resolution must be one of: ${RESOLUTIONS.join(", ")}.`);
+      }
+      if (returnRequest.status === "inspected" && !returnRequest.inspectionPassed) {
+        throw new ValidationError(`Return request ${returnRequest.id} failed inspection; reject it instead.`);
+      }
+      const orderItem = returnRequest.order_item;
+      if (!orderItem) {
+        throw new ValidationError(`Return request ${returnRequest.id} has no order line to resolve.`);
+      }
+      const now = new Date();
+
+      if (resolution === "refund") {
+        const refundable = getRefundableAmount(orderItem, returnRequest.quantity);
+        const refundAmount = body.refundAmount === undefined ? refundable : roundCurrency(Number(body.refundAmount));
+        if (!Number.isFinite(refundAmount) || refundAmount < 0 || refundAmount > refundable) {
+          throw new ValidationError(`Refund amount must be between 0 and ${refundable}.`);
+        }
+        const refundMethod = body.refundMethod || "original";
+        if (!REFUND_METHODS.includes(refundMethod)) {
+          throw new ValidationError(`Refund method must be one of: ${REFUND_METHODS.join(", ")}.`);
+        }
+        const toWallet = refundMethod === "wallet" && refundAmount > 0;
+
+        await strapi.db.transaction(async () => {
+          await transitionReturnRequest(returnRequest, ["inspected"], {
+            status: "resolved",
+            resolution,
+            refundAmount,
+            refundMethod,
+            refundStatus: toWallet ? "processed" : "pending",
+            resolvedAt: now,
+            creditNoteDueAt: now,
+          });
+          if (toWallet) {
+            await creditWallet(returnRequest.user.id, {
+              amount: refundAmount,
+              reason: "refund",
+              orderId: returnRequest.order.id,
+              note: `Refund for return request ${returnRequest.id}.`,
+              notify: false,
+            });
+          }
+        });
+        try {
+          await issueReturnCreditNote(returnRequest.id);
+        } catch (creditNoteError) {
+          console.error(`Failed to issue a credit note for return request ${returnRequest.id}:`, creditNoteError);
+        }
+        await notifyCustomer(
+          returnRequest,
+          toWallet ? "Refund added to your wallet" : "Refund initiated",
+          toWallet
+            ? `A refund of ₹${refundAmount.toFixed(2)} for ${describeReturn(returnRequest)} has been added to your wallet.`
+            : `A refund of ₹${refundAmount.toFixed(2)} for ${describeReturn(returnRequest)} has been initiated.`
+        );
+      } else {
+        const variantId = body.exchangeVariantId || (returnRequest.exchangeVariant && returnRequest.exchangeVariant.id);
+        if (!variantId) {
+          throw new ValidationError("Choose the variant to send in exchange.");
+        }
+        const variant = await findExchangeVariant(variantId, orderItem);
+
+        await strapi.db.transaction(async ({ trx }) => {
+          await transitionReturnRequest(returnRequest, ["inspected"], {
+            status: "resolved",
+            resolution,
+            resolvedAt: now,
+          });
+
+          const decremented = await decrementVariantStock(variant.id, returnRequest.quantity, { trx });
+          if (!decremented) {
+            throw new ValidationError(`Variant ${variant.id} does not have ${returnRequest.quantity} unit(s) in stock for the exchange.`);
+          }
+
+          // The replacement has already been paid for through the returned line
+          const exchangeOrder = await strapi.db.query("api::order.order").create({
+            data: {
+              user: returnRequest.user.id,
+              status: "confirmed",
+              subtotalAmount: 0,
+              discountAmount: 0,
+              taxAmount: 0,
+              shippingFee: 0,
+              codSurcharge: 0,
+              totalAmount: 0,
+              paymentMethod: "exchange",
+              paymentStatus: "done",
+              address: returnRequest.order.address ? returnRequest.order.address.id : null,
+              statusChange: { note: `Replacement for return request ${returnRequest.id} on order #${returnRequest.order.orderID}.` },
+            },
+          });
+          await strapi.db.query("api::order-item.order-item").create({
+            data: {
+              order: exchangeOrder.id,
+              product_variant: variant.id,
+              variantId: variant.id,
+              productType: orderItem.productType,
+              productId: orderItem.productId,
+              productName: orderItem.productName,
+              colorName: variant.color ? variant.color.name : null,
+              colorCode: typeof variant.color_picker === "string" ? variant.color_picker : null,
+              frameSize: variant.frame_size ? variant.frame_size.name : null,
+              imageUrl: orderItem.imageUrl,
+              quantity: returnRequest.quantity,
+              listPrice: orderItem.listPrice,
+              framePrice: orderItem.framePrice,
+              lensPrice: orderItem.lensPrice,
+              unitPrice: orderItem.unitPrice,
+              discountAmount: roundCurrency(Number(orderItem.unitPrice) * returnRequest.quantity),
+              taxableValue: 0,
+              taxAmount: 0,
+              gstRate: orderItem.gstRate,
+              hsnCode: orderItem.hsnCode,
+              lineTotal: 0,
+              lensConfiguration: orderItem.lensConfiguration,
+            },
+          });
+          await strapi.db.query(RETURN_UID).update({
+            where: { id: returnRequest.id },
+            data: { exchangeVariant: variant.id, exchangeOrder: exchangeOrder.id },
+          });
+        });
+
+        const resolved = await findReturnRequest(returnRequest.id);
+        await notifyCustomer(
+          returnRequest,
+          "Exchange on its way",
+          `Your replacement for ${describeReturn(returnRequest)} has been placed as order #${resolved.exchangeOrder.orderID}.`
+        );
+      }
+
+      return ctx.send({
+        success: true,
+        message: `Return request ${returnRequest.id} resolved with a ${resolution}.`,
+        data: { returnRequest: await findReturnRequest(returnRequest.id) },
+      });
+    } catch (error) {
+      console.error("Error in resolveReturn:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+}));
@@ -0,0 +1,105 @@
+// path: src/api/return-request/routes/custom-routes.js
+
+module.exports = {
+  routes: [
+    // Customer routes
+    {
+      method: "POST",
+      path: "/returns",
+      handler: "api::return-request.return-request.requestReturn",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::return-request.return-request.requestReturn"],
+        },
+      },
+    },
+    {
+      method: "GET",
+      path: "/returns/me",
+      handler: "api::return-request.return-request.getMyReturns",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::return-request.return-request.getMyReturns"],
+        },
+      },
+    },
+
+    // Staff routes: grant these actions only to the staff role in Users & Permissions
+    {
+      method: "GET",
+      path: "/returns/manage",
+      handler: "api::return-request.return-request.listReturns",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::return-request.return-request.listReturns"],
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "/returns/:id/approve",
+      handler: "api::return-request.return-request.approveReturn",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::return-request.return-request.approveReturn"],
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "/returns/:id/reject",
+      handler: "api::return-request.return-request.rejectReturn",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::return-request.return-request.rejectReturn"],
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "/returns/:id/schedule-pickup",
+      handler: "api::return-request.return-request.schedulePickup",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::return-request.return-request.schedulePickup"],
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "/returns/:id/inspect",
+      handler: "api::return-request.return-request.inspectReturn",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::return-request.return-request.inspectReturn"],
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "/returns/:id/resolve",
+      handler: "api::return-request.return-request.resolveReturn",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::return-request.return-request.resolveReturn"],
+        },
+      },
+    },
+  ],
+};
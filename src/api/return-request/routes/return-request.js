@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * return-request router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::return-request.return-request');
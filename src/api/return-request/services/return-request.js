@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * return-request service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::return-request.return-request');
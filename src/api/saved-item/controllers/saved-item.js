@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * saved-item controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::saved-item.saved-item');
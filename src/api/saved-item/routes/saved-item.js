@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * saved-item router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::saved-item.saved-item');
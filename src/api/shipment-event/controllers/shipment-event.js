@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * shipment-event controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::shipment-event.shipment-event');
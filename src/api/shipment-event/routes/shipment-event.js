@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * shipment-event router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::shipment-event.shipment-event');
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * shipment-event service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::shipment-event.shipment-event');
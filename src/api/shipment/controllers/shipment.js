@@ -0,0 +1,182 @@
+// path: src/api/shipment/controllers/shipment.js
+
+"use strict";
+
+const { createCoreController } = require("@strapi/strapi").factories;
+const { ValidationError, NotFoundError } = require("@strapi/utils").errors;
+const {
+  getCarrier,
+  createShipmentForOrder,
+  handleCarrierWebhook,
+  syncShipment,
+  getShipmentTracking,
+} = require("../../../utils/shipment.js");
+const { orderNumberWhere } = require("../../../utils/orderNumber.js");
+
+/**
+ * Helper function to handle and format errors consistently.
+ */
+const handleErrors = (error) => {
+  console.error("Error occurred:", error);
+  const errorMessage = String(error.message || "");
+
+  if (error instanceof ValidationError) {
+    return { message: errorMessage };
+  }
+  if (error instanceof NotFoundError) {
+    return { message: errorMessage };
+  }
+  if (errorMessage.includes("User not authenticated")) {
+    return { message: "User authentication required." };
+  }
+  return { message: "An unexpected error occurred." };
+};
+
+/**
+ * Helper function to map error messages to status codes.
+ */
+const handleStatusCode = (error) => {
+  if (error instanceof ValidationError) return 400;
+  if (error instanceof NotFoundError) return 404;
+  if (String(error.message || "").includes("User not authenticated")) {
+    return 401;
+  }
+  return 500;
+};
+
+module.exports = createCoreController("api::shipment.shipment", ({ strapi }) => ({
+  // MARK: Create Shipment
+  // Staff only: books a confirmed order with a carrier. The order ships on the carrier's first scan.
+  async createShipment(ctx) {
+    try {
+      const { orderId } = ctx.params;
+      const { carrier } = ctx.request.body || {};
+
+      const order = await strapi.db.query("api::order.order").findOne({
+        where: orderNumberWhere(orderId),
+        select: ["id"],
+      });
+      if (!order) {
+        throw new NotFoundError(`Order with ID '${orderId}' not found.`);
+      }
+
+      await createShipmentForOrder(order.id, { carrierName: carrier });
+
+      return ctx.send({
+        success: true,
+        message: "Shipment booked.",
+        data: { shipment: await getShipmentTracking(order.id) },
+      });
+    } catch (error) {
+      console.error("Error in createShipment:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Carrier Webhook
+  // Public route; the carrier's signature over the raw body is what authenticates it.
+  async webhook(ctx) {
+    try {
+      const rawBody = ctx.request.body && ctx.request.body[Symbol.for("unparsedBody")];
+      if (typeof rawBody !== "string" || !rawBody) {
+        throw new ValidationError("Webhook body is required.");
+      }
+
+      const { created, shipment } = await handleCarrierWebhook(ctx.params.carrier, {
+        rawBody,
+        headers: ctx.request.headers,
+      });
+
+      return ctx.send({
+        success: true,
+        message: created > 0 ? "Shipment events recorded." : "Shipment events already recorded.",
+        data: { status: shipment.status },
+      });
+    } catch (error) {
+      console.error("Error in shipment webhook:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Sync Shipment
+  // Staff only: pulls a shipment's latest events from its carrier without waiting for the cron job.
+  async syncShipment(ctx) {
+    try {
+      const shipment = await strapi.db.query("api::shipment.shipment").findOne({
+        where: { id: ctx.params.id },
+        select: ["id", "carrier", "trackingId"],
+        populate: { order: { select: ["id"] } },
+      });
+      if (!shipment) {
+        throw new NotFoundError(`Shipment ${ctx.params.id} not found.`);
+      }
+
+      const created = await syncShipment(shipment);
+
+      return ctx.send({
+        success: true,
+        message: `Recorded ${created} new shipment event(s).`,
+        data: { shipment: await getShipmentTracking(shipment.order.id) },
+      });
+    } catch (error) {
+      console.error("Error in syncShipment:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Simulate Mock Carrier Scan
+  // Staff only: records a scan with the mock carrier and delivers it through the webhook
+  // path, so tracking can be exercised end to end without a courier account. A
+  // DELIVERED scan may carry the `otp` the courier collected from the customer.
+  async simulateMockEvent(ctx) {
+    try {
+      const mockCarrier = getCarrier("mock");
+      const { trackingId, status, location, description, otp } = ctx.request.body || {};
+      if (!trackingId || !status) {
+        throw new ValidationError("Tracking ID and status are required.");
+      }
+
+      const shipment = await strapi.db.query("api::shipment.shipment").findOne({
+        where: { carrier: mockCarrier.name, trackingId },
+        select: ["id"],
+        populate: { order: { select: ["id"] } },
+      });
+      if (!shipment) {
+        throw new NotFoundError(`Shipment '${trackingId}' not found.`);
+      }
+
+      let request;
+      try {
+        request = await mockCarrier.recordEvent(trackingId, { status, location, description, otp });
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+      await handleCarrierWebhook(mockCarrier.name, request);
+
+      return ctx.send({
+        success: true,
+        message: "Shipment event recorded.",
+        data: { shipment: await getShipmentTracking(shipment.order.id) },
+      });
+    } catch (error) {
+      console.error("Error in simulateMockEvent:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+}));
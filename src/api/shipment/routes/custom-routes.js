@@ -0,0 +1,55 @@
+// path: src/api/shipment/routes/custom-routes.js
+
+module.exports = {
+  routes: [
+    {
+      // Called by the carrier; authenticated by the webhook signature
+      method: "POST",
+      path: "/shipments/webhook/:carrier",
+      handler: "api::shipment.shipment.webhook",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+
+    // Staff routes: grant these actions only to the staff role in Users & Permissions
+    {
+      method: "POST",
+      path: "/shipments/orders/:orderId",
+      handler: "api::shipment.shipment.createShipment",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::shipment.shipment.createShipment"],
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "/shipments/:id/sync",
+      handler: "api::shipment.shipment.syncShipment",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::shipment.shipment.syncShipment"],
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "/shipments/mock/simulate",
+      handler: "api::shipment.shipment.simulateMockEvent",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::shipment.shipment.simulateMockEvent"],
+        },
+      },
+    },
+  ],
+};
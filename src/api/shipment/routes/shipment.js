@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * shipment router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::shipment.shipment');
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * shipping-zone router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::shipping-zone.shipping-zone');
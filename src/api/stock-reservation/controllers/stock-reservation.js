@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * stock-reservation controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::stock-reservation.stock-reservation');
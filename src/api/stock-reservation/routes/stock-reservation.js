@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * stock-reservation router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::stock-reservation.stock-reservation');
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * tax-rate controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::tax-rate.tax-rate');
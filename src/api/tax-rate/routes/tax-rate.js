@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * tax-rate router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::tax-rate.tax-rate');
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * tax-rate service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::tax-rate.tax-rate');
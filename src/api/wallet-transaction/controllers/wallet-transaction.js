@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * wallet-transaction controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::wallet-transaction.wallet-transaction');
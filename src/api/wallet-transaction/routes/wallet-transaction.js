@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * wallet-transaction router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::wallet-transaction.wallet-transaction');
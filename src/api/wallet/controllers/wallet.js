@@ -0,0 +1,122 @@
+// path: src/api/wallet/controllers/wallet.js
+
+"use strict";
+
+const { createCoreController } = require("@strapi/strapi").factories;
+const { ValidationError, NotFoundError, UnauthorizedError } = require("@strapi/utils").errors;
+const { getWalletSummary, issueStaffCredit } = require("../../../utils/wallet.js");
+const { getPagination } = require("../../../utils/orderAdmin.js");
+
+/**
+ * Helper function to handle and format errors consistently.
+ */
+const handleErrors = (error) => {
+  console.error("Error occurred:", error);
+  const errorMessage = String(error.message || "");
+
+  if (error instanceof UnauthorizedError) {
+    return { message: "User authentication required." };
+  }
+  if (error instanceof ValidationError) {
+    return { message: errorMessage };
+  }
+  if (error instanceof NotFoundError) {
+    return { message: errorMessage };
+  }
+  if (errorMessage.includes("User not authenticated")) {
+    return { message: "User authentication required." };
+  }
+  return { message: "An unexpected error occurred." };
+};
+
+/**
+ * Helper function to map error messages to status codes.
+ */
+const handleStatusCode = (error) => {
+  if (error instanceof UnauthorizedError) return 401;
+  if (error instanceof ValidationError) return 400;
+  if (error instanceof NotFoundError) return 404;
+  if (String(error.message || "").includes("User not authenticated")) {
+    return 401;
+  }
+  return 500;
+};
+
+/**
+ * Helper to answer with a wallet's balance and one page of its ledger.
+ */
+const sendWallet = async (ctx, userId) => {
+  const { page, pageSize, offset } = getPagination(ctx.query);
+  const { total, ...wallet } = await getWalletSummary(userId, { offset, limit: pageSize });
+
+  return ctx.send({
+    success: true,
+    message: "Wallet retrieved successfully.",
+    data: {
+      ...wallet,
+      meta: { pagination: { page, pageSize, pageCount: Math.ceil(total / pageSize), total } },
+    },
+  });
+};
+
+module.exports = createCoreController("api::wallet.wallet", () => ({
+  // MARK: Get My Wallet
+  // Balance, credit about to expire and the ledger, newest first; `page` and `pageSize` page through it.
+  async getMyWallet(ctx) {
+    try {
+      const { id: userId } = ctx.state.user || {};
+      if (!userId) {
+        throw new UnauthorizedError("User not authenticated.");
+      }
+
+      return await sendWallet(ctx, userId);
+    } catch (error) {
+      console.error("Error in getMyWallet:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Get User Wallet (staff)
+  async getUserWallet(ctx) {
+    try {
+      return await sendWallet(ctx, ctx.params.userId);
+    } catch (error) {
+      console.error("Error in getUserWallet:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+
+  // MARK: Issue Credit (staff)
+  // Refunds, goodwill and promotions; `orderId` links the credit to the order it is for.
+  async issueCredit(ctx) {
+    try {
+      const { userId, amount, reason, orderId, expiresAt, note } = ctx.request.body || {};
+      if (!userId) {
+        throw new ValidationError("User ID is required.");
+      }
+
+      const transaction = await issueStaffCredit({ userId, amount, reason, orderId, expiresAt, note }, ctx.state.user);
+
+      return ctx.send({
+        success: true,
+        message: `Credited ₹${Number(transaction.amount).toFixed(2)} to the wallet.`,
+        data: { transaction },
+      });
+    } catch (error) {
+      console.error("Error in issueCredit:", error);
+      const customizedError = handleErrors(error);
+      return ctx.send(
+        { success: false, message: customizedError.message },
+        handleStatusCode(error) || 500
+      );
+    }
+  },
+}));
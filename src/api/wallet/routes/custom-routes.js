@@ -0,0 +1,44 @@
+// path: src/api/wallet/routes/custom-routes.js
+
+module.exports = {
+  routes: [
+    {
+      method: "GET",
+      path: "/wallet/me",
+      handler: "api::wallet.wallet.getMyWallet",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::wallet.wallet.getMyWallet"],
+        },
+      },
+    },
+
+    // Staff routes: grant these actions only to the staff role in Users & Permissions
+    {
+      method: "GET",
+      path: "/wallet/manage/users/:userId",
+      handler: "api::wallet.wallet.getUserWallet",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::wallet.wallet.getUserWallet"],
+        },
+      },
+    },
+    {
+      method: "POST",
+      path: "/wallet/manage/credit",
+      handler: "api::wallet.wallet.issueCredit",
+      config: {
+        policies: [],
+        middlewares: [],
+        auth: {
+          scope: ["api::wallet.wallet.issueCredit"],
+        },
+      },
+    },
+  ],
+};
@@ -11,6 +11,7 @@ const { emailVerifyOtp } = require("../../utils/email.js");
 const { isPhoneValid, smsVerifyOtp } = require("../../utils/phone.js");
 const { generateOTP } = require("../../utils/otpGenerate.js");
 const { validateBodyRequiredFields } = require("../../utils/validation.js");
+const { readCartToken, mergeGuestCartIntoUser } = require("../../utils/guestCart.js");
 
 const getService = (name) => {
   return strapi.plugin("users-permissions").service(name);
@@ -24,6 +25,21 @@ const {
 
 const unverifiedUsers = new Map();
 
+// Merges the caller's guest cart (if a cart token was sent) into the user's cart.
+// Merge problems are logged and reported, but never block the login itself.
+const mergeGuestCartOnLogin = async (ctx, userId) => {
+  const cartToken = readCartToken(ctx);
+  if (!cartToken) {
+    return null;
+  }
+  try {
+    return await mergeGuestCartIntoUser(cartToken, userId);
+  } catch (error) {
+    console.error("Error merging guest cart on login:", error);
+    return null;
+  }
+};
+
 
 
 module.exports = (plugin) => {
@@ -608,6 +624,7 @@ module.exports = (plugin) => {
               dateOfBirth: user.dateOfBirth,
               gender: user.gender,
             },
+            cart_merge: await mergeGuestCartOnLogin(ctx, user.id),
           },
         });
       } else {
@@ -728,6 +745,7 @@ module.exports = (plugin) => {
             dateOfBirth: user.dateOfBirth,
             gender: user.gender,
           },
+          cart_merge: await mergeGuestCartOnLogin(ctx, user.id),
         },
       });
     } catch (error) {
@@ -788,6 +806,7 @@ module.exports = (plugin) => {
               dateOfBirth: user.dateOfBirth,
               gender: user.gender,
             },
+            cart_merge: await mergeGuestCartOnLogin(ctx, user.id),
           },
         });
       } else {
@@ -945,12 +964,6 @@ module.exports = (plugin) => {
   //MARK: userProfile Method (Updated to include new fields)
   plugin.controllers.user.userProfile = async (ctx) => {
     try {
-      let userId;
-
-      if (ctx.state.user) {
-        ({ id: userId } = ctx.state.user);
-      }
-
       const { id: otherUserId } = ctx.params;
 
       const otherUserFound = await strapi.entityService.findOne(
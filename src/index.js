@@ -1,5 +1,9 @@
 "use strict";
 
+const { grantGuestCartPermissions } = require("./utils/guestCart.js");
+const { checkProviderConfig } = require("./utils/payment.js");
+const { checkCarrierConfig } = require("./utils/shipment.js");
+
 module.exports = {
   /**
    * An asynchronous register function that runs before
@@ -7,7 +11,7 @@ module.exports = {
    *
    * This gives you an opportunity to extend code.
    */
-  register({ strapi }) {
+  register() {
   },
 
   /**
@@ -17,5 +21,13 @@ module.exports = {
    * This gives you an opportunity to set up your data model,
    * run jobs, or perform some special logic.
    */
-  bootstrap(/*{ strapi }*/) {},
+  async bootstrap({ strapi }) {
+    checkProviderConfig();
+    checkCarrierConfig();
+
+    const granted = await grantGuestCartPermissions();
+    if (granted > 0) {
+      strapi.log.info(`Granted the Public role ${granted} guest cart permission(s).`);
+    }
+  },
 };
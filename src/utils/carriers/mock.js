@@ -0,0 +1,133 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { signWebhook, verifyWebhookSignature } = require("../webhookSignature.js");
+
+/**
+ * Local carrier that keeps each shipment in `<dataDir>/<trackingId>.json`, so
+ * shipping can be exercised without a courier account. Off unless
+ * `shipping.mock.enabled` is set, and then only with a webhook secret. The file holds
+ * `{ trackingId, orderId, events: [{ id, status, location, description, time, otp }] }`,
+ * `otp` being the delivery code the courier collected on a `DELIVERED` event;
+ * add events to it by hand or with `recordEvent`, and they are picked up by the
+ * next sync.
+ *
+ * Statuses are `PICKED_UP`, `IN_TRANSIT`, `OUT_FOR_DELIVERY`, `DELIVERED`,
+ * `RTO_INITIATED` and `RTO_DELIVERED`.
+ *
+ * Webhooks carry `x-mock-timestamp` and `x-mock-signature`, the hex HMAC-SHA256
+ * of `<timestamp>.<raw body>` keyed with the configured webhook secret. The body
+ * is `{ trackingId, events: [...] }` with events as stored in the file.
+ */
+
+const CARRIER_STATUSES = {
+  PICKED_UP: "picked_up",
+  IN_TRANSIT: "in_transit",
+  OUT_FOR_DELIVERY: "out_for_delivery",
+  DELIVERED: "delivered",
+  RTO_INITIATED: "rto",
+  RTO_DELIVERED: "rto",
+};
+
+const getSecret = () => strapi.config.get("shipping.mock.webhookSecret", "");
+
+const getDataDir = () => path.resolve(strapi.dirs.app.root, strapi.config.get("shipping.mock.dataDir", ".tmp/mock-carrier"));
+
+// Tracking ids become file names, so only ever read ids this carrier could have issued.
+const getShipmentFile = (trackingId) => {
+  if (!/^MOCK[0-9A-F]+$/.test(String(trackingId))) {
+    throw new Error(`Unknown tracking id '${trackingId}'.`);
+  }
+  return path.join(getDataDir(), `${trackingId}.json`);
+};
+
+const readShipment = async (trackingId) => JSON.parse(await fs.readFile(getShipmentFile(trackingId), "utf8"));
+
+const writeShipment = async (shipment) => {
+  await fs.mkdir(getDataDir(), { recursive: true });
+  await fs.writeFile(getShipmentFile(shipment.trackingId), `${JSON.stringify(shipment, null, 2)}\n`);
+};
+
+// Carrier events in the shape the shipment service stores; unknown statuses are skipped.
+const normalizeEvents = (events) =>
+  (Array.isArray(events) ? events : [])
+    .filter((event) => event && event.id && CARRIER_STATUSES[event.status])
+    .map((event) => ({
+      eventId: String(event.id),
+      status: CARRIER_STATUSES[event.status],
+      carrierStatus: event.status,
+      description: event.description || null,
+      location: event.location || null,
+      occurredAt: new Date(event.time || Date.now()),
+      deliveryOtp: event.otp ? String(event.otp) : null,
+    }));
+
+exports.name = "mock";
+
+exports.isEnabled = () => strapi.config.get("shipping.mock.enabled", false) === true;
+
+exports.checkConfig = () => {
+  if (exports.isEnabled() && !getSecret()) {
+    throw new Error("The mock carrier is enabled but SHIPPING_MOCK_WEBHOOK_SECRET is not set.");
+  }
+};
+
+exports.createShipment = async ({ orderId }) => {
+  const trackingId = `MOCK${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+  await writeShipment({ trackingId, orderId, createdAt: new Date().toISOString(), events: [] });
+  return { trackingId, trackingUrl: null };
+};
+
+exports.fetchEvents = async (trackingId) => normalizeEvents((await readShipment(trackingId)).events);
+
+/**
+ * Checks the signature and freshness of a webhook and returns the tracking id
+ * with its normalized events, or throws when the request cannot be trusted.
+ */
+exports.verifyWebhook = ({ rawBody, headers }) => {
+  verifyWebhookSignature({
+    secret: getSecret(),
+    rawBody,
+    timestamp: headers["x-mock-timestamp"],
+    signature: headers["x-mock-signature"],
+    toleranceSeconds: strapi.config.get("shipping.webhookToleranceSeconds", 300),
+  });
+
+  const body = JSON.parse(rawBody);
+  if (!body.trackingId) {
+    throw new Error("Unsupported webhook event.");
+  }
+  return { trackingId: String(body.trackingId), events: normalizeEvents(body.events) };
+};
+
+/**
+ * Adds an event to a shipment's file, as the carrier would when the parcel
+ * moves, and returns the signed webhook request the carrier would send for it.
+ */
+exports.recordEvent = async (trackingId, { status, location = null, description = null, otp = null }) => {
+  if (!CARRIER_STATUSES[status]) {
+    throw new Error(`Unsupported carrier status '${status}'.`);
+  }
+
+  const shipment = await readShipment(trackingId);
+  const event = {
+    id: `mock_evt_${crypto.randomBytes(8).toString("hex")}`,
+    status,
+    location,
+    description,
+    time: new Date().toISOString(),
+    otp: otp || undefined,
+  };
+  shipment.events = [...(shipment.events || []), event];
+  await writeShipment(shipment);
+
+  const rawBody = JSON.stringify({ trackingId, events: [event] });
+  const timestamp = Math.floor(Date.now() / 1000);
+  return {
+    rawBody,
+    headers: {
+      "x-mock-timestamp": String(timestamp),
+      "x-mock-signature": signWebhook(getSecret(), timestamp, rawBody),
+    },
+  };
+};
@@ -0,0 +1,92 @@
+const { getLensUnitPrice } = require("./lensConfiguration.js");
+
+/**
+ * Returns the master product a variant belongs to and its kind, using the same
+ * `contact-lens` spelling as the cart and order controllers.
+ */
+exports.getMasterProductFromVariant = (variant) => {
+  if (variant.product) {
+    return { master: variant.product, type: "product" };
+  } else if (variant.contact_lens) {
+    return { master: variant.contact_lens, type: "contact-lens" };
+  } else if (variant.accessory) {
+    return { master: variant.accessory, type: "accessory" };
+  }
+  return { master: null, type: null };
+};
+
+/**
+ * Price the customer pays for one unit of a master product: the offer price
+ * when an offer is running, otherwise the list price.
+ */
+exports.getEffectivePrice = (masterProduct) =>
+  masterProduct.offers && typeof masterProduct.offerPrice === "number"
+    ? masterProduct.offerPrice
+    : masterProduct.price;
+
+/**
+ * Turns a populated cart row into the line shape shared by the coupon, tax and
+ * shipping helpers. `getMaster` is the controller's getMasterProductFromVariant.
+ * Frames configured with lenses are priced as frame + lenses per unit; the lens
+ * share is kept in `lens_unit_price` so tax can rate it separately.
+ */
+exports.toPricingLine = (item, getMaster) => {
+  const variant = item && item.product_variant;
+  if (!variant) return null;
+
+  const { master, type } = getMaster(variant);
+  if (!master) return null;
+
+  const framePrice = exports.getEffectivePrice(master);
+  const lensUnitPrice = type === "product" ? getLensUnitPrice(item) : 0;
+
+  return {
+    cart_item_id: item.id,
+    variant_id: variant.id,
+    product_kind: type === "contact-lens" ? "contact_lens" : type,
+    master_id: master.id,
+    name: master.name,
+    quantity: item.quantity,
+    unit_price: Math.round((framePrice + lensUnitPrice) * 100) / 100,
+    lens_unit_price: lensUnitPrice,
+  };
+};
+
+/**
+ * Compares the unit price a cart line was added at with its current pricing
+ * line. Returns null when the price is unchanged or the line has no snapshot.
+ */
+exports.getPriceChange = (item, pricingLine) => {
+  if (!item || !pricingLine || item.unitPriceSnapshot === null || item.unitPriceSnapshot === undefined) {
+    return null;
+  }
+
+  const previousUnitPrice = Number(item.unitPriceSnapshot);
+  if (previousUnitPrice === pricingLine.unit_price) {
+    return null;
+  }
+
+  return {
+    cart_item_id: pricingLine.cart_item_id,
+    variant_id: pricingLine.variant_id,
+    name: pricingLine.name,
+    quantity: pricingLine.quantity,
+    previous_unit_price: previousUnitPrice,
+    current_unit_price: pricingLine.unit_price,
+    difference: Math.round((pricingLine.unit_price - previousUnitPrice) * 100) / 100,
+  };
+};
+
+/**
+ * Returns the price changes the customer has not acknowledged. `accepted` is the
+ * list of changes the client showed them, sent back as received, so only its
+ * `cart_item_id` and `current_unit_price` matter. A change counts as acknowledged
+ * only while the acknowledged price is still the current one.
+ */
+exports.getUnacknowledgedPriceChanges = (priceChanges, accepted) => {
+  const acknowledged = Array.isArray(accepted) ? accepted.filter(Boolean) : [];
+  return priceChanges.filter((change) => !acknowledged.some((entry) =>
+    Number(entry.cart_item_id) === change.cart_item_id &&
+    Number(entry.current_unit_price) === change.current_unit_price
+  ));
+};
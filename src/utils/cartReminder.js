@@ -0,0 +1,208 @@
+const { toPricingLine, getMasterProductFromVariant } = require("./cartPricing.js");
+const { formatLensConfiguration } = require("./lensConfiguration.js");
+const { abandonedCartReminder } = require("./email.js");
+const { createUserNotification } = require("./notification.js");
+
+const REMINDER_UID = "api::cart-reminder.cart-reminder";
+const HOUR_MS = 60 * 60 * 1000;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const getReminderSettings = () => {
+  const settings = strapi.config.get("cart.abandonedReminders", {});
+  return {
+    enabled: settings.enabled !== false,
+    thresholdHours: (settings.thresholdHours || [4, 48])
+      .map(Number)
+      .filter((hours) => Number.isFinite(hours) && hours > 0)
+      .sort((a, b) => a - b),
+    minHoursBetween: Number(settings.minHoursBetween || 0),
+    attributionDays: Number(settings.attributionDays || 7),
+  };
+};
+
+// Loads signed-in customers' cart lines grouped by user, with current prices.
+const getCartsByUser = async () => {
+  const lines = await strapi.db.query("api::cart.cart").findMany({
+    where: { user: { id: { $notNull: true } } },
+    populate: {
+      user: { select: ["id", "email", "name", "blocked", "cartRemindersOptOut"] },
+      product_variant: {
+        select: ["id"],
+        populate: {
+          product: { select: ["id", "name", "price", "offers", "offerPrice"] },
+          contact_lens: { select: ["id", "name", "price", "offers", "offerPrice"] },
+          accessory: { select: ["id", "name", "price", "offers", "offerPrice"] },
+        },
+      },
+      lens_type: { select: ["id", "name", "price"] },
+      lens_coating: { select: ["id", "name", "price"] },
+      lens_thickness: { select: ["id", "name", "price"] },
+    },
+  });
+
+  const carts = new Map();
+  lines.forEach((line) => {
+    if (!line.user) return;
+    if (!carts.has(line.user.id)) {
+      carts.set(line.user.id, { user: line.user, lines: [], lastActivity: 0 });
+    }
+    const cart = carts.get(line.user.id);
+    cart.lines.push(line);
+    cart.lastActivity = Math.max(cart.lastActivity, new Date(line.updatedAt).getTime());
+  });
+  return carts;
+};
+
+// Turns cart lines into the items listed in the reminder, priced as of now.
+const toReminderItems = (lines) =>
+  lines
+    .map((line) => {
+      const pricingLine = toPricingLine(line, getMasterProductFromVariant);
+      if (!pricingLine) return null;
+
+      const lens = formatLensConfiguration(line);
+      const details = lens
+        ? [lens.lens_type, lens.lens_coating, lens.lens_thickness]
+          .filter(Boolean)
+          .map((option) => option.name)
+          .join(", ")
+        : "";
+      return {
+        name: pricingLine.name,
+        quantity: pricingLine.quantity,
+        unitPrice: pricingLine.unit_price,
+        details,
+      };
+    })
+    .filter((item) => item !== null);
+
+const getVariantIds = (lines) => [
+  ...new Set(lines.map((line) => line.product_variant && line.product_variant.id).filter(Boolean)),
+];
+
+const sendReminder = async (cart, stage) => {
+  const items = toReminderItems(cart.lines);
+  if (items.length === 0) {
+    return null;
+  }
+  const total = roundCurrency(items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0));
+  const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+  const now = new Date();
+  const channels = [];
+
+  const notification = await createUserNotification({
+    userId: cart.user.id,
+    type: "promo",
+    title: stage <= 1 ? "You left something in your cart" : "Your cart is still waiting",
+    message: `You have ${itemCount} item(s) worth ₹${total.toFixed(2)} in your cart. Complete your order before they sell out.`,
+  });
+  channels.push("in_app");
+
+  if (cart.user.email) {
+    try {
+      await abandonedCartReminder(cart.user.email, { name: cart.user.name, stage, items, total });
+      channels.push("email");
+    } catch (error) {
+      strapi.log.error(`Failed to email cart reminder to user ${cart.user.id}: ${error.message}`);
+    }
+  }
+
+  return strapi.db.query(REMINDER_UID).create({
+    data: {
+      user: cart.user.id,
+      stage,
+      cartUpdatedAt: new Date(cart.lastActivity),
+      sentAt: now,
+      channels,
+      itemCount,
+      cartValue: total,
+      variantIds: getVariantIds(cart.lines),
+      notification: notification.id,
+    },
+  });
+};
+
+/**
+ * Sends the next due reminder for every idle signed-in cart.
+ *
+ * Each threshold in `cart.abandonedReminders.thresholdHours` is one stage; any
+ * cart activity starts the stages again. Customers who opted out or are blocked
+ * are skipped, and nobody is reminded twice within `minHoursBetween`.
+ */
+exports.sendAbandonedCartReminders = async () => {
+  const settings = getReminderSettings();
+  if (!settings.enabled || settings.thresholdHours.length === 0) {
+    return 0;
+  }
+
+  const carts = await getCartsByUser();
+  const now = Date.now();
+  let sent = 0;
+
+  for (const cart of carts.values()) {
+    if (cart.user.blocked || cart.user.cartRemindersOptOut) continue;
+
+    const idleHours = (now - cart.lastActivity) / HOUR_MS;
+    if (idleHours < settings.thresholdHours[0]) continue;
+
+    const reminders = await strapi.db.query(REMINDER_UID).findMany({
+      where: { user: cart.user.id },
+      select: ["id", "sentAt", "cartUpdatedAt"],
+      orderBy: { sentAt: "desc" },
+      limit: settings.thresholdHours.length + 1,
+    });
+
+    const lastSentAt = reminders.length > 0 ? new Date(reminders[0].sentAt).getTime() : 0;
+    if (now - lastSentAt < settings.minHoursBetween * HOUR_MS) continue;
+
+    // Stages already sent for this idle period of the cart
+    const sentForThisCart = reminders.filter(
+      (reminder) => new Date(reminder.cartUpdatedAt).getTime() >= cart.lastActivity
+    ).length;
+    const nextThreshold = settings.thresholdHours[sentForThisCart];
+    if (nextThreshold === undefined || idleHours < nextThreshold) continue;
+
+    try {
+      if (await sendReminder(cart, sentForThisCart + 1)) {
+        sent += 1;
+      }
+    } catch (error) {
+      strapi.log.error(`Failed to send cart reminder to user ${cart.user.id}: ${error.message}`);
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Credits an order to the most recent unconverted reminder the customer got
+ * within the attribution window, as long as the order contains a variant that
+ * was in the reminded cart. Returns the reminder, or null if none applies.
+ */
+exports.attributeOrderToReminder = async (userId, orderId, orderVariantIds) => {
+  const { attributionDays } = getReminderSettings();
+  const since = new Date(Date.now() - attributionDays * 24 * HOUR_MS);
+  const ordered = new Set(orderVariantIds.map(Number));
+
+  const reminders = await strapi.db.query(REMINDER_UID).findMany({
+    where: {
+      user: userId,
+      sentAt: { $gte: since },
+      convertedOrder: { id: { $null: true } },
+    },
+    select: ["id", "variantIds"],
+    orderBy: { sentAt: "desc" },
+  });
+  const reminder = reminders.find((candidate) =>
+    (candidate.variantIds || []).some((variantId) => ordered.has(Number(variantId)))
+  );
+  if (!reminder) {
+    return null;
+  }
+
+  return strapi.db.query(REMINDER_UID).update({
+    where: { id: reminder.id },
+    data: { convertedOrder: orderId, convertedAt: new Date() },
+  });
+};
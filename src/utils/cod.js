@@ -0,0 +1,57 @@
+const { isCashOnDelivery, matchesPincodePattern } = require("./shipping.js");
+
+const ORDER_UID = "api::order.order";
+const COD_PAYMENT_METHOD = "cod";
+
+// Statuses in which a COD order has not been paid for yet.
+const OPEN_STATUSES = ["pending", "confirmed", "shipped"];
+
+exports.COD_PAYMENT_METHOD = COD_PAYMENT_METHOD;
+
+// Every spelling of cash on delivery is stored as `cod`; other methods are kept as sent.
+exports.normalizePaymentMethod = (paymentMethod) => {
+  const value = String(paymentMethod || "").trim();
+  return isCashOnDelivery(value) ? COD_PAYMENT_METHOD : value;
+};
+
+// Older orders may spell COD differently, so match in code rather than in the query.
+const countOpenCodOrders = async (userId) => {
+  const orders = await strapi.db.query(ORDER_UID).findMany({
+    where: { user: userId, status: { $in: OPEN_STATUSES } },
+    select: ["paymentMethod"],
+  });
+  return orders.filter((order) => isCashOnDelivery(order.paymentMethod)).length;
+};
+
+/**
+ * Checks whether a customer may pay cash on delivery for an order worth
+ * `orderValue` (the amount to be collected) sent to `address`. `user` needs
+ * its `id` and `phoneVerified`. At checkout, pass the transaction that creates
+ * the order as `trx`, before it writes anything: the customer's row is locked
+ * so parallel checkouts count each other's orders against the open-order limit.
+ *
+ * Returns `{ eligible, reasons }` with a customer-facing reason for every rule
+ * the order breaks. The zone's own COD availability is checked by `quoteShipping`.
+ */
+exports.checkCodEligibility = async ({ user, address, orderValue, trx = null }) => {
+  const { maxOrderValue = 0, maxOpenOrders = 0, blockedPincodes = [] } = strapi.config.get("payments.cod", {});
+  const reasons = [];
+
+  if (maxOrderValue > 0 && orderValue > maxOrderValue) {
+    reasons.push(`Cash on delivery is only available for orders up to ₹${Number(maxOrderValue).toFixed(2)}.`);
+  }
+  if (!user.phoneVerified) {
+    reasons.push("Verify your phone number to pay cash on delivery.");
+  }
+  if (address && matchesPincodePattern(blockedPincodes, address.pincode)) {
+    reasons.push("Cash on delivery is not available at this PIN code.");
+  }
+  if (maxOpenOrders > 0 && trx) {
+    await strapi.db.connection("up_users").transacting(trx).where("id", user.id).forUpdate().first("id");
+  }
+  if (maxOpenOrders > 0 && (await countOpenCodOrders(user.id)) >= maxOpenOrders) {
+    reasons.push(`You already have ${maxOpenOrders} cash on delivery order(s) awaiting delivery. Pay online or wait for them to arrive.`);
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+};
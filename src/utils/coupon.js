@@ -0,0 +1,379 @@
+const utils = require("@strapi/utils");
+
+const { ValidationError } = utils.errors;
+
+const COUPON_UID = "api::coupon.coupon";
+const CART_COUPON_UID = "api::cart-coupon.cart-coupon";
+const REDEMPTION_UID = "api::coupon-redemption.coupon-redemption";
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+const ownerWhere = (owner) =>
+  owner.user ? { user: owner.user } : { cartToken: owner.cartToken };
+
+// Cart and order controllers call contact lenses `contact-lens`; schemas use `contact_lens`.
+const normalizeKind = (kind) => (kind === "contact-lens" ? "contact_lens" : kind);
+
+exports.normalizeCouponCode = (code) => String(code || "").trim().toUpperCase();
+
+exports.findCouponByCode = async (code) => {
+  const normalizedCode = exports.normalizeCouponCode(code);
+  if (!normalizedCode) {
+    return null;
+  }
+
+  return strapi.db.query(COUPON_UID).findOne({
+    where: { code: { $eqi: normalizedCode } },
+    populate: {
+      categories: { select: ["id"] },
+      brands: { select: ["id"] },
+      types: { select: ["id"] },
+    },
+  });
+};
+
+// Returns the coupon applied to the owner's cart, or null.
+exports.getCartCoupon = async (owner) => {
+  const cartCoupon = await strapi.db.query(CART_COUPON_UID).findOne({
+    where: ownerWhere(owner),
+    populate: { coupon: { select: ["id", "code"] } },
+  });
+
+  if (!cartCoupon || !cartCoupon.coupon) {
+    return null;
+  }
+  return exports.findCouponByCode(cartCoupon.coupon.code);
+};
+
+exports.setCartCoupon = async (owner, coupon) => {
+  const existing = await strapi.db.query(CART_COUPON_UID).findOne({
+    where: ownerWhere(owner),
+    select: ["id"],
+  });
+
+  if (existing) {
+    return strapi.db.query(CART_COUPON_UID).update({
+      where: { id: existing.id },
+      data: { coupon: coupon.id },
+    });
+  }
+  return strapi.db.query(CART_COUPON_UID).create({
+    data: { ...ownerWhere(owner), coupon: coupon.id },
+  });
+};
+
+exports.clearCartCoupon = async (owner) => {
+  const existing = await strapi.db.query(CART_COUPON_UID).findMany({
+    where: ownerWhere(owner),
+    select: ["id"],
+  });
+
+  if (existing.length > 0) {
+    await strapi.db.query(CART_COUPON_UID).deleteMany({
+      where: { id: { $in: existing.map((row) => row.id) } },
+    });
+  }
+  return existing.length > 0;
+};
+
+/**
+ * Moves a guest's applied coupon onto the user's cart when the user has none.
+ */
+exports.transferCartCoupon = async (cartToken, userId) => {
+  const guestCoupon = await strapi.db.query(CART_COUPON_UID).findOne({
+    where: { cartToken },
+    populate: { coupon: { select: ["id"] } },
+  });
+  if (!guestCoupon) {
+    return;
+  }
+
+  const userCoupon = await strapi.db.query(CART_COUPON_UID).findOne({
+    where: { user: userId },
+    select: ["id"],
+  });
+  if (!userCoupon && guestCoupon.coupon) {
+    await strapi.db.query(CART_COUPON_UID).create({
+      data: { user: userId, coupon: guestCoupon.coupon.id },
+    });
+  }
+  await exports.clearCartCoupon({ cartToken });
+};
+
+/**
+ * Adds the category, brand, type and sub-type of each line's master product,
+ * which the coupon scope rules match against.
+ */
+const attachScopeDetails = async (lines) => {
+  const idsByKind = { product: new Set(), contact_lens: new Set(), accessory: new Set() };
+  lines.forEach((line) => {
+    if (idsByKind[line.product_kind]) idsByKind[line.product_kind].add(line.master_id);
+  });
+
+  const details = new Map();
+  if (idsByKind.product.size > 0) {
+    const products = await strapi.db.query("api::product.product").findMany({
+      where: { id: { $in: [...idsByKind.product] } },
+      select: ["id"],
+      populate: {
+        category: { select: ["id"] },
+        brands: { select: ["id"] },
+        type: { select: ["id"] },
+      },
+    });
+    products.forEach((product) => {
+      details.set(`product:${product.id}`, {
+        category_id: product.category ? product.category.id : null,
+        brand_ids: asList(product.brands).map((brand) => brand.id),
+        type_id: product.type ? product.type.id : null,
+        sub_type: null,
+      });
+    });
+  }
+  for (const kind of ["contact_lens", "accessory"]) {
+    if (idsByKind[kind].size === 0) continue;
+    const uid = kind === "contact_lens" ? "api::contact-lens.contact-lens" : "api::accessory.accessory";
+    const masters = await strapi.db.query(uid).findMany({
+      where: { id: { $in: [...idsByKind[kind]] } },
+      select: ["id", "type"],
+    });
+    masters.forEach((master) => {
+      details.set(`${kind}:${master.id}`, {
+        category_id: null,
+        brand_ids: [],
+        type_id: null,
+        sub_type: master.type || null,
+      });
+    });
+  }
+
+  return lines.map((line) => ({
+    ...line,
+    ...(details.get(`${line.product_kind}:${line.master_id}`) || {
+      category_id: null,
+      brand_ids: [],
+      type_id: null,
+      sub_type: null,
+    }),
+  }));
+};
+
+const lineMatchesScope = (coupon, line) => {
+  const kinds = asList(coupon.productKinds).map(normalizeKind);
+  if (kinds.length > 0 && !kinds.includes(line.product_kind)) return false;
+
+  const subTypes = asList(coupon.subTypes);
+  if (subTypes.length > 0 && !subTypes.includes(line.sub_type)) return false;
+
+  const categoryIds = asList(coupon.categories).map((category) => category.id);
+  if (categoryIds.length > 0 && !categoryIds.includes(line.category_id)) return false;
+
+  const brandIds = asList(coupon.brands).map((brand) => brand.id);
+  if (brandIds.length > 0 && !line.brand_ids.some((id) => brandIds.includes(id))) return false;
+
+  const typeIds = asList(coupon.types).map((type) => type.id);
+  if (typeIds.length > 0 && !typeIds.includes(line.type_id)) return false;
+
+  return true;
+};
+
+// Spreads a discount over lines in proportion to their subtotals.
+const allocateProportionally = (discount, lines) => {
+  const allocation = {};
+  const base = lines.reduce((sum, line) => sum + line.unit_price * line.quantity, 0);
+  let allocated = 0;
+
+  lines.forEach((line, index) => {
+    const share = index === lines.length - 1
+      ? roundCurrency(discount - allocated)
+      : roundCurrency((discount * line.unit_price * line.quantity) / base);
+    allocation[line.cart_item_id] = share;
+    allocated = roundCurrency(allocated + share);
+  });
+
+  return allocation;
+};
+
+/**
+ * Checks a coupon against cart lines and works out the discount.
+ *
+ * Each line is `{ cart_item_id, variant_id, product_kind, master_id, quantity, unit_price }`.
+ * Returns `{ valid, reason, discount, eligible_subtotal, line_discounts }`, where
+ * `line_discounts` maps cart item ids to their share of the discount.
+ */
+exports.evaluateCoupon = async (coupon, lines, { userId = null, now = new Date() } = {}) => {
+  const invalid = (reason) => ({
+    valid: false,
+    reason,
+    discount: 0,
+    eligible_subtotal: 0,
+    line_discounts: {},
+  });
+
+  if (!coupon) return invalid("Coupon not found.");
+  if (!coupon.isActive) return invalid("This coupon is not active.");
+  if (coupon.validFrom && new Date(coupon.validFrom) > now) return invalid("This coupon is not valid yet.");
+  if (coupon.validUntil && new Date(coupon.validUntil) < now) return invalid("This coupon has expired.");
+  if (coupon.usageLimit != null && (coupon.usedCount || 0) >= coupon.usageLimit) {
+    return invalid("This coupon has reached its usage limit.");
+  }
+
+  if (userId && coupon.usageLimitPerUser != null) {
+    const userRedemptions = await strapi.db.query(REDEMPTION_UID).count({
+      where: { coupon: coupon.id, user: userId },
+    });
+    if (userRedemptions >= coupon.usageLimitPerUser) {
+      return invalid("You have already used this coupon the maximum number of times.");
+    }
+  }
+
+  const pricedLines = lines
+    .filter((line) => line && line.quantity > 0 && typeof line.unit_price === "number")
+    .map((line) => ({ ...line, product_kind: normalizeKind(line.product_kind) }));
+  const cartSubtotal = pricedLines.reduce((sum, line) => sum + line.unit_price * line.quantity, 0);
+
+  if (cartSubtotal < Number(coupon.minCartValue || 0)) {
+    return invalid(`Add items worth ${roundCurrency(Number(coupon.minCartValue) - cartSubtotal)} more to use this coupon.`);
+  }
+
+  const eligibleLines = (await attachScopeDetails(pricedLines)).filter((line) => lineMatchesScope(coupon, line));
+  const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.unit_price * line.quantity, 0);
+  const eligibleQuantity = eligibleLines.reduce((sum, line) => sum + line.quantity, 0);
+
+  if (eligibleLines.length === 0) {
+    return invalid("No items in your cart are eligible for this coupon.");
+  }
+  if (eligibleQuantity < (coupon.minQuantity || 0)) {
+    return invalid(`This coupon needs at least ${coupon.minQuantity} eligible item(s) in the cart.`);
+  }
+
+  const value = Number(coupon.discountValue || 0);
+  let discount = 0;
+  let lineDiscounts = {};
+
+  if (coupon.discountType === "percent") {
+    discount = (eligibleSubtotal * Math.min(value, 100)) / 100;
+    if (coupon.maxDiscount != null) {
+      discount = Math.min(discount, Number(coupon.maxDiscount));
+    }
+    discount = roundCurrency(discount);
+    lineDiscounts = allocateProportionally(discount, eligibleLines);
+  } else if (coupon.discountType === "flat") {
+    discount = roundCurrency(Math.min(value, eligibleSubtotal));
+    lineDiscounts = allocateProportionally(discount, eligibleLines);
+  } else if (coupon.discountType === "bogo") {
+    const buyQuantity = coupon.buyQuantity || 1;
+    const getQuantity = coupon.getQuantity || 1;
+    const percentOff = Math.min(value || 100, 100);
+    const groups = Math.floor(eligibleQuantity / (buyQuantity + getQuantity));
+
+    if (groups === 0) {
+      return invalid(`Add ${buyQuantity + getQuantity} eligible items to use this coupon.`);
+    }
+
+    // The cheapest units in the cart are the discounted ones.
+    const units = [];
+    eligibleLines.forEach((line) => {
+      for (let i = 0; i < line.quantity; i++) {
+        units.push({ cart_item_id: line.cart_item_id, unit_price: line.unit_price });
+      }
+    });
+    units.sort((a, b) => a.unit_price - b.unit_price);
+    units.slice(0, groups * getQuantity).forEach((unit) => {
+      const unitDiscount = (unit.unit_price * percentOff) / 100;
+      lineDiscounts[unit.cart_item_id] = roundCurrency((lineDiscounts[unit.cart_item_id] || 0) + unitDiscount);
+      discount += unitDiscount;
+    });
+    discount = roundCurrency(discount);
+  } else {
+    return invalid("This coupon has an unknown discount type.");
+  }
+
+  return {
+    valid: discount > 0,
+    reason: discount > 0 ? null : "This coupon gives no discount on the current cart.",
+    discount: discount > 0 ? discount : 0,
+    eligible_subtotal: roundCurrency(eligibleSubtotal),
+    line_discounts: discount > 0 ? lineDiscounts : {},
+  };
+};
+
+/**
+ * Records that an order used a coupon. The coupon row is locked while its global
+ * and per-customer limits are checked again, so concurrent checkouts cannot take
+ * more uses than either allows. Joins the checkout transaction when called
+ * inside it, so the use is undone with the order.
+ */
+exports.recordRedemption = async (coupon, { userId, orderId, discount }) =>
+  strapi.db.transaction(async ({ trx }) => {
+    const knex = strapi.db.connection;
+    const row = await knex("coupons")
+      .transacting(trx)
+      .where("id", coupon.id)
+      .forUpdate()
+      .first("id", "used_count", "usage_limit", "usage_limit_per_user");
+    if (!row) {
+      throw new ValidationError(`Coupon ${coupon.code} is no longer available.`);
+    }
+    if (row.usage_limit != null && (row.used_count || 0) >= row.usage_limit) {
+      throw new ValidationError(`Coupon ${coupon.code} has reached its usage limit.`);
+    }
+    if (userId && row.usage_limit_per_user != null) {
+      const userRedemptions = await strapi.db.query(REDEMPTION_UID).count({
+        where: { coupon: coupon.id, user: userId },
+      });
+      if (userRedemptions >= row.usage_limit_per_user) {
+        throw new ValidationError("You have already used this coupon the maximum number of times.");
+      }
+    }
+
+    await knex("coupons")
+      .transacting(trx)
+      .where("id", coupon.id)
+      .update({ used_count: knex.raw("COALESCE(used_count, 0) + 1") });
+
+    return strapi.db.query(REDEMPTION_UID).create({
+      data: {
+        coupon: coupon.id,
+        user: userId,
+        order: orderId,
+        code: coupon.code,
+        discountAmount: discount,
+      },
+    });
+  });
+
+/**
+ * Gives back the coupon use of a cancelled order: its redemption is deleted and
+ * the coupon's use count lowered, so neither the global nor the customer's own
+ * limit stays used up with no order to show for it. Safe to call more than
+ * once. Returns true when a use was given back.
+ */
+exports.releaseRedemption = async (orderId) =>
+  strapi.db.transaction(async ({ trx }) => {
+    const redemption = await strapi.db.query(REDEMPTION_UID).findOne({
+      where: { order: orderId },
+      select: ["id"],
+      populate: { coupon: { select: ["id"] } },
+    });
+    if (!redemption) {
+      return false;
+    }
+
+    // Only the call that deletes the redemption lowers the count
+    const { count } = await strapi.db.query(REDEMPTION_UID).deleteMany({ where: { id: redemption.id } });
+    if (count === 0 || !redemption.coupon) {
+      return count > 0;
+    }
+    const knex = strapi.db.connection;
+    await knex("coupons")
+      .transacting(trx)
+      .where("id", redemption.coupon.id)
+      .where("used_count", ">", 0)
+      .update({ used_count: knex.raw("used_count - 1") });
+    return true;
+  });
+
+exports.roundCurrency = roundCurrency;
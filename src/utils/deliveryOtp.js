@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const { ValidationError, NotFoundError } = require("@strapi/utils").errors;
+const { generateOTP } = require("./otpGenerate.js");
+const { smsVerifyOtp } = require("./phone.js");
+
+const ORDER_UID = "api::order.order";
+const HOUR_MS = 60 * 60 * 1000;
+
+const BATCH_SIZE = 100;
+// A code that could not be texted is tried again after this long, for up to MAX_AGE_HOURS
+// after the order shipped; after that the customer can ask for one.
+const RETRY_MS = 10 * 60 * 1000;
+const MAX_AGE_HOURS = 24;
+// Give the transaction that shipped the order time to commit before looking for it.
+const DISPATCH_DELAY_MS = 2000;
+
+const getConfig = () => strapi.config.get("shipping.deliveryOtp", {});
+
+// Codes are stored as an HMAC keyed with the app key: a four-digit code's plain hash
+// could be reversed by anyone able to read the order.
+const hashOtp = (orderId, otp) =>
+  crypto
+    .createHmac("sha256", String(strapi.config.get("server.app.keys", [])[0] || ""))
+    .update(`${orderId}:${String(otp).trim()}`)
+    .digest("hex");
+
+const matchesHash = (otp, orderId, storedHash) => {
+  const expected = Buffer.from(storedHash, "hex");
+  const received = Buffer.from(hashOtp(orderId, otp), "hex");
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// The code goes to whoever receives the parcel: the address phone, else the customer's own.
+const getRecipientPhone = (order) =>
+  (order.address && order.address.phone) || (order.user && order.user.phone) || null;
+
+const findOrder = (orderId) =>
+  strapi.db.query(ORDER_UID).findOne({
+    where: { id: orderId },
+    select: ["id", "orderID", "status", "deliveryOtpHash", "deliveryOtpSentAt", "deliveryOtpVerifiedAt"],
+    populate: { address: { select: ["phone"] }, user: { select: ["id", "phone"] } },
+  });
+
+/**
+ * Texts a shipped order's delivery code to the customer, replacing any code
+ * sent before and resetting the wrong-code count. Returns false without
+ * sending when delivery codes are off or there is no phone to send to; such an
+ * order can be delivered without a code. Throws when the text fails.
+ *
+ * With `resend` the order must already have a code, and throws when the last
+ * one was sent less than `resendSeconds` ago.
+ */
+exports.sendDeliveryOtp = async (orderId, { resend = false } = {}) => {
+  const order = await findOrder(orderId);
+  if (!order) {
+    throw new NotFoundError(`Order ${orderId} not found.`);
+  }
+  if (order.status !== "shipped") {
+    throw new ValidationError(`Order #${order.orderID} is not out for delivery.`);
+  }
+
+  const { enabled = false, resendSeconds = 60 } = getConfig();
+  if (resend) {
+    if (!order.deliveryOtpHash) {
+      throw new ValidationError(`Order #${order.orderID} does not need a delivery code.`);
+    }
+    const waitSeconds = Math.ceil(
+      resendSeconds - (Date.now() - new Date(order.deliveryOtpSentAt).getTime()) / 1000
+    );
+    if (waitSeconds > 0) {
+      throw new ValidationError(`A delivery code was just sent. Try again in ${waitSeconds} seconds.`);
+    }
+  } else if (!enabled) {
+    return false;
+  }
+
+  const phone = getRecipientPhone(order);
+  if (!phone) {
+    strapi.log.warn(`Order ${order.orderID}: no phone to send a delivery code to; it can be delivered without one.`);
+    return false;
+  }
+
+  const otp = await generateOTP();
+  await strapi.db.query(ORDER_UID).update({
+    where: { id: order.id },
+    data: {
+      deliveryOtpHash: hashOtp(order.id, otp),
+      deliveryOtpSentAt: new Date(),
+      deliveryOtpAttempts: 0,
+    },
+  });
+  const sent = await smsVerifyOtp(otp, phone, {
+    purpose: `delivery code for order ${order.orderID}`,
+    instructions: "Share it only with the courier when your parcel is handed over.",
+  });
+  if (!sent) {
+    throw new Error(`The delivery code for order #${order.orderID} could not be texted.`);
+  }
+  return true;
+};
+
+/**
+ * Texts the delivery codes of orders marked `deliveryOtpDueAt` when they
+ * shipped. Each order is claimed by moving its due time on, so parallel runs
+ * do not text it twice and a failed text is retried after RETRY_MS. Returns
+ * the number of codes sent.
+ */
+exports.sendPendingDeliveryOtps = async () => {
+  const now = new Date();
+  const orders = await strapi.db.query(ORDER_UID).findMany({
+    where: { deliveryOtpDueAt: { $lte: now } },
+    select: ["id", "orderID", "shippedAt"],
+    orderBy: { deliveryOtpDueAt: "asc" },
+    limit: BATCH_SIZE,
+  });
+
+  let sent = 0;
+  for (const order of orders) {
+    const claimed = await strapi.db.connection("orders")
+      .where("id", order.id)
+      .where("delivery_otp_due_at", "<=", now)
+      .update({ delivery_otp_due_at: new Date(now.getTime() + RETRY_MS) });
+    if (!claimed) {
+      continue;
+    }
+
+    const shippedAt = order.shippedAt ? new Date(order.shippedAt).getTime() : now.getTime();
+    if (now.getTime() - shippedAt > MAX_AGE_HOURS * HOUR_MS) {
+      strapi.log.warn(`Order ${order.orderID}: gave up texting its delivery code; the customer can ask for a new one.`);
+    } else {
+      try {
+        if (await exports.sendDeliveryOtp(order.id)) {
+          sent += 1;
+        }
+      } catch (error) {
+        // An order that has moved on from shipped no longer needs its code
+        if (!(error instanceof ValidationError)) {
+          strapi.log.error(`Order ${order.orderID}: failed to send delivery code: ${error.message}`);
+          continue;
+        }
+      }
+    }
+    await strapi.db.query(ORDER_UID).update({ where: { id: order.id }, data: { deliveryOtpDueAt: null } });
+  }
+  return sent;
+};
+
+let dispatchScheduled = false;
+
+/**
+ * Texts pending delivery codes shortly after an order ships. Anything still
+ * uncommitted by then is left for the cron run.
+ */
+exports.scheduleDeliveryOtps = () => {
+  if (dispatchScheduled) {
+    return;
+  }
+  dispatchScheduled = true;
+
+  setTimeout(() => {
+    dispatchScheduled = false;
+    exports.sendPendingDeliveryOtps().catch((error) => {
+      strapi.log.error(`Failed to send delivery codes: ${error.message}`);
+    });
+  }, DISPATCH_DELAY_MS);
+};
+
+/**
+ * Checks the code the courier collected and, when it matches, marks the order
+ * delivered. Each check uses up one of `maxAttempts`, counted in the same
+ * UPDATE so parallel guesses cannot get past the limit; after that a new code
+ * must be sent. `statusChange` is passed on to the order's timeline; pass the
+ * surrounding transaction as `trx` when there is one.
+ */
+exports.confirmDeliveryWithOtp = async (orderId, otp, { statusChange = {}, trx = null } = {}) => {
+  const order = await findOrder(orderId);
+  if (!order) {
+    throw new NotFoundError(`Order ${orderId} not found.`);
+  }
+  if (order.status !== "shipped") {
+    throw new ValidationError(`Order #${order.orderID} cannot be delivered because it is ${order.status}.`);
+  }
+  if (!order.deliveryOtpHash) {
+    throw new ValidationError(`Order #${order.orderID} does not need a delivery code; update its status instead.`);
+  }
+  const code = typeof otp === "string" || typeof otp === "number" ? String(otp).trim() : "";
+  if (!code) {
+    throw new ValidationError("The delivery code is required.");
+  }
+
+  const { maxAttempts = 5 } = getConfig();
+  const query = strapi.db.connection("orders")
+    .where("id", order.id)
+    .andWhere((builder) =>
+      builder.whereNull("delivery_otp_attempts").orWhere("delivery_otp_attempts", "<", maxAttempts)
+    );
+  if (trx) {
+    query.transacting(trx);
+  }
+  const claimed = await query.update({
+    delivery_otp_attempts: strapi.db.connection.raw("COALESCE(delivery_otp_attempts, 0) + 1"),
+  });
+  if (!claimed) {
+    throw new ValidationError(`Too many wrong delivery codes for order #${order.orderID}. Send the customer a new code.`);
+  }
+  if (!matchesHash(code, order.id, order.deliveryOtpHash)) {
+    throw new ValidationError(`The delivery code for order #${order.orderID} is incorrect.`);
+  }
+
+  await strapi.db.query(ORDER_UID).update({
+    where: { id: order.id },
+    data: {
+      status: "delivered",
+      deliveryOtpVerifiedAt: new Date(),
+      statusChange: { note: "Delivery confirmed with the customer's code.", ...statusChange },
+    },
+  });
+  return order.id;
+};
@@ -27,3 +27,114 @@ exports.emailVerifyOtp = async (otp, email) => {
 
   await strapi.plugin("email").service("email").send(emailToSend);
 };
+
+const escapeHtml = (value) =>
+  String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toFixed(2)}`;
+
+// The first reminder is a nudge; later ones point out that stock is not held.
+const abandonedCartCopy = (stage) =>
+  stage <= 1
+    ? {
+      subject: "You left something in your cart",
+      intro: "You left these items in your cart. They are still waiting for you:",
+    }
+    : {
+      subject: "Your cart is still waiting",
+      intro: "Items in your cart are not reserved and may sell out. Here is what you picked, at today's prices:",
+    };
+
+/**
+ * Sends an abandoned-cart reminder. `items` are `{ name, quantity, unitPrice, details }`
+ * priced at the current price; `total` is their sum.
+ */
+exports.abandonedCartReminder = async (email, { name, stage, items, total }) => {
+  const copy = abandonedCartCopy(stage);
+  const greeting = name ? `Hi ${escapeHtml(name)},` : "Hi there,";
+
+  const rows = items
+    .map(
+      (item) => `
+        <tr>
+          <td style="padding: 6px 12px 6px 0;">${escapeHtml(item.name)}${item.details ? `<br><small style="color: #777;">${escapeHtml(item.details)}</small>` : ""}</td>
+          <td style="padding: 6px 12px;">${item.quantity}</td>
+          <td style="padding: 6px 0; text-align: right;">${formatAmount(item.unitPrice * item.quantity)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const emailBody = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.5;">
+      <h2 style="color: #4CAF50;">${copy.subject}</h2>
+      <p>${greeting}</p>
+      <p>${copy.intro}</p>
+      <table style="border-collapse: collapse;">
+        <tr>
+          <th style="text-align: left; padding: 6px 12px 6px 0;">Item</th>
+          <th style="text-align: left; padding: 6px 12px;">Qty</th>
+          <th style="text-align: right; padding: 6px 0;">Price</th>
+        </tr>${rows}
+        <tr>
+          <td colspan="2" style="padding: 6px 12px 6px 0;"><strong>Total</strong></td>
+          <td style="padding: 6px 0; text-align: right;"><strong>${formatAmount(total)}</strong></td>
+        </tr>
+      </table>
+      <p>Open the ${toTitleCase(app)} App to complete your order.</p>
+      <p style="color: #777; font-size: 12px;">You can turn off cart reminders from your cart settings in the app.</p>
+      <p>Best regards,<br>${toTitleCase(app)} App</p>
+    </div>
+  `;
+
+  const text = [
+    greeting,
+    copy.intro,
+    ...items.map((item) => `- ${item.name} x ${item.quantity}: ${formatAmount(item.unitPrice * item.quantity)}`),
+    `Total: ${formatAmount(total)}`,
+  ].join("\n");
+
+  const emailToSend = {
+    to: email,
+    from: `${toTitleCase(app)} <${process.env.SMTP_USERNAME}>`,
+    replyTo: process.env.SMTP_USERNAME,
+    subject: copy.subject,
+    text,
+    html: emailBody,
+  };
+
+  await strapi.plugin("email").service("email").send(emailToSend);
+};
+
+/**
+ * Sends an order update. `subject` and `message` come from the order
+ * notification templates, already in the customer's language.
+ */
+exports.orderStatusUpdate = async (email, { name, subject, message }) => {
+  const greeting = name ? `Hi ${escapeHtml(name)},` : "Hi there,";
+
+  const emailBody = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.5;">
+      <h2 style="color: #4CAF50;">${escapeHtml(subject)}</h2>
+      <p>${greeting}</p>
+      <p>${escapeHtml(message)}</p>
+      <p>Open the ${toTitleCase(app)} App to see your order's full timeline.</p>
+      <p style="color: #777; font-size: 12px;">You can choose how you hear about your orders from your notification settings in the app.</p>
+      <p>Best regards,<br>${toTitleCase(app)} App</p>
+    </div>
+  `;
+
+  const emailToSend = {
+    to: email,
+    from: `${toTitleCase(app)} <${process.env.SMTP_USERNAME}>`,
+    replyTo: process.env.SMTP_USERNAME,
+    subject,
+    text: [greeting, message].join("\n"),
+    html: emailBody,
+  };
+
+  await strapi.plugin("email").service("email").send(emailToSend);
+};
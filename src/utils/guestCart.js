@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+const utils = require("@strapi/utils");
+
+const { UnauthorizedError } = utils.errors;
+const { holdAvailableStock, releaseAllForOwner } = require("./stockReservation.js");
+const { transferCartCoupon } = require("./coupon.js");
+const { getLensKey } = require("./lensConfiguration.js");
+
+const CART_TOKEN_HEADER = "x-cart-token";
+const CART_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+const LENS_ID_POPULATE = {
+  lens_type: { select: ["id"] },
+  lens_coating: { select: ["id"] },
+  lens_thickness: { select: ["id"] },
+  eye_power: { select: ["id"] },
+};
+
+exports.CART_TOKEN_HEADER = CART_TOKEN_HEADER;
+
+// Cart actions guests call with their cart token; everything else needs an account.
+const GUEST_CART_ACTIONS = [
+  "getMyCart",
+  "addProductToCart",
+  "updateCartBatch",
+  "removeProductFromCart",
+  "clearCart",
+  "getCartSummary",
+  "applyCoupon",
+  "removeCoupon",
+  "updateLensConfiguration",
+].map((action) => `api::cart.cart.${action}`);
+
+exports.generateCartToken = () => crypto.randomBytes(24).toString("hex");
+
+/**
+ * Reads a guest cart token from the `X-Cart-Token` header. It is never taken from
+ * the URL, where it would end up in logs and browser history. Malformed tokens
+ * are treated as absent.
+ */
+exports.readCartToken = (ctx) => {
+  const token = ctx.request.headers[CART_TOKEN_HEADER];
+
+  if (typeof token !== "string" || !CART_TOKEN_PATTERN.test(token)) {
+    return null;
+  }
+  return token;
+};
+
+/**
+ * Works out whose cart a request is for. Signed-in users always win over a
+ * guest token. When `issueToken` is set, an anonymous caller without a token
+ * gets a fresh one, which the response must hand back as `cart_token`.
+ */
+exports.resolveCartOwner = (ctx, { issueToken = false } = {}) => {
+  const user = ctx.state.user;
+  if (user && user.id) {
+    return { owner: { user: user.id }, isGuest: false, cartToken: null };
+  }
+
+  let cartToken = exports.readCartToken(ctx);
+  if (!cartToken && issueToken) {
+    cartToken = exports.generateCartToken();
+  }
+  if (!cartToken) {
+    throw new UnauthorizedError("User not authenticated. Sign in or provide a guest cart token.");
+  }
+
+  return { owner: { cartToken }, isGuest: true, cartToken };
+};
+
+/**
+ * Moves a guest cart into a user's cart after login.
+ *
+ * A guest line joins the user's line with the same variant and lenses, or becomes
+ * a new line. Quantities for the same variant are summed and capped at what the
+ * user can hold, using the same locked check as adding to the cart: the guest's
+ * own holds are given up first, and units other customers hold are not taken.
+ * Lines that are inactive, out of stock or only partly mergeable are reported
+ * back instead of failing the login.
+ */
+exports.mergeGuestCartIntoUser = async (cartToken, userId) => {
+  const result = { merged: [], not_merged: [] };
+
+  if (!cartToken || !userId) {
+    return result;
+  }
+
+  const guestOwner = { cartToken };
+  const userOwner = { user: userId };
+
+  const guestLines = await strapi.db.query("api::cart.cart").findMany({
+    where: { cartToken },
+    populate: {
+      product_variant: { select: ["id", "stock", "isActive", "inStock"] },
+      lens_type: { select: ["id"] },
+      lens_coating: { select: ["id"] },
+      lens_thickness: { select: ["id"] },
+    },
+  });
+
+  if (guestLines.length === 0) {
+    return result;
+  }
+
+  // The guest's holds pass to the user's lines, which are held again below
+  await releaseAllForOwner(guestOwner);
+
+  for (const line of guestLines) {
+    const variant = line.product_variant;
+    const guestQuantity = line.quantity || 0;
+
+    if (!variant) {
+      result.not_merged.push({
+        variant_id: null,
+        requested: guestQuantity,
+        merged: 0,
+        reason: "Product variant no longer exists.",
+      });
+      continue;
+    }
+
+    // Guests cannot pick a saved prescription, so only the lens options carry over
+    const guestLens = {
+      lens_type: line.lens_type ? line.lens_type.id : null,
+      lens_coating: line.lens_coating ? line.lens_coating.id : null,
+      lens_thickness: line.lens_thickness ? line.lens_thickness.id : null,
+      eye_power: null,
+    };
+
+    // Stock is shared by all the user's lines of the variant; the guest line joins
+    // the one with the same lenses, if there is one
+    const userLines = await strapi.db.query("api::cart.cart").findMany({
+      where: { user: userId, product_variant: { id: variant.id } },
+      populate: LENS_ID_POPULATE,
+    });
+    const userLine = userLines.find((candidate) => getLensKey(candidate) === getLensKey(guestLens));
+    const existingQuantity = userLines.reduce((sum, candidate) => sum + (candidate.quantity || 0), 0);
+    const requestedTotal = existingQuantity + guestQuantity;
+    const isSellable = variant.isActive && variant.inStock && (variant.stock || 0) > 0;
+
+    // The hold is taken first, under the variant lock, and decides how much is merged
+    const mergedQuantity = !isSellable ? 0 : await strapi.db.transaction(async () => {
+      const held = await holdAvailableStock(userOwner, variant.id, requestedTotal);
+      const merged = Math.max(0, held - existingQuantity);
+      if (merged > 0) {
+        if (userLine) {
+          await strapi.db.query("api::cart.cart").update({
+            where: { id: userLine.id },
+            data: { quantity: (userLine.quantity || 0) + merged },
+          });
+        } else {
+          await strapi.db.query("api::cart.cart").create({
+            data: {
+              user: userId,
+              product_variant: variant.id,
+              quantity: merged,
+              unitPriceSnapshot: line.unitPriceSnapshot,
+              ...guestLens,
+            },
+          });
+        }
+      }
+      return merged;
+    });
+
+    if (mergedQuantity > 0) {
+      result.merged.push({
+        variant_id: variant.id,
+        requested: guestQuantity,
+        merged: mergedQuantity,
+        quantity_in_cart: (userLine ? userLine.quantity || 0 : 0) + mergedQuantity,
+      });
+    }
+
+    if (mergedQuantity < guestQuantity) {
+      result.not_merged.push({
+        variant_id: variant.id,
+        requested: guestQuantity,
+        merged: mergedQuantity,
+        reason: !isSellable
+          ? "This product variant is currently not active or out of stock."
+          : `Only ${mergedQuantity} more unit(s) available for this variant.`,
+      });
+    }
+  }
+
+  await strapi.db.query("api::cart.cart").deleteMany({
+    where: { id: { $in: guestLines.map((line) => line.id) } },
+  });
+  await transferCartCoupon(cartToken, userId);
+
+  return result;
+};
+
+/**
+ * Grants the Public role the guest cart actions it is missing, so guest carts
+ * work on a fresh database. Returns the number of permissions added.
+ */
+exports.grantGuestCartPermissions = async () => {
+  const publicRole = await strapi.db.query("plugin::users-permissions.role").findOne({
+    where: { type: "public" },
+    select: ["id"],
+  });
+  if (!publicRole) {
+    return 0;
+  }
+
+  const granted = await strapi.db.query("plugin::users-permissions.permission").findMany({
+    where: { role: publicRole.id, action: { $in: GUEST_CART_ACTIONS } },
+    select: ["action"],
+  });
+  const missing = GUEST_CART_ACTIONS.filter(
+    (action) => !granted.some((permission) => permission.action === action)
+  );
+
+  for (const action of missing) {
+    await strapi.db.query("plugin::users-permissions.permission").create({
+      data: { action, role: publicRole.id },
+    });
+  }
+  return missing.length;
+};
+
+// Removes guest cart lines nobody has touched within the configured lifetime.
+exports.sweepStaleGuestCarts = async () => {
+  const days = Number(strapi.config.get("cart.guestCartDays", 30));
+  const cutoff = new Date(Date.now() - (days > 0 ? days : 30) * 24 * 60 * 60 * 1000);
+
+  const staleLines = await strapi.db.query("api::cart.cart").findMany({
+    where: { cartToken: { $notNull: true }, updatedAt: { $lt: cutoff } },
+    select: ["id"],
+  });
+
+  if (staleLines.length === 0) {
+    return 0;
+  }
+
+  await strapi.db.query("api::cart.cart").deleteMany({
+    where: { id: { $in: staleLines.map((line) => line.id) } },
+  });
+
+  return staleLines.length;
+};
@@ -0,0 +1,160 @@
+const crypto = require("crypto");
+const { ValidationError } = require("@strapi/utils").errors;
+
+const IDEMPOTENCY_TABLE = "idempotency_keys";
+const HOUR_MS = 60 * 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+// A claim is a lease: the request holding it renews it every HEARTBEAT_MS while it
+// runs, and only a claim left unrenewed for LOCK_SECONDS may be taken over.
+const LOCK_SECONDS = 60;
+const HEARTBEAT_MS = 15 * 1000;
+
+const STILL_PROCESSING = "A request with this Idempotency-Key is still being processed. Retry shortly.";
+
+// Renewal timers of the claims held by this process, by claim.
+const heartbeats = new Map();
+
+const stopHeartbeat = (claim) => {
+  clearInterval(heartbeats.get(claim));
+  heartbeats.delete(claim);
+};
+
+const startHeartbeat = (claim) => {
+  const timer = setInterval(() => {
+    exports.renewIdempotencyKey(claim).catch((error) => {
+      strapi.log.warn(`Failed to renew an idempotency key claim: ${error.message}`);
+    });
+  }, HEARTBEAT_MS);
+  timer.unref();
+  heartbeats.set(claim, timer);
+};
+
+const getTtlMs = () => strapi.config.get("orders.idempotencyKeyHours", 24) * HOUR_MS;
+
+/**
+ * Reads the `Idempotency-Key` header. Returns null when there is none and throws
+ * when it is not a printable string of at most MAX_KEY_LENGTH characters.
+ */
+exports.getIdempotencyKey = (ctx) => {
+  const value = ctx.request.headers["idempotency-key"];
+  if (value === undefined) {
+    return null;
+  }
+  const key = String(value).trim();
+  if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7E]+$/.test(key)) {
+    throw new ValidationError(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable characters.`);
+  }
+  return key;
+};
+
+// Fingerprint of a request body, so a key reused for a different request is refused.
+exports.hashRequest = (body) =>
+  crypto.createHash("sha256").update(JSON.stringify(body || {})).digest("hex");
+
+/**
+ * Claims a key for a request. Returns:
+ *   - `{ resultId }` when an earlier request with the key already finished, to
+ *     be answered with that result instead of running again;
+ *   - `{ claim }` when this request should run, to be passed to
+ *     `completeIdempotencyKey` or `releaseIdempotencyKey`. The claim is
+ *     renewed in the background until then.
+ *
+ * Throws when the key was used for a different request or another request
+ * holding it is still running. A claim is only taken over once its holder
+ * has stopped renewing it, however long that request has been running.
+ */
+exports.claimIdempotencyKey = async ({ scope, userId, key, requestHash }) => {
+  const knex = strapi.db.connection;
+  const claim = crypto.randomBytes(16).toString("hex");
+  const now = new Date();
+  const where = { scope, user_id: userId, key };
+
+  // An expired key is forgotten, as if it had never been used
+  await knex(IDEMPOTENCY_TABLE).where(where).where("expires_at", "<", now).del();
+  await knex(IDEMPOTENCY_TABLE)
+    .insert({
+      ...where,
+      request_hash: requestHash,
+      claim,
+      locked_at: now,
+      result_id: null,
+      expires_at: new Date(now.getTime() + getTtlMs()),
+    })
+    .onConflict(["scope", "user_id", "key"])
+    .ignore();
+
+  const row = await knex(IDEMPOTENCY_TABLE).where(where).first();
+  if (!row) {
+    throw new ValidationError(STILL_PROCESSING);
+  }
+  if (row.claim === claim) {
+    startHeartbeat(claim);
+    return { claim };
+  }
+  if (row.request_hash !== requestHash) {
+    throw new ValidationError("This Idempotency-Key was already used for a different request.");
+  }
+  if (row.result_id) {
+    return { resultId: row.result_id };
+  }
+
+  // Take over a claim whose request died before finishing and stopped renewing it
+  const taken = await knex(IDEMPOTENCY_TABLE)
+    .where({ id: row.id, claim: row.claim })
+    .whereNull("result_id")
+    .where("locked_at", "<", new Date(now.getTime() - LOCK_SECONDS * 1000))
+    .update({ claim, locked_at: now });
+  if (taken === 0) {
+    throw new ValidationError(STILL_PROCESSING);
+  }
+  startHeartbeat(claim);
+  return { claim };
+};
+
+/**
+ * Extends the lease of a claim that is still running. Returns false, and stops
+ * renewing, once the claim is finished or no longer held.
+ */
+exports.renewIdempotencyKey = async (claim) => {
+  const renewed = await strapi.db.connection(IDEMPOTENCY_TABLE)
+    .where({ claim })
+    .whereNull("result_id")
+    .update({ locked_at: new Date() });
+  if (renewed === 0) {
+    stopHeartbeat(claim);
+  }
+  return renewed > 0;
+};
+
+/**
+ * Records the result of a claimed request. Pass the transaction that saved the
+ * result, so the key is only marked done if the result is kept. Throws when
+ * the claim is no longer held, so that transaction is rolled back rather than
+ * saving a second result for the key.
+ */
+exports.completeIdempotencyKey = async (claim, resultId, { trx = null } = {}) => {
+  stopHeartbeat(claim);
+  const query = strapi.db.connection(IDEMPOTENCY_TABLE);
+  if (trx) {
+    query.transacting(trx);
+  }
+  const updated = await query.where({ claim }).whereNull("result_id").update({ result_id: resultId });
+  if (updated === 0) {
+    throw new ValidationError(STILL_PROCESSING);
+  }
+};
+
+/**
+ * Gives up a claim after its request failed, so a retry runs it again.
+ */
+exports.releaseIdempotencyKey = async (claim) => {
+  stopHeartbeat(claim);
+  await strapi.db.connection(IDEMPOTENCY_TABLE).where({ claim }).whereNull("result_id").del();
+};
+
+/**
+ * Deletes keys past their expiry. Returns the number deleted.
+ */
+exports.sweepExpiredIdempotencyKeys = async () =>
+  strapi.db.connection(IDEMPOTENCY_TABLE).where("expires_at", "<", new Date()).del();
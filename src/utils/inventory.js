@@ -0,0 +1,119 @@
+const { toLegacyOrderLines } = require("./orderLines.js");
+
+const VARIANT_TABLE = "product_variants";
+
+// Runs `work` in the caller's transaction, or in a new one when none is given.
+const inTransaction = (trx, work) =>
+  trx ? work(trx) : strapi.db.transaction(({ trx: ownTrx }) => work(ownTrx));
+
+/**
+ * Takes `quantity` units of a variant, but only if that many are in stock, in a
+ * single UPDATE so concurrent checkouts cannot oversell. The variant is marked
+ * out of stock when it reaches zero, flagged `sold_out_by_sales` so a
+ * cancellation can undo that, and the units are added to its sales count.
+ *
+ * Returns false when the variant did not have enough stock. Pass the checkout
+ * transaction as `trx` so the decrement rolls back with the order.
+ */
+exports.decrementVariantStock = async (variantId, quantity, { trx = null } = {}) =>
+  inTransaction(trx, async (trx) => {
+    const knex = strapi.db.connection;
+    const updatedRows = await knex(VARIANT_TABLE)
+      .transacting(trx)
+      .where("id", variantId)
+      .andWhere("stock", ">=", quantity)
+      .update({
+        sales_count: knex.raw("COALESCE(sales_count, 0) + ?", [quantity]),
+        stock: knex.raw("stock - ?", [quantity]),
+      });
+    if (!updatedRows) {
+      return false;
+    }
+
+    // A separate statement, because databases disagree on whether a SET clause
+    // sees the old or the new stock when both change in one UPDATE
+    await knex(VARIANT_TABLE)
+      .transacting(trx)
+      .where("id", variantId)
+      .andWhere("stock", "<=", 0)
+      .andWhere("in_stock", true)
+      .update({ in_stock: false, sold_out_by_sales: true });
+    return true;
+  });
+
+/**
+ * Puts `quantity` units of a variant back, e.g. when an order is cancelled. A
+ * variant that sales had marked out of stock is marked in stock again and the
+ * sale is taken off its sales count.
+ */
+exports.restoreVariantStock = async (variantId, quantity, { trx = null } = {}) =>
+  inTransaction(trx, async (trx) => {
+    const knex = strapi.db.connection;
+
+    // Only a variant checkout marked out of stock is flipped back; one staff switched off,
+    // before or after it sold out, stays off (the product-variant lifecycle clears the flag)
+    await knex(VARIANT_TABLE)
+      .transacting(trx)
+      .where("id", variantId)
+      .andWhere("sold_out_by_sales", true)
+      .update({ in_stock: true, sold_out_by_sales: false });
+
+    const updatedRows = await knex(VARIANT_TABLE)
+      .transacting(trx)
+      .where("id", variantId)
+      .update({
+        sales_count: knex.raw("CASE WHEN COALESCE(sales_count, 0) > ? THEN sales_count - ? ELSE 0 END", [quantity, quantity]),
+        stock: knex.raw("COALESCE(stock, 0) + ?", [quantity]),
+      });
+
+    return updatedRows > 0;
+  });
+
+// Variant and quantity of each line of an order; orders from before order items read their `items` JSON.
+const getStockLines = async (orderId, trx) => {
+  const orderItems = await strapi.db.query("api::order-item.order-item").findMany({
+    where: { order: orderId },
+    select: ["id", "variantId", "quantity"],
+    populate: { product_variant: { select: ["id"] } },
+  });
+  if (orderItems.length > 0) {
+    return orderItems.map((item) => ({
+      variantId: item.product_variant ? item.product_variant.id : item.variantId,
+      quantity: item.quantity,
+    }));
+  }
+
+  const order = await strapi.db.connection("orders").transacting(trx).where("id", orderId).first("items");
+  return order ? toLegacyOrderLines(order.items) : [];
+};
+
+/**
+ * Returns the stock of every line of a cancelled order. Safe to call more than
+ * once: the order's `stockRestoredAt` is claimed with a conditional update first,
+ * so only the first call puts anything back. An order with no lines to read is
+ * left unclaimed. Returns the number of units restored.
+ */
+exports.restoreOrderStock = async (orderId) =>
+  strapi.db.transaction(async ({ trx }) => {
+    const lines = await getStockLines(orderId, trx);
+    if (lines.length === 0) {
+      return 0;
+    }
+
+    const claimed = await strapi.db.connection("orders")
+      .transacting(trx)
+      .where("id", orderId)
+      .whereNull("stock_restored_at")
+      .update({ stock_restored_at: new Date() });
+    if (!claimed) {
+      return 0;
+    }
+
+    let restored = 0;
+    for (const line of lines) {
+      if (line.variantId && line.quantity > 0 && await exports.restoreVariantStock(line.variantId, line.quantity, { trx })) {
+        restored += line.quantity;
+      }
+    }
+    return restored;
+  });
@@ -0,0 +1,609 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { ValidationError, NotFoundError } = require("@strapi/utils").errors;
+const { roundCurrency } = require("./coupon.js");
+const { getTaxSettings } = require("./tax.js");
+const { nextSequenceValue } = require("./sequence.js");
+const { createPdfDocument, fitText, PAGE_WIDTH } = require("./pdf.js");
+
+const INVOICE_UID = "api::invoice.invoice";
+const ORDER_UID = "api::order.order";
+
+// Orders are invoiced once confirmed; a cancelled order keeps any invoice it already had.
+const INVOICEABLE_STATUSES = ["confirmed", "shipped", "delivered"];
+// Invoice dates and financial years follow Indian Standard Time.
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+exports.INVOICEABLE_STATUSES = INVOICEABLE_STATUSES;
+
+/**
+ * Indian financial year (April to March) of a date, e.g. `{ label: "2026-27", code: "26-27" }`.
+ */
+exports.getFinancialYear = (date = new Date()) => {
+  const local = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+  const endYear = String(startYear + 1).slice(-2);
+  return { label: `${startYear}-${endYear}`, code: `${String(startYear).slice(-2)}-${endYear}` };
+};
+
+const ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen",
+];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+const belowHundred = (number) =>
+  number < 20 ? ONES[number] : [TENS[Math.floor(number / 10)], ONES[number % 10]].filter(Boolean).join(" ");
+
+const belowThousand = (number) =>
+  [number >= 100 ? `${ONES[Math.floor(number / 100)]} Hundred` : "", belowHundred(number % 100)]
+    .filter(Boolean)
+    .join(" ");
+
+// Whole number in words using the Indian system (thousand, lakh, crore).
+const integerInWords = (number) => {
+  if (number === 0) {
+    return "Zero";
+  }
+  const crores = Math.floor(number / 10000000);
+  const parts = [
+    crores ? `${integerInWords(crores)} Crore` : "",
+    Math.floor(number / 100000) % 100 ? `${belowHundred(Math.floor(number / 100000) % 100)} Lakh` : "",
+    Math.floor(number / 1000) % 100 ? `${belowHundred(Math.floor(number / 1000) % 100)} Thousand` : "",
+    belowThousand(number % 1000),
+  ];
+  return parts.filter(Boolean).join(" ");
+};
+
+// e.g. 1234.5 -> "Rupees One Thousand Two Hundred Thirty Four and Fifty Paise Only"
+exports.amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(Number(amount || 0)) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+  return `Rupees ${integerInWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ""} Only`;
+};
+
+const formatAddress = (address) =>
+  address
+    ? {
+      name: address.address_name || null,
+      phone: address.phone || null,
+      lines: [address.box_number, address.locality_name].filter(Boolean),
+      state: address.state_name || null,
+      country: address.country_name || null,
+      pincode: address.pincode || null,
+    }
+    : null;
+
+const getSeller = () => {
+  const settings = getTaxSettings();
+  return {
+    name: strapi.config.get("invoice.sellerName", ""),
+    address: strapi.config.get("invoice.sellerAddress", []),
+    gstin: settings.gstin || null,
+    state: settings.businessState || null,
+  };
+};
+
+const splitBySupply = (tax, supplyType) => {
+  if (supplyType === "inter_state") {
+    return { cgst: 0, sgst: 0, igst: tax };
+  }
+  const cgst = roundCurrency(tax / 2);
+  return { cgst, sgst: roundCurrency(tax - cgst), igst: 0 };
+};
+
+const toInvoiceLine = (line) => ({
+  ...line,
+  total: roundCurrency(line.taxable_value + line.total_tax),
+});
+
+/**
+ * Builds invoice lines for an order as it was charged. Orders carry the GST
+ * computed at checkout per part (a frame and its lenses are separate lines);
+ * each part is tied back to its order item so returns can be credited.
+ */
+const buildInvoiceLines = (order) => {
+  const orderItems = order.order_items || [];
+  if (orderItems.length === 0) {
+    throw new ValidationError(`Order #${order.orderID} has no order lines to invoice.`);
+  }
+  const breakdown = order.taxBreakdown || {};
+  const supplyType = breakdown.supply_type || "intra_state";
+  const itemsByVariant = new Map(orderItems.map((item) => [item.variantId, item]));
+
+  const taxLines = Array.isArray(breakdown.lines) ? breakdown.lines : [];
+  if (taxLines.length > 0 && taxLines.every((line) => itemsByVariant.has(line.variant_id))) {
+    return taxLines.map((line) => toInvoiceLine({
+      order_item_id: itemsByVariant.get(line.variant_id).id,
+      description: line.name,
+      hsn_code: line.hsn_code,
+      quantity: line.quantity,
+      gst_rate: Number(line.gst_rate),
+      taxable_value: Number(line.taxable_value),
+      cgst: Number(line.cgst),
+      sgst: Number(line.sgst),
+      igst: Number(line.igst),
+      total_tax: Number(line.total_tax),
+    }));
+  }
+
+  // Orders without a usable breakdown are invoiced from their stored lines
+  return orderItems.map((item) => {
+    const totalTax = Number(item.taxAmount || 0);
+    return toInvoiceLine({
+      order_item_id: item.id,
+      description: item.productName,
+      hsn_code: item.hsnCode,
+      quantity: item.quantity,
+      gst_rate: Number(item.gstRate || 0),
+      taxable_value: Number(item.taxableValue != null ? item.taxableValue : Number(item.lineTotal || 0) - totalTax),
+      ...splitBySupply(totalTax, supplyType),
+      total_tax: totalTax,
+    });
+  });
+};
+
+const sumLines = (lines, otherCharges = 0) => {
+  const sum = (field) => roundCurrency(lines.reduce((total, line) => total + Number(line[field] || 0), 0));
+  return {
+    taxableValue: sum("taxable_value"),
+    cgst: sum("cgst"),
+    sgst: sum("sgst"),
+    igst: sum("igst"),
+    totalTax: sum("total_tax"),
+    otherCharges: roundCurrency(otherCharges),
+    grandTotal: roundCurrency(sum("total") + otherCharges),
+  };
+};
+
+// GST allows at most 16 characters in a document number, e.g. INV/26-27/000123.
+const nextDocumentNumber = async (documentType, issuedAt) => {
+  const prefix = documentType === "credit_note"
+    ? strapi.config.get("invoice.creditNotePrefix", "CN")
+    : strapi.config.get("invoice.invoicePrefix", "INV");
+  const financialYear = exports.getFinancialYear(issuedAt);
+  const sequence = await nextSequenceValue(`${documentType}:${financialYear.label}`);
+  return {
+    number: `${prefix}/${financialYear.code}/${String(sequence).padStart(6, "0")}`,
+    financialYear: financialYear.label,
+  };
+};
+
+// Locks the order row so two requests cannot issue the same document twice.
+const lockOrder = async (orderId, trx) =>
+  strapi.db.connection("orders").transacting(trx).where("id", orderId).forUpdate().first("id");
+
+const formatMoney = (amount) => Number(amount || 0).toFixed(2);
+
+const formatDate = (date) => {
+  const local = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return `${String(local.getUTCDate()).padStart(2, "0")}/${String(local.getUTCMonth() + 1).padStart(2, "0")}/${local.getUTCFullYear()}`;
+};
+
+const COLUMNS = [
+  { key: "index", label: "#", width: 18 },
+  { key: "description", label: "Description", width: 140 },
+  { key: "hsn_code", label: "HSN", width: 42 },
+  { key: "quantity", label: "Qty", width: 26, align: "right" },
+  { key: "taxable_value", label: "Taxable", width: 58, align: "right", money: true },
+  { key: "gst_rate", label: "GST %", width: 32, align: "right" },
+  { key: "cgst", label: "CGST", width: 48, align: "right", money: true },
+  { key: "sgst", label: "SGST", width: 48, align: "right", money: true },
+  { key: "igst", label: "IGST", width: 48, align: "right", money: true },
+  { key: "total", label: "Total", width: 55, align: "right", money: true },
+];
+const MARGIN = 40;
+const ROW_HEIGHT = 16;
+const PAGE_BOTTOM = 770;
+
+/**
+ * Renders an invoice or credit note entry to a PDF buffer.
+ */
+exports.renderInvoicePdf = (invoice) => {
+  const pdf = createPdfDocument().addPage();
+  const right = PAGE_WIDTH - MARGIN;
+  const isCreditNote = invoice.documentType === "credit_note";
+  const seller = invoice.seller || {};
+  let y = 60;
+
+  pdf.text(MARGIN, y, isCreditNote ? "CREDIT NOTE" : "TAX INVOICE", { size: 16, bold: true });
+  y += 24;
+
+  // Seller on the left, document details on the right
+  const sellerLines = [
+    ...(seller.address || []),
+    seller.gstin ? `GSTIN: ${seller.gstin}` : null,
+    seller.state ? `State: ${seller.state}` : null,
+  ].filter(Boolean);
+  const details = [
+    [isCreditNote ? "Credit note no." : "Invoice no.", invoice.number],
+    ["Date", formatDate(invoice.issuedAt)],
+    ["Order no.", invoice.orderNumber],
+    isCreditNote && invoice.originalInvoiceNumber ? ["Against invoice", invoice.originalInvoiceNumber] : null,
+    ["Place of supply", invoice.placeOfSupply || "-"],
+  ].filter(Boolean);
+
+  pdf.text(MARGIN, y, seller.name || "", { size: 11, bold: true });
+  details.forEach(([label, value], index) => {
+    pdf.text(right - 150, y + index * 13, `${label}:`, { size: 9 });
+    pdf.text(right, y + index * 13, value || "-", { size: 9, bold: true, align: "right" });
+  });
+  sellerLines.forEach((line, index) => {
+    pdf.text(MARGIN, y + 13 * (index + 1), fitText(line, 300, 9), { size: 9 });
+  });
+  y += 13 * (Math.max(sellerLines.length + 1, details.length) + 1);
+
+  // Billing and shipping addresses side by side
+  const addressBlock = (x, title, address) => {
+    pdf.text(x, y, title, { size: 9, bold: true });
+    const lines = address
+      ? [
+        address.name,
+        ...address.lines,
+        [address.state, address.pincode].filter(Boolean).join(" - "),
+        address.country,
+        address.phone ? `Phone: ${address.phone}` : null,
+      ].filter(Boolean)
+      : ["-"];
+    lines.forEach((line, index) => pdf.text(x, y + 12 * (index + 1), fitText(line, 240, 9), { size: 9 }));
+    return lines.length;
+  };
+  const addressRows = Math.max(
+    addressBlock(MARGIN, "Bill to", invoice.billingAddress),
+    addressBlock(MARGIN + 260, "Ship to", invoice.shippingAddress)
+  );
+  y += 12 * (addressRows + 2);
+
+  const drawHeader = () => {
+    pdf.line(MARGIN, y - 11, right, y - 11);
+    let x = MARGIN;
+    COLUMNS.forEach((column) => {
+      pdf.text(column.align === "right" ? x + column.width - 2 : x, y, column.label, {
+        size: 8,
+        bold: true,
+        align: column.align || "left",
+      });
+      x += column.width;
+    });
+    pdf.line(MARGIN, y + 5, right, y + 5);
+    y += ROW_HEIGHT + 2;
+  };
+  drawHeader();
+
+  (invoice.lines || []).forEach((line, index) => {
+    if (y > PAGE_BOTTOM) {
+      pdf.addPage();
+      y = 60;
+      drawHeader();
+    }
+    let x = MARGIN;
+    COLUMNS.forEach((column) => {
+      const raw = column.key === "index" ? index + 1 : line[column.key];
+      const value = column.money ? formatMoney(raw) : raw == null ? "" : String(raw);
+      pdf.text(column.align === "right" ? x + column.width - 2 : x, y, fitText(value, column.width - 4, 8), {
+        size: 8,
+        align: column.align || "left",
+      });
+      x += column.width;
+    });
+    y += ROW_HEIGHT;
+  });
+  pdf.line(MARGIN, y - 10, right, y - 10);
+
+  // Totals
+  const totals = [
+    ["Taxable value", invoice.taxableValue],
+    ["CGST", invoice.cgst],
+    ["SGST", invoice.sgst],
+    ["IGST", invoice.igst],
+    Number(invoice.otherCharges) > 0 ? ["Shipping & other charges", invoice.otherCharges] : null,
+  ].filter(Boolean);
+  if (y + 16 * (totals.length + 4) > PAGE_BOTTOM + 40) {
+    pdf.addPage();
+    y = 60;
+  }
+  y += 6;
+  totals.forEach(([label, value]) => {
+    pdf.text(right - 90, y, label, { size: 9, align: "right" });
+    pdf.text(right, y, formatMoney(value), { size: 9, align: "right" });
+    y += 14;
+  });
+  pdf.text(right - 90, y + 2, isCreditNote ? "Total credit" : "Grand total", { size: 10, bold: true, align: "right" });
+  pdf.text(right, y + 2, `Rs. ${formatMoney(invoice.grandTotal)}`, { size: 10, bold: true, align: "right" });
+  y += 22;
+  pdf.text(MARGIN, y, fitText(`Amount in words: ${invoice.amountInWords}`, right - MARGIN, 9), { size: 9 });
+  y += 28;
+  pdf.text(MARGIN, y, `This is a computer-generated ${isCreditNote ? "credit note" : "invoice"} and needs no signature.`, { size: 8 });
+
+  return pdf.toBuffer();
+};
+
+// Stores a rendered PDF through the upload plugin and links it to the invoice entry.
+const attachPdf = async (invoice) => {
+  const fileName = `${invoice.number.replace(/[^A-Za-z0-9-]/g, "-")}.pdf`;
+  const buffer = exports.renderInvoicePdf(invoice);
+  const filePath = path.join(os.tmpdir(), `${crypto.randomUUID()}-${fileName}`);
+
+  await fs.promises.writeFile(filePath, buffer);
+  try {
+    const [file] = await strapi.plugin("upload").service("upload").upload({
+      data: { fileInfo: { name: fileName } },
+      files: {
+        path: filePath,
+        filepath: filePath,
+        name: fileName,
+        originalFilename: fileName,
+        type: "application/pdf",
+        mimetype: "application/pdf",
+        size: buffer.length,
+      },
+    });
+    await strapi.db.query(INVOICE_UID).update({ where: { id: invoice.id }, data: { pdf: file.id } });
+  } finally {
+    await fs.promises.unlink(filePath).catch(() => {});
+  }
+};
+
+const INVOICE_POPULATE = {
+  order: { select: ["id", "orderID"] },
+  originalInvoice: { select: ["id", "number"] },
+  pdf: { select: ["id", "url", "name"] },
+};
+
+/**
+ * Loads an invoice entry in the shape `renderInvoicePdf` and API responses use.
+ */
+exports.getInvoiceDocument = async (where) => {
+  const invoice = await strapi.db.query(INVOICE_UID).findOne({ where, populate: INVOICE_POPULATE });
+  if (!invoice) {
+    return null;
+  }
+  return {
+    ...invoice,
+    // Documents issued before the order number was kept on them show the order's current one
+    orderNumber: invoice.orderNumber || (invoice.order ? invoice.order.orderID : null),
+    originalInvoiceNumber: invoice.originalInvoice ? invoice.originalInvoice.number : null,
+  };
+};
+
+// Creates the entry and then its PDF; a failed upload is retried the next time it is issued.
+const finishDocument = async (invoiceId) => {
+  const invoice = await exports.getInvoiceDocument({ id: invoiceId });
+  if (!invoice.pdf) {
+    try {
+      await attachPdf(invoice);
+    } catch (error) {
+      strapi.log.error(`Invoice ${invoice.number}: failed to store PDF: ${error.message}`);
+    }
+  }
+  return exports.getInvoiceDocument({ id: invoiceId });
+};
+
+/**
+ * Issues the tax invoice for an order, or returns the one already issued.
+ */
+exports.issueInvoice = async (orderId) => {
+  const invoiceId = await strapi.db.transaction(async ({ trx }) => {
+    await lockOrder(orderId, trx);
+    const existing = await strapi.db.query(INVOICE_UID).findOne({
+      where: { order: orderId, documentType: "invoice" },
+      select: ["id"],
+    });
+    if (existing) {
+      return existing.id;
+    }
+
+    const order = await strapi.db.query(ORDER_UID).findOne({
+      where: { id: orderId },
+      populate: { order_items: true, address: true, user: { select: ["id"] } },
+    });
+    if (!order) {
+      throw new NotFoundError(`Order ${orderId} not found.`);
+    }
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+      throw new ValidationError(`Order #${order.orderID} is ${order.status} and cannot be invoiced yet.`);
+    }
+
+    const billingAddress = order.user
+      ? await strapi.db.query("api::address.address").findOne({ where: { user: order.user.id, is_default: true } })
+      : null;
+    const lines = buildInvoiceLines(order);
+    const totals = sumLines(lines, Number(order.shippingFee || 0) + Number(order.codSurcharge || 0));
+    const issuedAt = new Date();
+
+    const invoice = await strapi.db.query(INVOICE_UID).create({
+      data: {
+        documentType: "invoice",
+        ...(await nextDocumentNumber("invoice", issuedAt)),
+        order: order.id,
+        orderNumber: order.orderID,
+        issuedAt,
+        seller: getSeller(),
+        billingAddress: formatAddress(billingAddress || order.address),
+        shippingAddress: formatAddress(order.address),
+        supplyType: (order.taxBreakdown && order.taxBreakdown.supply_type) || "intra_state",
+        placeOfSupply: (order.taxBreakdown && order.taxBreakdown.place_of_supply) || (order.address && order.address.state_name) || null,
+        lines,
+        ...totals,
+        amountInWords: exports.amountInWords(totals.grandTotal),
+      },
+    });
+    return invoice.id;
+  });
+
+  return finishDocument(invoiceId);
+};
+
+const scaleLine = (line, share) => {
+  const scaled = {};
+  ["taxable_value", "cgst", "sgst", "igst", "total_tax"].forEach((field) => {
+    scaled[field] = roundCurrency(Number(line[field] || 0) * share);
+  });
+  return toInvoiceLine({ ...line, ...scaled });
+};
+
+// Marks the cancellation or return as credited, so the cron sweep stops retrying it.
+const clearCreditNoteDue = (orderId, returnRequest, trx) =>
+  returnRequest
+    ? strapi.db.connection("return_requests").transacting(trx).where("id", returnRequest.id).update({ credit_note_due_at: null })
+    : strapi.db.connection("orders").transacting(trx).where("id", orderId).update({ credit_note_due_at: null });
+
+// Creates the credit note entry, or finds the one already issued; call with the order locked.
+const createCreditNote = async ({ orderId, reason, returnRequest }) => {
+  const existing = await strapi.db.query(INVOICE_UID).findOne({
+    where: returnRequest
+      ? { documentType: "credit_note", return_request: returnRequest.id }
+      : { documentType: "credit_note", order: orderId, reason },
+    select: ["id"],
+  });
+  if (existing) {
+    return existing.id;
+  }
+
+  const invoice = await strapi.db.query(INVOICE_UID).findOne({ where: { order: orderId, documentType: "invoice" } });
+  if (!invoice) {
+    return null;
+  }
+
+  let lines = invoice.lines || [];
+  let otherCharges = Number(invoice.otherCharges || 0);
+  if (returnRequest) {
+    const orderItem = returnRequest.order_item;
+    lines = lines
+      .filter((line) => line.order_item_id === orderItem.id)
+      .map((line) => ({ ...scaleLine(line, returnRequest.quantity / orderItem.quantity), quantity: returnRequest.quantity }));
+    otherCharges = 0;
+  }
+  if (lines.length === 0) {
+    throw new ValidationError(`Invoice ${invoice.number} has no lines to credit.`);
+  }
+
+  const totals = sumLines(lines, otherCharges);
+  const issuedAt = new Date();
+  const creditNote = await strapi.db.query(INVOICE_UID).create({
+    data: {
+      documentType: "credit_note",
+      ...(await nextDocumentNumber("credit_note", issuedAt)),
+      order: orderId,
+      orderNumber: invoice.orderNumber,
+      originalInvoice: invoice.id,
+      return_request: returnRequest ? returnRequest.id : null,
+      reason,
+      issuedAt,
+      seller: invoice.seller,
+      billingAddress: invoice.billingAddress,
+      shippingAddress: invoice.shippingAddress,
+      supplyType: invoice.supplyType,
+      placeOfSupply: invoice.placeOfSupply,
+      lines,
+      ...totals,
+      amountInWords: exports.amountInWords(totals.grandTotal),
+    },
+  });
+  return creditNote.id;
+};
+
+/**
+ * Issues a credit note against an order's invoice, once per cancellation or
+ * return. A cancellation credits the whole invoice; a return credits its share
+ * of the returned order line. Returns null when the order was never invoiced.
+ */
+const issueCreditNote = async ({ orderId, reason, returnRequest = null }) => {
+  const creditNoteId = await strapi.db.transaction(async ({ trx }) => {
+    await lockOrder(orderId, trx);
+    const id = await createCreditNote({ orderId, reason, returnRequest });
+    await clearCreditNoteDue(orderId, returnRequest, trx);
+    return id;
+  });
+
+  return creditNoteId ? finishDocument(creditNoteId) : null;
+};
+
+exports.issueCancellationCreditNote = (orderId) => issueCreditNote({ orderId, reason: "cancellation" });
+
+/**
+ * Credits a return that was refunded. The order is invoiced first if that never
+ * happened, so every refund has a credit note against an invoice.
+ */
+exports.issueReturnCreditNote = async (returnRequestId) => {
+  const returnRequest = await strapi.db.query("api::return-request.return-request").findOne({
+    where: { id: returnRequestId },
+    populate: { order: { select: ["id"] }, order_item: { select: ["id", "quantity"] } },
+  });
+  if (!returnRequest || !returnRequest.order || !returnRequest.order_item) {
+    throw new NotFoundError(`Return request ${returnRequestId} not found.`);
+  }
+
+  await exports.issueInvoice(returnRequest.order.id);
+  return issueCreditNote({ orderId: returnRequest.order.id, reason: "return", returnRequest });
+};
+
+/**
+ * Issues invoices for confirmed orders that do not have one yet. Returns the
+ * number issued.
+ */
+exports.issuePendingInvoices = async () => {
+  const orders = await strapi.db.query(ORDER_UID).findMany({
+    where: {
+      status: { $in: INVOICEABLE_STATUSES },
+      order_items: { id: { $notNull: true } },
+      invoices: { id: { $null: true } },
+    },
+    select: ["id"],
+    orderBy: { id: "asc" },
+    limit: BATCH_SIZE,
+  });
+
+  let issued = 0;
+  for (const order of orders) {
+    try {
+      await exports.issueInvoice(order.id);
+      issued += 1;
+    } catch (error) {
+      strapi.log.error(`Order ${order.id}: failed to issue invoice: ${error.message}`);
+    }
+  }
+  return issued;
+};
+
+/**
+ * Issues the credit notes for cancellations and refunded returns whose credit
+ * note failed when it was first due. Returns the number handled.
+ */
+exports.issuePendingCreditNotes = async () => {
+  const orders = await strapi.db.query(ORDER_UID).findMany({
+    where: { creditNoteDueAt: { $notNull: true } },
+    select: ["id"],
+    orderBy: { creditNoteDueAt: "asc" },
+    limit: BATCH_SIZE,
+  });
+  const returnRequests = await strapi.db.query("api::return-request.return-request").findMany({
+    where: { creditNoteDueAt: { $notNull: true } },
+    select: ["id"],
+    orderBy: { creditNoteDueAt: "asc" },
+    limit: BATCH_SIZE,
+  });
+
+  let handled = 0;
+  for (const order of orders) {
+    try {
+      await exports.issueCancellationCreditNote(order.id);
+      handled += 1;
+    } catch (error) {
+      strapi.log.error(`Order ${order.id}: failed to issue cancellation credit note: ${error.message}`);
+    }
+  }
+  for (const returnRequest of returnRequests) {
+    try {
+      await exports.issueReturnCreditNote(returnRequest.id);
+      handled += 1;
+    } catch (error) {
+      strapi.log.error(`Return request ${returnRequest.id}: failed to issue credit note: ${error.message}`);
+    }
+  }
+  return handled;
+};
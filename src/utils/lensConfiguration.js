@@ -0,0 +1,179 @@
+const utils = require("@strapi/utils");
+
+const { ValidationError, NotFoundError } = utils.errors;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Cart relation -> lens option content type, request field and product relation listing allowed options.
+const LENS_OPTIONS = {
+  lens_type: { uid: "api::lens-type.lens-type", field: "lensTypeId", productRelation: "lens_types" },
+  lens_coating: { uid: "api::lens-coating.lens-coating", field: "lensCoatingId", productRelation: "lens_coatings" },
+  lens_thickness: { uid: "api::lens-thickness.lens-thickness", field: "lensThicknessId", productRelation: "lens_thicknesses" },
+};
+
+const EYE_POWER_FIELDS = [
+  "id",
+  "name",
+  "prescription_date",
+  "right_eyeSPH",
+  "right_eyeCYL",
+  "right_eyeAXIS",
+  "left_eyeSPH",
+  "left_eyeCYL",
+  "left_eyeAXIS",
+];
+
+// Populate block for cart queries that need the lens configuration of each line.
+exports.LENS_POPULATE = {
+  lens_type: { select: ["id", "name", "price", "publishedAt"] },
+  lens_coating: { select: ["id", "name", "price", "publishedAt"] },
+  lens_thickness: { select: ["id", "name", "price", "publishedAt"] },
+  eye_power: { select: EYE_POWER_FIELDS },
+};
+
+exports.LENS_RELATIONS = [...Object.keys(LENS_OPTIONS), "eye_power"];
+
+const hasValue = (value) => value !== undefined && value !== null && value !== "";
+
+/**
+ * Identifies a line's lens configuration, from a populated line or from relation
+ * ids as returned by `resolveLensConfiguration`. Cart lines are unique per variant
+ * and this key, so one frame can be in the cart twice with different lenses.
+ */
+exports.getLensKey = (line) =>
+  exports.LENS_RELATIONS.map((relation) => {
+    const value = line ? line[relation] : null;
+    if (!hasValue(value)) return "";
+    return String(typeof value === "object" ? value.id : value);
+  }).join(":");
+
+/**
+ * Validates a lens configuration from a request body and returns the cart
+ * relation data to store. Only frames take lenses; options must be published
+ * and, when the frame lists allowed options, one of those. The prescription
+ * must belong to the signed-in user.
+ *
+ * `lens` is `{ lensTypeId, lensCoatingId, lensThicknessId, eyePowerId }`; pass
+ * null to clear the configuration.
+ */
+exports.resolveLensConfiguration = async (lens, { parentType, masterProductId, userId = null }) => {
+  const cleared = { lens_type: null, lens_coating: null, lens_thickness: null, eye_power: null };
+  if (!lens) {
+    return cleared;
+  }
+  if (typeof lens !== "object") {
+    throw new ValidationError("Lens configuration must be an object.");
+  }
+  if (parentType !== "product") {
+    throw new ValidationError("Lens configuration is only available for frames.");
+  }
+
+  const requested = Object.entries(LENS_OPTIONS).filter(([, option]) => hasValue(lens[option.field]));
+  if (requested.length === 0 && !hasValue(lens.eyePowerId)) {
+    return cleared;
+  }
+  if (!hasValue(lens.lensTypeId)) {
+    throw new ValidationError("A lens type is required when configuring lenses.");
+  }
+
+  const allowedPopulate = {};
+  requested.forEach(([, option]) => {
+    allowedPopulate[option.productRelation] = { select: ["id"] };
+  });
+  const product = await strapi.db.query("api::product.product").findOne({
+    where: { id: masterProductId },
+    select: ["id"],
+    populate: allowedPopulate,
+  });
+
+  const data = { ...cleared };
+  for (const [relation, option] of requested) {
+    const optionId = parseInt(lens[option.field], 10);
+    const entry = isNaN(optionId)
+      ? null
+      : await strapi.db.query(option.uid).findOne({
+        where: { id: optionId, publishedAt: { $notNull: true } },
+        select: ["id"],
+      });
+    if (!entry) {
+      throw new NotFoundError(`Lens option ${option.field} ${lens[option.field]} not found.`);
+    }
+
+    const allowed = (product && product[option.productRelation]) || [];
+    if (allowed.length > 0 && !allowed.some((allowedOption) => allowedOption.id === optionId)) {
+      throw new ValidationError(`Lens option ${option.field} ${optionId} is not available for this frame.`);
+    }
+    data[relation] = optionId;
+  }
+
+  if (hasValue(lens.eyePowerId)) {
+    if (!userId) {
+      throw new ValidationError("Sign in to use a saved prescription.");
+    }
+    const eyePower = await strapi.db.query("api::eye-power.eye-power").findOne({
+      where: { id: lens.eyePowerId, user: userId },
+      select: ["id"],
+    });
+    if (!eyePower) {
+      throw new NotFoundError("Prescription not found for this user.");
+    }
+    data.eye_power = eyePower.id;
+  }
+
+  return data;
+};
+
+// Per-frame price of the lens options on a populated cart line.
+exports.getLensUnitPrice = (cartItem) =>
+  roundCurrency(
+    Object.keys(LENS_OPTIONS).reduce((sum, relation) => {
+      const option = cartItem && cartItem[relation];
+      return sum + (option ? Number(option.price || 0) : 0);
+    }, 0)
+  );
+
+/**
+ * Returns the problems with a populated line's lens configuration, e.g. an
+ * option that has since been unpublished.
+ */
+exports.validateLensConfiguration = (cartItem, { parentType } = {}) => {
+  const problems = [];
+  const hasLens = Object.keys(LENS_OPTIONS).some((relation) => cartItem[relation]);
+
+  if (hasLens && parentType && parentType !== "product") {
+    problems.push("Lens configuration is only available for frames.");
+  }
+  Object.keys(LENS_OPTIONS).forEach((relation) => {
+    const option = cartItem[relation];
+    if (option && !option.publishedAt) {
+      problems.push(`${option.name || relation} is no longer available.`);
+    }
+  });
+  return problems;
+};
+
+/**
+ * Shapes a populated line's lens configuration for API responses and order
+ * snapshots, or returns null when the line has no lenses.
+ */
+exports.formatLensConfiguration = (cartItem) => {
+  if (!cartItem || !exports.LENS_RELATIONS.some((relation) => cartItem[relation])) {
+    return null;
+  }
+
+  const formatOption = (option) =>
+    option ? { id: option.id, name: option.name, price: Number(option.price || 0) } : null;
+
+  return {
+    lens_type: formatOption(cartItem.lens_type),
+    lens_coating: formatOption(cartItem.lens_coating),
+    lens_thickness: formatOption(cartItem.lens_thickness),
+    eye_power: cartItem.eye_power
+      ? EYE_POWER_FIELDS.reduce((prescription, field) => {
+        prescription[field] = cartItem.eye_power[field];
+        return prescription;
+      }, {})
+      : null,
+    lens_unit_price: exports.getLensUnitPrice(cartItem),
+  };
+};
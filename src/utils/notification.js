@@ -0,0 +1,40 @@
+const NOTIFICATION_UID = "api::notification.notification";
+
+/**
+ * Picks the i18n locale to store a notification in: the requested one when it
+ * is configured, otherwise the default locale.
+ */
+exports.resolveLocale = async (locale = null) => {
+  const localesService = strapi.plugin("i18n").service("locales");
+  if (locale) {
+    const locales = await localesService.find();
+    const match = locales.find((entry) => entry.code.toLowerCase() === String(locale).toLowerCase());
+    if (match) {
+      return match.code;
+    }
+  }
+  return localesService.getDefaultLocale();
+};
+
+/**
+ * Creates a published in-app notification for a user.
+ *
+ * Notifications are localized; without a locale the default one is used.
+ */
+exports.createUserNotification = async ({ userId, title, message, type = "system", orderId = null, locale = null }) => {
+  const now = new Date();
+
+  return strapi.db.query(NOTIFICATION_UID).create({
+    data: {
+      user: userId,
+      title,
+      message,
+      type,
+      relatedOrder: orderId,
+      read: false,
+      sentAt: now,
+      publishedAt: now,
+      locale: await exports.resolveLocale(locale),
+    },
+  });
+};
@@ -0,0 +1,392 @@
+const { ValidationError } = require("@strapi/utils").errors;
+const { ORDER_TRANSITIONS } = require("./orderStatus.js");
+const { toLegacyOrderLines } = require("./orderLines.js");
+const { roundCurrency } = require("./coupon.js");
+
+const ORDER_UID = "api::order.order";
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_BULK_ORDERS = 100;
+const MAX_TRACKING_ID_LENGTH = 64;
+const EXPORT_BATCH_SIZE = 200;
+const MAX_EXPORT_ORDERS = 5000;
+
+// Statuses staff can attach a tracking number to.
+const TRACKABLE_STATUSES = ["confirmed", "shipped"];
+
+exports.ADMIN_ORDER_POPULATE = {
+  user: { select: ["id", "username", "name", "email", "phone"] },
+  address: true,
+  order_items: { orderBy: { id: "asc" } },
+};
+
+const ORDER_ORDER_BY = [{ orderedAt: "desc" }, { id: "desc" }];
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+
+const parseListFilter = (value, allowed, label) => {
+  const list = toList(value);
+  const unknown = list.filter((entry) => !allowed.includes(entry));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown ${label}: ${unknown.join(", ")}.`);
+  }
+  return list;
+};
+
+// Plain dates are whole days in India: `from` starts at midnight, `to` ends just before the next one.
+const parseDate = (value, label, { endOfDay = false } = {}) => {
+  if (!value) {
+    return null;
+  }
+  const text = String(value).trim();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+    ? new Date(`${text}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}+05:30`)
+    : new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${label} must be a date, e.g. 2026-04-01.`);
+  }
+  return date;
+};
+
+/**
+ * Turns staff query parameters into an order query. All are optional:
+ *   - `status`, `paymentStatus`: one value or a comma-separated list
+ *   - `from`, `to`: order date range, as dates or timestamps
+ *   - `phone`, `email`: the customer's, matched partially; phone matches the
+ *     account or the delivery address
+ *   - `orderId`: matched partially against the order number or legacy id
+ *   - `product`: a product name (partial) or product id
+ */
+exports.buildOrderWhere = (query = {}) => {
+  const conditions = [];
+
+  const statuses = parseListFilter(query.status, Object.keys(ORDER_TRANSITIONS), "status");
+  if (statuses.length > 0) {
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  const paymentStatuses = parseListFilter(
+    query.paymentStatus,
+    strapi.contentType(ORDER_UID).attributes.paymentStatus.enum,
+    "payment status"
+  );
+  if (paymentStatuses.length > 0) {
+    conditions.push({ paymentStatus: { $in: paymentStatuses } });
+  }
+
+  const from = parseDate(query.from, "From");
+  const to = parseDate(query.to, "To", { endOfDay: true });
+  if (from && to && from > to) {
+    throw new ValidationError("From must be before To.");
+  }
+  if (from) {
+    conditions.push({ orderedAt: { $gte: from } });
+  }
+  if (to) {
+    conditions.push({ orderedAt: { $lte: to } });
+  }
+
+  if (query.phone) {
+    // Numbers are stored with and without the country code, so match on the last ten digits.
+    const digits = String(query.phone).replace(/\D/g, "").slice(-10);
+    if (!digits) {
+      throw new ValidationError("Phone must contain digits.");
+    }
+    conditions.push({
+      $or: [{ user: { phone: { $contains: digits } } }, { address: { phone: { $contains: digits } } }],
+    });
+  }
+  if (query.email) {
+    conditions.push({ user: { email: { $containsi: String(query.email).trim() } } });
+  }
+  if (query.orderId) {
+    const orderId = String(query.orderId).trim();
+    conditions.push({ $or: [{ orderID: { $containsi: orderId } }, { legacyOrderID: { $containsi: orderId } }] });
+  }
+  if (query.product) {
+    const product = String(query.product).trim();
+    const matches = [{ order_items: { productName: { $containsi: product } } }];
+    if (/^\d+$/.test(product)) {
+      matches.push({ order_items: { productId: Number(product) } });
+    }
+    conditions.push({ $or: matches });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+exports.getPagination = (query = {}) => {
+  const page = parseInt(query.page || 1, 10);
+  const pageSize = parseInt(query.pageSize || DEFAULT_PAGE_SIZE, 10);
+  if (!(page >= 1) || !(pageSize >= 1)) {
+    throw new ValidationError("Page and page size must be greater than 0.");
+  }
+  const limit = Math.min(pageSize, MAX_PAGE_SIZE);
+  return { page, pageSize: limit, offset: (page - 1) * limit };
+};
+
+/**
+ * Returns one page of orders matching `where`, newest first, with pagination meta.
+ */
+exports.findOrdersPage = async (where, { page, pageSize, offset }) => {
+  const [orders, total] = await Promise.all([
+    strapi.db.query(ORDER_UID).findMany({
+      where,
+      populate: exports.ADMIN_ORDER_POPULATE,
+      orderBy: ORDER_ORDER_BY,
+      offset,
+      limit: pageSize,
+    }),
+    strapi.db.query(ORDER_UID).count({ where }),
+  ]);
+
+  return {
+    orders,
+    pagination: { page, pageSize, pageCount: Math.ceil(total / pageSize), total },
+  };
+};
+
+const parseOrderIds = (orderIds) => {
+  const list = [...new Set(toList(orderIds))];
+  if (list.length === 0) {
+    throw new ValidationError("At least one order ID is required.");
+  }
+  if (list.length > MAX_BULK_ORDERS) {
+    throw new ValidationError(`At most ${MAX_BULK_ORDERS} orders can be updated at once.`);
+  }
+  return list;
+};
+
+// Orders keyed by both their number and any legacy id, so staff can paste either.
+const findOrdersByOrderId = async (orderIds) => {
+  const orders = await strapi.db.query(ORDER_UID).findMany({
+    where: { $or: [{ orderID: { $in: orderIds } }, { legacyOrderID: { $in: orderIds } }] },
+    select: ["id", "orderID", "legacyOrderID", "status", "trackingId"],
+  });
+  const byOrderId = new Map();
+  orders.forEach((order) => {
+    byOrderId.set(order.orderID, order);
+    if (order.legacyOrderID) {
+      byOrderId.set(order.legacyOrderID, order);
+    }
+  });
+  return byOrderId;
+};
+
+// One order of a bulk request failing must not stop the rest; report why instead.
+const toFailure = (orderId, error) => {
+  if (!(error instanceof ValidationError)) {
+    strapi.log.error(`Bulk update of order ${orderId} failed: ${error.message}`);
+  }
+  return {
+    orderId,
+    success: false,
+    message: error instanceof ValidationError ? error.message : "An unexpected error occurred.",
+  };
+};
+
+/**
+ * Moves each order to `status` through the order lifecycle, so the usual
+ * transition rules, timestamps, stock and notifications apply. Cancelling
+ * needs a note, which becomes the cancellation reason.
+ *
+ * Returns one result per order: `{ orderId, success, changed, message }`.
+ */
+exports.bulkUpdateOrderStatus = async (orderIds, status, { note = null } = {}) => {
+  const ids = parseOrderIds(orderIds);
+  if (!Object.keys(ORDER_TRANSITIONS).includes(status)) {
+    throw new ValidationError(`Unknown status: ${status}.`);
+  }
+  const trimmedNote = typeof note === "string" ? note.trim() : "";
+  if (status === "cancelled" && !trimmedNote) {
+    throw new ValidationError("A note is required to cancel orders.");
+  }
+
+  const orders = await findOrdersByOrderId(ids);
+  const results = [];
+  for (const orderId of ids) {
+    const order = orders.get(orderId);
+    if (!order) {
+      results.push({ orderId, success: false, message: "Order not found." });
+      continue;
+    }
+    if (order.status === status) {
+      results.push({ orderId, success: true, changed: false, message: `Order is already ${status}.` });
+      continue;
+    }
+
+    try {
+      const data = { status, statusChange: { note: trimmedNote || null } };
+      if (status === "cancelled") {
+        data.cancellationReason = trimmedNote;
+      }
+      await strapi.db.query(ORDER_UID).update({ where: { id: order.id }, data });
+      results.push({ orderId, success: true, changed: true, message: `Order moved to ${status}.` });
+    } catch (error) {
+      results.push(toFailure(orderId, error));
+    }
+  }
+  return results;
+};
+
+/**
+ * Sets tracking numbers on confirmed or shipped orders. With `ship`, confirmed
+ * orders are also marked shipped with the given carrier on their timeline.
+ *
+ * `assignments` is a list of `{ orderId, trackingId, carrier }`. Returns one
+ * result per assignment like `bulkUpdateOrderStatus`.
+ */
+exports.assignTrackingIds = async (assignments, { ship = false } = {}) => {
+  if (!Array.isArray(assignments) || assignments.length === 0) {
+    throw new ValidationError("At least one tracking assignment is required.");
+  }
+  if (assignments.length > MAX_BULK_ORDERS) {
+    throw new ValidationError(`At most ${MAX_BULK_ORDERS} orders can be updated at once.`);
+  }
+
+  const orders = await findOrdersByOrderId(assignments.map((assignment) => String((assignment && assignment.orderId) || "")));
+  const results = [];
+  for (const assignment of assignments) {
+    const { orderId: rawOrderId, trackingId: rawTrackingId, carrier: rawCarrier } = assignment || {};
+    const orderId = String(rawOrderId || "");
+    const trackingId = typeof rawTrackingId === "string" ? rawTrackingId.trim() : "";
+    const carrier = typeof rawCarrier === "string" ? rawCarrier.trim() : "";
+    const order = orders.get(orderId);
+
+    try {
+      if (!order) {
+        results.push({ orderId, success: false, message: "Order not found." });
+        continue;
+      }
+      if (!trackingId || trackingId.length > MAX_TRACKING_ID_LENGTH) {
+        throw new ValidationError(`Tracking ID must be 1-${MAX_TRACKING_ID_LENGTH} characters.`);
+      }
+      if (!TRACKABLE_STATUSES.includes(order.status)) {
+        throw new ValidationError(`Order #${order.orderID} cannot be given a tracking ID while it is ${order.status}.`);
+      }
+
+      const data = { trackingId };
+      if (ship && order.status === "confirmed") {
+        data.status = "shipped";
+        data.statusChange = { carrier: carrier || null };
+      }
+      await strapi.db.query(ORDER_UID).update({ where: { id: order.id }, data });
+      results.push({
+        orderId,
+        success: true,
+        changed: true,
+        message: data.status ? "Tracking ID assigned and order shipped." : "Tracking ID assigned.",
+      });
+    } catch (error) {
+      results.push(toFailure(orderId, error));
+    }
+  }
+  return results;
+};
+
+// Text cells starting with these are run as formulas by spreadsheets; customer input must not be.
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatLens = (lens) =>
+  lens ? [lens.lens_type, lens.lens_coating, lens.lens_thickness].filter(Boolean).map((option) => option.name).join(" / ") : null;
+
+const formatPrescription = (lens) => {
+  const power = lens && lens.eye_power;
+  if (!power) {
+    return null;
+  }
+  const eye = (side) =>
+    `SPH ${power[`${side}_eyeSPH`] ?? "-"} CYL ${power[`${side}_eyeCYL`] ?? "-"} AXIS ${power[`${side}_eyeAXIS`] ?? "-"}`;
+  return `R: ${eye("right")}; L: ${eye("left")}`;
+};
+
+// Export columns, each read from an order and one of its lines (null for legacy orders without lines).
+const CSV_COLUMNS = [
+  ["Order ID", (order) => order.orderID],
+  ["Legacy Order ID", (order) => order.legacyOrderID],
+  ["Ordered At", (order) => order.orderedAt],
+  ["Status", (order) => order.status],
+  ["Payment Status", (order) => order.paymentStatus],
+  ["Payment Method", (order) => order.paymentMethod],
+  ["Shipping Method", (order) => order.shippingMethod],
+  ["Tracking ID", (order) => order.trackingId],
+  ["Customer", (order) => (order.address && order.address.name) || (order.user && (order.user.name || order.user.username))],
+  ["Email", (order) => order.user && order.user.email],
+  ["Phone", (order) => (order.address && order.address.phone) || (order.user && order.user.phone)],
+  ["Address", (order) => order.address && order.address.address_name],
+  ["Locality", (order) => order.address && order.address.locality_name],
+  ["State", (order) => order.address && order.address.state_name],
+  ["PIN Code", (order) => order.address && order.address.pincode],
+  ["Country", (order) => order.address && order.address.country_name],
+  ["Product", (order, item) => item && item.productName],
+  ["Product Type", (order, item) => item && item.productType],
+  ["Product ID", (order, item) => item && item.productId],
+  ["Variant ID", (order, item) => item && item.variantId],
+  ["Colour", (order, item) => item && item.colorName],
+  ["Frame Size", (order, item) => item && item.frameSize],
+  ["Quantity", (order, item) => item && item.quantity],
+  ["Unit Price", (order, item) => item && item.unitPrice],
+  ["Line Total", (order, item) => item && item.lineTotal],
+  ["Lens", (order, item) => item && formatLens(item.lensConfiguration)],
+  ["Prescription", (order, item) => item && formatPrescription(item.lensConfiguration)],
+  ["Order Total", (order) => order.totalAmount],
+  ["Paid From Wallet", (order) => order.walletAmount],
+];
+
+// Lines of an order for the export; orders from before order items read their `items` JSON.
+const getCsvLines = (order) => {
+  if (order.order_items && order.order_items.length > 0) {
+    return order.order_items;
+  }
+  const legacyLines = toLegacyOrderLines(order.items).map((line) => ({
+    ...line,
+    lineTotal: line.unitPrice == null ? null : roundCurrency(line.unitPrice * line.quantity),
+  }));
+  return legacyLines.length > 0 ? legacyLines : [null];
+};
+
+const toCsvRows = (order) => {
+  const items = getCsvLines(order);
+  return items.map((item) => CSV_COLUMNS.map(([, read]) => toCsvCell(read(order, item))).join(","));
+};
+
+/**
+ * Exports the orders matching `where` as CSV with one row per order line, for
+ * fulfilment. Refuses exports over MAX_EXPORT_ORDERS orders.
+ */
+exports.exportOrdersCsv = async (where) => {
+  const total = await strapi.db.query(ORDER_UID).count({ where });
+  if (total > MAX_EXPORT_ORDERS) {
+    throw new ValidationError(`${total} orders match; exports are limited to ${MAX_EXPORT_ORDERS}. Narrow the filters.`);
+  }
+
+  const rows = [CSV_COLUMNS.map(([header]) => header).join(",")];
+  for (let offset = 0; offset < total; offset += EXPORT_BATCH_SIZE) {
+    const orders = await strapi.db.query(ORDER_UID).findMany({
+      where,
+      populate: exports.ADMIN_ORDER_POPULATE,
+      orderBy: ORDER_ORDER_BY,
+      offset,
+      limit: EXPORT_BATCH_SIZE,
+    });
+    orders.forEach((order) => rows.push(...toCsvRows(order)));
+    if (orders.length < EXPORT_BATCH_SIZE) {
+      break;
+    }
+  }
+  // The byte order mark makes spreadsheets read the file as UTF-8.
+  return `\uFEFF${rows.join("\r\n")}\r\n`;
+};
@@ -0,0 +1,31 @@
+/**
+ * Reads the lines of an order placed before lines were stored as order items,
+ * from the order's `items` JSON. Entries were saved as
+ * `{ id, quantity, unitPrice, productName }` with `id` the product variant;
+ * the JSON may also be stored as a string. Returns lines shaped like order
+ * items (`variantId`, `quantity`, `unitPrice`, `productName`), skipping any
+ * entry without a variant or a positive quantity.
+ */
+exports.toLegacyOrderLines = (items) => {
+  let entries = items;
+  if (typeof entries === "string") {
+    try {
+      entries = JSON.parse(entries);
+    } catch (error) {
+      return [];
+    }
+  }
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  return entries
+    .map((entry) => ({
+      id: null,
+      variantId: Number(entry && (entry.variantId || entry.product_variant || entry.id)) || null,
+      quantity: Number(entry && entry.quantity) || 0,
+      unitPrice: entry && entry.unitPrice != null ? Number(entry.unitPrice) : null,
+      productName: (entry && (entry.productName || entry.name)) || null,
+    }))
+    .filter((line) => line.variantId && line.quantity > 0);
+};
@@ -0,0 +1,201 @@
+const { createUserNotification } = require("./notification.js");
+const { renderOrderTemplate } = require("./orderNotificationTemplates.js");
+const { orderStatusUpdate } = require("./email.js");
+const { sendSms } = require("./phone.js");
+const { sendWhatsappText } = require("./whatsapp.js");
+
+const HISTORY_UID = "api::order-status-history.order-status-history";
+const HOUR_MS = 60 * 60 * 1000;
+
+// Changes older than this are never announced, e.g. after a long outage.
+const MAX_AGE_HOURS = 24;
+const BATCH_SIZE = 100;
+// Channels that failed are retried after 1, 2, 4 and 8 minutes, then given up on.
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+// A run that has held an entry this long is assumed to have died with it.
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+// Give the transaction that changed the order time to commit before looking for it.
+const DISPATCH_DELAY_MS = 2000;
+
+// Order status changes customers hear about, keyed by the status reached.
+const STATUS_EVENTS = {
+  confirmed: "confirmed",
+  shipped: "shipped",
+  delivered: "delivered",
+  cancelled: "cancelled",
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toFixed(2)}`;
+
+// The first timeline entry is the order being placed, whatever status it started in.
+const getOrderEvent = (entry) => (entry.fromStatus ? STATUS_EVENTS[entry.toStatus] || null : "placed");
+
+/**
+ * Channels to use for a customer. In-app is always on; email is on unless the
+ * customer turned it off, SMS and WhatsApp only when they turned them on.
+ */
+const getChannels = (user) => ({
+  in_app: true,
+  email: Boolean(user.email) && user.orderEmailNotifications !== false,
+  sms: Boolean(user.phone) && user.orderSmsNotifications === true,
+  whatsapp: Boolean(user.phone) && user.orderWhatsappNotifications === true,
+});
+
+/**
+ * Tells the customer about one timeline entry on every channel they allow that
+ * has not had it yet. Each delivered channel is recorded on the entry straight
+ * after sending, so a retry never sends it again. A failing channel is logged
+ * and does not stop the others. Returns the channels still to deliver.
+ */
+const sendOrderNotification = async (entry) => {
+  const { order } = entry;
+  const user = order && order.user;
+  const event = getOrderEvent(entry);
+  if (!user || !event) {
+    return [];
+  }
+
+  const { title, message } = renderOrderTemplate(event, user.preferredLocale, {
+    orderID: order.orderID,
+    amount: formatAmount(order.totalAmount),
+    trackingId: entry.trackingId,
+    carrier: entry.carrier,
+    reason: event === "cancelled" ? entry.note : null,
+    refundPending: order.paymentStatus === "refund_pending",
+  });
+  const channels = getChannels(user);
+  const senders = {
+    in_app: () =>
+      createUserNotification({
+        userId: user.id,
+        orderId: order.id,
+        type: "order_status",
+        title,
+        message,
+        locale: user.preferredLocale,
+      }),
+    email: () => orderStatusUpdate(user.email, { name: user.name, subject: title, message }),
+    sms: () => sendSms(`${title}: ${message}`, user.phone),
+    whatsapp: () => sendWhatsappText(`${title}: ${message}`, user.phone),
+  };
+
+  const delivered = [...(entry.notificationChannels || [])];
+  const pending = [];
+  for (const channel of Object.keys(senders)) {
+    if (!channels[channel] || delivered.includes(channel)) {
+      continue;
+    }
+    try {
+      await senders[channel]();
+    } catch (error) {
+      strapi.log.error(`Order ${order.id}: failed to send ${event} notification by ${channel}: ${error.message}`);
+      pending.push(channel);
+      continue;
+    }
+    delivered.push(channel);
+    await strapi.db.query(HISTORY_UID).update({
+      where: { id: entry.id },
+      data: { notificationChannels: delivered },
+    });
+  }
+  return pending;
+};
+
+/**
+ * Sends notifications for recent order status changes nobody has been told
+ * about yet, and retries channels that failed once their backoff has passed.
+ * Each timeline entry is claimed with a conditional update first, so
+ * overlapping runs never work on the same entry. `notifiedAt` is only set
+ * once every channel got through or the attempts ran out. Returns the number
+ * of entries handled.
+ */
+exports.dispatchOrderNotifications = async () => {
+  const now = new Date();
+  const unclaimed = {
+    $or: [
+      { notificationClaimedAt: { $null: true } },
+      { notificationClaimedAt: { $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } },
+    ],
+  };
+  const entries = await strapi.db.query(HISTORY_UID).findMany({
+    where: {
+      notifiedAt: { $null: true },
+      changedAt: { $gte: new Date(now.getTime() - MAX_AGE_HOURS * HOUR_MS) },
+      $and: [
+        { $or: [{ nextNotificationAt: { $null: true } }, { nextNotificationAt: { $lte: now } }] },
+        unclaimed,
+      ],
+    },
+    populate: {
+      order: {
+        select: ["id", "orderID", "totalAmount", "paymentStatus"],
+        populate: {
+          user: {
+            select: [
+              "id",
+              "name",
+              "email",
+              "phone",
+              "preferredLocale",
+              "orderEmailNotifications",
+              "orderSmsNotifications",
+              "orderWhatsappNotifications",
+            ],
+          },
+        },
+      },
+    },
+    orderBy: [{ changedAt: "asc" }, { id: "asc" }],
+    limit: BATCH_SIZE,
+  });
+
+  let handled = 0;
+  for (const entry of entries) {
+    const { count } = await strapi.db.query(HISTORY_UID).updateMany({
+      where: { id: entry.id, notifiedAt: { $null: true }, ...unclaimed },
+      data: { notificationClaimedAt: new Date() },
+    });
+    if (count === 0) {
+      continue;
+    }
+
+    const pending = await sendOrderNotification(entry);
+    const attempts = (entry.notificationAttempts || 0) + 1;
+    const done = pending.length === 0 || attempts >= MAX_ATTEMPTS;
+    if (pending.length > 0 && done) {
+      strapi.log.error(`Order status entry ${entry.id}: gave up notifying by ${pending.join(", ")} after ${attempts} attempt(s).`);
+    }
+    await strapi.db.query(HISTORY_UID).update({
+      where: { id: entry.id },
+      data: {
+        notificationAttempts: attempts,
+        notificationClaimedAt: null,
+        nextNotificationAt: done ? null : new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)),
+        notifiedAt: done ? new Date() : null,
+      },
+    });
+    handled += 1;
+  }
+  return handled;
+};
+
+let dispatchScheduled = false;
+
+/**
+ * Runs the dispatcher shortly after an order changes so customers hear about it
+ * straight away. Anything still uncommitted by then is left for the cron run.
+ */
+exports.scheduleOrderNotifications = () => {
+  if (dispatchScheduled) {
+    return;
+  }
+  dispatchScheduled = true;
+
+  setTimeout(() => {
+    dispatchScheduled = false;
+    exports.dispatchOrderNotifications().catch((error) => {
+      strapi.log.error(`Failed to send order notifications: ${error.message}`);
+    });
+  }, DISPATCH_DELAY_MS);
+};
@@ -0,0 +1,79 @@
+/**
+ * Customer-facing copy for order events, per language. Each template returns
+ * `{ title, message }`; the title doubles as the email subject and SMS and
+ * WhatsApp send `title: message`.
+ *
+ * `vars` are `{ orderID, amount, trackingId, carrier, reason, refundPending }`.
+ */
+
+const withTracking = (text, { trackingId, carrier }, label) =>
+  trackingId ? `${text} ${label}: ${trackingId}${carrier ? ` (${carrier})` : ""}.` : text;
+
+const TEMPLATES = {
+  en: {
+    placed: (vars) => ({
+      title: "Order placed",
+      message: `Thank you! Your order #${vars.orderID} for ${vars.amount} has been placed.`,
+    }),
+    confirmed: (vars) => ({
+      title: "Order confirmed",
+      message: `Your order #${vars.orderID} has been confirmed and is being prepared for shipment.`,
+    }),
+    shipped: (vars) => ({
+      title: "Order shipped",
+      message: withTracking(`Your order #${vars.orderID} is on its way.`, vars, "Tracking number"),
+    }),
+    delivered: (vars) => ({
+      title: "Order delivered",
+      message: `Your order #${vars.orderID} has been delivered. Enjoy your purchase!`,
+    }),
+    cancelled: (vars) => ({
+      title: "Order cancelled",
+      message: [
+        `Your order #${vars.orderID} has been cancelled.`,
+        vars.reason ? `Reason: ${vars.reason}.` : null,
+        vars.refundPending ? "Your refund is being processed." : null,
+      ].filter(Boolean).join(" "),
+    }),
+  },
+  hi: {
+    placed: (vars) => ({
+      title: "ऑर्डर दिया गया",
+      message: `धन्यवाद! आपका ऑर्डर #${vars.orderID} (${vars.amount}) सफलतापूर्वक दे दिया गया है।`,
+    }),
+    confirmed: (vars) => ({
+      title: "ऑर्डर की पुष्टि हुई",
+      message: `आपके ऑर्डर #${vars.orderID} की पुष्टि हो गई है और इसे भेजने की तैयारी की जा रही है।`,
+    }),
+    shipped: (vars) => ({
+      title: "ऑर्डर भेज दिया गया",
+      message: withTracking(`आपका ऑर्डर #${vars.orderID} रास्ते में है।`, vars, "ट्रैकिंग नंबर"),
+    }),
+    delivered: (vars) => ({
+      title: "ऑर्डर डिलीवर हो गया",
+      message: `आपका ऑर्डर #${vars.orderID} डिलीवर हो गया है। खरीदारी का आनंद लें!`,
+    }),
+    cancelled: (vars) => ({
+      title: "ऑर्डर रद्द कर दिया गया",
+      message: [
+        `आपका ऑर्डर #${vars.orderID} रद्द कर दिया गया है।`,
+        vars.reason ? `कारण: ${vars.reason}।` : null,
+        vars.refundPending ? "आपका रिफ़ंड प्रोसेस किया जा रहा है।" : null,
+      ].filter(Boolean).join(" "),
+    }),
+  },
+};
+
+const DEFAULT_LANGUAGE = "en";
+
+exports.ORDER_EVENTS = Object.keys(TEMPLATES[DEFAULT_LANGUAGE]);
+
+/**
+ * Renders an order event in the given locale, falling back to its base language
+ * (`hi-IN` -> `hi`) and then to English.
+ */
+exports.renderOrderTemplate = (event, locale, vars) => {
+  const language = String(locale || "").toLowerCase();
+  const templates = TEMPLATES[language] || TEMPLATES[language.split("-")[0]] || TEMPLATES[DEFAULT_LANGUAGE];
+  return templates[event](vars);
+};
@@ -0,0 +1,29 @@
+const { nextSequenceValue } = require("./sequence.js");
+
+// Order numbers are per calendar year in India.
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const getPrefix = () => strapi.config.get("orders.numberPrefix", "MO");
+
+const getOrderYear = (date) => new Date(new Date(date).getTime() + IST_OFFSET_MS).getUTCFullYear();
+
+/**
+ * Issues the next order number for the year `date` falls in, e.g.
+ * `MO-2026-000123`. Joins the caller's transaction, so a number is only used
+ * up if the order it was taken for is saved. `trx` is passed on to
+ * `nextSequenceValue`.
+ */
+exports.nextOrderNumber = async (date = new Date(), { trx = null } = {}) => {
+  const year = getOrderYear(date);
+  const sequence = await nextSequenceValue(`order:${year}`, { trx });
+  return `${getPrefix()}-${year}-${String(sequence).padStart(6, "0")}`;
+};
+
+/**
+ * Query matching an order by the number the customer has, which may still be
+ * the legacy id it was placed with before order numbers existed, kept in
+ * `legacyOrderID` on orders that were numbered afterwards.
+ */
+exports.orderNumberWhere = (orderNumber) => ({
+  $or: [{ orderID: orderNumber }, { legacyOrderID: orderNumber }],
+});
@@ -0,0 +1,120 @@
+const { ValidationError } = require("@strapi/utils").errors;
+const { isCashOnDelivery } = require("./shipping.js");
+const { getAmountDue } = require("./payment.js");
+
+const HISTORY_UID = "api::order-status-history.order-status-history";
+
+// Statuses an order may move to from each status. Delivered and cancelled orders are final.
+// A shipped order is cancelled when the carrier returns it to us undelivered (RTO).
+const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["shipped", "cancelled"],
+  shipped: ["delivered", "cancelled"],
+  delivered: [],
+  cancelled: [],
+};
+
+exports.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
+
+exports.canTransition = (fromStatus, toStatus) =>
+  (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Prepaid orders are confirmed by their payment; COD orders and orders with nothing due need none.
+const hasVerifiedPayment = async (order) => {
+  if (isCashOnDelivery(order.paymentMethod) || order.paymentMethod === "exchange" || getAmountDue(order) <= 0) {
+    return true;
+  }
+  const payment = await strapi.db.query("api::payment.payment").findOne({
+    where: { order: order.id, status: { $in: ["authorized", "captured"] } },
+    select: ["id"],
+  });
+  return Boolean(payment);
+};
+
+/**
+ * Throws when an order may not move from its current status to `toStatus`:
+ * the move is not in the transition table, a prepaid order is confirmed without
+ * a verified payment, an order ships without a tracking number, or an order
+ * sent a delivery code is delivered before the code is confirmed.
+ *
+ * `order` is the stored order and `data` the update being applied to it.
+ */
+exports.assertTransition = async (order, toStatus, data = {}) => {
+  if (!exports.canTransition(order.status, toStatus)) {
+    throw new ValidationError(`Order #${order.orderID} cannot move from ${order.status} to ${toStatus}.`);
+  }
+  if (toStatus === "confirmed" && !(await hasVerifiedPayment(order))) {
+    throw new ValidationError(`Order #${order.orderID} can only be confirmed once its payment is verified.`);
+  }
+  if (toStatus === "shipped" && !(data.trackingId || order.trackingId)) {
+    throw new ValidationError(`Order #${order.orderID} needs a tracking number before it can be shipped.`);
+  }
+  // A code still waiting to be texted counts as sent, so the courier cannot deliver ahead of it
+  const needsCode = Boolean(order.deliveryOtpHash || order.deliveryOtpDueAt);
+  if (toStatus === "delivered" && needsCode && !(data.deliveryOtpVerifiedAt || order.deliveryOtpVerifiedAt)) {
+    throw new ValidationError(`Order #${order.orderID} can only be delivered with the code sent to the customer.`);
+  }
+};
+
+/**
+ * Works out who is changing an order from the current request: an admin panel
+ * user, the customer who owns the order, another signed-in user (staff), or the
+ * system when there is no user, e.g. cron jobs and payment webhooks.
+ */
+exports.getStatusActor = (orderUserId) => {
+  const ctx = strapi.requestContext.get();
+  const auth = ctx && ctx.state && ctx.state.auth;
+  const user = ctx && ctx.state && ctx.state.user;
+  if (!user) {
+    return { actorType: "system", actorId: null, actorName: null };
+  }
+  if (auth && auth.strategy && auth.strategy.name === "admin") {
+    return {
+      actorType: "admin",
+      actorId: user.id,
+      actorName: [user.firstname, user.lastname].filter(Boolean).join(" ") || user.email || null,
+    };
+  }
+  return {
+    actorType: orderUserId && user.id === orderUserId ? "customer" : "staff",
+    actorId: user.id,
+    actorName: user.username || user.email || null,
+  };
+};
+
+/**
+ * Adds an entry to an order's status timeline. `details` may carry a `note` and
+ * the tracking number and carrier the order shipped with.
+ */
+exports.recordStatusChange = async ({ orderId, orderUserId = null, fromStatus, toStatus, details = {} }) =>
+  strapi.db.query(HISTORY_UID).create({
+    data: {
+      order: orderId,
+      fromStatus: fromStatus || null,
+      toStatus,
+      ...exports.getStatusActor(orderUserId),
+      note: details.note || null,
+      trackingId: details.trackingId || null,
+      carrier: details.carrier || null,
+      changedAt: new Date(),
+    },
+  });
+
+/**
+ * Returns an order's status timeline, oldest first, shaped for customers.
+ */
+exports.getStatusTimeline = async (orderId) => {
+  const entries = await strapi.db.query(HISTORY_UID).findMany({
+    where: { order: orderId },
+    orderBy: [{ changedAt: "asc" }, { id: "asc" }],
+  });
+  return entries.map((entry) => ({
+    status: entry.toStatus,
+    previousStatus: entry.fromStatus,
+    changedAt: entry.changedAt,
+    changedBy: entry.actorType,
+    note: entry.note,
+    trackingId: entry.trackingId,
+    carrier: entry.carrier,
+  }));
+};
@@ -0,0 +1,220 @@
+const { ValidationError, NotFoundError } = require("@strapi/utils").errors;
+const { roundCurrency } = require("./coupon.js");
+const testProvider = require("./paymentProviders/test.js");
+
+const PAYMENT_UID = "api::payment.payment";
+const ORDER_UID = "api::order.order";
+
+/**
+ * Providers implement:
+ *   - `name`
+ *   - `isEnabled()`
+ *   - `checkConfig()`, throwing when the provider is enabled but cannot run safely
+ *   - `createIntent({ orderId, amount, currency })`, returning `{ providerPaymentId, clientSecret }`
+ *   - `verifyWebhook({ rawBody, headers })`, returning
+ *     `{ eventId, providerPaymentId, status, amount, failureReason }` or throwing
+ *     when the request is not authentic.
+ */
+const PROVIDERS = {
+  [testProvider.name]: testProvider,
+};
+
+// Statuses a payment may move to from each status. Webhooks are retried and can
+// arrive out of order, so anything else is acknowledged and ignored.
+const TRANSITIONS = {
+  pending: ["authorized", "captured", "failed"],
+  authorized: ["captured", "failed"],
+  captured: ["refunded"],
+  failed: [],
+  refunded: [],
+};
+
+const STATUS_TIMESTAMPS = {
+  authorized: "authorizedAt",
+  captured: "capturedAt",
+  failed: "failedAt",
+  refunded: "refundedAt",
+};
+
+/**
+ * Checks the configuration of every enabled provider, and that the provider new
+ * payments use (`PAYMENT_PROVIDER`) is one of them. Run at startup so a provider
+ * that could not verify its webhooks, or prepaid orders that could never be
+ * paid, stop the server instead.
+ */
+exports.checkProviderConfig = () => {
+  Object.values(PROVIDERS).forEach((provider) => provider.checkConfig());
+
+  const name = strapi.config.get("payments.provider", "test");
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`PAYMENT_PROVIDER is '${name}', which is not a payment provider. Use one of: ${Object.keys(PROVIDERS).join(", ")}.`);
+  }
+  if (!provider.isEnabled()) {
+    throw new Error(`PAYMENT_PROVIDER is '${name}', but that provider is not enabled, so prepaid orders could never be paid.`);
+  }
+};
+
+exports.getProvider = (name) => {
+  const provider = PROVIDERS[name];
+  if (!provider || !provider.isEnabled()) {
+    throw new ValidationError(`Payment provider '${name}' is not available.`);
+  }
+  return provider;
+};
+
+// Fields of a payment the customer's client needs to complete it.
+exports.toClientPayment = (payment) => ({
+  id: payment.id,
+  provider: payment.provider,
+  providerPaymentId: payment.providerPaymentId,
+  clientSecret: payment.clientSecret,
+  amount: Number(payment.amount),
+  currency: payment.currency,
+  status: payment.status,
+});
+
+// What is left to pay on an order once the store credit spent on it is taken off.
+exports.getAmountDue = (order) =>
+  roundCurrency(Number(order.totalAmount || 0) - Number(order.walletAmount || 0));
+
+/**
+ * Starts a payment for the amount due on an order with the configured provider.
+ * A pending payment for the same amount is reused so retries do not pile up intents.
+ */
+exports.createPaymentIntent = async (order) => {
+  const provider = exports.getProvider(strapi.config.get("payments.provider", "test"));
+  const currency = strapi.config.get("payments.currency", "INR");
+  const amount = exports.getAmountDue(order);
+
+  const existing = await strapi.db.query(PAYMENT_UID).findOne({
+    where: { order: order.id, provider: provider.name, status: "pending", amount, currency },
+    orderBy: { createdAt: "desc" },
+  });
+  if (existing) {
+    return existing;
+  }
+
+  const intent = await provider.createIntent({ orderId: order.orderID, amount, currency });
+  return strapi.db.query(PAYMENT_UID).create({
+    data: {
+      order: order.id,
+      provider: provider.name,
+      providerPaymentId: intent.providerPaymentId,
+      clientSecret: intent.clientSecret,
+      amount,
+      currency,
+      status: "pending",
+    },
+  });
+};
+
+/**
+ * Moves the order along with its payment. Only a verified payment event
+ * confirms an order; money captured for an order cancelled meanwhile is owed back.
+ */
+const updateOrderForPayment = async (order, status) => {
+  const data = {};
+
+  if (status === "authorized" || status === "captured") {
+    if (order.status === "cancelled") {
+      if (status === "captured") {
+        data.paymentStatus = "refund_pending";
+      }
+    } else {
+      if (order.status === "pending") {
+        data.status = "confirmed";
+      }
+      if (status === "captured") {
+        data.paymentStatus = "done";
+      }
+    }
+  } else if (status === "failed" && order.paymentStatus === "pending") {
+    data.paymentStatus = "failed";
+  } else if (status === "refunded") {
+    data.paymentStatus = "refunded";
+  }
+
+  if (Object.keys(data).length > 0) {
+    if (data.status) {
+      data.statusChange = { note: `Payment ${status}.` };
+    }
+    await strapi.db.query(ORDER_UID).update({ where: { id: order.id }, data });
+  }
+};
+
+/**
+ * Applies a verified provider event to its payment and order. Safe to call more
+ * than once for the same event: the payment's status is checked in the update,
+ * so only the first delivery changes anything. An event whose amount does not
+ * match the payment is not applied but flagged on the payment for staff to
+ * review; it is still acknowledged, since the provider would only resend it.
+ *
+ * Returns `{ applied, flagged, payment }`.
+ */
+exports.applyPaymentEvent = async (providerName, event) => {
+  const payment = await strapi.db.query(PAYMENT_UID).findOne({
+    where: { provider: providerName, providerPaymentId: event.providerPaymentId },
+    populate: { order: { select: ["id", "orderID", "status", "paymentStatus"] } },
+  });
+  if (!payment) {
+    throw new NotFoundError(`Payment '${event.providerPaymentId}' not found.`);
+  }
+
+  if (!(TRANSITIONS[payment.status] || []).includes(event.status)) {
+    if (payment.status !== event.status) {
+      strapi.log.warn(`Payment ${payment.id}: ignoring '${event.status}' event ${event.eventId} while ${payment.status}.`);
+    }
+    return { applied: false, flagged: false, payment };
+  }
+  if (
+    (event.status === "authorized" || event.status === "captured") &&
+    event.amount !== null &&
+    roundCurrency(event.amount) !== roundCurrency(Number(payment.amount))
+  ) {
+    const flagReason = `Event ${event.eventId} (${event.status}) was for ${event.amount}, not ${payment.amount}.`;
+    strapi.log.warn(`Payment ${payment.id}: flagged for review. ${flagReason}`);
+    const flaggedPayment = await strapi.db.query(PAYMENT_UID).update({
+      where: { id: payment.id },
+      data: { flaggedAt: new Date(), flagReason },
+    });
+    return { applied: false, flagged: true, payment: flaggedPayment };
+  }
+
+  const applied = await strapi.db.transaction(async () => {
+    const { count } = await strapi.db.query(PAYMENT_UID).updateMany({
+      where: { id: payment.id, status: payment.status },
+      data: {
+        status: event.status,
+        lastEventId: event.eventId,
+        failureReason: event.status === "failed" ? event.failureReason : payment.failureReason,
+        [STATUS_TIMESTAMPS[event.status]]: new Date(),
+      },
+    });
+    if (count === 0) {
+      return false;
+    }
+    if (payment.order) {
+      await updateOrderForPayment(payment.order, event.status);
+    }
+    return true;
+  });
+
+  const updatedPayment = await strapi.db.query(PAYMENT_UID).findOne({ where: { id: payment.id } });
+  return { applied, flagged: false, payment: updatedPayment };
+};
+
+/**
+ * Verifies a webhook request with its provider and applies the event.
+ */
+exports.handleWebhook = async (providerName, { rawBody, headers }) => {
+  const provider = exports.getProvider(providerName);
+
+  let event;
+  try {
+    event = provider.verifyWebhook({ rawBody, headers });
+  } catch (error) {
+    throw new ValidationError(`Invalid webhook: ${error.message}`);
+  }
+  return exports.applyPaymentEvent(provider.name, event);
+};
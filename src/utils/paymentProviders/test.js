@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const { signWebhook, verifyWebhookSignature } = require("../webhookSignature.js");
+
+/**
+ * Local provider that moves no money, so checkout and webhooks work offline.
+ * Off unless `payments.test.enabled` is set, and then only with a webhook secret.
+ *
+ * Webhooks carry `x-test-timestamp` and `x-test-signature`, the hex HMAC-SHA256
+ * of `<timestamp>.<raw body>` keyed with the configured webhook secret. The body
+ * is `{ id, type, data: { paymentId, amount, reason } }` where `type` is one of
+ * `payment.authorized`, `payment.captured`, `payment.failed`, `payment.refunded`.
+ */
+
+const EVENT_STATUSES = {
+  "payment.authorized": "authorized",
+  "payment.captured": "captured",
+  "payment.failed": "failed",
+  "payment.refunded": "refunded",
+};
+
+const getSecret = () => strapi.config.get("payments.test.webhookSecret", "");
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+exports.name = "test";
+
+exports.isEnabled = () => strapi.config.get("payments.test.enabled", false) === true;
+
+exports.checkConfig = () => {
+  if (exports.isEnabled() && !getSecret()) {
+    throw new Error("The test payment provider is enabled but PAYMENT_TEST_WEBHOOK_SECRET is not set.");
+  }
+};
+
+exports.createIntent = async ({ amount, currency }) => ({
+  providerPaymentId: randomId("test_pay"),
+  clientSecret: randomId("test_secret"),
+  amount,
+  currency,
+});
+
+/**
+ * Checks the signature and freshness of a webhook and returns the normalized
+ * event, or throws when the request cannot be trusted.
+ */
+exports.verifyWebhook = ({ rawBody, headers }) => {
+  verifyWebhookSignature({
+    secret: getSecret(),
+    rawBody,
+    timestamp: headers["x-test-timestamp"],
+    signature: headers["x-test-signature"],
+    toleranceSeconds: strapi.config.get("payments.webhookToleranceSeconds", 300),
+  });
+
+  const event = JSON.parse(rawBody);
+  const status = EVENT_STATUSES[event.type];
+  if (!event.id || !status || !event.data || !event.data.paymentId) {
+    throw new Error("Unsupported webhook event.");
+  }
+
+  return {
+    eventId: String(event.id),
+    providerPaymentId: String(event.data.paymentId),
+    status,
+    amount: event.data.amount === undefined ? null : Number(event.data.amount),
+    failureReason: event.data.reason || null,
+  };
+};
+
+/**
+ * Builds a signed webhook request for an event, as the provider would send it.
+ * Handy for local scripts and tests.
+ */
+exports.buildSignedEvent = ({ providerPaymentId, status, amount = null, reason = null }) => {
+  const type = Object.keys(EVENT_STATUSES).find((key) => EVENT_STATUSES[key] === status);
+  if (!type) {
+    throw new Error(`Unsupported payment status '${status}'.`);
+  }
+
+  const rawBody = JSON.stringify({
+    id: randomId("test_evt"),
+    type,
+    data: { paymentId: providerPaymentId, amount, reason },
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  return {
+    rawBody,
+    headers: {
+      "x-test-timestamp": String(timestamp),
+      "x-test-signature": signWebhook(getSecret(), timestamp, rawBody),
+    },
+  };
+};
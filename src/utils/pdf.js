@@ -0,0 +1,143 @@
+/**
+ * Minimal PDF writer for generated documents such as invoices: A4 pages with
+ * text in the built-in Helvetica fonts and straight lines, nothing else. The
+ * built-in fonts only cover Latin-1, so other characters are replaced (the
+ * rupee sign becomes "Rs.").
+ */
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Advance widths (per 1000 units of font size) of characters 32-126.
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+const toPrintable = (value) =>
+  String(value == null ? "" : value)
+    .replace(/₹\s?/g, "Rs. ")
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/[^\x20-\x7E]/g, "?");
+
+const escapeText = (text) => text.replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)");
+
+const format = (number) => Number(number.toFixed(2)).toString();
+
+exports.PAGE_WIDTH = PAGE_WIDTH;
+exports.PAGE_HEIGHT = PAGE_HEIGHT;
+
+// Width of `text` in points at `size`.
+exports.measureText = (text, size, bold = false) => {
+  const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+  return [...toPrintable(text)].reduce((sum, char) => sum + widths[char.charCodeAt(0) - 32], 0) * size / 1000;
+};
+
+// Shortens `text` with an ellipsis until it fits in `width`.
+exports.fitText = (text, width, size, bold = false) => {
+  let fitted = toPrintable(text);
+  if (exports.measureText(fitted, size, bold) <= width) {
+    return fitted;
+  }
+  while (fitted.length > 0 && exports.measureText(`${fitted}...`, size, bold) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+};
+
+/**
+ * Starts a document. Coordinates are in points from the top-left corner of the
+ * page; call `addPage()` before drawing and `toBuffer()` when done.
+ */
+exports.createPdfDocument = () => {
+  const pages = [];
+  let current = null;
+
+  const document = {
+    addPage() {
+      current = [];
+      pages.push(current);
+      return document;
+    },
+
+    /**
+     * Draws one line of text with its baseline at `y`. `align: "right"` puts
+     * the end of the text at `x`, `"center"` centres it on `x`.
+     */
+    text(x, y, value, { size = 10, bold = false, align = "left" } = {}) {
+      const text = toPrintable(value);
+      const width = exports.measureText(text, size, bold);
+      const left = align === "right" ? x - width : align === "center" ? x - width / 2 : x;
+      current.push(
+        `BT /${bold ? "F2" : "F1"} ${format(size)} Tf ${format(left)} ${format(PAGE_HEIGHT - y)} Td (${escapeText(text)}) Tj ET`
+      );
+      return document;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      current.push(
+        `${format(width)} w ${format(x1)} ${format(PAGE_HEIGHT - y1)} m ${format(x2)} ${format(PAGE_HEIGHT - y2)} l S`
+      );
+      return document;
+    },
+
+    pageCount() {
+      return pages.length;
+    },
+
+    toBuffer() {
+      const objects = [];
+      const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = addObject(null);
+      const pagesId = addObject(null);
+      const regularFontId = addObject("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      const boldFontId = addObject("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+      const pageIds = pages.map((operations) => {
+        const stream = operations.join("\n");
+        const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`);
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+      let output = "%PDF-1.4\n";
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, "latin1");
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xrefOffset = Buffer.byteLength(output, "latin1");
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, "latin1");
+    },
+  };
+
+  return document;
+};
@@ -11,29 +11,50 @@ exports.isPhoneValid = (phone) => {
   }
 };
 
-exports.smsVerifyOtp = async (otp, phone) => {
-  try {
-    const sanitizedPhone = phone.startsWith("+") ? phone.slice(1) : phone;
+// Sends a text message through SMS Country; throws when the provider rejects it.
+const sendSms = async (text, phone) => {
+  const sanitizedPhone = phone.startsWith("+") ? phone.slice(1) : phone;
 
-    const basicAuthToken = Buffer.from(
-      `${process.env.SMS_COUNTRY_AUTH_KEY}:${process.env.SMS_COUNTRY_AUTH_TOKEN}`
-    ).toString("base64");
+  const basicAuthToken = Buffer.from(
+    `${process.env.SMS_COUNTRY_AUTH_KEY}:${process.env.SMS_COUNTRY_AUTH_TOKEN}`
+  ).toString("base64");
 
-    await axios.post(
-      `https://restapi.smscountry.com/v0.1/Accounts/${process.env.SMS_COUNTRY_AUTH_KEY}/SMSes/`,
-      {
-        Text: `${otp} is your account verification code. Do not share this code with anyone.The code is valid for 2 minutes. Regards LAILA VENTURES PRIVATE LIMITED`,
-        Number: sanitizedPhone,
-        SenderId: `${process.env.SMS_COUNTRY_SENDER_ID}`,
+  await axios.post(
+    `https://restapi.smscountry.com/v0.1/Accounts/${process.env.SMS_COUNTRY_AUTH_KEY}/SMSes/`,
+    {
+      Text: text,
+      Number: sanitizedPhone,
+      SenderId: `${process.env.SMS_COUNTRY_SENDER_ID}`,
+    },
+    {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Basic ${basicAuthToken}`,
       },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Basic ${basicAuthToken}`,
-        },
-      }
+    }
+  );
+};
+
+exports.sendSms = sendSms;
+
+// Texts a one-time code; `purpose` and `instructions` word it for uses other than account verification.
+// Returns false when the text could not be sent.
+exports.smsVerifyOtp = async (
+  otp,
+  phone,
+  {
+    purpose = "account verification code",
+    instructions = "Do not share this code with anyone.The code is valid for 2 minutes.",
+  } = {}
+) => {
+  try {
+    await sendSms(
+      `${otp} is your ${purpose}. ${instructions} Regards LAILA VENTURES PRIVATE LIMITED`,
+      phone
     );
+    return true;
   } catch (error) {
     console.error(`Error sending SMS: ${error}`);
+    return false;
   }
 };
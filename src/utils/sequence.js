@@ -0,0 +1,22 @@
+const SEQUENCE_TABLE = "sequence_counters";
+
+/**
+ * Returns the next value of a named counter, starting at 1. The counter row is
+ * created on first use and incremented in place, so concurrent callers always
+ * get distinct values. Joins the caller's transaction when there is one, so a
+ * number is only used up if the document it was taken for is saved. Pass a
+ * knex transaction as `trx` where Strapi's transactions are not available,
+ * such as migrations.
+ */
+exports.nextSequenceValue = async (name, { trx = null } = {}) => {
+  const next = async (trx) => {
+    const knex = strapi.db.connection;
+
+    await knex(SEQUENCE_TABLE).transacting(trx).insert({ name, value: 0 }).onConflict("name").ignore();
+    await knex(SEQUENCE_TABLE).transacting(trx).where({ name }).increment("value", 1);
+    const row = await knex(SEQUENCE_TABLE).transacting(trx).where({ name }).first("value");
+
+    return Number(row.value);
+  };
+  return trx ? next(trx) : strapi.db.transaction(({ trx }) => next(trx));
+};
@@ -0,0 +1,437 @@
+const { ValidationError, NotFoundError } = require("@strapi/utils").errors;
+const { findZoneForAddress } = require("./shipping.js");
+const mockCarrier = require("./carriers/mock.js");
+const { confirmDeliveryWithOtp } = require("./deliveryOtp.js");
+
+const SHIPMENT_UID = "api::shipment.shipment";
+const SHIPMENT_EVENT_UID = "api::shipment-event.shipment-event";
+const ORDER_UID = "api::order.order";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Promised dates are calendar dates in India.
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const SYNC_BATCH_SIZE = 50;
+
+/**
+ * Carriers implement:
+ *   - `name`
+ *   - `isEnabled()`
+ *   - `checkConfig()`, throwing when the carrier is enabled but cannot run safely
+ *   - `createShipment({ orderId, address })`, returning `{ trackingId, trackingUrl }`
+ *   - `fetchEvents(trackingId)`, returning the shipment's normalized events
+ *   - `verifyWebhook({ rawBody, headers })`, returning `{ trackingId, events }` or
+ *     throwing when the request is not authentic.
+ *
+ * Normalized events are `{ eventId, status, carrierStatus, description, location, occurredAt, deliveryOtp }`
+ * with `status` one of SHIPMENT_EVENT_STATUSES and `deliveryOtp` the code the
+ * courier collected from the customer, when the carrier reports it.
+ */
+const CARRIERS = {
+  [mockCarrier.name]: mockCarrier,
+};
+
+const SHIPMENT_EVENT_STATUSES = ["picked_up", "in_transit", "out_for_delivery", "delivered", "rto"];
+
+// Shipments stop being synced once they reach one of these.
+const FINAL_STATUSES = ["delivered", "rto"];
+
+const STATUS_LABELS = {
+  created: "Shipment Booked",
+  picked_up: "Picked Up",
+  in_transit: "In Transit",
+  out_for_delivery: "Out for Delivery",
+  delivered: "Delivered",
+  rto: "Returning to Seller",
+};
+
+exports.SHIPMENT_EVENT_STATUSES = SHIPMENT_EVENT_STATUSES;
+exports.STATUS_LABELS = STATUS_LABELS;
+
+/**
+ * Checks the configuration of every enabled carrier. Run at startup so a
+ * carrier that could not verify its webhooks stops the server instead.
+ */
+exports.checkCarrierConfig = () => {
+  Object.values(CARRIERS).forEach((carrier) => carrier.checkConfig());
+};
+
+exports.getCarrier = (name) => {
+  const carrier = CARRIERS[name];
+  if (!carrier || !carrier.isEnabled()) {
+    throw new ValidationError(`Carrier '${name}' is not available.`);
+  }
+  return carrier;
+};
+
+const toIstDate = (date) => {
+  const day = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Adds `days` delivery days to a date, skipping closed weekdays and holidays,
+ * and returns the resulting date as `YYYY-MM-DD`.
+ */
+const addDeliveryDays = (from, days) => {
+  const closedWeekdays = strapi.config.get("shipping.closedWeekdays", [0]);
+  const holidays = strapi.config.get("shipping.holidays", []);
+  const isOpen = (day) => !closedWeekdays.includes(day.getUTCDay()) && !holidays.includes(day.toISOString().slice(0, 10));
+
+  const day = toIstDate(from);
+  let remaining = Math.max(0, Number(days) || 0);
+  while (remaining > 0 || !isOpen(day)) {
+    day.setTime(day.getTime() + DAY_MS);
+    if (isOpen(day)) {
+      remaining -= 1;
+    }
+  }
+  return day.toISOString().slice(0, 10);
+};
+
+/**
+ * Works out the date an order is promised for: the transit days of the zone
+ * serving its address for its shipping method, counted from `from` (when the
+ * carrier took it) or, before that, from now plus the dispatch days.
+ *
+ * `order` needs `shippingMethod` and its `address`.
+ */
+exports.calculatePromisedDate = async (order, { from = null } = {}) => {
+  const zone = await findZoneForAddress(order.address);
+  const zoneDays = zone && (order.shippingMethod === "express" ? zone.expressDeliveryDays : zone.standardDeliveryDays);
+  const transitDays = zoneDays === null || zoneDays === undefined
+    ? strapi.config.get("shipping.defaultDeliveryDays", 5)
+    : zoneDays;
+  const dispatchDays = from ? 0 : strapi.config.get("shipping.dispatchDays", 1);
+
+  return addDeliveryDays(from || new Date(), dispatchDays + transitDays);
+};
+
+/**
+ * Books a confirmed order with a carrier and stores the shipment. The order
+ * keeps its status until the carrier picks the parcel up.
+ */
+exports.createShipmentForOrder = async (orderId, { carrierName = null } = {}) => {
+  const carrier = exports.getCarrier(carrierName || strapi.config.get("shipping.carrier", "mock"));
+
+  const order = await strapi.db.query(ORDER_UID).findOne({
+    where: { id: orderId },
+    select: ["id", "orderID", "status", "shippingMethod"],
+    populate: { address: true },
+  });
+  if (!order) {
+    throw new NotFoundError(`Order ${orderId} not found.`);
+  }
+  if (order.status !== "confirmed") {
+    throw new ValidationError(`Order #${order.orderID} cannot be shipped while it is ${order.status}.`);
+  }
+
+  const active = await strapi.db.query(SHIPMENT_UID).findOne({
+    where: { order: order.id, status: { $ne: "rto" } },
+    select: ["id", "trackingId"],
+  });
+  if (active) {
+    throw new ValidationError(`Order #${order.orderID} already has shipment ${active.trackingId}.`);
+  }
+
+  const booking = await carrier.createShipment({ orderId: order.orderID, address: order.address });
+  const promisedDate = await exports.calculatePromisedDate(order);
+
+  return strapi.db.transaction(async () => {
+    const shipment = await strapi.db.query(SHIPMENT_UID).create({
+      data: {
+        order: order.id,
+        carrier: carrier.name,
+        trackingId: booking.trackingId,
+        trackingUrl: booking.trackingUrl || null,
+        status: "created",
+        promisedDate,
+      },
+    });
+    await strapi.db.query(ORDER_UID).update({
+      where: { id: order.id },
+      data: { trackingId: booking.trackingId },
+    });
+    return shipment;
+  });
+};
+
+// Status of a shipment given all its events: delivery and RTO are final, otherwise the latest event wins.
+const getShipmentStatus = (events) => {
+  for (const status of FINAL_STATUSES) {
+    if (events.some((event) => event.status === status)) {
+      return status;
+    }
+  }
+  const latest = events[events.length - 1];
+  return latest ? latest.status : "created";
+};
+
+const firstEventAt = (events, status) => {
+  const event = events.find((entry) => entry.status === status);
+  return event ? event.occurredAt : null;
+};
+
+/**
+ * Moves the order along with its shipment: the first carrier scan ships it and
+ * a delivery scan delivers it. Orders that have moved on are left alone, and an
+ * order sent a delivery code stays shipped unless the scan carries that code.
+ */
+const updateOrderForShipment = async (shipment, status, { deliveryOtp = null, trx = null } = {}) => {
+  const order = await strapi.db.query(ORDER_UID).findOne({
+    where: { id: shipment.order.id },
+    select: ["id", "status"],
+  });
+  if (!order || !["confirmed", "shipped"].includes(order.status)) {
+    return;
+  }
+
+  if (order.status === "confirmed") {
+    await strapi.db.query(ORDER_UID).update({
+      where: { id: order.id },
+      data: {
+        status: "shipped",
+        trackingId: shipment.trackingId,
+        statusChange: { carrier: shipment.carrier, note: "Picked up by the carrier." },
+      },
+    });
+  }
+  if (status !== "delivered") {
+    return;
+  }
+
+  // Read after shipping it, since that is when the code is queued
+  const { orderID, deliveryOtpHash, deliveryOtpDueAt } = await strapi.db.query(ORDER_UID).findOne({
+    where: { id: order.id },
+    select: ["orderID", "deliveryOtpHash", "deliveryOtpDueAt"],
+  });
+  if (!deliveryOtpHash && !deliveryOtpDueAt) {
+    await strapi.db.query(ORDER_UID).update({
+      where: { id: order.id },
+      data: {
+        status: "delivered",
+        statusChange: { carrier: shipment.carrier, note: "Delivered by the carrier." },
+      },
+    });
+    return;
+  }
+
+  if (!deliveryOtp || !deliveryOtpHash) {
+    strapi.log.warn(`Order ${orderID}: carrier reported delivery without the delivery code; it stays shipped until the code is confirmed.`);
+    return;
+  }
+  try {
+    await confirmDeliveryWithOtp(order.id, deliveryOtp, {
+      statusChange: { carrier: shipment.carrier, note: "Delivered by the carrier with the customer's code." },
+      trx,
+    });
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    strapi.log.warn(`Order ${orderID}: carrier delivery not confirmed: ${error.message}`);
+  }
+};
+
+/**
+ * Cancels the order of a shipment the carrier is returning to the seller (RTO),
+ * which puts its stock back and refunds it like any cancellation. Orders that
+ * were delivered or cancelled meanwhile are left alone.
+ */
+const cancelOrderForReturnedShipment = async (shipment) => {
+  const order = await strapi.db.query(ORDER_UID).findOne({
+    where: { id: shipment.order.id },
+    select: ["id", "orderID", "status"],
+  });
+  if (!order || !["confirmed", "shipped"].includes(order.status)) {
+    strapi.log.warn(`Shipment ${shipment.trackingId} is being returned to the seller; its order was left ${order ? order.status : "missing"}.`);
+    return;
+  }
+
+  const reason = "Returned to the seller by the carrier";
+  await strapi.db.query(ORDER_UID).update({
+    where: { id: order.id },
+    data: {
+      status: "cancelled",
+      cancelledBy: "carrier",
+      cancellationReason: reason,
+      statusChange: { carrier: shipment.carrier, note: `${reason}.` },
+    },
+  });
+};
+
+/**
+ * Stores carrier events for a shipment and updates the shipment and its order.
+ * Events already stored are skipped, so webhooks and syncs may overlap and
+ * repeat freely. Returns the number of new events.
+ */
+exports.ingestShipmentEvents = async (shipmentId, events) =>
+  strapi.db.transaction(async ({ trx }) => {
+    // One ingestion per shipment at a time, so the same event is never stored twice.
+    await strapi.db.connection("shipments").transacting(trx).where("id", shipmentId).forUpdate().first("id");
+
+    const shipment = await strapi.db.query(SHIPMENT_UID).findOne({
+      where: { id: shipmentId },
+      populate: { order: { select: ["id"] } },
+    });
+    if (!shipment) {
+      throw new NotFoundError(`Shipment ${shipmentId} not found.`);
+    }
+
+    const stored = await strapi.db.query(SHIPMENT_EVENT_UID).findMany({
+      where: { shipment: shipment.id },
+      select: ["eventId"],
+    });
+    const storedIds = new Set(stored.map((event) => event.eventId));
+
+    let created = 0;
+    for (const event of events) {
+      if (!SHIPMENT_EVENT_STATUSES.includes(event.status) || storedIds.has(event.eventId)) {
+        continue;
+      }
+      await strapi.db.query(SHIPMENT_EVENT_UID).create({
+        data: {
+          shipment: shipment.id,
+          eventId: event.eventId,
+          status: event.status,
+          carrierStatus: event.carrierStatus || null,
+          description: event.description || null,
+          location: event.location || null,
+          occurredAt: event.occurredAt,
+        },
+      });
+      storedIds.add(event.eventId);
+      created += 1;
+    }
+
+    const data = { lastSyncedAt: new Date() };
+    if (created > 0) {
+      const allEvents = await strapi.db.query(SHIPMENT_EVENT_UID).findMany({
+        where: { shipment: shipment.id },
+        orderBy: [{ occurredAt: "asc" }, { id: "asc" }],
+      });
+      const status = getShipmentStatus(allEvents);
+      const pickedUpAt = shipment.pickedUpAt || allEvents[0].occurredAt;
+
+      Object.assign(data, {
+        status,
+        pickedUpAt,
+        deliveredAt: firstEventAt(allEvents, "delivered"),
+        rtoAt: firstEventAt(allEvents, "rto"),
+        lastEventAt: allEvents[allEvents.length - 1].occurredAt,
+      });
+      // The promise is kept from booking until the carrier has the parcel, then counted from pick-up.
+      if (!shipment.pickedUpAt) {
+        const order = await strapi.db.query(ORDER_UID).findOne({
+          where: { id: shipment.order.id },
+          select: ["id", "shippingMethod"],
+          populate: { address: true },
+        });
+        data.promisedDate = await exports.calculatePromisedDate(order, { from: pickedUpAt });
+      }
+
+      if (status === "rto" && shipment.status !== "rto") {
+        await cancelOrderForReturnedShipment(shipment);
+      }
+      if (status !== "rto") {
+        const deliveredEvent = events.find((event) => event.status === "delivered" && event.deliveryOtp);
+        await updateOrderForShipment(shipment, status, {
+          deliveryOtp: deliveredEvent ? deliveredEvent.deliveryOtp : null,
+          trx,
+        });
+      }
+    }
+
+    await strapi.db.query(SHIPMENT_UID).update({ where: { id: shipment.id }, data });
+    return created;
+  });
+
+/**
+ * Verifies a webhook request with its carrier and stores its events.
+ */
+exports.handleCarrierWebhook = async (carrierName, { rawBody, headers }) => {
+  const carrier = exports.getCarrier(carrierName);
+
+  let payload;
+  try {
+    payload = carrier.verifyWebhook({ rawBody, headers });
+  } catch (error) {
+    throw new ValidationError(`Invalid webhook: ${error.message}`);
+  }
+
+  const shipment = await strapi.db.query(SHIPMENT_UID).findOne({
+    where: { carrier: carrier.name, trackingId: payload.trackingId },
+    select: ["id"],
+  });
+  if (!shipment) {
+    throw new NotFoundError(`Shipment '${payload.trackingId}' not found.`);
+  }
+
+  const created = await exports.ingestShipmentEvents(shipment.id, payload.events);
+  return { created, shipment: await strapi.db.query(SHIPMENT_UID).findOne({ where: { id: shipment.id } }) };
+};
+
+/**
+ * Pulls the latest events for one shipment from its carrier.
+ */
+exports.syncShipment = async (shipment) => {
+  const carrier = exports.getCarrier(shipment.carrier);
+  const events = await carrier.fetchEvents(shipment.trackingId);
+  return exports.ingestShipmentEvents(shipment.id, events);
+};
+
+/**
+ * Polls carriers for shipments still on the move, least recently synced first,
+ * for carriers whose webhooks were missed. Returns the number of new events.
+ */
+exports.syncActiveShipments = async () => {
+  const shipments = await strapi.db.query(SHIPMENT_UID).findMany({
+    where: { status: { $notIn: FINAL_STATUSES } },
+    select: ["id", "carrier", "trackingId"],
+    orderBy: [{ lastSyncedAt: "asc" }, { id: "asc" }],
+    limit: SYNC_BATCH_SIZE,
+  });
+
+  let created = 0;
+  for (const shipment of shipments) {
+    try {
+      created += await exports.syncShipment(shipment);
+    } catch (error) {
+      strapi.log.error(`Shipment ${shipment.trackingId}: failed to sync tracking: ${error.message}`);
+    }
+  }
+  return created;
+};
+
+/**
+ * Returns an order's latest shipment with its events, oldest first, shaped for
+ * customers, or null when the order has not been booked with a carrier.
+ */
+exports.getShipmentTracking = async (orderId) => {
+  const shipment = await strapi.db.query(SHIPMENT_UID).findOne({
+    where: { order: orderId },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    populate: { events: { orderBy: [{ occurredAt: "asc" }, { id: "asc" }] } },
+  });
+  if (!shipment) {
+    return null;
+  }
+
+  return {
+    carrier: shipment.carrier,
+    trackingId: shipment.trackingId,
+    trackingUrl: shipment.trackingUrl,
+    status: shipment.status,
+    statusLabel: STATUS_LABELS[shipment.status],
+    promisedDate: shipment.promisedDate,
+    pickedUpAt: shipment.pickedUpAt,
+    deliveredAt: shipment.deliveredAt,
+    events: (shipment.events || []).map((event) => ({
+      status: event.status,
+      statusLabel: STATUS_LABELS[event.status],
+      description: event.description,
+      location: event.location,
+      occurredAt: event.occurredAt,
+    })),
+  };
+};
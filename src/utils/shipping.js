@@ -0,0 +1,164 @@
+const { calculateDistance } = require("./calculateDistance.js");
+
+const SHIPPING_ZONE_UID = "api::shipping-zone.shipping-zone";
+const SHIPPING_METHODS = ["standard", "express"];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+const normalize = (value) => String(value || "").trim().toLowerCase();
+
+exports.SHIPPING_METHODS = SHIPPING_METHODS;
+
+// New orders store COD as `cod`; older ones hold whatever the client sent, so accept the usual spellings.
+exports.isCashOnDelivery = (paymentMethod) =>
+  /^(cod|cash[\s_-]*on[\s_-]*delivery)$/i.test(String(paymentMethod || "").trim());
+
+/**
+ * Whether a PIN code matches any of `patterns`, each an exact code or a prefix
+ * ending in `*`, e.g. `1100*`.
+ */
+exports.matchesPincodePattern = (patterns, pincode) => {
+  const code = String(pincode || "").replace(/\s+/g, "");
+  if (!code) return false;
+  return asList(patterns).some((pattern) => {
+    const value = String(pattern).replace(/\s+/g, "");
+    return value.endsWith("*") ? code.startsWith(value.slice(0, -1)) : code === value;
+  });
+};
+
+const matchesPincode = (zone, pincode) => exports.matchesPincodePattern(zone.pincodes, pincode);
+
+/**
+ * Finds the zone serving an address. PIN codes are the most specific match,
+ * then localities, then countries; within each level higher priority wins.
+ * While no zone is active at all, the configured `shipping.defaultZone` serves
+ * every address.
+ */
+exports.findZoneForAddress = async (address) => {
+  if (!address) {
+    return null;
+  }
+
+  const zones = await strapi.db.query(SHIPPING_ZONE_UID).findMany({
+    where: { isActive: true },
+    orderBy: { priority: "desc" },
+  });
+  if (zones.length === 0) {
+    return { id: null, ...strapi.config.get("shipping.defaultZone", {}) };
+  }
+
+  return (
+    zones.find((zone) => matchesPincode(zone, address.pincode)) ||
+    zones.find((zone) => asList(zone.localities).map(normalize).includes(normalize(address.locality_name))) ||
+    zones.find((zone) => asList(zone.countries).map(normalize).includes(normalize(address.country_name))) ||
+    null
+  );
+};
+
+const toCoordinate = (value) =>
+  value === null || value === undefined || value === "" ? NaN : Number(value);
+
+// Distance from the dispatch store, or null when either side has no coordinates.
+const getDispatchDistanceKm = (address) => {
+  const coordinates = [
+    strapi.config.get("shipping.dispatchLatitude"),
+    strapi.config.get("shipping.dispatchLongitude"),
+    address.latitude,
+    address.longitude,
+  ].map(toCoordinate);
+
+  if (!coordinates.every(Number.isFinite)) {
+    return null;
+  }
+  return calculateDistance(...coordinates);
+};
+
+/**
+ * Quotes shipping for an address.
+ *
+ * `orderValue` is the amount the free-shipping threshold is compared with (the
+ * subtotal after discounts). Returns `{ deliverable, reason, zone, options, selected }`
+ * where `options` lists every method the zone offers and `selected` is the
+ * requested (or default) method priced for the given payment method.
+ */
+exports.quoteShipping = async ({ address, orderValue = 0, paymentMethod = null, method = null }) => {
+  const undeliverable = (reason) => ({
+    deliverable: false,
+    reason,
+    zone: null,
+    distance_km: null,
+    options: [],
+    selected: null,
+  });
+
+  if (!address) {
+    return undeliverable("Add a delivery address to see shipping charges.");
+  }
+
+  const zone = await exports.findZoneForAddress(address);
+  if (!zone) {
+    return undeliverable("Sorry, we do not deliver to this location yet.");
+  }
+
+  const distanceKm = getDispatchDistanceKm(address);
+  if (zone.maxDistanceKm != null && distanceKm != null && distanceKm > Number(zone.maxDistanceKm)) {
+    return undeliverable("Sorry, this address is outside our delivery radius.");
+  }
+
+  const distanceFee = zone.perKmRate != null && distanceKm != null
+    ? Number(zone.perKmRate) * distanceKm
+    : 0;
+  const isCod = exports.isCashOnDelivery(paymentMethod);
+  if (isCod && !zone.codAvailable) {
+    return {
+      ...undeliverable("Cash on delivery is not available for this address."),
+      zone: { id: zone.id, name: zone.name },
+    };
+  }
+
+  const freeShipping = zone.freeShippingThreshold != null && orderValue >= Number(zone.freeShippingThreshold);
+  const options = [
+    {
+      method: "standard",
+      fee: freeShipping ? 0 : roundCurrency(Number(zone.standardFee || 0) + distanceFee),
+      estimated_days: zone.standardDeliveryDays,
+      free_shipping_applied: freeShipping,
+    },
+  ];
+  if (zone.expressFee != null) {
+    options.push({
+      method: "express",
+      fee: roundCurrency(Number(zone.expressFee) + distanceFee),
+      estimated_days: zone.expressDeliveryDays,
+      free_shipping_applied: false,
+    });
+  }
+
+  const requestedMethod = method || strapi.config.get("shipping.defaultMethod", "standard");
+  const option = options.find((candidate) => candidate.method === requestedMethod);
+  if (!option) {
+    return {
+      ...undeliverable(`${requestedMethod} delivery is not available for this address.`),
+      zone: { id: zone.id, name: zone.name },
+      options,
+    };
+  }
+
+  const codSurcharge = isCod ? roundCurrency(Number(zone.codSurcharge || 0)) : 0;
+
+  return {
+    deliverable: true,
+    reason: null,
+    zone: { id: zone.id, name: zone.name },
+    distance_km: distanceKm != null ? roundCurrency(distanceKm) : null,
+    free_shipping_threshold: zone.freeShippingThreshold != null ? Number(zone.freeShippingThreshold) : null,
+    options,
+    selected: {
+      ...option,
+      cod_surcharge: codSurcharge,
+      total: roundCurrency(option.fee + codSurcharge),
+    },
+  };
+};
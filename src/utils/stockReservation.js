@@ -0,0 +1,253 @@
+const { ValidationError, NotFoundError } = require("@strapi/utils").errors;
+
+const RESERVATION_UID = "api::stock-reservation.stock-reservation";
+
+// How long a cart line holds its units before another customer can claim them.
+const getReservationWindowMs = () => {
+  const minutes = Number(strapi.config.get("cart.reservationMinutes", 15));
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 15) * 60 * 1000;
+};
+
+/**
+ * A cart owner is either `{ user: userId }` for signed-in customers or
+ * `{ cartToken }` for guests. The same shape is used as a query filter.
+ */
+const ownerWhere = (owner) =>
+  owner.user ? { user: owner.user } : { cartToken: owner.cartToken };
+
+const isOwnedBy = (reservation, owner) => {
+  if (!owner) return false;
+  if (owner.user) {
+    return Boolean(reservation.user && reservation.user.id === owner.user);
+  }
+  return Boolean(owner.cartToken && reservation.cartToken === owner.cartToken);
+};
+
+/**
+ * Returns a Map of variantId -> quantity currently held by live reservations.
+ * Holds that belong to any of `excludeOwners` are ignored so a customer never
+ * competes with their own cart.
+ */
+exports.getReservedQuantities = async (variantIds, ...excludeOwners) => {
+  const reserved = new Map();
+  const ids = (variantIds || []).map((id) => parseInt(id, 10)).filter((id) => !isNaN(id));
+  const owners = excludeOwners.filter(Boolean);
+
+  if (ids.length === 0) {
+    return reserved;
+  }
+
+  const reservations = await strapi.db.query(RESERVATION_UID).findMany({
+    where: {
+      product_variant: { id: { $in: ids } },
+      expiresAt: { $gt: new Date() },
+    },
+    select: ["id", "quantity", "cartToken"],
+    populate: { product_variant: { select: ["id"] }, user: { select: ["id"] } },
+  });
+
+  reservations.forEach((reservation) => {
+    if (!reservation.product_variant) return;
+    if (owners.some((owner) => isOwnedBy(reservation, owner))) return;
+    const variantId = reservation.product_variant.id;
+    reserved.set(variantId, (reserved.get(variantId) || 0) + (reservation.quantity || 0));
+  });
+
+  return reserved;
+};
+
+// Locks the variant row for the rest of the transaction and returns it with the
+// units the owner could hold: its stock less what other carts hold.
+const lockVariantStock = async (owner, variantId, trx) => {
+  const variant = await strapi.db.connection("product_variants")
+    .transacting(trx)
+    .where("id", variantId)
+    .forUpdate()
+    .first("id", "stock");
+  if (!variant) {
+    throw new NotFoundError("Product variant not found.");
+  }
+
+  const reservedByOthers = await exports.getReservedQuantities([variant.id], owner);
+  const available = Math.max(0, (variant.stock || 0) - (reservedByOthers.get(variant.id) || 0));
+  return { variantId: variant.id, available };
+};
+
+const findHold = (owner, variantId) =>
+  strapi.db.query(RESERVATION_UID).findOne({
+    where: { ...ownerWhere(owner), product_variant: { id: variantId } },
+    select: ["id", "quantity", "expiresAt"],
+  });
+
+// Sets the hold to `quantity` and restarts its reservation window.
+const saveHold = (owner, variantId, existing, quantity) => {
+  const expiresAt = new Date(Date.now() + getReservationWindowMs());
+  if (existing) {
+    return strapi.db.query(RESERVATION_UID).update({
+      where: { id: existing.id },
+      data: { quantity, expiresAt },
+    });
+  }
+  return strapi.db.query(RESERVATION_UID).create({
+    data: { ...ownerWhere(owner), product_variant: variantId, quantity, expiresAt },
+  });
+};
+
+/**
+ * Creates or refreshes the owner's hold on a variant. The hold always mirrors the
+ * units in the owner's cart lines for the variant and restarts the reservation
+ * window.
+ *
+ * The variant row stays locked while the units held by other carts are counted
+ * and the hold is written, so two carts cannot both claim the last units. Throws
+ * when a larger hold than the owner already has would exceed what is left; call
+ * it in the transaction that changes the cart line so the line is undone too.
+ */
+exports.holdStock = async (owner, variantId, quantity) => {
+  if (!quantity || quantity <= 0) {
+    return exports.releaseStock(owner, variantId);
+  }
+
+  return strapi.db.transaction(async ({ trx }) => {
+    const { variantId: id, available } = await lockVariantStock(owner, variantId, trx);
+    const existing = await findHold(owner, id);
+
+    // Shrinking a live hold never needs stock
+    const isLive = existing && new Date(existing.expiresAt) > new Date();
+    if ((!isLive || quantity > existing.quantity) && quantity > available) {
+      throw new ValidationError(
+        `This product variant has insufficient stock. Available: ${available}, Requested: ${quantity}.`
+      );
+    }
+
+    return saveHold(owner, id, existing, quantity);
+  });
+};
+
+/**
+ * Holds as many of `quantity` units as are still free, under the same lock as
+ * `holdStock`. Returns the number held; when none are free the owner's hold is
+ * left as it was and 0 is returned.
+ */
+exports.holdAvailableStock = async (owner, variantId, quantity) =>
+  strapi.db.transaction(async ({ trx }) => {
+    const { variantId: id, available } = await lockVariantStock(owner, variantId, trx);
+    const held = Math.min(quantity, available);
+    if (held <= 0) {
+      return 0;
+    }
+
+    await saveHold(owner, id, await findHold(owner, id), held);
+    return held;
+  });
+
+/**
+ * Sets the owner's hold on a variant to the units across all their cart lines
+ * for it (a frame can be in the cart once per lens configuration), through
+ * `holdStock`. Call it after changing those lines, in the same transaction.
+ */
+exports.holdCartStock = async (owner, variantId) => {
+  const lines = await strapi.db.query("api::cart.cart").findMany({
+    where: { ...ownerWhere(owner), product_variant: { id: variantId } },
+    select: ["id", "quantity"],
+  });
+  const quantity = lines.reduce((sum, line) => sum + (line.quantity || 0), 0);
+  return exports.holdStock(owner, variantId, quantity);
+};
+
+/**
+ * Restarts the window of the owner's holds while they use their cart. A cart
+ * line whose hold has lapsed is held again when its units are still free;
+ * otherwise it stays unheld and the cart shows it as short of stock.
+ */
+exports.renewHolds = async (owner) => {
+  const cartLines = await strapi.db.query("api::cart.cart").findMany({
+    where: ownerWhere(owner),
+    select: ["id", "quantity"],
+    populate: { product_variant: { select: ["id"] } },
+  });
+
+  const quantities = new Map();
+  cartLines.forEach((line) => {
+    if (!line.product_variant) return;
+    const variantId = line.product_variant.id;
+    quantities.set(variantId, (quantities.get(variantId) || 0) + (line.quantity || 0));
+  });
+
+  for (const [variantId, quantity] of quantities) {
+    try {
+      await exports.holdStock(owner, variantId, quantity);
+    } catch (error) {
+      if (!(error instanceof ValidationError) && !(error instanceof NotFoundError)) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Drops the owner's hold on a single variant.
+exports.releaseStock = async (owner, variantId) => {
+  const existing = await strapi.db.query(RESERVATION_UID).findMany({
+    where: { ...ownerWhere(owner), product_variant: { id: variantId } },
+    select: ["id"],
+  });
+
+  if (existing.length > 0) {
+    await strapi.db.query(RESERVATION_UID).deleteMany({
+      where: { id: { $in: existing.map((reservation) => reservation.id) } },
+    });
+  }
+};
+
+// Drops every hold the owner has, e.g. after clearing the cart or checking out.
+exports.releaseAllForOwner = async (owner) => {
+  const existing = await strapi.db.query(RESERVATION_UID).findMany({
+    where: ownerWhere(owner),
+    select: ["id"],
+  });
+
+  if (existing.length > 0) {
+    await strapi.db.query(RESERVATION_UID).deleteMany({
+      where: { id: { $in: existing.map((reservation) => reservation.id) } },
+    });
+  }
+};
+
+/**
+ * Returns a Map of variantId -> expiry of the owner's own live holds, so the cart
+ * can tell the customer how long their items are guaranteed.
+ */
+exports.getOwnerHolds = async (owner) => {
+  const holds = new Map();
+  const reservations = await strapi.db.query(RESERVATION_UID).findMany({
+    where: { ...ownerWhere(owner), expiresAt: { $gt: new Date() } },
+    select: ["id", "quantity", "expiresAt"],
+    populate: { product_variant: { select: ["id"] } },
+  });
+
+  reservations.forEach((reservation) => {
+    if (reservation.product_variant) {
+      holds.set(reservation.product_variant.id, reservation.expiresAt);
+    }
+  });
+
+  return holds;
+};
+
+// Deletes reservations whose window has passed. Used by the scheduled sweep.
+exports.sweepExpiredReservations = async () => {
+  const expired = await strapi.db.query(RESERVATION_UID).findMany({
+    where: { expiresAt: { $lte: new Date() } },
+    select: ["id"],
+  });
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  await strapi.db.query(RESERVATION_UID).deleteMany({
+    where: { id: { $in: expired.map((reservation) => reservation.id) } },
+  });
+
+  return expired.length;
+};
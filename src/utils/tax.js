@@ -0,0 +1,190 @@
+const TAX_RATE_UID = "api::tax-rate.tax-rate";
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Pricing lines call frames `product`; tax rates call them `frame`.
+const toTaxKind = (productKind) => (productKind === "product" ? "frame" : productKind);
+
+const normalizeState = (state) => String(state || "").trim().toLowerCase();
+
+exports.getTaxSettings = () => ({
+  businessState: strapi.config.get("tax.businessState", ""),
+  gstin: strapi.config.get("tax.gstin", ""),
+  pricesIncludeTax: strapi.config.get("tax.pricesIncludeTax", true),
+  defaultGstRate: Number(strapi.config.get("tax.defaultGstRate", 12)),
+  defaultHsnCode: strapi.config.get("tax.defaultHsnCode", "9004"),
+});
+
+/**
+ * Intra-state supplies are split into CGST + SGST; anything shipped to another
+ * state is IGST. Without a known address or business state we fall back to
+ * intra-state, which is what a walk-in sale would be.
+ */
+exports.getSupplyType = (address, settings = exports.getTaxSettings()) => {
+  const placeOfSupply = address && address.state_name ? address.state_name : null;
+  if (!placeOfSupply || !settings.businessState) {
+    return { supplyType: "intra_state", placeOfSupply };
+  }
+  return {
+    supplyType: normalizeState(placeOfSupply) === normalizeState(settings.businessState)
+      ? "intra_state"
+      : "inter_state",
+    placeOfSupply,
+  };
+};
+
+// Looks up the category of every frame line, which category-specific rates need.
+const getFrameCategories = async (lines) => {
+  const productIds = [...new Set(
+    lines.filter((line) => line.product_kind === "product").map((line) => line.master_id)
+  )];
+  const categories = new Map();
+  if (productIds.length === 0) {
+    return categories;
+  }
+
+  const products = await strapi.db.query("api::product.product").findMany({
+    where: { id: { $in: productIds } },
+    select: ["id"],
+    populate: { category: { select: ["id"] } },
+  });
+  products.forEach((product) => {
+    categories.set(product.id, product.category ? product.category.id : null);
+  });
+  return categories;
+};
+
+/**
+ * Picks the tax rate for a line: a rate for the line's kind and category wins
+ * over the kind-wide rate, which wins over the configured default.
+ */
+const resolveRate = (taxKind, categoryId, rates, settings) => {
+  const forKind = rates.filter((rate) => rate.productKind === taxKind);
+  const match =
+    (categoryId && forKind.find((rate) => rate.category && rate.category.id === categoryId)) ||
+    forKind.find((rate) => !rate.category);
+
+  if (match) {
+    return { hsn_code: match.hsnCode, gst_rate: Number(match.gstRate) };
+  }
+  return { hsn_code: settings.defaultHsnCode, gst_rate: settings.defaultGstRate };
+};
+
+/**
+ * Splits a tax amount by supply type so that the components add up exactly.
+ */
+const splitTax = (tax, supplyType) => {
+  if (supplyType === "inter_state") {
+    return { cgst: 0, sgst: 0, igst: tax };
+  }
+  const cgst = roundCurrency(tax / 2);
+  return { cgst, sgst: roundCurrency(tax - cgst), igst: 0 };
+};
+
+/**
+ * Computes GST for pricing lines.
+ *
+ * Each line is taxed on its subtotal less its share of any coupon discount
+ * (`lineDiscounts` maps cart item ids to amounts). Frames with lenses produce
+ * two tax lines for the same cart item: the frame and the `spectacle_lens` part.
+ */
+exports.computeTax = async (lines, { lineDiscounts = {}, address = null } = {}) => {
+  const settings = exports.getTaxSettings();
+  const { supplyType, placeOfSupply } = exports.getSupplyType(address, settings);
+
+  const rates = await strapi.db.query(TAX_RATE_UID).findMany({
+    where: { isActive: true },
+    populate: { category: { select: ["id"] } },
+  });
+  const frameCategories = await getFrameCategories(lines);
+
+  const taxableItems = lines.flatMap((line) => {
+    const gross = roundCurrency(line.unit_price * line.quantity - (lineDiscounts[line.cart_item_id] || 0));
+    const item = {
+      cart_item_id: line.cart_item_id,
+      variant_id: line.variant_id,
+      product_kind: line.product_kind,
+      name: line.name,
+      quantity: line.quantity,
+      gross,
+      category_id: frameCategories.get(line.master_id) || null,
+    };
+
+    // Lenses fitted to a frame carry their own HSN code and rate, so the line is
+    // taxed as two parts with the discount shared in proportion to price.
+    const lensUnitPrice = Number(line.lens_unit_price || 0);
+    if (lensUnitPrice <= 0 || !line.unit_price) {
+      return [item];
+    }
+    const lensGross = roundCurrency((gross * lensUnitPrice) / line.unit_price);
+    return [
+      { ...item, gross: roundCurrency(gross - lensGross) },
+      { ...item, product_kind: "spectacle_lens", name: `${line.name} (lenses)`, gross: lensGross, category_id: null },
+    ];
+  });
+
+  const totals = { taxable_value: 0, cgst: 0, sgst: 0, igst: 0, total_tax: 0 };
+  const taxLines = taxableItems.map((item) => {
+    const { hsn_code, gst_rate } = resolveRate(toTaxKind(item.product_kind), item.category_id, rates, settings);
+    const gross = Math.max(0, item.gross);
+
+    const taxableValue = settings.pricesIncludeTax
+      ? roundCurrency(gross / (1 + gst_rate / 100))
+      : gross;
+    const tax = settings.pricesIncludeTax
+      ? roundCurrency(gross - taxableValue)
+      : roundCurrency((gross * gst_rate) / 100);
+    const components = splitTax(tax, supplyType);
+
+    totals.taxable_value = roundCurrency(totals.taxable_value + taxableValue);
+    totals.cgst = roundCurrency(totals.cgst + components.cgst);
+    totals.sgst = roundCurrency(totals.sgst + components.sgst);
+    totals.igst = roundCurrency(totals.igst + components.igst);
+    totals.total_tax = roundCurrency(totals.total_tax + tax);
+
+    return {
+      cart_item_id: item.cart_item_id,
+      variant_id: item.variant_id,
+      product_kind: item.product_kind,
+      name: item.name,
+      quantity: item.quantity,
+      hsn_code,
+      gst_rate,
+      taxable_value: taxableValue,
+      ...components,
+      total_tax: tax,
+    };
+  });
+
+  return {
+    supply_type: supplyType,
+    place_of_supply: placeOfSupply,
+    business_state: settings.businessState || null,
+    prices_include_tax: settings.pricesIncludeTax,
+    ...totals,
+    lines: taxLines,
+  };
+};
+
+/**
+ * Resolves the address tax should be computed against: the given address when it
+ * belongs to the user, otherwise the user's default address.
+ */
+exports.getTaxAddress = async (userId, addressId = null) => {
+  if (!userId) {
+    return null;
+  }
+
+  if (addressId) {
+    const address = await strapi.db.query("api::address.address").findOne({
+      where: { id: addressId, user: userId },
+    });
+    if (address) {
+      return address;
+    }
+  }
+
+  return strapi.db.query("api::address.address").findOne({
+    where: { user: userId, is_default: true },
+  });
+};
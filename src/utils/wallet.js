@@ -0,0 +1,434 @@
+const { ValidationError, NotFoundError } = require("@strapi/utils").errors;
+const { roundCurrency } = require("./coupon.js");
+const { createUserNotification } = require("./notification.js");
+const { orderNumberWhere } = require("./orderNumber.js");
+
+const WALLET_UID = "api::wallet.wallet";
+const TRANSACTION_UID = "api::wallet-transaction.wallet-transaction";
+const ORDER_UID = "api::order.order";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_BATCH_SIZE = 100;
+const MAX_NOTE_LENGTH = 500;
+
+const WALLET_PAYMENT_METHOD = "wallet";
+// Reasons staff can give for a credit; the others are written by checkout and cancellations.
+const STAFF_CREDIT_REASONS = ["refund", "goodwill", "promotion"];
+
+exports.WALLET_PAYMENT_METHOD = WALLET_PAYMENT_METHOD;
+exports.STAFF_CREDIT_REASONS = STAFF_CREDIT_REASONS;
+
+const findWallet = (userId) =>
+  strapi.db.query(WALLET_UID).findOne({ where: { user: userId }, select: ["id", "balance"] });
+
+// Creates a user's wallet on first use. A user has at most one (see the one-wallet-per-user migration),
+// so when a parallel request created it first the insert fails and that wallet is used.
+const findOrCreateWallet = async (userId) => {
+  const wallet = await findWallet(userId);
+  if (wallet) {
+    return wallet;
+  }
+  try {
+    return await strapi.db.transaction(() =>
+      strapi.db.query(WALLET_UID).create({ data: { user: userId, balance: 0 } })
+    );
+  } catch (error) {
+    const created = await findWallet(userId);
+    if (!created) {
+      throw error;
+    }
+    return created;
+  }
+};
+
+// Locks the wallet row for the rest of the transaction, so balance changes apply one at a time.
+const lockWallet = async (walletId, trx) => {
+  const row = await strapi.db.connection("wallets").transacting(trx).where("id", walletId).forUpdate().first("balance");
+  return Number((row && row.balance) || 0);
+};
+
+const setBalance = (walletId, balance) =>
+  strapi.db.query(WALLET_UID).update({ where: { id: walletId }, data: { balance } });
+
+const addEntry = (walletId, data) =>
+  strapi.db.query(TRANSACTION_UID).create({ data: { wallet: walletId, ...data } });
+
+/**
+ * Lapses a locked wallet's credits whose expiry has passed, writing an expiry
+ * entry for the unspent part of each. Returns `{ balance, expired }`.
+ */
+const expireDueCredits = async (walletId, balance, now = new Date()) => {
+  const due = await strapi.db.query(TRANSACTION_UID).findMany({
+    where: { wallet: walletId, type: "credit", remainingAmount: { $gt: 0 }, expiresAt: { $lte: now } },
+    orderBy: { id: "asc" },
+  });
+
+  let current = balance;
+  for (const credit of due) {
+    const amount = roundCurrency(Number(credit.remainingAmount));
+    current = roundCurrency(current - amount);
+    await addEntry(walletId, {
+      type: "expiry",
+      reason: "expiry",
+      amount,
+      balanceAfter: current,
+      expiredCredit: credit.id,
+    });
+    await strapi.db.query(TRANSACTION_UID).update({ where: { id: credit.id }, data: { remainingAmount: 0 } });
+  }
+  if (due.length > 0) {
+    await setBalance(walletId, current);
+  }
+  return { balance: current, expired: due.length };
+};
+
+const notifyCredit = async (userId, { amount, orderId = null, expiresAt = null }) => {
+  try {
+    await createUserNotification({
+      userId,
+      orderId,
+      title: "Store credit added",
+      message: expiresAt
+        ? `₹${amount.toFixed(2)} has been added to your wallet. Use it before ${new Date(expiresAt).toDateString()}.`
+        : `₹${amount.toFixed(2)} has been added to your wallet.`,
+    });
+  } catch (error) {
+    console.error(`Failed to notify user ${userId} about a wallet credit:`, error);
+  }
+};
+
+const toAmount = (value, label) => {
+  const amount = roundCurrency(Number(value));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new ValidationError(`${label} must be a positive amount.`);
+  }
+  return amount;
+};
+
+/**
+ * Adds credit to a user's wallet, creating the wallet on first use, and tells
+ * the customer unless `notify` is false. `expiresAt` makes the credit lapse if
+ * it is not spent by then; `issuedBy` names the staff member for manual credits.
+ * Returns the ledger entry.
+ */
+exports.creditWallet = async (
+  userId,
+  { amount, reason, orderId = null, expiresAt = null, note = null, issuedBy = null, notify = true }
+) => {
+  const value = toAmount(amount, "Credit");
+  if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) {
+    throw new ValidationError("Credit must expire in the future.");
+  }
+
+  const wallet = await findOrCreateWallet(userId);
+  const entry = await strapi.db.transaction(async ({ trx }) => {
+    const { balance } = await expireDueCredits(wallet.id, await lockWallet(wallet.id, trx));
+
+    const balanceAfter = roundCurrency(balance + value);
+    await setBalance(wallet.id, balanceAfter);
+    return addEntry(wallet.id, {
+      type: "credit",
+      reason,
+      amount: value,
+      balanceAfter,
+      remainingAmount: value,
+      order: orderId,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      note,
+      issuedBy,
+    });
+  });
+
+  if (notify) {
+    await notifyCredit(userId, { amount: value, orderId, expiresAt: entry.expiresAt });
+  }
+  return entry;
+};
+
+/**
+ * Credit issued by staff. Promotional credit gets the configured expiry unless
+ * one is given; refunds and goodwill never expire unless told to.
+ */
+exports.issueStaffCredit = async ({ userId, amount, reason, orderId = null, expiresAt = null, note = null }, staffUser) => {
+  if (!STAFF_CREDIT_REASONS.includes(reason)) {
+    throw new ValidationError(`Reason must be one of: ${STAFF_CREDIT_REASONS.join(", ")}.`);
+  }
+  const value = toAmount(amount, "Credit");
+  const maxCredit = strapi.config.get("wallet.maxStaffCredit", 10000);
+  if (value > maxCredit) {
+    throw new ValidationError(`At most ₹${Number(maxCredit).toFixed(2)} can be credited at once.`);
+  }
+  const trimmedNote = typeof note === "string" ? note.trim() : "";
+  if (trimmedNote.length > MAX_NOTE_LENGTH) {
+    throw new ValidationError(`Note must be at most ${MAX_NOTE_LENGTH} characters.`);
+  }
+  if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+    throw new ValidationError("Expiry must be a date.");
+  }
+
+  const user = await strapi.db.query("plugin::users-permissions.user").findOne({ where: { id: userId }, select: ["id"] });
+  if (!user) {
+    throw new NotFoundError(`User ${userId} not found.`);
+  }
+  let order = null;
+  if (orderId) {
+    order = await strapi.db.query(ORDER_UID).findOne({
+      where: { ...orderNumberWhere(String(orderId)), user: user.id },
+      select: ["id"],
+    });
+    if (!order) {
+      throw new NotFoundError(`Order with ID '${orderId}' not found for this user.`);
+    }
+  }
+
+  const promotionalDays = strapi.config.get("wallet.promotionalExpiryDays", 90);
+  return exports.creditWallet(user.id, {
+    amount: value,
+    reason,
+    orderId: order ? order.id : null,
+    expiresAt: expiresAt || (reason === "promotion" && promotionalDays > 0 ? new Date(Date.now() + promotionalDays * DAY_MS) : null),
+    note: trimmedNote || null,
+    issuedBy: (staffUser && (staffUser.username || staffUser.email)) || null,
+  });
+};
+
+/**
+ * Spends wallet credit on an order, the credit expiring soonest first, and
+ * records on the debit how much came from each credit. Throws when the balance
+ * does not cover `amount`. Called inside the checkout transaction it joins it,
+ * so the debit is undone with the order.
+ */
+exports.debitWallet = async (userId, { amount, orderId }) => {
+  const value = toAmount(amount, "Wallet amount");
+
+  return strapi.db.transaction(async ({ trx }) => {
+    const wallet = await findWallet(userId);
+    const locked = wallet ? await lockWallet(wallet.id, trx) : 0;
+    const { balance } = wallet ? await expireDueCredits(wallet.id, locked) : { balance: 0 };
+    if (balance < value) {
+      throw new ValidationError(`Your wallet balance of ₹${balance.toFixed(2)} does not cover ₹${value.toFixed(2)}.`);
+    }
+
+    // Credit that never expires is spent last
+    const credits = await strapi.db.query(TRANSACTION_UID).findMany({
+      where: { wallet: wallet.id, type: "credit", remainingAmount: { $gt: 0 } },
+      select: ["id", "remainingAmount", "expiresAt"],
+      orderBy: { id: "asc" },
+    });
+    const expiryTime = (credit) => (credit.expiresAt ? new Date(credit.expiresAt).getTime() : Number.MAX_SAFE_INTEGER);
+    credits.sort((a, b) => expiryTime(a) - expiryTime(b));
+
+    let left = value;
+    const spentFrom = [];
+    for (const credit of credits) {
+      if (left <= 0) {
+        break;
+      }
+      const used = roundCurrency(Math.min(Number(credit.remainingAmount), left));
+      await strapi.db.query(TRANSACTION_UID).update({
+        where: { id: credit.id },
+        data: { remainingAmount: roundCurrency(Number(credit.remainingAmount) - used) },
+      });
+      spentFrom.push({ credit: credit.id, amount: used });
+      left = roundCurrency(left - used);
+    }
+
+    const balanceAfter = roundCurrency(balance - value);
+    await setBalance(wallet.id, balanceAfter);
+    return addEntry(wallet.id, { type: "debit", reason: "order_payment", amount: value, balanceAfter, order: orderId, spentFrom });
+  });
+};
+
+/**
+ * Balance a user can spend right now: credit past its expiry is left out even
+ * if the expiry job has not lapsed it yet.
+ */
+exports.getSpendableBalance = async (userId) => {
+  const wallet = await findWallet(userId);
+  if (!wallet) {
+    return 0;
+  }
+  const due = await strapi.db.query(TRANSACTION_UID).findMany({
+    where: { wallet: wallet.id, type: "credit", remainingAmount: { $gt: 0 }, expiresAt: { $lte: new Date() } },
+    select: ["remainingAmount"],
+  });
+  return roundCurrency(due.reduce((balance, credit) => balance - Number(credit.remainingAmount), Number(wallet.balance || 0)));
+};
+
+/**
+ * Works out how much of an order's total to pay from the wallet. `useWallet`
+ * spends as much as the balance allows; `walletAmount` spends exactly that
+ * much. Returns 0 when neither is given.
+ */
+exports.resolveWalletAmount = async (userId, orderTotal, { useWallet = false, walletAmount } = {}) => {
+  if (walletAmount === undefined || walletAmount === null) {
+    if (useWallet !== true) {
+      return 0;
+    }
+    return roundCurrency(Math.min(await exports.getSpendableBalance(userId), orderTotal));
+  }
+
+  const amount = toAmount(walletAmount, "Wallet amount");
+  if (amount > orderTotal) {
+    throw new ValidationError(`Wallet amount cannot be more than the order total of ₹${orderTotal.toFixed(2)}.`);
+  }
+  const balance = await exports.getSpendableBalance(userId);
+  if (amount > balance) {
+    throw new ValidationError(`Your wallet balance of ₹${balance.toFixed(2)} does not cover ₹${amount.toFixed(2)}.`);
+  }
+  return amount;
+};
+
+/**
+ * Returns the store credit a cancelled order was paid with. Safe to call more
+ * than once, in parallel too: the order is locked while it is refunded, so it
+ * is only ever refunded to the wallet once. Each amount goes back to the credit
+ * it was spent from and keeps that credit's expiry; credit that expired in the
+ * meantime lapses again straight away. An order paid entirely from the wallet
+ * is marked refunded. Returns the amount refunded.
+ */
+exports.refundWalletPayment = async (orderId) => {
+  const refund = await strapi.db.transaction(async ({ trx }) => {
+    await strapi.db.connection("orders").transacting(trx).where("id", orderId).forUpdate().first("id");
+
+    const order = await strapi.db.query(ORDER_UID).findOne({
+      where: { id: orderId },
+      select: ["id", "orderID", "totalAmount", "walletAmount"],
+      populate: { user: { select: ["id"] } },
+    });
+    const amount = order ? roundCurrency(Number(order.walletAmount || 0)) : 0;
+    if (amount <= 0 || !order.user) {
+      return null;
+    }
+
+    const existing = await strapi.db.query(TRANSACTION_UID).findOne({
+      where: { order: order.id, reason: "order_cancelled" },
+      select: ["id"],
+    });
+    if (existing) {
+      return null;
+    }
+
+    const debit = await strapi.db.query(TRANSACTION_UID).findOne({
+      where: { order: order.id, type: "debit", reason: "order_payment" },
+      select: ["id", "spentFrom"],
+      populate: { wallet: { select: ["id"] } },
+    });
+    const wallet = debit && debit.wallet ? debit.wallet : await findOrCreateWallet(order.user.id);
+    const { balance } = await expireDueCredits(wallet.id, await lockWallet(wallet.id, trx));
+
+    // Debits recorded before `spentFrom` existed come back as credit that never expires
+    let restored = 0;
+    for (const spent of (debit && Array.isArray(debit.spentFrom) ? debit.spentFrom : [])) {
+      const credit = await strapi.db.query(TRANSACTION_UID).findOne({
+        where: { id: spent.credit },
+        select: ["id", "remainingAmount"],
+      });
+      const value = roundCurrency(Math.min(Number(spent.amount), amount - restored));
+      if (!credit || value <= 0) {
+        continue;
+      }
+      await strapi.db.query(TRANSACTION_UID).update({
+        where: { id: credit.id },
+        data: { remainingAmount: roundCurrency(Number(credit.remainingAmount || 0) + value) },
+      });
+      restored = roundCurrency(restored + value);
+    }
+
+    const balanceAfter = roundCurrency(balance + amount);
+    await setBalance(wallet.id, balanceAfter);
+    await addEntry(wallet.id, {
+      type: "credit",
+      reason: "order_cancelled",
+      amount,
+      balanceAfter,
+      remainingAmount: roundCurrency(amount - restored),
+      order: order.id,
+      expiresAt: null,
+      note: `Store credit used on cancelled order #${order.orderID}.`,
+    });
+    const { balance: spendable } = await expireDueCredits(wallet.id, balanceAfter);
+
+    if (roundCurrency(Number(order.totalAmount || 0) - amount) <= 0) {
+      await strapi.db.query(ORDER_UID).update({ where: { id: order.id }, data: { paymentStatus: "refunded" } });
+    }
+    return { userId: order.user.id, orderId: order.id, amount, credited: roundCurrency(spendable - balance) };
+  });
+
+  if (!refund) {
+    return 0;
+  }
+  if (refund.credited > 0) {
+    await notifyCredit(refund.userId, { amount: refund.credited, orderId: refund.orderId });
+  }
+  return refund.amount;
+};
+
+/**
+ * Lapses every credit past its expiry. Returns the number of credits expired.
+ */
+exports.expireWalletCredits = async () => {
+  let expired = 0;
+  for (;;) {
+    const due = await strapi.db.query(TRANSACTION_UID).findMany({
+      where: { type: "credit", remainingAmount: { $gt: 0 }, expiresAt: { $lte: new Date() } },
+      select: ["id"],
+      populate: { wallet: { select: ["id"] } },
+      limit: EXPIRY_BATCH_SIZE,
+    });
+    const walletIds = [...new Set(due.filter((credit) => credit.wallet).map((credit) => credit.wallet.id))];
+    if (walletIds.length === 0) {
+      return expired;
+    }
+
+    for (const walletId of walletIds) {
+      const result = await strapi.db.transaction(async ({ trx }) => expireDueCredits(walletId, await lockWallet(walletId, trx)));
+      expired += result.expired;
+    }
+  }
+};
+
+/**
+ * A wallet's balance, its credit expiring soonest and one page of its ledger,
+ * newest first, shaped for customers.
+ */
+exports.getWalletSummary = async (userId, { offset = 0, limit = 25 } = {}) => {
+  const wallet = await findWallet(userId);
+  if (!wallet) {
+    return { balance: 0, expiring: [], transactions: [], total: 0 };
+  }
+
+  const now = new Date();
+  const [transactions, total, expiring] = await Promise.all([
+    strapi.db.query(TRANSACTION_UID).findMany({
+      where: { wallet: wallet.id },
+      populate: { order: { select: ["orderID"] } },
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      offset,
+      limit,
+    }),
+    strapi.db.query(TRANSACTION_UID).count({ where: { wallet: wallet.id } }),
+    strapi.db.query(TRANSACTION_UID).findMany({
+      where: { wallet: wallet.id, type: "credit", remainingAmount: { $gt: 0 }, expiresAt: { $gt: now } },
+      select: ["remainingAmount", "expiresAt"],
+      orderBy: { expiresAt: "asc" },
+    }),
+  ]);
+
+  return {
+    balance: await exports.getSpendableBalance(userId),
+    expiring: expiring.map((credit) => ({ amount: Number(credit.remainingAmount), expiresAt: credit.expiresAt })),
+    transactions: transactions.map((entry) => ({
+      id: entry.id,
+      type: entry.type,
+      reason: entry.reason,
+      amount: Number(entry.amount),
+      balanceAfter: Number(entry.balanceAfter),
+      orderId: entry.order ? entry.order.orderID : null,
+      expiresAt: entry.expiresAt,
+      note: entry.note,
+      createdAt: entry.createdAt,
+    })),
+    total,
+  };
+};
@@ -0,0 +1,32 @@
+const crypto = require("crypto");
+
+/**
+ * Hex HMAC-SHA256 of `<timestamp>.<raw body>` keyed with `secret`, the
+ * signature the local payment provider and carrier put on their webhooks.
+ */
+exports.signWebhook = (secret, timestamp, rawBody) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+
+/**
+ * Throws unless `signature` is the signature of `rawBody` at `timestamp` and
+ * the timestamp is within `toleranceSeconds` of now, so a captured webhook
+ * cannot be replayed later.
+ */
+exports.verifyWebhookSignature = ({ secret, rawBody, timestamp, signature, toleranceSeconds }) => {
+  const seconds = Number(timestamp);
+  if (!secret) {
+    throw new Error("Webhook secret is not configured.");
+  }
+  if (!Number.isFinite(seconds) || !signature) {
+    throw new Error("Missing webhook signature.");
+  }
+  if (Math.abs(Date.now() / 1000 - seconds) > toleranceSeconds) {
+    throw new Error("Webhook timestamp is outside the allowed tolerance.");
+  }
+
+  const expected = Buffer.from(exports.signWebhook(secret, seconds, rawBody), "hex");
+  const received = Buffer.from(String(signature), "hex");
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error("Webhook signature does not match.");
+  }
+};
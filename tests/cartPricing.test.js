@@ -0,0 +1,40 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getPriceChange, getUnacknowledgedPriceChanges } = require("../src/utils/cartPricing.js");
+
+const line = (unitPrice) => ({ cart_item_id: 11, variant_id: 4, name: "Aviator", quantity: 2, unit_price: unitPrice });
+
+describe("getPriceChange", () => {
+  it("reports a line whose price moved since it was added", () => {
+    const change = getPriceChange({ unitPriceSnapshot: "1200.00" }, line(1350));
+
+    assert.equal(change.previous_unit_price, 1200);
+    assert.equal(change.current_unit_price, 1350);
+    assert.equal(change.difference, 150);
+  });
+
+  it("ignores unchanged lines and lines without a snapshot", () => {
+    assert.equal(getPriceChange({ unitPriceSnapshot: 1200 }, line(1200)), null);
+    assert.equal(getPriceChange({ unitPriceSnapshot: null }, line(1350)), null);
+  });
+});
+
+describe("getUnacknowledgedPriceChanges", () => {
+  const changes = [getPriceChange({ unitPriceSnapshot: 1200 }, line(1350))];
+
+  it("accepts the changes the customer was shown", () => {
+    assert.deepEqual(getUnacknowledgedPriceChanges(changes, changes), []);
+    assert.deepEqual(getUnacknowledgedPriceChanges(changes, [{ cart_item_id: "11", current_unit_price: "1350" }]), []);
+  });
+
+  it("refuses a bare flag or nothing at all", () => {
+    assert.deepEqual(getUnacknowledgedPriceChanges(changes, true), changes);
+    assert.deepEqual(getUnacknowledgedPriceChanges(changes, undefined), changes);
+  });
+
+  it("refuses a price that moved again after it was acknowledged", () => {
+    const acknowledged = [{ cart_item_id: 11, current_unit_price: 1300 }];
+
+    assert.deepEqual(getUnacknowledgedPriceChanges(changes, acknowledged), changes);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+const { attributeOrderToReminder } = require("../src/utils/cartReminder.js");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("attributeOrderToReminder", () => {
+  let reminders;
+
+  beforeEach(async () => {
+    reminders = [];
+    await createStrapi({
+      config: { cart: { abandonedReminders: { attributionDays: 7 } } },
+      queries: {
+        "api::cart-reminder.cart-reminder": {
+          findMany: async ({ where }) =>
+            reminders
+              .filter((reminder) => reminder.user === where.user && !reminder.convertedOrder)
+              .filter((reminder) => reminder.sentAt >= where.sentAt.$gte)
+              .sort((a, b) => b.sentAt - a.sentAt),
+          update: async ({ where, data }) => Object.assign(reminders.find((reminder) => reminder.id === where.id), data),
+        },
+      },
+    });
+  });
+
+  afterEach(() => strapi.destroy());
+
+  const remind = (id, variantIds, hoursAgo) =>
+    reminders.push({ id, user: 7, variantIds, sentAt: new Date(Date.now() - hoursAgo * HOUR_MS) });
+
+  it("credits the latest reminder about a cart the order shares items with", async () => {
+    remind(1, [4, 5], 30);
+    remind(2, [9], 2);
+
+    const reminder = await attributeOrderToReminder(7, 50, [5, 12]);
+
+    assert.equal(reminder.id, 1);
+    assert.equal(reminders[0].convertedOrder, 50);
+    assert.equal(reminders[1].convertedOrder, undefined);
+  });
+
+  it("credits nothing when the order has none of the reminded items", async () => {
+    remind(1, [4, 5], 2);
+    remind(2, null, 1);
+
+    assert.equal(await attributeOrderToReminder(7, 50, [12]), null);
+    assert.ok(reminders.every((reminder) => !reminder.convertedOrder));
+  });
+
+  it("ignores reminders sent before the attribution window", async () => {
+    remind(1, [4], 8 * 24);
+
+    assert.equal(await attributeOrderToReminder(7, 50, [4]), null);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+const { recordRedemption, releaseRedemption } = require("../src/utils/coupon.js");
+
+const SCHEMA = `
+  CREATE TABLE coupons (
+    id integer PRIMARY KEY,
+    code varchar(255),
+    used_count integer,
+    usage_limit integer,
+    usage_limit_per_user integer
+  );
+`;
+
+describe("recordRedemption", () => {
+  let redemptions;
+
+  const usedCount = async () => (await strapi.db.connection("coupons").where("id", 1).first("used_count")).used_count;
+
+  beforeEach(async () => {
+    redemptions = [];
+    await createStrapi({
+      schema: SCHEMA,
+      queries: {
+        "api::coupon-redemption.coupon-redemption": {
+          count: async ({ where }) =>
+            redemptions.filter((entry) => entry.coupon === where.coupon && entry.user === where.user).length,
+          create: async ({ data }) => {
+            redemptions.push(data);
+            return data;
+          },
+          findOne: async ({ where }) => {
+            const found = redemptions.find((entry) => entry.order === where.order);
+            return found ? { id: found.order, coupon: { id: found.coupon } } : null;
+          },
+          deleteMany: async ({ where }) => {
+            const before = redemptions.length;
+            redemptions = redemptions.filter((entry) => entry.order !== where.id);
+            return { count: before - redemptions.length };
+          },
+        },
+      },
+    });
+  });
+
+  afterEach(() => strapi.destroy());
+
+  it("counts the use and records the redemption", async () => {
+    await strapi.db.connection("coupons").insert({ id: 1, code: "SAVE10", used_count: null, usage_limit: 5 });
+
+    await recordRedemption({ id: 1, code: "SAVE10" }, { userId: 7, orderId: 30, discount: 100 });
+
+    assert.equal(await usedCount(), 1);
+    assert.deepEqual(redemptions, [{ coupon: 1, user: 7, order: 30, code: "SAVE10", discountAmount: 100 }]);
+  });
+
+  it("refuses the use after the last one was taken, whatever the caller last saw", async () => {
+    await strapi.db.connection("coupons").insert({ id: 1, code: "SAVE10", used_count: 5, usage_limit: 5 });
+
+    await assert.rejects(
+      recordRedemption({ id: 1, code: "SAVE10", usedCount: 4 }, { userId: 7, orderId: 30, discount: 100 }),
+      /reached its usage limit/
+    );
+    assert.equal(await usedCount(), 5);
+    assert.equal(redemptions.length, 0);
+  });
+
+  it("refuses a customer who has used up their own limit", async () => {
+    await strapi.db.connection("coupons").insert({ id: 1, code: "ONCE", used_count: 1, usage_limit_per_user: 1 });
+    redemptions.push({ coupon: 1, user: 7 });
+
+    await assert.rejects(
+      recordRedemption({ id: 1, code: "ONCE" }, { userId: 7, orderId: 31, discount: 50 }),
+      /maximum number of times/
+    );
+    await recordRedemption({ id: 1, code: "ONCE" }, { userId: 8, orderId: 32, discount: 50 });
+    assert.equal(await usedCount(), 2);
+  });
+
+  it("is undone with the checkout transaction it joins", async () => {
+    await strapi.db.connection("coupons").insert({ id: 1, code: "SAVE10", used_count: 0, usage_limit: 1 });
+
+    await assert.rejects(
+      strapi.db.transaction(async () => {
+        await recordRedemption({ id: 1, code: "SAVE10" }, { userId: 7, orderId: 30, discount: 100 });
+        throw new Error("stock ran out");
+      }),
+      /stock ran out/
+    );
+    assert.equal(await usedCount(), 0);
+  });
+
+  it("gives the use of a cancelled order back to both limits, once", async () => {
+    await strapi.db.connection("coupons").insert({ id: 1, code: "ONCE", used_count: 0, usage_limit: 1, usage_limit_per_user: 1 });
+    await recordRedemption({ id: 1, code: "ONCE" }, { userId: 7, orderId: 30, discount: 50 });
+
+    assert.equal(await releaseRedemption(30), true);
+    assert.equal(await releaseRedemption(30), false);
+    assert.equal(await usedCount(), 0);
+
+    await recordRedemption({ id: 1, code: "ONCE" }, { userId: 7, orderId: 31, discount: 50 });
+    assert.equal(await usedCount(), 1);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+
+// The code and the text are replaced before deliveryOtp.js picks them up
+const phone = require("../src/utils/phone.js");
+const otpGenerate = require("../src/utils/otpGenerate.js");
+
+const texts = [];
+let smsWorks = true;
+mock.method(otpGenerate, "generateOTP", async () => "4321");
+mock.method(phone, "smsVerifyOtp", async (otp, to) => {
+  if (smsWorks) {
+    texts.push({ otp, to });
+  }
+  return smsWorks;
+});
+
+const { sendDeliveryOtp, sendPendingDeliveryOtps } = require("../src/utils/deliveryOtp.js");
+
+const SCHEMA = `
+  CREATE TABLE orders (
+    id integer PRIMARY KEY,
+    order_id varchar(255),
+    status varchar(255),
+    shipped_at datetime,
+    delivery_otp_hash varchar(255),
+    delivery_otp_sent_at datetime,
+    delivery_otp_attempts integer,
+    delivery_otp_due_at datetime
+  );
+`;
+
+// Columns of the orders table by attribute name, for the entity manager double
+const COLUMNS = {
+  id: "id",
+  orderID: "order_id",
+  status: "status",
+  shippedAt: "shipped_at",
+  deliveryOtpHash: "delivery_otp_hash",
+  deliveryOtpSentAt: "delivery_otp_sent_at",
+  deliveryOtpAttempts: "delivery_otp_attempts",
+  deliveryOtpDueAt: "delivery_otp_due_at",
+};
+
+const toOrder = (row) =>
+  Object.fromEntries(Object.entries(COLUMNS).map(([attribute, column]) => [attribute, row[column]]));
+
+const toRow = (data) =>
+  Object.fromEntries(Object.entries(data).map(([attribute, value]) => [COLUMNS[attribute], value]));
+
+describe("delivery codes", () => {
+  const orders = () => strapi.db.connection("orders");
+  const readOrder = async () => toOrder(await orders().where("id", 30).first());
+
+  beforeEach(async () => {
+    texts.length = 0;
+    smsWorks = true;
+    await createStrapi({
+      schema: SCHEMA,
+      config: { server: { app: { keys: ["test-key"] } }, shipping: { deliveryOtp: { enabled: true } } },
+      queries: {
+        "api::order.order": {
+          findMany: async ({ where }) =>
+            (await orders().where("delivery_otp_due_at", "<=", where.deliveryOtpDueAt.$lte)).map(toOrder),
+          findOne: async ({ where }) => {
+            const row = await orders().where("id", where.id).first();
+            return row ? { ...toOrder(row), address: { phone: "9999999999" }, user: { id: 7 } } : null;
+          },
+          update: async ({ where, data }) => orders().where("id", where.id).update(toRow(data)),
+        },
+      },
+    });
+    await orders().insert({
+      id: 30,
+      order_id: "MO-2026-000030",
+      status: "shipped",
+      shipped_at: new Date(),
+      delivery_otp_due_at: new Date(Date.now() - 1000),
+    });
+  });
+
+  afterEach(() => strapi.destroy());
+
+  it("texts the code of a shipped order once it is due", async () => {
+    assert.equal(await sendPendingDeliveryOtps(), 1);
+
+    assert.deepEqual(texts, [{ otp: "4321", to: "9999999999" }]);
+    const order = await readOrder();
+    assert.equal(order.deliveryOtpDueAt, null);
+    assert.ok(order.deliveryOtpHash);
+
+    assert.equal(await sendPendingDeliveryOtps(), 0);
+    assert.equal(texts.length, 1);
+  });
+
+  it("keeps the code due for a retry when the text fails", async () => {
+    smsWorks = false;
+
+    await assert.rejects(sendDeliveryOtp(30), /could not be texted/);
+    assert.equal(await sendPendingDeliveryOtps(), 0);
+
+    const order = await readOrder();
+    assert.ok(new Date(order.deliveryOtpDueAt) > new Date());
+    // Not picked up again before the retry time
+    smsWorks = true;
+    assert.equal(await sendPendingDeliveryOtps(), 0);
+    assert.equal(texts.length, 0);
+  });
+
+  it("drops the code of an order that is no longer out for delivery", async () => {
+    await orders().where("id", 30).update({ status: "cancelled" });
+
+    assert.equal(await sendPendingDeliveryOtps(), 0);
+
+    assert.equal(texts.length, 0);
+    assert.equal((await readOrder()).deliveryOtpDueAt, null);
+  });
+});
@@ -0,0 +1,62 @@
+const { AsyncLocalStorage } = require("node:async_hooks");
+const createKnex = require("knex");
+
+const getPath = (object, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+/**
+ * Sets up a `strapi` global for testing the utils against an in-memory SQLite
+ * database, the client Strapi uses in development.
+ *
+ * `schema` is the SQL for the tables the code under test reads with
+ * `strapi.db.connection`. `strapi.db.transaction` behaves like Strapi's: a call
+ * inside another transaction joins it. `queries` maps a content-type uid to the
+ * object returned by `strapi.db.query(uid)`, and `config` is what
+ * `strapi.config.get` reads from.
+ *
+ * Returns the global; call `destroy()` on it when the test is done.
+ */
+exports.createStrapi = async ({ schema = "", config = {}, queries = {} } = {}) => {
+  // One connection, so every query sees the same in-memory database; a query that
+  // should have joined an open transaction waits for it and times the test out
+  const knex = createKnex({
+    client: "better-sqlite3",
+    connection: { filename: ":memory:" },
+    useNullAsDefault: true,
+    pool: { min: 1, max: 1 },
+    // SQLite has no row locks; `forUpdate()` is a no-op there
+    log: { warn() {} },
+  });
+  for (const statement of schema.split(";").map((sql) => sql.trim()).filter(Boolean)) {
+    await knex.raw(statement);
+  }
+  const transactionContext = new AsyncLocalStorage();
+
+  global.strapi = {
+    config: {
+      get: (path, defaultValue) => {
+        const value = getPath(config, path);
+        return value === undefined ? defaultValue : value;
+      },
+    },
+    db: {
+      connection: knex,
+      transaction: async (callback) => {
+        const current = transactionContext.getStore();
+        if (current) {
+          return callback({ trx: current });
+        }
+        return knex.transaction((trx) => transactionContext.run(trx, () => callback({ trx })));
+      },
+      query: (uid) => {
+        if (!queries[uid]) {
+          throw new Error(`No test double for strapi.db.query("${uid}").`);
+        }
+        return queries[uid];
+      },
+    },
+    log: { info() {}, warn() {}, error() {}, debug() {} },
+    destroy: () => knex.destroy(),
+  };
+  return global.strapi;
+};
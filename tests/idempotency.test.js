@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+const {
+  claimIdempotencyKey,
+  renewIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} = require("../src/utils/idempotency.js");
+
+const SCHEMA = `
+  CREATE TABLE idempotency_keys (
+    id integer PRIMARY KEY,
+    scope varchar(255),
+    user_id integer,
+    key varchar(255),
+    request_hash varchar(255),
+    claim varchar(255),
+    locked_at datetime,
+    result_id integer,
+    expires_at datetime,
+    UNIQUE (scope, user_id, key)
+  );
+`;
+
+const REQUEST = { scope: "checkout", userId: 7, key: "abc", requestHash: "hash-1" };
+
+describe("idempotency keys", () => {
+  const claims = [];
+
+  const claim = async (request = REQUEST) => {
+    const result = await claimIdempotencyKey(request);
+    if (result.claim) {
+      claims.push(result.claim);
+    }
+    return result;
+  };
+
+  // Leaves the claim as a holder that stopped renewing it a while ago would
+  const expireLease = () =>
+    strapi.db.connection("idempotency_keys").update({ locked_at: new Date(Date.now() - 5 * 60 * 1000) });
+
+  beforeEach(() => createStrapi({ schema: SCHEMA }));
+
+  afterEach(async () => {
+    // Stop the renewals of claims a test left open
+    await Promise.all(claims.splice(0).map((held) => releaseIdempotencyKey(held)));
+    await strapi.destroy();
+  });
+
+  it("runs a new key and answers a replay with the first result", async () => {
+    const { claim: held } = await claim();
+    assert.ok(held);
+
+    await completeIdempotencyKey(held, 30);
+
+    assert.deepEqual(await claim(), { resultId: 30 });
+  });
+
+  it("refuses the key for a different request", async () => {
+    await claim();
+
+    await assert.rejects(claim({ ...REQUEST, requestHash: "hash-2" }), /already used for a different request/);
+  });
+
+  it("refuses a retry while the first request still holds the key", async () => {
+    await claim();
+
+    await assert.rejects(claim(), /Idempotency-Key is still being processed/);
+  });
+
+  it("does not take over a long request that keeps renewing its claim", async () => {
+    const { claim: held } = await claim();
+    await expireLease();
+
+    assert.equal(await renewIdempotencyKey(held), true);
+
+    await assert.rejects(claim(), /Idempotency-Key is still being processed/);
+    await completeIdempotencyKey(held, 30);
+  });
+
+  it("takes over a claim that stopped being renewed and fails the old holder's result", async () => {
+    const { claim: lost } = await claim();
+    await expireLease();
+
+    const { claim: held } = await claim();
+    assert.ok(held);
+    assert.notEqual(held, lost);
+
+    assert.equal(await renewIdempotencyKey(lost), false);
+    await assert.rejects(completeIdempotencyKey(lost, 30), /Idempotency-Key is still being processed/);
+    await completeIdempotencyKey(held, 31);
+    assert.deepEqual(await claim(), { resultId: 31 });
+  });
+
+  it("keeps the key unused when the transaction saving the result rolls back", async () => {
+    const { claim: held } = await claim();
+
+    await assert.rejects(
+      strapi.db.transaction(async ({ trx }) => {
+        await completeIdempotencyKey(held, 30, { trx });
+        throw new Error("stock ran out");
+      }),
+      /stock ran out/
+    );
+    await releaseIdempotencyKey(held);
+
+    assert.ok((await claim()).claim);
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+const { decrementVariantStock, restoreVariantStock, restoreOrderStock } = require("../src/utils/inventory.js");
+
+const SCHEMA = `
+  CREATE TABLE product_variants (
+    id integer PRIMARY KEY,
+    stock integer,
+    in_stock boolean,
+    sold_out_by_sales boolean,
+    sales_count integer
+  );
+  CREATE TABLE orders (
+    id integer PRIMARY KEY,
+    items text,
+    stock_restored_at datetime
+  );
+`;
+
+const getVariant = () => strapi.db.connection("product_variants").where("id", 1).first();
+
+const addVariant = (variant) =>
+  strapi.db.connection("product_variants").insert({ id: 1, in_stock: true, sales_count: 0, ...variant });
+
+describe("decrementVariantStock", () => {
+  beforeEach(() => createStrapi({ schema: SCHEMA }));
+  afterEach(() => strapi.destroy());
+
+  it("takes the units and counts the sale", async () => {
+    await addVariant({ stock: 5 });
+
+    assert.equal(await decrementVariantStock(1, 2), true);
+
+    const variant = await getVariant();
+    assert.equal(variant.stock, 3);
+    assert.equal(variant.sales_count, 2);
+    assert.equal(Boolean(variant.in_stock), true);
+  });
+
+  it("marks the variant out of stock when the last units are taken", async () => {
+    await addVariant({ stock: 2 });
+
+    assert.equal(await decrementVariantStock(1, 2), true);
+
+    const variant = await getVariant();
+    assert.equal(variant.stock, 0);
+    assert.equal(Boolean(variant.in_stock), false);
+    assert.equal(Boolean(variant.sold_out_by_sales), true);
+  });
+
+  it("takes nothing when there is not enough stock", async () => {
+    await addVariant({ stock: 1 });
+
+    assert.equal(await decrementVariantStock(1, 2), false);
+
+    const variant = await getVariant();
+    assert.equal(variant.stock, 1);
+    assert.equal(variant.sales_count, 0);
+    assert.equal(Boolean(variant.in_stock), true);
+  });
+
+  it("is undone with the transaction it joins", async () => {
+    await addVariant({ stock: 2 });
+
+    await assert.rejects(
+      strapi.db.transaction(async ({ trx }) => {
+        await decrementVariantStock(1, 2, { trx });
+        throw new Error("payment failed");
+      }),
+      /payment failed/
+    );
+
+    const variant = await getVariant();
+    assert.equal(variant.stock, 2);
+    assert.equal(Boolean(variant.in_stock), true);
+  });
+});
+
+describe("restoreVariantStock", () => {
+  beforeEach(() => createStrapi({ schema: SCHEMA }));
+  afterEach(() => strapi.destroy());
+
+  it("puts a variant sales emptied back in stock and takes the sale off", async () => {
+    await addVariant({ stock: 2, sales_count: 1 });
+    await decrementVariantStock(1, 2);
+
+    assert.equal(await restoreVariantStock(1, 2), true);
+
+    const variant = await getVariant();
+    assert.equal(variant.stock, 2);
+    assert.equal(variant.sales_count, 1);
+    assert.equal(Boolean(variant.in_stock), true);
+    assert.equal(Boolean(variant.sold_out_by_sales), false);
+  });
+
+  it("keeps a variant staff switched off after it sold out switched off", async () => {
+    await addVariant({ stock: 0, in_stock: false, sold_out_by_sales: false, sales_count: 3 });
+
+    await restoreVariantStock(1, 2);
+
+    const variant = await getVariant();
+    assert.equal(variant.stock, 2);
+    assert.equal(Boolean(variant.in_stock), false);
+  });
+
+  it("keeps a variant that was switched off with stock left switched off", async () => {
+    await addVariant({ stock: 4, in_stock: false, sales_count: 1 });
+
+    await restoreVariantStock(1, 2);
+
+    const variant = await getVariant();
+    assert.equal(variant.stock, 6);
+    assert.equal(variant.sales_count, 0);
+    assert.equal(Boolean(variant.in_stock), false);
+  });
+});
+
+describe("restoreOrderStock", () => {
+  let orderItems;
+
+  const getOrder = () => strapi.db.connection("orders").where("id", 30).first();
+
+  beforeEach(async () => {
+    orderItems = [];
+    await createStrapi({
+      schema: SCHEMA,
+      queries: {
+        "api::order-item.order-item": {
+          findMany: async ({ where }) => orderItems.filter((item) => item.order === where.order),
+        },
+      },
+    });
+    await addVariant({ stock: 0, in_stock: false, sold_out_by_sales: true, sales_count: 2 });
+  });
+
+  afterEach(() => strapi.destroy());
+
+  it("returns the order's lines once, however often it is called", async () => {
+    await strapi.db.connection("orders").insert({ id: 30 });
+    orderItems.push({ order: 30, variantId: 1, quantity: 2, product_variant: { id: 1 } });
+
+    assert.equal(await restoreOrderStock(30), 2);
+    assert.equal(await restoreOrderStock(30), 0);
+
+    assert.equal((await getVariant()).stock, 2);
+    assert.ok((await getOrder()).stock_restored_at);
+  });
+
+  it("reads the items JSON of an order placed before order items", async () => {
+    await strapi.db.connection("orders").insert({
+      id: 30,
+      items: JSON.stringify([{ id: 1, quantity: 2, unitPrice: 900, productName: "Aviator" }]),
+    });
+
+    assert.equal(await restoreOrderStock(30), 2);
+    assert.equal((await getVariant()).stock, 2);
+  });
+
+  it("leaves an order it cannot read any lines of unclaimed", async () => {
+    await strapi.db.connection("orders").insert({ id: 30, items: null });
+
+    assert.equal(await restoreOrderStock(30), 0);
+    assert.equal((await getOrder()).stock_restored_at, null);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+const { amountInWords, getFinancialYear, getInvoiceDocument, renderInvoicePdf } = require("../src/utils/invoice.js");
+
+const INVOICE = {
+  id: 5,
+  documentType: "invoice",
+  number: "INV/26-27/000005",
+  orderNumber: "MO-2026-000030",
+  issuedAt: new Date("2026-10-19T06:00:00Z"),
+  seller: { name: "Mama Opticals", address: ["MG Road, Kochi"], gstin: "32ABCDE1234F1Z5", state: "Kerala" },
+  lines: [{ description: "Aviator", hsn_code: "9004", quantity: 1, gst_rate: 12, taxable_value: 1000, cgst: 60, sgst: 60, igst: 0, total: 1120 }],
+  taxableValue: 1000,
+  cgst: 60,
+  sgst: 60,
+  igst: 0,
+  grandTotal: 1120,
+  amountInWords: "Rupees One Thousand One Hundred Twenty Only",
+};
+
+describe("invoice documents", () => {
+  afterEach(() => strapi.destroy());
+
+  it("shows the order number the invoice was issued with", async () => {
+    await createStrapi({
+      queries: {
+        "api::invoice.invoice": {
+          findOne: async () => ({ ...INVOICE, order: { id: 30, orderID: "MO-2027-000001" }, originalInvoice: null }),
+        },
+      },
+    });
+
+    const invoice = await getInvoiceDocument({ id: 5 });
+    assert.equal(invoice.orderNumber, "MO-2026-000030");
+
+    const pdf = renderInvoicePdf(invoice).toString("latin1");
+    assert.ok(pdf.includes("(MO-2026-000030) Tj"));
+    assert.ok(!pdf.includes("MO-2027-000001"));
+    assert.ok(pdf.includes("(TAX INVOICE) Tj"));
+    assert.ok(pdf.includes("(Rs. 1120.00) Tj"));
+  });
+});
+
+describe("amountInWords", () => {
+  it("uses the Indian numbering system", () => {
+    assert.equal(amountInWords(1234.5), "Rupees One Thousand Two Hundred Thirty Four and Fifty Paise Only");
+    assert.equal(amountInWords(2500000), "Rupees Twenty Five Lakh Only");
+  });
+});
+
+describe("getFinancialYear", () => {
+  it("starts the year in April, Indian time", () => {
+    assert.deepEqual(getFinancialYear(new Date("2026-03-31T18:00:00Z")), { label: "2025-26", code: "25-26" });
+    assert.deepEqual(getFinancialYear(new Date("2026-03-31T18:45:00Z")), { label: "2026-27", code: "26-27" });
+  });
+});
@@ -0,0 +1,22 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getLensKey } = require("../src/utils/lensConfiguration.js");
+
+describe("getLensKey", () => {
+  it("gives a populated line and its relation ids the same key", () => {
+    const populated = { lens_type: { id: 3, name: "Single vision" }, lens_coating: { id: 5 }, lens_thickness: null, eye_power: { id: 9 } };
+    const ids = { lens_type: 3, lens_coating: 5, lens_thickness: null, eye_power: 9 };
+
+    assert.equal(getLensKey(populated), getLensKey(ids));
+  });
+
+  it("tells lens configurations of the same frame apart", () => {
+    assert.notEqual(getLensKey({ lens_type: 3, lens_coating: 5 }), getLensKey({ lens_type: 3, lens_coating: 6 }));
+    assert.notEqual(getLensKey({ lens_type: 3 }), getLensKey({}));
+  });
+
+  it("treats a line without lenses like an empty configuration", () => {
+    assert.equal(getLensKey({ lens_type: null, eye_power: undefined }), getLensKey({}));
+    assert.equal(getLensKey(null), getLensKey({}));
+  });
+});
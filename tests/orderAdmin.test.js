@@ -0,0 +1,55 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+const { exportOrdersCsv } = require("../src/utils/orderAdmin.js");
+
+const withOrders = (orders) =>
+  createStrapi({
+    queries: {
+      "api::order.order": {
+        count: async () => orders.length,
+        findMany: async () => orders,
+      },
+    },
+  });
+
+// Header and rows of an export, each as a map of column to cell
+const parseCsv = (csv) => {
+  const [header, ...rows] = csv.replace(/^\uFEFF/, "").trim().split("\r\n").map((line) => line.split(","));
+  return rows.map((cells) => Object.fromEntries(header.map((column, index) => [column, cells[index]])));
+};
+
+describe("exportOrdersCsv", () => {
+  afterEach(() => strapi.destroy());
+
+  it("exports the lines of an order placed before order items from its items JSON", async () => {
+    await withOrders([{
+      id: 30,
+      orderID: "MO-2025-000030",
+      totalAmount: 2700,
+      order_items: [],
+      items: JSON.stringify([
+        { id: 4, quantity: 3, unitPrice: 899.99, productName: "Aviator" },
+        { id: 5, quantity: 1, unitPrice: 0, productName: "Case" },
+      ]),
+    }]);
+
+    const rows = parseCsv(await exportOrdersCsv({}));
+
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].Product, "Aviator");
+    assert.equal(rows[0]["Variant ID"], "4");
+    assert.equal(rows[0].Quantity, "3");
+    assert.equal(rows[0]["Line Total"], "2699.97");
+    assert.equal(rows[1].Product, "Case");
+  });
+
+  it("still lists an order with no lines at all", async () => {
+    await withOrders([{ id: 31, orderID: "MO-2025-000031", order_items: [], items: null }]);
+
+    const rows = parseCsv(await exportOrdersCsv({}));
+
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].Product, "");
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+
+// The senders are replaced before orderNotification.js picks them up
+const notification = require("../src/utils/notification.js");
+const email = require("../src/utils/email.js");
+const phone = require("../src/utils/phone.js");
+const whatsapp = require("../src/utils/whatsapp.js");
+
+const sent = [];
+let failing = new Set();
+const sender = (channel) => async () => {
+  if (failing.has(channel)) {
+    throw new Error(`${channel} is down`);
+  }
+  sent.push(channel);
+};
+mock.method(notification, "createUserNotification", sender("in_app"));
+mock.method(email, "orderStatusUpdate", sender("email"));
+mock.method(phone, "sendSms", sender("sms"));
+mock.method(whatsapp, "sendWhatsappText", sender("whatsapp"));
+
+const { dispatchOrderNotifications } = require("../src/utils/orderNotification.js");
+
+describe("dispatchOrderNotifications", () => {
+  let entry;
+
+  beforeEach(async () => {
+    sent.length = 0;
+    failing = new Set();
+    entry = {
+      id: 1,
+      fromStatus: "confirmed",
+      toStatus: "shipped",
+      changedAt: new Date(),
+      notifiedAt: null,
+      order: {
+        id: 30,
+        orderID: "MO-2026-000030",
+        totalAmount: 1200,
+        user: { id: 7, name: "Asha", email: "asha@example.com", phone: "9999999999", orderSmsNotifications: true },
+      },
+    };
+    const isDue = () => !entry.notifiedAt && !entry.notificationClaimedAt &&
+      (!entry.nextNotificationAt || entry.nextNotificationAt <= new Date());
+    await createStrapi({
+      queries: {
+        "api::order-status-history.order-status-history": {
+          findMany: async () => (isDue() ? [{ ...entry }] : []),
+          updateMany: async ({ data }) => {
+            if (!isDue()) return { count: 0 };
+            Object.assign(entry, data);
+            return { count: 1 };
+          },
+          update: async ({ data }) => Object.assign(entry, data),
+        },
+      },
+    });
+  });
+
+  afterEach(() => strapi.destroy());
+
+  it("marks the change notified once every allowed channel got it", async () => {
+    assert.equal(await dispatchOrderNotifications(), 1);
+
+    assert.deepEqual(sent, ["in_app", "email", "sms"]);
+    assert.deepEqual(entry.notificationChannels, ["in_app", "email", "sms"]);
+    assert.ok(entry.notifiedAt);
+    assert.equal(await dispatchOrderNotifications(), 0);
+  });
+
+  it("retries only the failed channel, after a backoff", async () => {
+    failing.add("sms");
+    await dispatchOrderNotifications();
+
+    assert.equal(entry.notifiedAt, null);
+    assert.equal(entry.notificationAttempts, 1);
+    assert.ok(entry.nextNotificationAt > new Date());
+    assert.equal(await dispatchOrderNotifications(), 0);
+
+    failing.clear();
+    entry.nextNotificationAt = new Date(Date.now() - 1000);
+    sent.length = 0;
+    await dispatchOrderNotifications();
+
+    assert.deepEqual(sent, ["sms"]);
+    assert.ok(entry.notifiedAt);
+  });
+
+  it("gives up after the last attempt", async () => {
+    failing.add("sms");
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      entry.nextNotificationAt = null;
+      await dispatchOrderNotifications();
+    }
+
+    assert.equal(entry.notificationAttempts, 5);
+    assert.ok(entry.notifiedAt);
+    assert.deepEqual(entry.notificationChannels, ["in_app", "email"]);
+  });
+});
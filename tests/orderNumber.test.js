@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+const { nextOrderNumber, orderNumberWhere } = require("../src/utils/orderNumber.js");
+const numberUnnumberedOrders = require("../database/migrations/2026.10.19T02.00.00.number-unnumbered-orders.js");
+
+const SCHEMA = `
+  CREATE TABLE sequence_counters (
+    name varchar(100) PRIMARY KEY,
+    value integer NOT NULL DEFAULT 0
+  );
+  CREATE TABLE orders (
+    id integer PRIMARY KEY,
+    order_id varchar(255),
+    ordered_at datetime,
+    created_at datetime
+  );
+`;
+
+describe("order numbers", () => {
+  beforeEach(() => createStrapi({ schema: SCHEMA, config: { orders: { numberPrefix: "MO" } } }));
+  afterEach(() => strapi.destroy());
+
+  it("counts per year in Indian time", async () => {
+    assert.equal(await nextOrderNumber(new Date("2026-06-01T10:00:00Z")), "MO-2026-000001");
+    assert.equal(await nextOrderNumber(new Date("2026-06-02T10:00:00Z")), "MO-2026-000002");
+    assert.equal(await nextOrderNumber(new Date("2026-12-31T19:00:00Z")), "MO-2027-000001");
+  });
+
+  it("does not use up a number when the order is not saved", async () => {
+    await assert.rejects(
+      strapi.db.transaction(async () => {
+        await nextOrderNumber(new Date("2026-06-01T10:00:00Z"));
+        throw new Error("checkout failed");
+      }),
+      /checkout failed/
+    );
+
+    assert.equal(await nextOrderNumber(new Date("2026-06-01T10:00:00Z")), "MO-2026-000001");
+  });
+
+  it("numbers orders without a number or with a legacy id, oldest first, once", async () => {
+    await strapi.db.connection("orders").insert([
+      { id: 1, order_id: "ORD-1767225600000-7", ordered_at: "2026-01-01T00:00:00.000Z" },
+      { id: 2, order_id: null, ordered_at: "2026-03-05T00:00:00.000Z" },
+      { id: 3, order_id: "", ordered_at: "2026-02-01T00:00:00.000Z" },
+      { id: 4, order_id: "MO-2026-000001", ordered_at: "2026-04-01T00:00:00.000Z" },
+    ]);
+    await strapi.db.connection("sequence_counters").insert({ name: "order:2026", value: 1 });
+
+    const migrate = () => strapi.db.connection.transaction((trx) => numberUnnumberedOrders.up(trx));
+    await migrate();
+    await migrate();
+
+    const orders = await strapi.db.connection("orders").orderBy("id").select("order_id", "legacy_order_id");
+    assert.deepEqual(orders, [
+      { order_id: "MO-2026-000002", legacy_order_id: "ORD-1767225600000-7" },
+      { order_id: "MO-2026-000004", legacy_order_id: null },
+      { order_id: "MO-2026-000003", legacy_order_id: null },
+      { order_id: "MO-2026-000001", legacy_order_id: null },
+    ]);
+  });
+
+  it("keeps an order renumbered from its legacy id findable by that id", async () => {
+    await strapi.db.connection("orders").insert({ id: 1, order_id: "ORD-1767225600000-7", ordered_at: "2026-01-01T00:00:00.000Z" });
+
+    await strapi.db.connection.transaction((trx) => numberUnnumberedOrders.up(trx));
+
+    const order = await strapi.db.connection("orders").where("id", 1).first();
+    assert.match(order.order_id, /^MO-2026-\d{6}$/);
+    const where = orderNumberWhere("ORD-1767225600000-7");
+    const found = await strapi.db.connection("orders")
+      .where("order_id", where.$or[0].orderID)
+      .orWhere("legacy_order_id", where.$or[1].legacyOrderID)
+      .pluck("id");
+    assert.deepEqual(found, [1]);
+  });
+});
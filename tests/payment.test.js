@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+const testProvider = require("../src/utils/paymentProviders/test.js");
+const { handleWebhook, checkProviderConfig } = require("../src/utils/payment.js");
+
+describe("checkProviderConfig", () => {
+  afterEach(() => strapi.destroy());
+
+  it("stops the server when the provider for new payments is not enabled", async () => {
+    await createStrapi({ config: { payments: { provider: "test", test: { enabled: false } } } });
+
+    assert.throws(() => checkProviderConfig(), /not enabled/);
+  });
+
+  it("stops the server for a provider that does not exist", async () => {
+    await createStrapi({ config: { payments: { provider: "stripe", test: { enabled: true, webhookSecret: "s3cret" } } } });
+
+    assert.throws(() => checkProviderConfig(), /not a payment provider/);
+  });
+
+  it("starts with an enabled provider", async () => {
+    await createStrapi({ config: { payments: { provider: "test", test: { enabled: true, webhookSecret: "s3cret" } } } });
+
+    assert.doesNotThrow(() => checkProviderConfig());
+  });
+});
+
+describe("handleWebhook", () => {
+  let payment;
+  let order;
+  let orderUpdates;
+
+  const capture = (amount = 1200) =>
+    testProvider.buildSignedEvent({ providerPaymentId: "test_pay_1", status: "captured", amount });
+
+  beforeEach(async () => {
+    order = { id: 30, orderID: "MO-2026-000030", status: "pending", paymentStatus: "pending" };
+    payment = { id: 1, provider: "test", providerPaymentId: "test_pay_1", status: "pending", amount: "1200.00" };
+    orderUpdates = [];
+    await createStrapi({
+      config: { payments: { webhookToleranceSeconds: 300, test: { enabled: true, webhookSecret: "s3cret" } } },
+      queries: {
+        "api::payment.payment": {
+          findOne: async ({ where }) =>
+            where.id === payment.id || where.providerPaymentId === payment.providerPaymentId
+              ? { ...payment, order: { ...order } }
+              : null,
+          updateMany: async ({ where, data }) => {
+            if (where.id !== payment.id || where.status !== payment.status) {
+              return { count: 0 };
+            }
+            Object.assign(payment, data);
+            return { count: 1 };
+          },
+          update: async ({ data }) => Object.assign(payment, data),
+        },
+        "api::order.order": {
+          update: async ({ data }) => {
+            orderUpdates.push(data);
+            Object.assign(order, data);
+          },
+        },
+      },
+    });
+  });
+
+  afterEach(() => strapi.destroy());
+
+  it("confirms and marks the order paid once however often the capture is delivered", async () => {
+    const request = capture();
+
+    const first = await handleWebhook("test", request);
+    const again = await handleWebhook("test", request);
+
+    assert.equal(first.applied, true);
+    assert.equal(again.applied, false);
+    assert.equal(payment.status, "captured");
+    assert.equal(orderUpdates.length, 1);
+    assert.equal(order.status, "confirmed");
+    assert.equal(order.paymentStatus, "done");
+  });
+
+  it("refuses a request whose signature does not match", async () => {
+    const request = capture();
+    request.rawBody = request.rawBody.replace("1200", "1");
+
+    await assert.rejects(handleWebhook("test", request), /Invalid webhook/);
+    assert.equal(payment.status, "pending");
+    assert.deepEqual(orderUpdates, []);
+  });
+
+  it("acknowledges a capture for a different amount but only flags it for review", async () => {
+    const result = await handleWebhook("test", capture(1000));
+
+    assert.equal(result.applied, false);
+    assert.equal(result.flagged, true);
+    assert.equal(payment.status, "pending");
+    assert.ok(payment.flaggedAt);
+    assert.match(payment.flagReason, /was for 1000, not 1200.00/);
+    assert.deepEqual(orderUpdates, []);
+  });
+
+  it("owes back money captured for an order cancelled meanwhile", async () => {
+    Object.assign(order, { status: "cancelled" });
+
+    await handleWebhook("test", capture());
+
+    assert.equal(order.status, "cancelled");
+    assert.equal(order.paymentStatus, "refund_pending");
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+const testProvider = require("../src/utils/paymentProviders/test.js");
+
+const withConfig = (test) => createStrapi({ config: { payments: { webhookToleranceSeconds: 300, test } } });
+
+describe("test payment provider", () => {
+  afterEach(() => strapi.destroy());
+
+  it("is off unless enabled", async () => {
+    await withConfig({ webhookSecret: "s3cret" });
+
+    assert.equal(testProvider.isEnabled(), false);
+    assert.doesNotThrow(() => testProvider.checkConfig());
+  });
+
+  it("refuses to run enabled without a webhook secret", async () => {
+    await withConfig({ enabled: true, webhookSecret: "" });
+
+    assert.throws(() => testProvider.checkConfig(), /PAYMENT_TEST_WEBHOOK_SECRET/);
+  });
+
+  it("accepts the events it signs", async () => {
+    await withConfig({ enabled: true, webhookSecret: "s3cret" });
+
+    const event = testProvider.verifyWebhook(
+      testProvider.buildSignedEvent({ providerPaymentId: "test_pay_1", status: "captured", amount: 1200 })
+    );
+
+    assert.equal(event.providerPaymentId, "test_pay_1");
+    assert.equal(event.status, "captured");
+    assert.equal(event.amount, 1200);
+  });
+
+  it("refuses tampered and stale events", async () => {
+    await withConfig({ enabled: true, webhookSecret: "s3cret" });
+    const request = testProvider.buildSignedEvent({ providerPaymentId: "test_pay_1", status: "captured", amount: 1200 });
+
+    assert.throws(
+      () => testProvider.verifyWebhook({ ...request, rawBody: request.rawBody.replace("1200", "1") }),
+      /signature does not match/
+    );
+    assert.throws(
+      () => testProvider.verifyWebhook({ ...request, headers: { ...request.headers, "x-test-timestamp": "1000" } }),
+      /outside the allowed tolerance/
+    );
+  });
+});
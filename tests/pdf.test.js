@@ -0,0 +1,47 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createPdfDocument, fitText, measureText } = require("../src/utils/pdf.js");
+
+describe("createPdfDocument", () => {
+  const pdf = createPdfDocument()
+    .addPage()
+    .text(40, 60, "Total (incl. GST): ₹1,200")
+    .line(40, 70, 300, 70)
+    .addPage()
+    .text(40, 60, "Page two", { bold: true })
+    .toBuffer()
+    .toString("latin1");
+
+  it("writes a cross-reference table that points at every object", () => {
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.ok(pdf.startsWith("%PDF-1.4\n"));
+    assert.ok(pdf.startsWith("xref\n", xrefOffset));
+
+    const [, count] = pdf.slice(xrefOffset).match(/^xref\n0 (\d+)\n/);
+    const offsets = [...pdf.slice(xrefOffset).matchAll(/^(\d{10}) 00000 n $/gm)].map((match) => Number(match[1]));
+    assert.equal(offsets.length, Number(count) - 1);
+    offsets.forEach((offset, index) => assert.ok(pdf.startsWith(`${index + 1} 0 obj\n`, offset)));
+  });
+
+  it("lists every page and measures each content stream", () => {
+    assert.match(pdf, /\/Type \/Pages \/Kids \[[^\]]+\] \/Count 2/);
+    for (const [, length, stream] of pdf.matchAll(/<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/g)) {
+      assert.equal(Buffer.byteLength(stream, "latin1"), Number(length));
+    }
+  });
+
+  it("escapes text and spells out characters the built-in fonts lack", () => {
+    assert.ok(pdf.includes("(Total \\(incl. GST\\): Rs. 1,200) Tj"));
+    assert.ok(pdf.includes("/F2 10 Tf"));
+  });
+});
+
+describe("fitText", () => {
+  it("keeps text that fits and shortens text that does not", () => {
+    assert.equal(fitText("Aviator", 100, 9), "Aviator");
+
+    const fitted = fitText("Aviator Classic Gold Frame with Blue Cut Lenses", 60, 9);
+    assert.ok(fitted.endsWith("..."));
+    assert.ok(measureText(fitted, 9) <= 60);
+  });
+});
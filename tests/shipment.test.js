@@ -0,0 +1,68 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+const { ingestShipmentEvents } = require("../src/utils/shipment.js");
+
+const rtoEvent = (id) => ({
+  eventId: id,
+  status: "rto",
+  carrierStatus: "RTO_INITIATED",
+  occurredAt: new Date(),
+});
+
+describe("ingestShipmentEvents", () => {
+  let shipment;
+  let order;
+  let events;
+  let orderUpdates;
+
+  beforeEach(async () => {
+    shipment = { id: 1, trackingId: "MOCK1A", carrier: "mock", status: "in_transit", pickedUpAt: new Date(), order: { id: 30 } };
+    order = { id: 30, orderID: "MO-2026-000030", status: "shipped" };
+    events = [];
+    orderUpdates = [];
+    await createStrapi({
+      schema: "CREATE TABLE shipments (id integer PRIMARY KEY)",
+      queries: {
+        "api::shipment.shipment": {
+          findOne: async () => ({ ...shipment }),
+          update: async ({ data }) => Object.assign(shipment, data),
+        },
+        "api::shipment-event.shipment-event": {
+          findMany: async () => events.map((event) => ({ ...event })),
+          create: async ({ data }) => events.push({ id: events.length + 1, ...data }),
+        },
+        "api::order.order": {
+          findOne: async () => ({ ...order }),
+          update: async ({ data }) => {
+            orderUpdates.push(data);
+            Object.assign(order, { status: data.status });
+          },
+        },
+      },
+    });
+    await strapi.db.connection("shipments").insert({ id: 1 });
+  });
+
+  afterEach(() => strapi.destroy());
+
+  it("cancels the order once when the carrier returns the parcel", async () => {
+    assert.equal(await ingestShipmentEvents(1, [rtoEvent("evt_1")]), 1);
+    assert.equal(shipment.status, "rto");
+    assert.equal(orderUpdates.length, 1);
+    assert.equal(orderUpdates[0].status, "cancelled");
+    assert.equal(orderUpdates[0].cancelledBy, "carrier");
+
+    await ingestShipmentEvents(1, [rtoEvent("evt_1"), rtoEvent("evt_2")]);
+    assert.equal(orderUpdates.length, 1);
+  });
+
+  it("leaves an order that was delivered meanwhile alone", async () => {
+    order.status = "delivered";
+
+    await ingestShipmentEvents(1, [rtoEvent("evt_1")]);
+
+    assert.equal(shipment.status, "rto");
+    assert.deepEqual(orderUpdates, []);
+  });
+});
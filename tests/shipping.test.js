@@ -0,0 +1,56 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+const { quoteShipping } = require("../src/utils/shipping.js");
+
+const ADDRESS = { pincode: "682001", locality_name: "Kochi", country_name: "India" };
+
+const DEFAULT_ZONE = {
+  name: "Standard delivery",
+  standardFee: 40,
+  standardDeliveryDays: 5,
+  codAvailable: true,
+  codSurcharge: 0,
+};
+
+const withZones = (zones) =>
+  createStrapi({
+    config: { shipping: { defaultMethod: "standard", defaultZone: DEFAULT_ZONE } },
+    queries: { "api::shipping-zone.shipping-zone": { findMany: async () => zones } },
+  });
+
+describe("quoteShipping", () => {
+  afterEach(() => strapi.destroy());
+
+  it("uses the default zone while no zone is set up", async () => {
+    await withZones([]);
+
+    const quote = await quoteShipping({ address: ADDRESS, orderValue: 999, paymentMethod: "cod" });
+
+    assert.equal(quote.deliverable, true);
+    assert.deepEqual(quote.zone, { id: null, name: "Standard delivery" });
+    assert.equal(quote.selected.total, 40);
+  });
+
+  it("refuses addresses no zone serves once zones exist", async () => {
+    await withZones([{ id: 1, name: "Delhi", pincodes: ["110*"], standardFee: 50, codAvailable: true }]);
+
+    const quote = await quoteShipping({ address: ADDRESS, orderValue: 999 });
+
+    assert.equal(quote.deliverable, false);
+    assert.equal(quote.selected, null);
+  });
+
+  it("prices the matching zone with its free-shipping threshold and COD surcharge", async () => {
+    await withZones([
+      { id: 2, name: "Kerala", pincodes: ["68*"], standardFee: 60, freeShippingThreshold: 1000, codAvailable: true, codSurcharge: 25 },
+    ]);
+
+    const below = await quoteShipping({ address: ADDRESS, orderValue: 999, paymentMethod: "Cash on Delivery" });
+    const above = await quoteShipping({ address: ADDRESS, orderValue: 1000, paymentMethod: "cod" });
+
+    assert.equal(below.selected.total, 85);
+    assert.equal(above.selected.fee, 0);
+    assert.equal(above.selected.total, 25);
+  });
+});
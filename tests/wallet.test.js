@@ -0,0 +1,196 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStrapi } = require("./helpers/strapi.js");
+
+// Notifications are replaced before wallet.js picks them up
+const notification = require("../src/utils/notification.js");
+
+const notices = [];
+mock.method(notification, "createUserNotification", async ({ message }) => notices.push(message));
+
+const { creditWallet, debitWallet, refundWalletPayment } = require("../src/utils/wallet.js");
+const oneWalletPerUser = require("../database/migrations/2026.10.19T03.00.00.one-wallet-per-user.js");
+
+const SCHEMA = `
+  CREATE TABLE wallets (id integer PRIMARY KEY, user_id integer UNIQUE, balance decimal);
+  CREATE TABLE orders (id integer PRIMARY KEY);
+`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Enough of the query filters the ledger uses: equality, `$gt` and `$lte`
+const matches = (entry, where) =>
+  Object.entries(where).every(([field, condition]) => {
+    const value = entry[field] instanceof Date ? entry[field].getTime() : entry[field];
+    if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+      if ("$gt" in condition && !(value != null && value > condition.$gt)) return false;
+      if ("$lte" in condition && !(value != null && value <= new Date(condition.$lte).getTime())) return false;
+      return true;
+    }
+    return value === condition;
+  });
+
+// Runs a query on the wallets table inside the open transaction, as the entity manager would
+const onWallets = (build) => strapi.db.transaction(({ trx }) => build(trx("wallets")));
+
+describe("wallet ledger", () => {
+  let ledger;
+  let order;
+  let hideWalletOnce;
+
+  const balance = async () => Number((await strapi.db.connection("wallets").where("user_id", 7).first()).balance);
+  const entry = (id) => ledger.find((item) => item.id === id);
+
+  beforeEach(async () => {
+    ledger = [];
+    notices.length = 0;
+    hideWalletOnce = false;
+    order = { id: 30, orderID: "MO-2026-000030", totalAmount: 150, walletAmount: 150, user: { id: 7 } };
+    await createStrapi({
+      schema: SCHEMA,
+      queries: {
+        "api::wallet.wallet": {
+          findOne: async ({ where }) => {
+            if (hideWalletOnce) {
+              hideWalletOnce = false;
+              return null;
+            }
+            const row = await onWallets((wallets) => wallets.where("user_id", where.user).first());
+            return row ? { id: row.id, balance: row.balance } : null;
+          },
+          create: async ({ data }) => {
+            const [id] = await onWallets((wallets) => wallets.insert({ user_id: data.user, balance: data.balance }));
+            return { id, balance: data.balance };
+          },
+          update: async ({ where, data }) => onWallets((wallets) => wallets.where("id", where.id).update(data)),
+        },
+        "api::wallet-transaction.wallet-transaction": {
+          findMany: async ({ where }) => ledger.filter((item) => matches(item, where)).map((item) => ({ ...item })),
+          findOne: async ({ where }) => {
+            const found = ledger.find((item) => matches(item, where));
+            return found ? { ...found, wallet: { id: found.wallet } } : null;
+          },
+          create: async ({ data }) => {
+            const created = { id: ledger.length + 1, ...data };
+            ledger.push(created);
+            return { ...created };
+          },
+          update: async ({ where, data }) => Object.assign(entry(where.id), data),
+        },
+        "api::order.order": {
+          findOne: async () => ({ ...order }),
+          update: async ({ data }) => Object.assign(order, data),
+        },
+      },
+    });
+    await strapi.db.connection("orders").insert({ id: 30 });
+  });
+
+  afterEach(() => strapi.destroy());
+
+  // 100 expiring in ten days and 100 that never expires, with 150 of it spent on the order
+  const payOrderFromTwoCredits = async () => {
+    const expiring = await creditWallet(7, { amount: 100, reason: "promotion", expiresAt: new Date(Date.now() + 10 * DAY_MS) });
+    const lasting = await creditWallet(7, { amount: 100, reason: "goodwill" });
+    const debit = await debitWallet(7, { amount: 150, orderId: 30 });
+    return { expiring, lasting, debit };
+  };
+
+  it("spends the credit expiring soonest first and records where each part came from", async () => {
+    const { expiring, lasting, debit } = await payOrderFromTwoCredits();
+
+    assert.equal(entry(expiring.id).remainingAmount, 0);
+    assert.equal(entry(lasting.id).remainingAmount, 50);
+    assert.deepEqual(debit.spentFrom, [{ credit: expiring.id, amount: 100 }, { credit: lasting.id, amount: 50 }]);
+    assert.equal(await balance(), 50);
+  });
+
+  it("returns a cancelled order's credit to the credits it came from, once", async () => {
+    const { expiring, lasting } = await payOrderFromTwoCredits();
+    notices.length = 0;
+
+    const refunded = await Promise.all([refundWalletPayment(30), refundWalletPayment(30)]);
+
+    assert.deepEqual(refunded.sort(), [0, 150]);
+    assert.equal(entry(expiring.id).remainingAmount, 100);
+    assert.ok(entry(expiring.id).expiresAt > new Date());
+    assert.equal(entry(lasting.id).remainingAmount, 100);
+    assert.equal(ledger.filter((item) => item.reason === "order_cancelled").length, 1);
+    assert.equal(await balance(), 200);
+    assert.equal(order.paymentStatus, "refunded");
+    assert.deepEqual(notices, ["₹150.00 has been added to your wallet."]);
+  });
+
+  it("lets credit that expired since the order lapse again when it is returned", async () => {
+    const { expiring, lasting } = await payOrderFromTwoCredits();
+    entry(expiring.id).expiresAt = new Date(Date.now() - DAY_MS);
+    notices.length = 0;
+
+    assert.equal(await refundWalletPayment(30), 150);
+
+    assert.equal(entry(expiring.id).remainingAmount, 0);
+    assert.equal(entry(lasting.id).remainingAmount, 100);
+    assert.equal(ledger.filter((item) => item.type === "expiry").length, 1);
+    assert.equal(await balance(), 100);
+    assert.deepEqual(notices, ["₹50.00 has been added to your wallet."]);
+  });
+
+  it("credits the wallet a parallel request created first", async () => {
+    await strapi.db.connection("wallets").insert({ id: 5, user_id: 7, balance: 0 });
+    hideWalletOnce = true;
+
+    const credit = await creditWallet(7, { amount: 40, reason: "goodwill", notify: false });
+
+    assert.equal(credit.wallet, 5);
+    assert.equal((await strapi.db.connection("wallets").count({ count: "*" }))[0].count, 1);
+    assert.equal(await balance(), 40);
+  });
+});
+
+describe("one wallet per user migration", () => {
+  beforeEach(async () => {
+    await createStrapi({
+      schema: `
+        CREATE TABLE wallets (id integer PRIMARY KEY, balance decimal);
+        CREATE TABLE wallets_user_links (id integer PRIMARY KEY, wallet_id integer, user_id integer);
+        CREATE TABLE wallet_transactions_wallet_links (id integer PRIMARY KEY, wallet_transaction_id integer, wallet_id integer);
+      `,
+    });
+  });
+
+  afterEach(() => strapi.destroy());
+
+  const migrate = () => strapi.db.connection.transaction((trx) => oneWalletPerUser.up(trx));
+
+  it("merges a user's wallets into the oldest one, then allows no second wallet", async () => {
+    await strapi.db.connection("wallets").insert([
+      { id: 1, balance: 40 },
+      { id: 2, balance: 25.5 },
+      { id: 3, balance: 10 },
+    ]);
+    await strapi.db.connection("wallets_user_links").insert([
+      { wallet_id: 1, user_id: 7 },
+      { wallet_id: 2, user_id: 7 },
+      { wallet_id: 3, user_id: 8 },
+    ]);
+    await strapi.db.connection("wallet_transactions_wallet_links").insert([
+      { wallet_transaction_id: 1, wallet_id: 1 },
+      { wallet_transaction_id: 2, wallet_id: 2 },
+    ]);
+
+    await migrate();
+
+    assert.deepEqual(await strapi.db.connection("wallets").orderBy("id").select("id", "balance"), [
+      { id: 1, balance: 65.5 },
+      { id: 3, balance: 10 },
+    ]);
+    assert.deepEqual(await strapi.db.connection("wallet_transactions_wallet_links").pluck("wallet_id"), [1, 1]);
+    await assert.rejects(strapi.db.connection("wallets_user_links").insert({ wallet_id: 4, user_id: 8 }), /UNIQUE/);
+  });
+
+  it("does nothing before the wallet tables exist", async () => {
+    await strapi.db.connection.schema.dropTable("wallets_user_links");
+
+    await migrate();
+  });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { signWebhook, verifyWebhookSignature } = require("../src/utils/webhookSignature.js");
+
+describe("verifyWebhookSignature", () => {
+  const rawBody = JSON.stringify({ trackingId: "MOCK1A", events: [] });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signed = { secret: "s3cret", rawBody, timestamp, signature: signWebhook("s3cret", timestamp, rawBody), toleranceSeconds: 300 };
+
+  it("accepts a fresh request signed with the secret", () => {
+    assert.doesNotThrow(() => verifyWebhookSignature(signed));
+    assert.doesNotThrow(() => verifyWebhookSignature({ ...signed, timestamp: String(timestamp) }));
+  });
+
+  it("refuses another body, another secret or a missing signature", () => {
+    assert.throws(() => verifyWebhookSignature({ ...signed, rawBody: `${rawBody} ` }), /does not match/);
+    assert.throws(() => verifyWebhookSignature({ ...signed, secret: "other" }), /does not match/);
+    assert.throws(() => verifyWebhookSignature({ ...signed, signature: "" }), /Missing webhook signature/);
+  });
+
+  it("refuses a replayed request and an unconfigured secret", () => {
+    const old = timestamp - 301;
+    assert.throws(
+      () => verifyWebhookSignature({ ...signed, timestamp: old, signature: signWebhook("s3cret", old, rawBody) }),
+      /outside the allowed tolerance/
+    );
+    assert.throws(() => verifyWebhookSignature({ ...signed, secret: "" }), /not configured/);
+  });
+});